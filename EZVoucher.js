@@ -1,10 +1,25 @@
-const puppeteer = require('puppeteer');
-const puppeteerExtra = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 const ExcelJS = require('exceljs');
+const { validateVoucherFiles, readVoucherPeriod, readCellValues } = require('./voucher-validator.js');
+const { writeUploadManifest } = require('./voucher-manifest.js');
+const { readVoucherPreview } = require('./voucher-preview.js');
+const { hashFile, findUpload, recordUpload, getLedgerEntries } = require('./upload-ledger.js');
+const { isExcelFile, getFilePrefix, getVendorName, scanVoucherFolder } = require('./voucher-scanner.js');
+const { watchVoucherFolder } = require('./folder-watcher.js');
+const { CONFIG_FILE_NAME, DEFAULT_FILE_CONFIG, loadVoucherConfig, saveVoucherConfig, parseVoucherConfig, resolveFileConfig, getTemplateCellRefs, renderDescription } = require('./voucher-config.js');
+const { VoucherUploadError, NetworkError, AuthenticationError, SelectorNotFoundError, D365ValidationError, VoucherFileError, toUploadError, getRetryPolicy, getRetryDelay, findD365ErrorMessages, describeError } = require('./upload-errors.js');
+const { JOURNAL_LINE_COLUMNS, reconcileJournal } = require('./journal-reconciler.js');
+const { beginCheckpoint, resumeCheckpoint, markCheckpointFile, finishCheckpoint, getInterruptedRun, describeInterruptedRun, resolveUncertainFile, discardCheckpoint } = require('./run-checkpoint.js');
+const { OperatorActionError, requestOperatorAction, respondOperatorAction, getPendingOperatorAction, onOperatorAttentionChange } = require('./operator-attention.js');
+const { RunCancelledError, beginCancellableRun, throwIfCancelled } = require('./run-cancellation.js');
+const { registerJobType, submitJob } = require('./job-queue.js');
+const { generateMonthlyVouchers } = require('./voucher-generator.js');
+const { findElement, clickElement, typeIntoElement, describeResolution } = require('./selector-resolver.js');
+const { acquirePage, releasePage, openDashboard, closeSession, closeSessionIfIdle } = require('./d365-session.js');
+const { beginEvidenceRun, startEvidenceTrace, captureStepEvidence, finishEvidenceRun } = require('./run-evidence.js');
+const { getSettings, getActiveEnvironment, getLogLevel, scaleDelay } = require('./app-settings.js');
 
 // const { ipcMain } = require('electron');
 const { ipcMain, dialog } = require('electron');
@@ -24,6 +39,10 @@ ipcMain.handle('select-folder', async () => {
     });
     
     if (!result.canceled && result.filePaths.length > 0) {
+      // 다른 폴더를 선택하면 기존 폴더 감시는 종료
+      if (watchState.watcher && result.filePaths[0] !== folderPath) {
+        stopFolderWatch();
+      }
       folderPath = result.filePaths[0];
       logger.info(`폴더 경로가 설정되었습니다: ${folderPath}`);
       return { success: true, path: folderPath };
@@ -36,15 +55,15 @@ ipcMain.handle('select-folder', async () => {
   }
 });
 
-// 선택된 범위의 파일들을 처리하는 IPC 핸들러
-ipcMain.handle('process-selected-files', async (event, startNumber, endNumber) => {
+// 선택된 범위의 파일들을 처리하는 IPC 핸들러 (작업 대기열에 등록하고 실행 결과 대기)
+ipcMain.handle('process-selected-files', async (event, startNumber, endNumber, options = {}) => {
   try {
     const credentials = getCredentials();
     if (!credentials.username || !credentials.password) {
       throw new Error('로그인 정보가 설정되지 않았습니다. 먼저 로그인을 해주세요.');
     }
     
-    const result = await processSelectedFiles(credentials, startNumber, endNumber);
+    const result = await submitVoucherJob('voucher-range', { startFileNumber: startNumber, endFileNumber: endNumber, options });
     return result;
   } catch (error) {
     logger.error(`선택된 파일들 처리 중 오류: ${error.message}`);
@@ -52,15 +71,466 @@ ipcMain.handle('process-selected-files', async (event, startNumber, endNumber) =
   }
 });
 
-// 단일 파일을 처리하는 IPC 핸들러
-ipcMain.handle('process-single-file', async (event, fileNumber) => {
+// 선택된 범위의 파일들을 사전 검증하는 IPC 핸들러 (브라우저 실행 없음, options.openPeriod로 열린 회계기간 지정 가능)
+ipcMain.handle('validate-voucher-files', async (event, startNumber, endNumber, options = {}) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const report = await validateFileRange(startNumber, endNumber, options);
+    return { success: true, report };
+  } catch (error) {
+    logger.error(`전표 파일 사전 검증 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 선택된 범위 파일의 전표 내용(헤더, 라인, 합계, 사용 계정)과 입력될 설명 미리보기 IPC 핸들러
+ipcMain.handle('preview-voucher-files', async (event, startNumber, endNumber) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const { filePaths, missingNumbers, ambiguousNumbers } = collectRangeFiles(startNumber, endNumber);
+    const voucherConfig = loadVoucherConfig(folderPath);
+
+    const previews = [];
+    for (const filePath of filePaths) {
+      const fileName = path.basename(filePath);
+      const fileNumber = getFilePrefix(fileName);
+      const fileConfig = resolveFileConfig(voucherConfig, fileNumber, fileName);
+      const preview = {
+        filePath,
+        fileName,
+        fileNumber,
+        vendor: getVendorName(fileName),
+        journalName: fileConfig.journalName,
+        company: fileConfig.company,
+        description: null,
+        descriptionError: null,
+        error: null
+      };
+      try {
+        Object.assign(preview, await readVoucherPreview(filePath));
+        preview.description = await buildDescription(fileConfig.descriptionTemplate, filePath, fileNumber);
+      } catch (error) {
+        if (preview.lines) {
+          preview.descriptionError = error.message;
+        } else {
+          preview.error = `엑셀 파일을 읽을 수 없습니다: ${error.message}`;
+        }
+      }
+      previews.push(preview);
+    }
+
+    logger.info(`전표 내용 미리보기: ${previews.length}개 파일${missingNumbers.length > 0 ? ` (없는 번호: ${missingNumbers.join(', ')})` : ''}${ambiguousNumbers.length > 0 ? ` (번호 중복: ${ambiguousNumbers.map(entry => entry.fileNumber).join(', ')})` : ''}`);
+    return { success: true, previews, missingNumbers, ambiguousNumbers };
+  } catch (error) {
+    logger.error(`전표 내용 미리보기 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 선택된 범위 중 이미 업로드된 (내용이 같은) 파일을 찾는 IPC 핸들러
+ipcMain.handle('check-duplicate-uploads', async (event, startNumber, endNumber, options = {}) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const { filePaths } = collectRangeFiles(startNumber, endNumber);
+    return { success: true, duplicates: findDuplicateUploads(filePaths, options) };
+  } catch (error) {
+    logger.error(`중복 업로드 확인 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 폴더의 엑셀 파일 목록 스캔 IPC 핸들러 (번호 중복 / 번호 없음 / 잠금 파일 표시)
+ipcMain.handle('scan-voucher-folder', async () => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const scan = scanVoucherFolder(folderPath);
+    logger.info(`폴더 스캔 완료: 엑셀 파일 ${scan.files.length}개, 번호 중복 ${scan.duplicatePrefixes.length}건`);
+    return { success: true, scan };
+  } catch (error) {
+    logger.error(`폴더 스캔 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 직접 선택한 파일 목록을 사전 검증하는 IPC 핸들러 (브라우저 실행 없음, options.openPeriod로 열린 회계기간 지정 가능)
+ipcMain.handle('validate-voucher-file-list', async (event, filePaths, options = {}) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const report = await validateVoucherFiles(checkSelectedFilePaths(filePaths), {
+      openPeriod: getOpenPeriod(options),
+      buildDescription: createDescriptionBuilder(loadVoucherConfig(folderPath))
+    });
+    report.missingNumbers = [];
+    report.ambiguousNumbers = [];
+    return { success: true, report };
+  } catch (error) {
+    logger.error(`선택한 파일 사전 검증 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 직접 선택한 파일 중 이미 업로드된 파일을 찾는 IPC 핸들러
+ipcMain.handle('check-duplicate-uploads-for-files', async (event, filePaths, options = {}) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    return { success: true, duplicates: findDuplicateUploads(checkSelectedFilePaths(filePaths), options) };
+  } catch (error) {
+    logger.error(`중복 업로드 확인 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 직접 선택한 파일 목록을 처리하는 IPC 핸들러 (작업 대기열에 등록하고 실행 결과 대기)
+ipcMain.handle('process-file-list', async (event, filePaths, options = {}) => {
+  try {
+    const credentials = getCredentials();
+    if (!credentials.username || !credentials.password) {
+      throw new Error('로그인 정보가 설정되지 않았습니다. 먼저 로그인을 해주세요.');
+    }
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    return await submitVoucherJob('voucher-files', { filePaths: checkSelectedFilePaths(filePaths), options });
+  } catch (error) {
+    logger.error(`선택한 파일 목록 처리 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 폴더 감시 시작 IPC 핸들러 (새로 추가/변경된 엑셀 파일을 대기열에 추가)
+ipcMain.handle('start-folder-watch', async (event, options = {}) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    startFolderWatch(options);
+    return { success: true, queue: getWatchQueueSnapshot() };
+  } catch (error) {
+    logger.error(`폴더 감시 시작 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 폴더 감시 종료 IPC 핸들러
+ipcMain.handle('stop-folder-watch', async () => {
+  stopFolderWatch();
+  return { success: true, queue: getWatchQueueSnapshot() };
+});
+
+// 감시 대기열 자동 실행 설정 IPC 핸들러
+ipcMain.handle('set-watch-auto-run', async (event, enabled) => {
+  watchState.autoRun = !!enabled;
+  logger.info(`폴더 감시 대기열 자동 실행: ${watchState.autoRun ? '사용' : '사용 안 함'}`);
+  emitWatchQueueUpdate();
+  if (watchState.autoRun) {
+    runWatchQueue().catch(error => logger.error(`대기열 자동 실행 중 오류: ${error.message}`));
+  }
+  return { success: true, queue: getWatchQueueSnapshot() };
+});
+
+// 감시 대기열 승인(업로드 실행) IPC 핸들러
+ipcMain.handle('approve-watch-queue', async () => {
+  try {
+    return await runWatchQueue();
+  } catch (error) {
+    logger.error(`대기열 처리 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 감시 대기열 조회 IPC 핸들러
+ipcMain.handle('get-watch-queue', async () => {
+  return { success: true, queue: getWatchQueueSnapshot() };
+});
+
+// 업로드 원장 조회 IPC 핸들러
+ipcMain.handle('get-upload-ledger', async () => {
+  try {
+    return { success: true, entries: getLedgerEntries() };
+  } catch (error) {
+    logger.error(`업로드 원장 조회 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 폴더의 업로드 설정(파일별 분개장 이름 / 설명 템플릿 / 업로드 옵션) 조회 IPC 핸들러
+ipcMain.handle('get-voucher-config', async () => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    return {
+      success: true,
+      config: loadVoucherConfig(folderPath),
+      exists: fs.existsSync(path.join(folderPath, CONFIG_FILE_NAME))
+    };
+  } catch (error) {
+    logger.error(`업로드 설정 조회 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 폴더 파일별 설명 미리보기 IPC 핸들러 (config를 넘기면 저장하지 않은 편집 내용으로 미리보기)
+ipcMain.handle('preview-descriptions', async (event, config = null) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const voucherConfig = config ? parseVoucherConfig(config) : loadVoucherConfig(folderPath);
+    const files = scanVoucherFolder(folderPath).files.filter(file => !file.isLockFile);
+
+    const previews = [];
+    for (const file of files) {
+      const fileConfig = resolveFileConfig(voucherConfig, file.prefix, file.fileName);
+      const preview = {
+        filePath: file.filePath,
+        fileName: file.fileName,
+        journalName: fileConfig.journalName,
+        company: fileConfig.company,
+        template: fileConfig.descriptionTemplate,
+        description: null,
+        error: null
+      };
+      try {
+        preview.description = await buildDescription(fileConfig.descriptionTemplate, file.filePath, file.prefix);
+      } catch (error) {
+        preview.error = error.message;
+      }
+      previews.push(preview);
+    }
+
+    return { success: true, previews };
+  } catch (error) {
+    logger.error(`설명 미리보기 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 폴더의 업로드 설정 저장 IPC 핸들러
+ipcMain.handle('save-voucher-config', async (event, config) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+
+    const configPath = saveVoucherConfig(folderPath, config);
+    return { success: true, path: configPath };
+  } catch (error) {
+    logger.error(`업로드 설정 저장 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 다음 달 전표를 저장할 폴더 선택 IPC 핸들러
+ipcMain.handle('select-generation-folder', async () => {
+  try {
+    const result = await dialog.showOpenDialog({
+      properties: ['openDirectory', 'createDirectory'],
+      title: '다음 달 전표 파일을 저장할 폴더를 선택하세요'
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+      return { success: true, path: result.filePaths[0] };
+    }
+    return { success: false, message: '폴더 선택이 취소되었습니다.' };
+  } catch (error) {
+    logger.error(`저장 폴더 선택 중 오류: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+});
+
+// 작업 폴더(지난달 전표)로 다음 달 전표 파일을 생성하는 IPC 핸들러 (dryRun이면 저장하지 않고 차이만 반환)
+ipcMain.handle('generate-monthly-vouchers', async (event, targetFolder, options = {}) => {
+  try {
+    if (!folderPath) {
+      throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+    }
+    if (!targetFolder) {
+      throw new Error('다음 달 전표를 저장할 폴더를 먼저 선택해주세요.');
+    }
+
+    const result = await generateMonthlyVouchers(folderPath, targetFolder, {
+      dryRun: !!options.dryRun,
+      overwrite: !!options.overwrite
+    });
+
+    // 생성한 폴더를 바로 업로드할 수 있도록 작업 폴더로 전환 (기존 폴더 감시는 종료)
+    if (!options.dryRun && options.useAsWorkFolder && result.generatedCount > 0) {
+      if (watchState.watcher) {
+        stopFolderWatch();
+      }
+      folderPath = targetFolder;
+      logger.info(`생성한 다음 달 전표 폴더를 작업 폴더로 지정: ${folderPath}`);
+    }
+
+    return { success: true, ...result, folderPath };
+  } catch (error) {
+    logger.error(`다음 달 전표 생성 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 중단된 배치(또는 수동 확인이 필요한 파일이 남은 배치) 조회 IPC 핸들러
+ipcMain.handle('get-interrupted-run', async () => {
+  try {
+    return { success: true, run: getInterruptedRun() };
+  } catch (error) {
+    logger.error(`중단된 배치 조회 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 중단된 배치를 결과가 확정되지 않은 첫 파일부터 이어서 처리하는 IPC 핸들러 (작업 대기열에 등록하고 실행 결과 대기)
+ipcMain.handle('resume-interrupted-run', async (event, options = {}) => {
+  try {
+    const credentials = getCredentials();
+    if (!credentials.username || !credentials.password) {
+      throw new Error('로그인 정보가 설정되지 않았습니다. 먼저 로그인을 해주세요.');
+    }
+
+    const run = getInterruptedRun();
+    if (!run) {
+      throw new Error('이어서 처리할 중단된 배치가 없습니다.');
+    }
+    checkResumableRun(run);
+
+    return await submitVoucherJob('voucher-resume', { folderPath: run.folderPath, fileCount: run.resumeFilePaths.length, options });
+  } catch (error) {
+    logger.error(`중단된 배치 이어서 실행 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 중단된 배치를 이어서 처리할 수 있는지 확인 (확인 필요 파일, 실행 환경, 파일 존재)
+function checkResumableRun(run) {
+  if (run.uncertainFiles.length > 0) {
+    throw new Error(`업로드 여부 확인이 필요한 파일이 있습니다: ${run.uncertainFiles.map(file => file.fileName).join(', ')}. D365에서 확인 후 결과를 먼저 선택해주세요.`);
+  }
+  if (run.resumeFilePaths.length === 0) {
+    throw new Error('이어서 처리할 파일이 없습니다.');
+  }
+
+  // 중단된 배치는 처음 실행한 환경에서만 이어서 처리 (다른 환경에 나머지 파일이 올라가지 않도록)
+  const activeEnvironment = getActiveEnvironment().name;
+  if (run.environment && run.environment !== activeEnvironment) {
+    throw new Error(`중단된 배치는 ${run.environment} 환경에서 실행되었습니다. 현재 환경(${activeEnvironment})을 ${run.environment}로 바꾼 뒤 이어서 처리해주세요.`);
+  }
+
+  const missingFiles = run.resumeFilePaths.filter(filePath => !fs.existsSync(filePath));
+  if (missingFiles.length > 0) {
+    throw new Error(`중단된 배치의 파일을 찾을 수 없습니다: ${missingFiles.map(filePath => path.basename(filePath)).join(', ')}`);
+  }
+}
+
+// 중단된 배치 이어서 처리 (대기하는 동안 체크포인트가 바뀔 수 있으므로 실행할 때 다시 확인)
+async function resumeInterruptedBatch(credentials, options = {}) {
+  const run = getInterruptedRun();
+  if (!run) {
+    throw new Error('이어서 처리할 중단된 배치가 없습니다.');
+  }
+  checkResumableRun(run);
+
+  // 중단된 배치의 작업 폴더로 전환 (다른 폴더를 감시 중이면 감시 종료)
+  useWorkFolder(run.folderPath);
+  logger.info(`중단된 배치 이어서 실행: ${run.resumeFilePaths.length}개 파일 (${folderPath})`);
+
+  return await processAllFiles(credentials, null, null, {
+    ...options,
+    dryRun: false,
+    filePaths: run.resumeFilePaths,
+    resume: true
+  });
+}
+
+// 확인 필요 파일의 수동 확인 결과(D365에 업로드됨 / 안 됨) 반영 IPC 핸들러
+// 업로드됨으로 확인한 파일은 업로드 원장에도 기록하여 다음 실행에서 중복 업로드로 표시
+ipcMain.handle('resolve-uncertain-file', async (event, filePath, uploaded) => {
+  try {
+    const run = getInterruptedRun();
+    const file = run ? run.uncertainFiles.find(entry => entry.filePath === filePath) : null;
+    if (file && uploaded) {
+      recordUpload({
+        contentHash: file.contentHash || hashFile(file.filePath),
+        fileName: file.fileName,
+        filePath: file.filePath,
+        period: file.period,
+        user: getCredentials().username,
+        company: file.company,
+        environment: run.environment || getActiveEnvironment().name,
+        journalNumber: file.journalNumber || null
+      });
+    }
+    resolveUncertainFile(filePath, !!uploaded);
+    return { success: true, run: getInterruptedRun() };
+  } catch (error) {
+    logger.error(`확인 필요 파일 처리 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 중단된 배치 기록 삭제 IPC 핸들러
+ipcMain.handle('discard-interrupted-run', async () => {
+  try {
+    discardCheckpoint();
+    return { success: true };
+  } catch (error) {
+    logger.error(`중단된 배치 기록 삭제 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업자 확인 대기 중인 요청 조회 IPC 핸들러
+ipcMain.handle('get-operator-attention', async () => {
+  try {
+    return { success: true, request: getPendingOperatorAction() };
+  } catch (error) {
+    logger.error(`작업자 확인 요청 조회 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업자 확인 요청에 대한 응답(계속 / 파일 건너뛰기 / 작업 중단) IPC 핸들러
+ipcMain.handle('respond-operator-attention', async (event, id, action) => {
+  try {
+    respondOperatorAction(id, action);
+    return { success: true };
+  } catch (error) {
+    logger.error(`작업자 확인 응답 처리 중 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// 단일 파일을 처리하는 IPC 핸들러 (작업 대기열에 등록하고 실행 결과 대기)
+ipcMain.handle('process-single-file', async (event, fileNumber, options = {}) => {
   try {
     const credentials = getCredentials();
     if (!credentials.username || !credentials.password) {
       throw new Error('로그인 정보가 설정되지 않았습니다. 먼저 로그인을 해주세요.');
     }
     
-    const result = await processSingleFile(credentials, fileNumber);
+    const result = await submitVoucherJob('voucher-single', { fileNumber, options });
     return result;
   } catch (error) {
     logger.error(`파일 ${fileNumber} 처리 중 오류: ${error.message}`);
@@ -69,8 +539,8 @@ ipcMain.handle('process-single-file', async (event, fileNumber) => {
 });
 
 
-// 기본 대기 함수 (최적화를 위해 최소한만 사용)
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// 기본 대기 함수 (최적화를 위해 최소한만 사용, 설정의 대기 시간 배율 적용)
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, scaleDelay(ms)));
 
 // 성능 최적화를 위한 스마트 대기 시스템 - 강화된 fallback 메커니즘 포함
 const smartWait = {
@@ -176,12 +646,9 @@ const smartWait = {
   }
 };
 
-// 스텔스 플러그인 적용 (사이트가 봇을 감지하지 못하도록)
-puppeteerExtra.use(StealthPlugin());
-
 // 로거 설정
 const logger = winston.createLogger({
-  level: 'info',
+  level: getLogLevel(),
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.printf(({ timestamp, level, message }) => {
@@ -227,111 +694,172 @@ function extractTextFromParentheses(filePath) {
   }
 }
 
-// 특정 번호로 시작하는 엑셀 파일 찾기 함수
-function findExcelFileStartingWithNumber(folderPath, fileNumber = 1) {
+// 특정 번호로 시작하는 엑셀 파일 경로 목록 (잠금 파일 ~$ 제외, 같은 번호의 파일이 여러 개일 수 있음)
+function findExcelFilesStartingWithNumber(folderPath, fileNumber = 1) {
   try {
-    const filePrefix = `${fileNumber}.`;
-    const files = fs.readdirSync(folderPath);
-    const excelExtensions = ['.xlsx', '.xls', '.xlsm'];
-    
-    // 지정된 번호로 시작하고 확장자가 엑셀인 파일 필터링
-    const matchingFiles = files.filter(file => {
-      const isExcel = excelExtensions.some(ext => file.toLowerCase().endsWith(ext));
-      return file.startsWith(filePrefix) && isExcel;
-    });
-    
-    if (matchingFiles.length > 0) {
-      // 찾은 파일 중 첫 번째 파일 반환
-      return path.join(folderPath, matchingFiles[0]);
-    }
-    
-    return null; // 해당하는 파일이 없는 경우
+    return scanVoucherFolder(folderPath).files
+      .filter(file => !file.isLockFile && file.prefix === Number(fileNumber))
+      .map(file => file.filePath);
   } catch (error) {
     logger.error(`폴더 내 파일 검색 중 오류 발생: ${error.message}`);
-    return null;
+    return [];
+  }
+}
+
+// 같은 번호로 시작하는 파일이 여러 개일 때의 안내 (어느 파일을 처리할지 작업자가 정해야 함)
+function describeAmbiguousNumber(fileNumber, fileNames) {
+  return `${fileNumber}.로 시작하는 엑셀 파일이 ${fileNames.length}개 있습니다: ${fileNames.join(', ')}. 번호가 겹치지 않게 파일명을 바꾸거나 폴더 파일 목록에서 처리할 파일을 직접 선택해주세요.`;
+}
+
+// 파일 번호 범위에 해당하는 엑셀 파일 경로 목록
+// 없는 번호는 missingNumbers, 같은 번호의 파일이 여러 개인 번호는 ambiguousNumbers({ fileNumber, fileNames })로 반환하고 목록에서 제외
+function collectRangeFiles(startFileNumber, endFileNumber) {
+  const filePaths = [];
+  const missingNumbers = [];
+  const ambiguousNumbers = [];
+
+  for (let fileNumber = startFileNumber; fileNumber <= endFileNumber; fileNumber++) {
+    const matchingFiles = findExcelFilesStartingWithNumber(folderPath, fileNumber);
+    if (matchingFiles.length === 1) {
+      filePaths.push(matchingFiles[0]);
+    } else if (matchingFiles.length > 1) {
+      const fileNames = matchingFiles.map(filePath => path.basename(filePath));
+      logger.warn(describeAmbiguousNumber(fileNumber, fileNames));
+      ambiguousNumbers.push({ fileNumber, fileNames });
+    } else {
+      missingNumbers.push(fileNumber);
+    }
+  }
+
+  return { filePaths, missingNumbers, ambiguousNumbers };
+}
+
+// 검증 리포트에 번호 중복 반영 - 같은 번호의 파일이 여러 개면 작업자가 고를 때까지 실행 차단
+function applyAmbiguousNumbers(report, ambiguousNumbers) {
+  report.ambiguousNumbers = ambiguousNumbers;
+  if (ambiguousNumbers.length > 0) {
+    report.blocked = true;
+  }
+  return report;
+}
+
+// 화면에서 직접 선택한 파일 경로 확인 (작업 폴더 안의 엑셀 파일만 허용, 잠금 파일 제외)
+function checkSelectedFilePaths(filePaths) {
+  if (!Array.isArray(filePaths) || filePaths.length === 0) {
+    throw new Error('처리할 파일을 하나 이상 선택해주세요.');
   }
+
+  return filePaths.map(filePath => {
+    const resolvedPath = path.resolve(filePath);
+    const fileName = path.basename(resolvedPath);
+    if (path.dirname(resolvedPath) !== path.resolve(folderPath)) {
+      throw new Error(`작업 폴더에 없는 파일입니다: ${filePath}`);
+    }
+    if (!isExcelFile(fileName) || fileName.startsWith('~$')) {
+      throw new Error(`처리할 수 없는 파일입니다 (엑셀 파일이 아니거나 잠금 파일): ${fileName}`);
+    }
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`파일을 찾을 수 없습니다: ${fileName}`);
+    }
+    return resolvedPath;
+  });
+}
+
+// 사전 검증에서 허용할 열린 회계기간 (실행 옵션 > 앱 설정, 둘 다 없으면 배치 내 기간 일치만 검사)
+function getOpenPeriod(options = {}) {
+  return options.openPeriod || getSettings().openPeriod || undefined;
+}
+
+// 사전 검증용 전표 설명 생성 함수 (파일별 설정의 설명 템플릿으로 설명을 미리 만들어 토큰 오류를 찾음)
+function createDescriptionBuilder(voucherConfig) {
+  return (filePath, fileNumber, period) => {
+    const fileConfig = resolveFileConfig(voucherConfig, fileNumber, path.basename(filePath));
+    return buildDescription(fileConfig.descriptionTemplate, filePath, fileNumber, { period });
+  };
+}
+
+// 파일 번호 범위에 해당하는 엑셀 파일들을 사전 검증하는 함수
+async function validateFileRange(startFileNumber, endFileNumber, options = {}) {
+  const { filePaths, missingNumbers, ambiguousNumbers } = collectRangeFiles(startFileNumber, endFileNumber);
+
+  const report = await validateVoucherFiles(filePaths, {
+    openPeriod: getOpenPeriod(options),
+    buildDescription: createDescriptionBuilder(loadVoucherConfig(folderPath))
+  });
+  report.missingNumbers = missingNumbers;
+  return applyAmbiguousNumbers(report, ambiguousNumbers);
+}
+
+// 파일 목록 중 업로드 원장에 현재 환경, 업로드할 회사로 같은 내용이 기록된 파일 목록
+// 파일별 회사는 processAllFiles와 같이 업로드 설정의 company → options.company(실행 시 선택한 회사) → 앱 설정의 회사
+function findDuplicateUploads(filePaths, options = {}) {
+  const duplicates = [];
+  const environment = getActiveEnvironment().name;
+  const runCompany = String(options.company || getSettings().company).toUpperCase();
+  const voucherConfig = loadVoucherConfig(folderPath);
+
+  filePaths.forEach(excelFilePath => {
+    const fileName = path.basename(excelFilePath);
+    const company = resolveFileConfig(voucherConfig, getFilePrefix(fileName), fileName).company || runCompany;
+    const contentHash = hashFile(excelFilePath);
+    const previousUpload = findUpload(contentHash, environment, company);
+    if (previousUpload) {
+      duplicates.push({
+        fileNumber: getFilePrefix(path.basename(excelFilePath)),
+        fileName: path.basename(excelFilePath),
+        contentHash,
+        previousUpload
+      });
+    }
+  });
+
+  return duplicates;
 }
 
-async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정되지 않은 경우 오류 반환
+async function navigateToDynamics365(credentials, options = {}) {  // 폴더 경로가 설정되지 않은 경우 오류 반환
   if (!folderPath) {
     const errorMsg = '폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.';
     logger.error(errorMsg);
     throw new Error(errorMsg);
   }
 
+  // 리허설은 1번 파일을 processAllFiles 리허설로 실행하여 단계별 결과, 스크린샷, 증거 자료와 리허설 리포트를 남김
+  if (options.dryRun) {
+    logger.info('RPA 프로세스 시작: Dynamics 365 탐색 리허설 (1번 파일)');
+    return await processAllFiles(credentials, 1, 1, options);
+  }
+
   logger.info('RPA 프로세스 시작: Dynamics 365 탐색');
   logger.info(`사용할 폴더 경로: ${folderPath}`);
-  
-  const browser = await puppeteerExtra.launch({
-    headless: false,
-    defaultViewport: null,
-    args: [
-      '--start-maximized',
-      '--ignore-certificate-errors',
-      '--ignore-certificate-errors-spki-list',
-      '--allow-insecure-localhost',
-      '--no-sandbox',
-      '--disable-setuid-sandbox'
-    ]
-  });
+
+  // 업로드할 1번 파일과 적용할 업로드 설정 확인 (브라우저 실행 전, 같은 번호의 파일이 여러 개면 실행하지 않음)
+  const { filePaths: [excelFilePath], ambiguousNumbers } = collectRangeFiles(1, 1);
+  if (ambiguousNumbers.length > 0) {
+    const errorMsg = `${describeAmbiguousNumber(1, ambiguousNumbers[0].fileNames)} RPA를 중단합니다.`;
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+  if (!excelFilePath) {
+    const errorMsg = '1.로 시작하는 엑셀 파일을 찾지 못했습니다. RPA를 중단합니다.';
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+  const fileConfig = resolveFileConfig(loadVoucherConfig(folderPath), 1, path.basename(excelFilePath));
+
+  // 자동 처리 실패 시 작업자 확인 대기
+  const askOperator = async (page, stepName, instructions) => {
+    await waitForOperator(page, stepName, instructions, path.basename(excelFilePath));
+  };
+  
+  // 공유 D365 세션에서 작업 탭 받기 (로그인 세션이 살아 있으면 ADFS 로그인 생략)
+  const page = await acquirePage();
 
   try {
-    const page = await browser.newPage();
-    
-    // SSL 인증서 오류 처리
-    await page.setBypassCSP(true);
-    
-    // 페이지 요청 인터셉트 설정 (SSL 오류 처리용)
-    await page.setRequestInterception(true);
-    page.on('request', request => {
-      request.continue();
-    });
-    
-    // 대화상자 처리 (인증서 경고 등)
-    page.on('dialog', async dialog => {
-      logger.info(`대화상자 감지: ${dialog.message()}`);
-      await dialog.accept();
-    });
-    
-    // 1. D365 페이지 접속 (재시도 로직 추가)
-    logger.info('D365 페이지로 이동 중...');
-    let pageLoadSuccess = false;
-    let retryCount = 0;
-    const maxRetries = 3;
-    
-    while (!pageLoadSuccess && retryCount < maxRetries) {
-      try {
-        retryCount++;
-        logger.info(`D365 페이지 접속 시도 ${retryCount}/${maxRetries}`);
-        
-        await page.goto('https://d365.nepes.co.kr/namespaces/AXSF/?cmp=K02&mi=DefaultDashboard', {
-          waitUntil: 'networkidle2',
-          timeout: 60000 // 60초 타임아웃
-        });
-        
-        pageLoadSuccess = true;
-        logger.info('D365 페이지 로드 완료');
-      } catch (networkError) {
-        logger.error(`D365 페이지 접속 시도 ${retryCount} 실패: ${networkError.message}`);
-        
-        if (retryCount >= maxRetries) {
-          const errorMsg = `네트워크 연결 실패: D365 사이트(https://d365.nepes.co.kr)에 접속할 수 없습니다. 인터넷 연결을 확인하거나 VPN이 필요할 수 있습니다.`;
-          logger.error(errorMsg);
-          throw new Error(errorMsg);
-        }
-        
-        // 재시도 전 2초 대기 (성능 최적화: navigateToDynamics365 네트워크 재시도)
-        logger.info('2초 후 재시도합니다...');
-        await delay(2000);
-      }
-    }
+    // 1. D365 페이지 접속 (ADFS 로그인 화면으로 이동된 경우에만 로그인, 업로드 설정의 회사 → 실행 시 선택한 회사 → 앱 설정의 회사)
+    const { company } = await openDashboard(page, credentials, { login: handleLogin, company: fileConfig.company || options.company });
 
-    // 로그인 처리 (필요한 경우)
-    if (await page.$('input[type="email"]') !== null || await page.$('#userNameInput') !== null) {
-      logger.info('로그인 화면 감지됨, 로그인 시도 중...');
-      await handleLogin(page, credentials);
-    }    // 로그인 후 페이지가 완전히 로드될 때까지 스마트 대기 (성능 최적화)
-    logger.info('로그인 후 페이지 로딩 확인 중...');
+    // 로그인 후 페이지가 완전히 로드될 때까지 스마트 대기 (성능 최적화)
+    logger.info('D365 페이지 로딩 확인 중...');
     const pageReady = await smartWait.forPageReady(page, 8000);
     if (!pageReady) {
       logger.warn('페이지 로딩 확인 실패, 기본 2초 대기로 진행');
@@ -341,69 +869,8 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
 
     // 2. 즐겨찾기 아이콘 클릭
     logger.info('즐겨찾기 아이콘 찾는 중...');
-    
-    // 즐겨찾기 아이콘 클릭 시도
-    try {
-      // 제공된 정확한 선택자로 찾기
-      await page.waitForSelector('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"][data-dyn-image-type="Symbol"]', { 
-        visible: true,
-        timeout: 10000
-      });
-      
-      await page.click('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"][data-dyn-image-type="Symbol"]');
-      logger.info('정확한 선택자로 즐겨찾기 아이콘 클릭 성공');
-    } catch (error) {
-      logger.warn(`정확한 선택자로 즐겨찾기 아이콘을 찾지 못함: ${error.message}`);
-      
-      // 더 간단한 선택자로 시도
-      try {
-        await page.waitForSelector('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"]', { 
-          visible: true,
-          timeout: 5000
-        });
-        
-        await page.click('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"]');
-        logger.info('단순 선택자로 즐겨찾기 아이콘 클릭 성공');
-      } catch (iconError) {
-        logger.warn(`단순 선택자로도 즐겨찾기 아이콘을 찾지 못함: ${iconError.message}`);
-        
-        // 클래스 이름으로 시도
-        try {
-          await page.waitForSelector('.StarEmpty-symbol', { visible: true, timeout: 5000 });
-          await page.click('.StarEmpty-symbol');
-          logger.info('클래스 이름으로 즐겨찾기 아이콘 클릭 성공');
-        } catch (classError) {
-          logger.warn(`클래스 이름으로도 즐겨찾기 아이콘을 찾지 못함: ${classError.message}`);
-          
-          // JavaScript로 시도
-          try {
-            logger.info('JavaScript로 즐겨찾기 아이콘 찾기 시도...');
-            
-            await page.evaluate(() => {
-              // 여러 방법으로 요소 찾기
-              const spans = Array.from(document.querySelectorAll('span'));
-              const favIcon = spans.find(span => 
-                span.getAttribute('data-dyn-title') === '즐겨찾기' || 
-                span.classList.contains('StarEmpty-symbol') ||
-                (span.className && span.className.includes('StarEmpty'))
-              );
-              
-              if (favIcon) {
-                favIcon.click();
-              } else {
-                throw new Error('JavaScript로도 즐겨찾기 아이콘을 찾을 수 없음');
-              }
-            });
-            
-            logger.info('JavaScript로 즐겨찾기 아이콘 클릭 성공');
-          } catch (jsError) {
-            logger.error(`JavaScript로도 즐겨찾기 아이콘을 찾지 못함: ${jsError.message}`);
-            throw new Error('즐겨찾기 아이콘을 찾을 수 없습니다');
-          }
-        }
-      }
-    }
-      logger.info('즐겨찾기 아이콘 클릭 완료');
+    await clickElement(page, 'favorites.icon');
+    logger.info('즐겨찾기 아이콘 클릭 완료');
     
     // 클릭 후 메뉴가 표시될 때까지 스마트 대기 (성능 최적화)
     const menuVisible = await smartWait.forAnyElement(page, [
@@ -420,72 +887,14 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
 
     // 3. 메뉴에서 "엑셀 전표 업로드" 클릭
     logger.info('"엑셀 전표 업로드" 메뉴 아이템 찾는 중...');
-    
-    // 정확한 선택자로 시도
-    try {
-      // 제공된 정확한 선택자로 찾기
-      const exactSelector = 'div.modulesPane-link.modulesFlyout-isFavorite[data-dyn-selected="false"][role="treeitem"] a.modulesPane-linkText[data-dyn-title="엑셀 전표 업로드"][role="link"]';
-      await page.waitForSelector(exactSelector, { visible: true, timeout: 10000 });
-      await page.click(exactSelector);
-      logger.info('정확한 선택자로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-    } catch (error) {
-      logger.warn(`정확한 선택자로 메뉴를 찾지 못함: ${error.message}`);
-      
-      // 원래 코드의 선택자로 시도
-      try {
-        const selector = 'div[data-dyn-title="엑셀 전표 업로드"], div.modulesPane-link a[data-dyn-title="엑셀 전표 업로드"], .modulesPane-link a.modulesPane-linkText[data-dyn-title="엑셀 전표 업로드"]';
-        await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-        await page.click(selector);
-        logger.info('기본 선택자로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-      } catch (selectorError) {
-        logger.warn(`기본 선택자로도 메뉴를 찾지 못함: ${selectorError.message}`);
-        
-        // 텍스트 기반으로 요소 찾기
-        try {
-          const menuItems = await page.$$('.modulesPane-link, .modulesFlyout-isFavorite');
-          
-          let found = false;
-          for (const item of menuItems) {
-            const text = await page.evaluate(el => el.textContent, item);
-            if (text.includes('엑셀 전표 업로드')) {
-              await item.click();
-              found = true;
-              logger.info('텍스트 검색으로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-              break;
-            }
-          }
-          
-          if (!found) {
-            // 링크 텍스트로 찾기
-            try {
-              // 페이지에서 JavaScript 실행하여 요소 찾기
-              await page.evaluate(() => {
-                const links = Array.from(document.querySelectorAll('a.modulesPane-linkText, div.modulesPane-link a, a[role="link"]'));
-                const targetLink = links.find(link => link.textContent.includes('엑셀 전표 업로드'));
-                if (targetLink) {
-                  targetLink.click();
-                } else {
-                  throw new Error('링크를 찾을 수 없음');
-                }
-              });
-              logger.info('JavaScript 실행으로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-            } catch (jsError) {
-              logger.error(`JavaScript로도 메뉴를 찾지 못함: ${jsError.message}`);
-              throw new Error('메뉴 아이템을 찾을 수 없습니다: 엑셀 전표 업로드');
-            }
-          }
-        } catch (textError) {
-          logger.error(`텍스트 검색으로도 메뉴를 찾지 못함: ${textError.message}`);
-          throw new Error('모든 방법으로 "엑셀 전표 업로드" 메뉴를 찾지 못했습니다');
-        }
-      }    }
+    await clickElement(page, 'favorites.excelUploadMenu');
+    logger.info('"엑셀 전표 업로드" 메뉴 클릭 완료');
     
     // 엑셀 전표 업로드 페이지 로드 스마트 대기 (성능 최적화)
     logger.info('엑셀 전표 업로드 페이지 로드 확인 중...');
     const uploadPageReady = await smartWait.forAnyElement(page, [
       '.lookupButton[title="오픈"]',
-      '.lookupButton',
-      'input[value="일반전표(ARK)"]'
+      '.lookupButton'
     ], 8000);
     
     if (!uploadPageReady) {
@@ -496,42 +905,13 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
 
     // 추가 동작 1: lookupButton 클래스를 가진 요소 클릭
     logger.info('lookupButton 클래스 요소 찾는 중...');
-    try {
-      await page.waitForSelector('.lookupButton[title="오픈"]', { 
-        visible: true, 
-        timeout: 10000 
-      });
-      await page.click('.lookupButton[title="오픈"]');
-      logger.info('lookupButton 클릭 성공');
-    } catch (error) {
-      logger.warn(`lookupButton을 찾지 못함: ${error.message}`);
-      
-      // JavaScript로 시도
-      try {
-        await page.evaluate(() => {
-          const lookupButtons = Array.from(document.querySelectorAll('.lookupButton'));
-          const button = lookupButtons.find(btn => 
-            btn.getAttribute('title') === '오픈' || 
-            btn.getAttribute('data-dyn-bind')?.includes('Input_LookupTooltip')
-          );
-          
-          if (button) {
-            button.click();
-          } else {
-            throw new Error('lookupButton을 찾을 수 없음');
-          }
-        });
-        logger.info('JavaScript로 lookupButton 클릭 성공');
-      } catch (jsError) {
-        logger.error(`JavaScript로도 lookupButton을 찾지 못함: ${jsError.message}`);
-        throw new Error('lookupButton을 찾을 수 없습니다');      }
-    }
+    await clickElement(page, 'upload.journalLookupButton');
+    logger.info('lookupButton 클릭 성공');
 
     // 팝업이 열릴 때까지 스마트 대기 (성능 최적화)
     const popupReady = await smartWait.forAnyElement(page, [
-      'input[value="일반전표(ARK)"]',
-      'input[title="일반전표(ARK)"]',
-      '#SysGen_Name_125_0_0_input'
+      'input[id^="SysGen_Name_"]',
+      '[role="grid"]'
     ], 5000);
     
     if (!popupReady) {
@@ -540,72 +920,25 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
     }
     logger.info('lookupButton 클릭 후 팝업 대기 완료');
 
-    // 추가 동작 2: "일반전표(ARK)" 값을 가진 텍스트 입력 필드 클릭
-    logger.info('"일반전표(ARK)" 텍스트 필드 찾는 중...');
-    try {
-      await page.waitForSelector('input[value="일반전표(ARK)"], input[title="일반전표(ARK)"]', { 
-        visible: true, 
-        timeout: 10000 
-      });
-      await page.click('input[value="일반전표(ARK)"], input[title="일반전표(ARK)"]');
-      logger.info('"일반전표(ARK)" 텍스트 필드 클릭 성공');
-    } catch (error) {
-      logger.warn(`"일반전표(ARK)" 텍스트 필드를 찾지 못함: ${error.message}`);
-      
-      // ID로 시도
-      try {
-        await page.waitForSelector('#SysGen_Name_125_0_0_input', { visible: true, timeout: 5000 });
-        await page.click('#SysGen_Name_125_0_0_input');
-        logger.info('ID로 "일반전표(ARK)" 텍스트 필드 클릭 성공');
-      } catch (idError) {
-        logger.warn(`ID로도 텍스트 필드를 찾지 못함: ${idError.message}`);
-        
-        // JavaScript로 시도
-        try {
-          await page.evaluate(() => {
-            const inputs = Array.from(document.querySelectorAll('input[type="text"]'));
-            const input = inputs.find(inp => 
-              inp.value === '일반전표(ARK)' || 
-              inp.title === '일반전표(ARK)'
-            );
-            
-            if (input) {
-              input.click();
-            } else {
-              throw new Error('텍스트 필드를 찾을 수 없음');
-            }
-          });
-          logger.info('JavaScript로 "일반전표(ARK)" 텍스트 필드 클릭 성공');
-        } catch (jsError) {
-          logger.error(`JavaScript로도 텍스트 필드를 찾지 못함: ${jsError.message}`);
-          throw new Error('"일반전표(ARK)" 텍스트 필드를 찾을 수 없습니다');
-        }
-      }
-    }    await delay(1000); // 최소 대기로 단축 (성능 최적화)
+    // 추가 동작 2: 설정된 분개장 이름을 조회 필터로 검색하여 선택
+    logger.info(`분개장 이름 "${fileConfig.journalName}" 선택 중...`);
+    await selectJournalName(page, fileConfig.journalName);
+    await delay(1000); // 최소 대기로 단축 (성능 최적화)
     logger.info('텍스트 필드 클릭 후 대기 완료');    // 추가 동작 3: 특정 텍스트 박스에 파일명 괄호 안의 텍스트 입력 (필수 동작)
     logger.info('텍스트 박스 찾아 파일명 괄호 안의 텍스트 입력 중...');
 
-    // 먼저 엑셀 파일 경로 찾기
-    const excelFilePath = findExcelFileStartingWith1(folderPath);
-
-    if (!excelFilePath) {
-      const errorMsg = '1.로 시작하는 엑셀 파일을 찾지 못했습니다. RPA를 중단합니다.';
-      logger.error(errorMsg);
-      throw new Error(errorMsg);
-    }
-
     let textToInput;
     try {
-      // 파일명에서 괄호 안의 텍스트 추출 - 반드시 성공해야 함
-      textToInput = extractTextFromParentheses(excelFilePath);
+      // 설정된 설명 템플릿으로 설명 생성 (기본값: 파일명 괄호 안 텍스트) - 반드시 성공해야 함
+      textToInput = await buildDescription(fileConfig.descriptionTemplate, excelFilePath, 1);
       
       if (!textToInput || textToInput.trim() === '') {
-        throw new Error(`파일명 괄호 안에 유효한 텍스트가 없습니다. 파일: ${path.basename(excelFilePath)}`);
+        throw new Error(`설명 텍스트가 비어 있습니다. 파일: ${path.basename(excelFilePath)}`);
       }
       
-      logger.info(`파일명 괄호 안의 텍스트 "${textToInput}" 추출 성공`);
+      logger.info(`설명 텍스트 "${textToInput}" 생성 성공`);
     } catch (extractError) {
-      const errorMsg = `파일명 괄호 텍스트 추출 실패: ${extractError.message}. 파일: ${path.basename(excelFilePath)}. RPA를 중단합니다.`;
+      const errorMsg = `설명 텍스트 생성 실패: ${extractError.message}. 파일: ${path.basename(excelFilePath)}. RPA를 중단합니다.`;
       logger.error(errorMsg);
       throw new Error(errorMsg);
     }
@@ -614,273 +947,31 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
     logger.info('텍스트 입력 페이지 완전 로드 대기 중...');
     await delay(3000);
 
-    // 텍스트 입력 - 강화된 5번 시도
-    let inputSuccess = false;
-    let lastError = null;
-
-    // 첫 번째 시도: 메인 ID 선택자 (강화된 버전)
-    if (!inputSuccess) {
-      try {
-        logger.info('첫 번째 시도: 메인 ID 선택자로 텍스트 입력 (강화된 대기)');
-        
-        // 페이지가 완전히 안정화될 때까지 대기
-        await page.waitForFunction(
-          () => document.readyState === 'complete',
-          { timeout: 10000 }
-        );
-        
-        // 여러 가능한 선택자들을 시도
-        const possibleSelectors = [
-          '#kpc_exceluploadforledgerjournal_2_FormStringControl_Txt_input',
-          'input[id*="FormStringControl_Txt_input"]',
-          'input[id*="kpc_exceluploadforledgerjournal"][id*="Txt_input"]',
-          'input[role="textbox"]'
-        ];
-        
-        let foundElement = null;
-        for (const selector of possibleSelectors) {
-          try {
-            await page.waitForSelector(selector, { visible: true, timeout: 3000 });
-            foundElement = selector;
-            logger.info(`요소 찾음: ${selector}`);
-            break;
-          } catch (e) {
-            logger.warn(`선택자 실패: ${selector}`);
-          }
-        }
-        
-        if (foundElement) {
-          // 요소가 클릭 가능할 때까지 대기
-          await page.waitForFunction(
-            (sel) => {
-              const element = document.querySelector(sel);
-              return element && !element.disabled && element.offsetParent !== null;
-            },
-            { timeout: 5000 },
-            foundElement
-          );
-          
-          await page.click(foundElement);
-          await delay(500); // 클릭 후 잠시 대기
-          await page.type(foundElement, textToInput);
-          logger.info(`첫 번째 시도 성공: 텍스트 박스에 "${textToInput}" 입력 완료`);
-          inputSuccess = true;
-        } else {
-          throw new Error('모든 선택자에서 요소를 찾을 수 없음');
-        }
-      } catch (error) {
-        lastError = error;
-        logger.warn(`첫 번째 시도 실패: ${error.message}`);
-      }
-    }
-
-    // 두 번째 시도: 클래스 선택자 (강화된 버전)
-    if (!inputSuccess) {
-      try {
-        logger.info('두 번째 시도: 클래스 선택자로 텍스트 입력');
-        
-        const classSelectors = [
-          'input.textbox.field.displayoption[role="textbox"]',
-          'input.textbox.field.displayoption',
-          'input.textbox[role="textbox"]',
-          'input[class*="textbox"][class*="field"]'
-        ];
-        
-        let foundElement = null;
-        for (const selector of classSelectors) {
-          try {
-            await page.waitForSelector(selector, { visible: true, timeout: 3000 });
-            foundElement = selector;
-            logger.info(`클래스 요소 찾음: ${selector}`);
-            break;
-          } catch (e) {
-            logger.warn(`클래스 선택자 실패: ${selector}`);
-          }
-        }
-        
-        if (foundElement) {
-          await page.click(foundElement);
-          await delay(500);
-          await page.type(foundElement, textToInput);
-          logger.info(`두 번째 시도 성공: 텍스트 박스에 "${textToInput}" 입력 완료`);
-          inputSuccess = true;
-        } else {
-          throw new Error('모든 클래스 선택자에서 요소를 찾을 수 없음');
-        }
-        logger.info(`두 번째 시도 성공: 텍스트 박스에 "${textToInput}" 입력 완료`);
-        inputSuccess = true;
-      } catch (error) {
-        lastError = error;
-        logger.warn(`두 번째 시도 실패: ${error.message}`);
-      }
-    }
-
-    // 세 번째 시도: JavaScript로 직접 조작
-    if (!inputSuccess) {
-      try {
-        logger.info('세 번째 시도: JavaScript로 직접 텍스트 입력');
-        await page.evaluate((text) => {
-          const inputs = Array.from(document.querySelectorAll('input[role="textbox"]'));
-          const input = inputs.find(inp => 
-            inp.className.includes('textbox') || 
-            inp.id?.includes('FormStringControl_Txt_input')
-          );
-          
-          if (input) {
-            input.focus();
-            input.value = text;
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            return true;
-          } else {
-            throw new Error('텍스트 박스를 찾을 수 없음');
-          }
-        }, textToInput);
-        logger.info(`세 번째 시도 성공: JavaScript로 텍스트 박스에 "${textToInput}" 입력 완료`);
-        inputSuccess = true;
-      } catch (error) {
-        lastError = error;
-        logger.warn(`세 번째 시도 실패: ${error.message}`);
-      }
-    }
-
-    // 네 번째 시도: 모든 텍스트 입력 필드 검색
-    if (!inputSuccess) {
-      try {
-        logger.info('네 번째 시도: 모든 텍스트 입력 필드에서 검색');
-        await page.evaluate((text) => {
-          const allInputs = Array.from(document.querySelectorAll('input[type="text"], input:not([type]), textarea'));
-          
-          // 설명란으로 추정되는 입력 필드 찾기
-          const descriptionInput = allInputs.find(inp => 
-            inp.placeholder?.includes('설명') ||
-            inp.title?.includes('설명') ||
-            inp.getAttribute('aria-label')?.includes('설명') ||
-            inp.id?.includes('Description') ||
-            inp.id?.includes('Txt') ||
-            inp.name?.includes('description')
-          );
-          
-          if (descriptionInput) {
-            descriptionInput.focus();
-            descriptionInput.value = text;
-            descriptionInput.dispatchEvent(new Event('input', { bubbles: true }));
-            descriptionInput.dispatchEvent(new Event('change', { bubbles: true }));
-            return true;
-          } else {
-            throw new Error('설명란으로 추정되는 입력 필드를 찾을 수 없음');
-          }
-        }, textToInput);
-        logger.info(`네 번째 시도 성공: 설명란 입력 필드에 "${textToInput}" 입력 완료`);
-        inputSuccess = true;
-      } catch (error) {
-        lastError = error;
-        logger.warn(`네 번째 시도 실패: ${error.message}`);
-      }
-    }
-
-    // 다섯 번째 시도: 가장 가능성 높은 입력 필드 선택
-    if (!inputSuccess) {
-      try {
-        logger.info('다섯 번째 시도: 가장 가능성 높은 입력 필드 선택');
-        await page.evaluate((text) => {
-          const allInputs = Array.from(document.querySelectorAll('input, textarea'));
-          
-          // 보이는 입력 필드만 필터링
-          const visibleInputs = allInputs.filter(inp => {
-            const style = window.getComputedStyle(inp);
-            return style.display !== 'none' && style.visibility !== 'hidden' && inp.offsetWidth > 0 && inp.offsetHeight > 0;
-          });
-          
-          if (visibleInputs.length > 0) {
-            // 가장 큰 입력 필드 선택 (설명란일 가능성이 높음)
-            const largestInput = visibleInputs.reduce((prev, current) => {
-              return (prev.offsetWidth * prev.offsetHeight) > (current.offsetWidth * current.offsetHeight) ? prev : current;
-            });
-            
-            largestInput.focus();
-            largestInput.value = text;
-            largestInput.dispatchEvent(new Event('input', { bubbles: true }));
-            largestInput.dispatchEvent(new Event('change', { bubbles: true }));
-            return true;
-          } else {
-            throw new Error('보이는 입력 필드를 찾을 수 없음');
-          }
-        }, textToInput);
-        logger.info(`다섯 번째 시도 성공: 가장 큰 입력 필드에 "${textToInput}" 입력 완료`);
-        inputSuccess = true;
-      } catch (error) {
-        lastError = error;        logger.warn(`다섯 번째 시도 실패: ${error.message}`);      }    }    // 모든 시도 실패 시 RPA 작업 중단 (필수 동작)
-    if (!inputSuccess) {
-      const errorMsg = `🚨 중요: 추가 동작 3번 실패 - 괄호 안 텍스트 "${textToInput}" 입력에 모든 시도가 실패했습니다. 마지막 오류: ${lastError?.message || '알 수 없는 오류'}. RPA 작업을 중단합니다.`;
+    // 설명 입력란에 텍스트 입력 (필수 동작 - 찾지 못하면 RPA 작업 중단)
+    try {
+      await page.waitForFunction(() => document.readyState === 'complete', { timeout: 10000 });
+      await typeIntoElement(page, 'upload.descriptionInput', textToInput);
+      logger.info(`텍스트 박스에 "${textToInput}" 입력 완료`);
+    } catch (inputError) {
+      const errorMsg = `🚨 중요: 추가 동작 3번 실패 - 괄호 안 텍스트 "${textToInput}" 입력에 실패했습니다. ${inputError.message}. RPA 작업을 중단합니다.`;
       logger.error(errorMsg);
       
-      // 브라우저 닫기
-      try {
-        await browser.close();
-      } catch (closeError) {
-        logger.error(`브라우저 종료 중 오류: ${closeError.message}`);
-      }
-      
-      // 오류 발생으로 작업 중단
-      throw new Error(errorMsg);
+      // 오류 발생으로 작업 중단 (작업 탭은 아래 catch에서 반환)
+      throw toUploadError(inputError, 'selector');
     }
 
     await delay(2000);
     logger.info('텍스트 입력 후 대기 완료');
 
+    // 설정된 업로드 옵션 입력 (설정이 있는 경우에만)
+    if (fileConfig.uploadOptions.fields && Object.keys(fileConfig.uploadOptions.fields).length > 0) {
+      await applyUploadOptions(page, fileConfig.uploadOptions);
+    }
+
     // 추가 동작 4: "업로드" 버튼 클릭 (확인 버튼 대신)
     logger.info('"업로드" 버튼 찾는 중...');
-    try {
-      await page.waitForSelector('#kpc_exceluploadforledgerjournal_2_UploadButton_label', { 
-        visible: true, 
-        timeout: 10000 
-      });
-      await page.click('#kpc_exceluploadforledgerjournal_2_UploadButton_label');
-      logger.info('ID로 "업로드" 버튼 클릭 성공');
-    } catch (error) {
-      logger.warn(`ID로 "업로드" 버튼을 찾지 못함: ${error.message}`);
-      
-      // 텍스트로 시도
-      try {
-        await page.waitForSelector('span.button-label:contains("업로드")', { 
-          visible: true, 
-          timeout: 5000 
-        });
-        await page.click('span.button-label:contains("업로드")');
-        logger.info('텍스트로 "업로드" 버튼 클릭 성공');
-      } catch (textError) {
-        logger.warn(`텍스트로도 "업로드" 버튼을 찾지 못함: ${textError.message}`);
-        
-        // JavaScript로 시도
-        try {
-          await page.evaluate(() => {
-            const spans = Array.from(document.querySelectorAll('span.button-label, span[id*="UploadButton_label"]'));
-            const uploadButton = spans.find(span => span.textContent.trim() === '업로드');
-            
-            if (uploadButton) {
-              uploadButton.click();
-            } else {
-              // 다른 방식으로 업로드 버튼 찾기
-              const buttons = Array.from(document.querySelectorAll('button, div.button-container, [role="button"]'));
-              const btn = buttons.find(b => {
-                const text = b.textContent.trim();
-                return text === '업로드' || text.includes('업로드');
-              });
-              
-              if (btn) {
-                btn.click();
-              } else {
-                throw new Error('업로드 버튼을 찾을 수 없음');
-              }
-            }
-          });
-          logger.info('JavaScript로 "업로드" 버튼 클릭 성공');
-        } catch (jsError) {
-          logger.error(`JavaScript로도 "업로드" 버튼을 찾지 못함: ${jsError.message}`);
-          throw new Error('"업로드" 버튼을 찾을 수 없습니다');
-        }
-      }    }
+    await clickElement(page, 'upload.uploadButton');
+    logger.info('"업로드" 버튼 클릭 성공');
 
     // 추가 동작 5: "Browse" 버튼 클릭 및 파일 선택
     // 업로드 버튼 클릭 후 Browse 버튼이 활성화될 때까지 스마트 대기 (성능 최적화)
@@ -896,51 +987,20 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
     }
     logger.info('"Browse" 버튼 찾는 중...');
 
-    // '1.'로 시작하는 엑셀 파일 찾기 함수
-    function findExcelFileStartingWith1(folderPath) {
-      try {
-        const files = fs.readdirSync(folderPath);
-        const excelExtensions = ['.xlsx', '.xls', '.xlsm'];
-        
-        // '1.'로 시작하고 확장자가 엑셀인 파일 필터링
-        const matchingFiles = files.filter(file => {
-          const isExcel = excelExtensions.some(ext => file.toLowerCase().endsWith(ext));
-          return file.startsWith('1.') && isExcel;
-        });
-        
-        if (matchingFiles.length > 0) {
-          // 찾은 파일 중 첫 번째 파일 반환
-          return path.join(folderPath, matchingFiles[0]);
-        }
-        
-        return null; // 해당하는 파일이 없는 경우
-      } catch (error) {
-        logger.error(`폴더 내 파일 검색 중 오류 발생: ${error.message}`);
-        return null;
-      }
-    }
-
     try {
-      // 먼저 파일 경로 확인
-      const filePath = findExcelFileStartingWith1(folderPath);
-      
-      if (!filePath) {
-        throw new Error('폴더에서 "1."로 시작하는 엑셀 파일을 찾을 수 없습니다.');
-      }
-      
-      logger.info(`사용할 파일: ${path.basename(filePath)}`);
+      logger.info(`사용할 파일: ${path.basename(excelFilePath)}`);
       
       // 방법 1: fileChooser를 사용하여 파일 선택
       try {
         // 파일 선택기가 열릴 때까지 대기하면서 Browse 버튼 클릭
         const [fileChooser] = await Promise.all([
           page.waitForFileChooser({ timeout: 10000 }),
-          page.click('#Dialog_4_UploadBrowseButton, button[name="UploadBrowseButton"]')
+          clickElement(page, 'upload.browseButton')
         ]);
         
         // 찾은 파일 선택
-        await fileChooser.accept([filePath]);
-        logger.info(`fileChooser 방식으로 파일 선택 완료: ${path.basename(filePath)}`);
+        await fileChooser.accept([excelFilePath]);
+        logger.info(`fileChooser 방식으로 파일 선택 완료: ${path.basename(excelFilePath)}`);
       } catch (chooserError) {
         logger.warn(`fileChooser 방식 실패: ${chooserError.message}`);
         
@@ -951,37 +1011,23 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
           await delay(1000);
           
           // 파일 입력 필드 찾기
-          const fileInputSelector = 'input[type="file"]';
-          const fileInput = await page.$(fileInputSelector);
+          const fileInput = await findElement(page, 'upload.fileInput', { timeout: 3000 });
           
           if (fileInput) {
             // 파일 입력 필드가 있으면 직접 파일 설정
-            await fileInput.uploadFile(filePath);
-            logger.info(`uploadFile 방식으로 파일 선택 완료: ${path.basename(filePath)}`);
+            await fileInput.element.uploadFile(excelFilePath);
+            logger.info(`uploadFile 방식으로 파일 선택 완료: ${path.basename(excelFilePath)}`);
           } else {
-            // 파일 입력 필드가 없으면 다시 Browse 버튼 클릭 시도
-            await page.click('#Dialog_4_UploadBrowseButton, button[name="UploadBrowseButton"]');
-            
-            // 사용자에게 파일 선택 안내
-            await page.evaluate((fileName) => {
-              alert(`자동 파일 선택에 실패했습니다. 파일 탐색기에서 "${fileName}" 파일을 수동으로 선택해주세요.`);
-            }, path.basename(filePath));
-            
-            // 사용자가 파일을 선택할 때까지 대기 (30초)
-            logger.info('사용자의 수동 파일 선택 대기 중... (30초)');
-            await delay(30000);
+            // 파일 입력 필드가 없으면 다시 Browse 버튼 클릭 후 작업자에게 파일 선택 요청
+            await clickElement(page, 'upload.browseButton');
+            await askOperator(page, 'Browse 파일 선택', `자동 파일 선택에 실패했습니다. D365 창의 파일 탐색기에서 "${path.basename(excelFilePath)}" 파일을 선택한 뒤 "계속"을 눌러주세요.`);
           }
         } catch (inputError) {
+          if (inputError instanceof OperatorActionError) throw inputError;
           logger.error(`파일 입력 방식도 실패: ${inputError.message}`);
           
-          // 최후의 방법: 사용자에게 안내
-          await page.evaluate((message) => {
-            alert(message);
-          }, `자동 파일 선택에 실패했습니다. 파일 탐색기에서 "1."로 시작하는 엑셀 파일을 수동으로 선택해주세요.`);
-          
-          // 사용자가 파일을 선택할 때까지 대기 (30초)
-          logger.info('사용자의 수동 파일 선택 대기 중... (30초)');
-          await delay(30000);
+          // 최후의 방법: 작업자에게 파일 선택 요청
+          await askOperator(page, 'Browse 파일 선택', `자동 파일 선택에 실패했습니다. D365 창의 파일 탐색기에서 "${path.basename(excelFilePath)}" 파일을 선택한 뒤 "계속"을 눌러주세요.`);
         }
       }
       
@@ -989,43 +1035,19 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
       await delay(3000);
       logger.info('파일 선택 후 대기 완료');
       
-      // 파일 선택 대화상자에서 "확인" 버튼이 필요한 경우 클릭
-      try {
-        const confirmButtonSelector = '#Dialog_4_OkButton, #SysOKButton, span.button-label:contains("확인"), span.button-label:contains("OK")';
-        const confirmButton = await page.$(confirmButtonSelector);
-        
-        if (confirmButton) {
-          await confirmButton.click();
-          logger.info('파일 선택 대화상자의 "확인" 버튼 클릭 성공');
-        }
-      } catch (confirmError) {
-        logger.warn(`확인 버튼 클릭 시도 중 오류: ${confirmError.message}`);
-        logger.info('계속 진행합니다...');
-      }
-      
     } catch (browseError) {
+      if (browseError instanceof OperatorActionError) throw browseError;
       logger.error(`"Browse" 버튼 처리 오류: ${browseError.message}`);
       
-      // 사용자에게 파일 선택 안내
-      try {
-        await page.evaluate(() => {
-          alert('자동화 스크립트에 문제가 발생했습니다. 수동으로 "Browse" 버튼을 클릭하고 "1."로 시작하는 엑셀 파일을 선택해주세요.');
-        });
-        
-        // 사용자가 작업을 완료할 때까지 대기
-        logger.info('사용자의 수동 파일 선택 대기 중... (60초)');
-        await delay(60000);
-      } catch (alertError) {
-        logger.error(`알림 표시 중 오류: ${alertError.message}`);
-      }    }
+      // 작업자에게 파일 선택 요청
+      await askOperator(page, 'Browse 파일 선택', `자동 파일 선택에 실패했습니다. D365 창에서 "Browse" 버튼을 클릭하고 "${path.basename(excelFilePath)}" 파일을 선택한 뒤 "계속"을 눌러주세요.`);
+    }
 
     // 추가 동작 6: 파일 선택 후 최종 "확인" 버튼 클릭
     // 파일 선택 후 대화상자 확인 버튼이 활성화될 때까지 스마트 대기 (성능 최적화)
     const confirmButtonReady = await smartWait.forAnyElement(page, [
       '#Dialog_4_OkButton',
-      'button[name="OkButton"]',
-      'span.button-label:contains("확인")',
-      'span.button-label:contains("OK")'
+      'button[name="OkButton"]'
     ], 8000);
     
     if (!confirmButtonReady) {
@@ -1035,92 +1057,11 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
     logger.info('파일 선택 후 최종 "확인" 버튼 찾는 중...');
 
     try {
-      // ID로 시도
-      await page.waitForSelector('#Dialog_4_OkButton', { 
-        visible: true, 
-        timeout: 10000 
-      });
-      await page.click('#Dialog_4_OkButton');
-      logger.info('ID로 최종 "확인" 버튼 클릭 성공');
+      await clickElement(page, 'upload.fileDialogOkButton');
+      logger.info('최종 "확인" 버튼 클릭 성공');
     } catch (error) {
-      logger.warn(`ID로 최종 "확인" 버튼을 찾지 못함: ${error.message}`);
-      
-      // 이름 속성으로 시도
-      try {
-        await page.waitForSelector('button[name="OkButton"]', { 
-          visible: true, 
-          timeout: 5000 
-        });
-        await page.click('button[name="OkButton"]');
-        logger.info('name 속성으로 최종 "확인" 버튼 클릭 성공');
-      } catch (nameError) {
-        logger.warn(`name 속성으로도 최종 "확인" 버튼을 찾지 못함: ${nameError.message}`);
-        
-        // 레이블로 시도
-        try {
-          await page.waitForSelector('#Dialog_4_OkButton_label, span.button-label:contains("확인")', { 
-            visible: true, 
-            timeout: 5000 
-          });
-          await page.click('#Dialog_4_OkButton_label, span.button-label:contains("확인")');
-          logger.info('레이블로 최종 "확인" 버튼 클릭 성공');
-        } catch (labelError) {
-          logger.warn(`레이블로도 최종 "확인" 버튼을 찾지 못함: ${labelError.message}`);
-          
-          // JavaScript로 시도
-          try {
-            await page.evaluate(() => {
-              // 방법 1: ID로 찾기
-              const okButton = document.querySelector('#Dialog_4_OkButton');
-              if (okButton) {
-                okButton.click();
-                return;
-              }
-              
-              // 방법 2: 레이블로 찾기
-              const okLabel = document.querySelector('#Dialog_4_OkButton_label');
-              if (okLabel) {
-                okLabel.click();
-                return;
-              }
-              
-              // 방법 3: 버튼 텍스트로 찾기
-              const buttons = Array.from(document.querySelectorAll('button, span.button-label'));
-              const button = buttons.find(btn => btn.textContent.trim() === '확인');
-              if (button) {
-                button.click();
-                return;
-              }
-              
-              // 방법 4: 버튼 클래스와 속성으로 찾기
-              const dynamicsButtons = Array.from(document.querySelectorAll('button.dynamicsButton.button-isDefault'));
-              const defaultButton = dynamicsButtons.find(btn => {
-                const label = btn.querySelector('.button-label');
-                return label && label.textContent.trim() === '확인';
-              });
-              
-              if (defaultButton) {
-                defaultButton.click();
-              } else {
-                throw new Error('최종 확인 버튼을 찾을 수 없음');
-              }
-            });
-            logger.info('JavaScript로 최종 "확인" 버튼 클릭 성공');
-          } catch (jsError) {
-            logger.error(`JavaScript로도 최종 "확인" 버튼을 찾지 못함: ${jsError.message}`);
-            logger.warn('사용자가 수동으로 "확인" 버튼을 클릭해야 할 수 있습니다.');
-            
-            // 사용자에게 안내
-            await page.evaluate(() => {
-              alert('자동으로 "확인" 버튼을 클릭할 수 없습니다. 수동으로 "확인" 버튼을 클릭해주세요.');
-            });
-            
-            // 사용자가 확인 버튼을 클릭할 때까지 대기 (20초)
-            logger.info('사용자의 수동 "확인" 버튼 클릭 대기 중... (20초)');
-            await delay(20000);
-          }
-        }
-      }
+      logger.error(`최종 "확인" 버튼을 찾지 못함: ${error.message}`);
+      await askOperator(page, '최종 확인 버튼 클릭', 'D365 창의 파일 선택 대화상자에서 "확인" 버튼을 직접 클릭한 뒤 "계속"을 눌러주세요.');
     }
 
     // 추가 동작 7: 마지막 "확인" 버튼(kpc_exceluploadforledgerjournal_2_OKButton) 클릭
@@ -1128,92 +1069,14 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
     logger.info('마지막 "확인" 버튼(kpc_exceluploadforledgerjournal_2_OKButton) 찾는 중...');
 
     try {
-      // ID로 시도
-      await page.waitForSelector('#kpc_exceluploadforledgerjournal_2_OKButton', { 
-        visible: true, 
-        timeout: 10000 
-      });
-      await page.click('#kpc_exceluploadforledgerjournal_2_OKButton');
-      logger.info('ID로 마지막 "확인" 버튼 클릭 성공');
+      await clickElement(page, 'upload.okButton');
+      logger.info('마지막 "확인" 버튼 클릭 성공');
     } catch (error) {
-      logger.warn(`ID로 마지막 "확인" 버튼을 찾지 못함: ${error.message}`);
-      
-      // 이름 속성으로 시도
-      try {
-        await page.waitForSelector('button[name="OKButton"][id*="kpc_exceluploadforledgerjournal"]', { 
-          visible: true, 
-          timeout: 5000 
-        });
-        await page.click('button[name="OKButton"][id*="kpc_exceluploadforledgerjournal"]');
-        logger.info('name 속성으로 마지막 "확인" 버튼 클릭 성공');
-      } catch (nameError) {
-        logger.warn(`name 속성으로도 마지막 "확인" 버튼을 찾지 못함: ${nameError.message}`);
-        
-        // 레이블로 시도
-        try {
-          await page.waitForSelector('#kpc_exceluploadforledgerjournal_2_OKButton_label', { 
-            visible: true, 
-            timeout: 5000 
-          });
-          await page.click('#kpc_exceluploadforledgerjournal_2_OKButton_label');
-          logger.info('레이블로 마지막 "확인" 버튼 클릭 성공');
-        } catch (labelError) {
-          logger.warn(`레이블로도 마지막 "확인" 버튼을 찾지 못함: ${labelError.message}`);
-          
-          // JavaScript로 시도
-          try {
-            await page.evaluate(() => {
-              // 방법 1: ID로 찾기
-              const okButton = document.querySelector('#kpc_exceluploadforledgerjournal_2_OKButton');
-              if (okButton) {
-                okButton.click();
-                return;
-              }
-              
-              // 방법 2: 레이블로 찾기
-              const okLabel = document.querySelector('#kpc_exceluploadforledgerjournal_2_OKButton_label');
-              if (okLabel) {
-                okLabel.click();
-                return;
-              }
-              
-              // 방법 3: ID 패턴으로 찾기
-              const buttons = Array.from(document.querySelectorAll('button[id*="kpc_exceluploadforledgerjournal"][id*="OKButton"]'));
-              if (buttons.length > 0) {
-                buttons[0].click();
-                return;
-              }
-              
-              // 방법 4: 버튼 텍스트와 위치로 찾기
-              const allButtons = Array.from(document.querySelectorAll('button.dynamicsButton'));
-              const confirmButton = allButtons.find(btn => {
-                const label = btn.querySelector('.button-label');
-                return label && (label.textContent.trim() === '확인' || label.textContent.trim() === 'OK');
-              });
-              
-              if (confirmButton) {
-                confirmButton.click();
-              } else {
-                throw new Error('마지막 확인 버튼을 찾을 수 없음');
-              }
-            });
-            logger.info('JavaScript로 마지막 "확인" 버튼 클릭 성공');
-          } catch (jsError) {
-            logger.error(`JavaScript로도 마지막 "확인" 버튼을 찾지 못함: ${jsError.message}`);
-            logger.warn('사용자가 수동으로 마지막 "확인" 버튼을 클릭해야 할 수 있습니다.');
-            
-            // 사용자에게 안내
-            await page.evaluate(() => {
-              alert('자동으로 마지막 "확인" 버튼을 클릭할 수 없습니다. 수동으로 "확인" 버튼을 클릭해주세요.');
-            });
-            
-            // 사용자가 수동으로 작업할 시간 제공
-            logger.info('사용자의 수동 마지막 "확인" 버튼 클릭 대기 중... (20초)');
-            await delay(20000);
-          }
-        }
-      }
-    }    // 추가 동작 7 완료 - 작업 완료 처리 (추가 동작 8, 9 제거됨)
+      logger.error(`마지막 "확인" 버튼을 찾지 못함: ${error.message}`);
+      await askOperator(page, '마지막 확인 버튼 클릭', 'D365 창의 엑셀 전표 업로드 대화상자에서 마지막 "확인" 버튼을 직접 클릭한 뒤 "계속"을 눌러주세요. 업로드하지 않으려면 "파일 건너뛰기"를 눌러주세요.');
+    }
+
+    // 추가 동작 7 완료 - 작업 완료 처리 (추가 동작 8, 9 제거됨)
     await delay(3000);  // 마지막 확인 버튼 클릭 후 대기
     logger.info('추가 동작 1-7 완료 - 작업 마무리 중...');
 
@@ -1222,50 +1085,859 @@ async function navigateToDynamics365(credentials) {  // 폴더 경로가 설정
       alert('EZVoucher.js 작업완료. 확인 버튼을 누르면 창이 닫힙니다.');
     });
 
-    // 성공적으로 완료되면 브라우저 닫기
-    logger.info('RPA 작업 성공적으로 완료됨. 브라우저를 종료합니다...');
-    await browser.close(); // 브라우저 창 닫기
-    logger.info('브라우저가 성공적으로, 작업 요약 전 종료되었습니다.');
-
-    // 성공적으로 완료되면 브라우저를 유지
-    logger.info('RPA 작업 성공적으로 완료됨. 브라우저 유지 중...');
-    logger.info('----- 작업 요약 -----');
-    logger.info('1. D365 페이지 접속 및 로그인');
-    logger.info('2. 5초 대기 후 즐겨찾기 아이콘 클릭');
-    logger.info('3. "엑셀 전표 업로드" 메뉴 클릭');
-    logger.info('4. lookupButton 클릭');
-    logger.info('5. "일반전표(ARK)" 텍스트 필드 클릭');
-    logger.info('6. 텍스트 박스에 "test" 입력');
-    logger.info('7. "업로드" 버튼 클릭');
-    logger.info('8. "Browse" 버튼 클릭');
-    logger.info('9. "ARK전표업로드 양식" 파일 선택');
-    logger.info('10. 파일 선택 대화상자에서 "확인" 버튼 클릭');
-    logger.info('11. 최종 "확인" 버튼 클릭');
-    logger.info('12. 마지막 "확인" 버튼(kpc_exceluploadforledgerjournal_2_OKButton) 클릭');
-    logger.info('13. 분개장 배치 번호 요소 더블클릭');
-    logger.info('---------------------');
-    
-    // 브라우저 유지 (의도적으로 닫지 않음)
-    // await browser.close();
+    // 성공적으로 완료되면 작업 탭 닫기 (브라우저와 로그인 세션은 다음 작업을 위해 유지)
+    logger.info('RPA 작업 성공적으로 완료됨. 작업 탭을 닫습니다...');
+    await releasePage(page);
+    logger.info('작업 탭이 닫혔습니다. D365 브라우저 세션은 유지됩니다.');
     
     // 반환 부분 (수정 후)
     return { 
       success: true, 
       message: 'RPA가 성공적으로 완료되었습니다.',
+      company,
       completedAt: new Date().toISOString(),
-      browserClosed: true
+      browserClosed: false
     };
     
   } catch (error) {
     logger.error(`RPA 오류 발생: ${error.message}`);
+    await releasePage(page);
+    
+    return {
+      success: false,
+      error: error.message,
+      ...(error instanceof OperatorActionError ? { aborted: true } : describeError(error))
+    };
+  }
+}
+
+// 업로드 대화상자의 "취소" 버튼 클릭 (리허설 모드에서 분개장 생성 없이 대화상자를 닫기 위함)
+async function cancelUploadDialog(page) {
+  const cancelButton = await findElement(page, 'upload.cancelButton', { timeout: 2000 });
+  if (cancelButton) {
+    await cancelButton.element.click();
+    await cancelButton.element.dispose();
+    logger.info(`업로드 대화상자 "취소" 버튼 클릭 성공: ${cancelButton.strategyName}`);
+    await delay(2000);
+    return;
+  }
+
+  // 취소 버튼을 찾지 못한 경우 Escape 키로 대화상자 닫기
+  logger.warn('업로드 대화상자 "취소" 버튼을 찾지 못함, Escape 키로 닫기 시도');
+  await page.keyboard.press('Escape');
+  await delay(2000);
+}
+
+// D365 메시지 바 / 알림(정보 로그) 선택자
+const MESSAGE_BAR_SELECTORS = [
+  '.messageBar-message',
+  '.messageBar-messageText',
+  '[data-dyn-role="MessageBar"]',
+  '.notification-message',
+  '[role="alert"]'
+];
+
+// 화면에 표시된 D365 메시지 바 / 알림 텍스트 수집
+async function readInfologMessages(page) {
+  return page.evaluate((selectors) => {
+    const messages = [];
+    selectors.forEach(selector => {
+      document.querySelectorAll(selector).forEach(el => {
+        const text = (el.innerText || el.textContent || '').trim();
+        if (text && !messages.includes(text)) messages.push(text);
+      });
+    });
+    return messages;
+  }, MESSAGE_BAR_SELECTORS);
+}
+
+// 업로드 완료 후 D365 화면에서 생성된 분개장 배치 번호와 메시지 바 텍스트를 읽는 함수
+async function readJournalResult(page) {
+  try {
+    const messages = await readInfologMessages(page);
+    const journalNumber = await page.evaluate(() => {
+      // 분개장 배치 번호 입력 필드 (그리드/헤더의 JournalNum 컨트롤)
+      const journalInput = Array.from(document.querySelectorAll('input[id*="JournalNum"], input[name*="JournalNum"]'))
+        .find(input => input.value && input.value.trim() !== '');
+      return journalInput ? journalInput.value.trim() : null;
+    });
+    const result = { journalNumber, messages };
+
+    // 입력 필드에서 찾지 못한 경우 메시지 텍스트에서 번호 추출
+    if (!result.journalNumber) {
+      for (const message of result.messages) {
+        const match = message.match(/(?:분개장|배치|journal)[^A-Za-z0-9]*([A-Za-z]{0,5}-?\d{4,})/i);
+        if (match) {
+          result.journalNumber = match[1];
+          break;
+        }
+      }
+    }
+
+    logger.info(`분개장 번호: ${result.journalNumber || '확인 불가'}, D365 메시지: ${result.messages.join(' / ') || '없음'}`);
+    return result;
+  } catch (error) {
+    logger.warn(`분개장 번호 읽기 실패: ${error.message}`);
+    return { journalNumber: null, messages: [] };
+  }
+}
+
+// 업로드로 생성된 분개장의 라인 화면 열기 (분개장 목록에서 번호가 일치하는 행 선택 후 "라인" 버튼, 버튼이 없으면 번호 더블클릭)
+async function openJournalLines(page, journalNumber) {
+  // 분개장 번호는 입력란의 값(value 속성이 아닌 현재 값)으로만 비교할 수 있으므로 화면에서 직접 찾음
+  const journalHandle = await page.evaluateHandle((journalNumber) => {
+    return Array.from(document.querySelectorAll('input[id*="JournalNum"], input[name*="JournalNum"]'))
+      .find(input => input.value && input.value.trim() === journalNumber) || null;
+  }, journalNumber);
+  const journalInput = journalHandle.asElement();
+  if (!journalInput) {
+    await journalHandle.dispose();
+    throw new SelectorNotFoundError(`분개장 목록에서 분개장 ${journalNumber}을(를) 찾을 수 없습니다.`);
+  }
+  await journalInput.evaluate(input => input.click());
+
+  const linesButton = await findElement(page, 'journal.linesButton', { timeout: 3000 });
+  if (linesButton) {
+    await linesButton.element.click();
+    await linesButton.element.dispose();
+    logger.info(`분개장 ${journalNumber} 라인 화면 여는 중 ("라인" 버튼, ${linesButton.strategyName})...`);
+  } else {
+    await journalInput.evaluate(input => input.dispatchEvent(new MouseEvent('dblclick', { bubbles: true })));
+    logger.info(`분개장 ${journalNumber} 라인 화면 여는 중 (번호 더블클릭)...`);
+  }
+  await journalInput.dispose();
+
+  await page.waitForSelector('[data-dyn-controlname*="AmountCurDebit"], [role="grid"] [role="gridcell"]', { visible: true, timeout: 20000 });
+  await delay(3000); // 그리드 데이터 로드 대기
+}
+
+// 분개장 라인 그리드 읽기 (화면에 보이는 행만 렌더링되므로 행 번호가 있으면 스크롤하며 수집)
+async function readJournalLines(page) {
+  const linesByRow = new Map();
+  const maxScrolls = 50;
+
+  for (let scroll = 0; scroll < maxScrolls; scroll++) {
+    const rows = await page.evaluate((columns) => {
+      const headers = Array.from(document.querySelectorAll('[role="columnheader"]'))
+        .map(header => (header.innerText || header.textContent || '').trim());
+      const cellValue = (cell) => {
+        if (!cell) return null;
+        const input = cell.querySelector('input');
+        return (input ? input.value : (cell.innerText || cell.textContent || '')).trim();
+      };
+      const controlNameOf = (cell) => {
+        const control = cell.matches('[data-dyn-controlname]') ? cell : cell.querySelector('[data-dyn-controlname]');
+        return control ? control.getAttribute('data-dyn-controlname') : '';
+      };
+
+      return Array.from(document.querySelectorAll('[role="grid"] [role="row"]'))
+        .filter(row => row.querySelector('[role="gridcell"]'))
+        .map(row => {
+          const cells = Array.from(row.querySelectorAll('[role="gridcell"]'));
+          const line = { rowKey: row.getAttribute('aria-rowindex') || row.getAttribute('data-dyn-row-index') };
+          Object.entries(columns).forEach(([key, column]) => {
+            const pattern = new RegExp(column.controlPattern, 'i');
+            let cell = cells.find(candidate => pattern.test(controlNameOf(candidate)));
+            if (!cell) {
+              // 컨트롤 이름으로 찾지 못하면 헤더 텍스트 위치로 찾음
+              const headerIndex = headers.findIndex(header => column.headers.includes(header));
+              if (headerIndex >= 0) cell = cells[headerIndex];
+            }
+            line[key] = cellValue(cell);
+          });
+          return line;
+        });
+    }, JOURNAL_LINE_COLUMNS);
+
+    // 행 번호가 없으면 스크롤 중 중복을 구분할 수 없으므로 현재 화면만 사용
+    if (rows.some(row => !row.rowKey)) {
+      rows.forEach((row, index) => linesByRow.set(`visible-${index}`, row));
+      break;
+    }
+
+    const before = linesByRow.size;
+    rows.forEach(row => linesByRow.set(row.rowKey, row));
+    if (linesByRow.size === before) break;
+
+    // 마지막 행을 화면에 표시하여 다음 행 렌더링
+    await page.evaluate(() => {
+      const rendered = document.querySelectorAll('[role="grid"] [role="row"]');
+      if (rendered.length > 0) rendered[rendered.length - 1].scrollIntoView({ block: 'end' });
+    });
+    await delay(1500);
+  }
+
+  // 입력용 빈 행 제외
+  return Array.from(linesByRow.values())
+    .filter(line => line.account || line.debit || line.credit)
+    .map(({ account, debit, credit }) => ({ account, debit, credit }));
+}
+
+// 분개장 라인 화면의 유효성 검사 / 전기 작업 (메뉴 버튼을 누르면 같은 이름의 하위 메뉴 항목이 열림)
+const JOURNAL_ACTIONS = {
+  validate: { label: '유효성 검사', englishLabel: 'Validate', button: 'journal.validateButton', timeoutMs: 60000 },
+  post: { label: '전기', englishLabel: 'Post', button: 'journal.postButton', timeoutMs: 180000 }
+};
+
+// 분개장 유효성 검사 또는 전기 실행 후 새로 표시된 정보 로그 메시지로 결과 판단
+async function runJournalAction(page, actionName) {
+  const action = JOURNAL_ACTIONS[actionName];
+  const previousMessages = await readInfologMessages(page);
+
+  await clickElement(page, action.button);
+  await delay(1500);
+
+  // 메뉴 버튼인 경우 열린 하위 메뉴에서 같은 작업 선택
+  const menuItem = await findElement(page, 'journal.actionMenuItem', {
+    timeout: 1000,
+    params: { label: action.label, englishLabel: action.englishLabel }
+  });
+  if (menuItem) {
+    await menuItem.element.click();
+    await menuItem.element.dispose();
+  }
+  logger.info(`분개장 ${action.label} 실행 중...`);
+
+  // 새 메시지가 표시될 때까지 대기 (메시지가 이어서 표시될 수 있으므로 처음 표시된 뒤 잠시 더 대기)
+  const deadline = Date.now() + action.timeoutMs;
+  let messages = [];
+  while (Date.now() < deadline) {
+    await delay(2000);
+    messages = (await readInfologMessages(page)).filter(message => !previousMessages.includes(message));
+    if (messages.length > 0) {
+      await delay(2000);
+      messages = (await readInfologMessages(page)).filter(message => !previousMessages.includes(message));
+      break;
+    }
+  }
+
+  const errors = findD365ErrorMessages(messages);
+  logger.info(`분개장 ${action.label} 결과 메시지: ${messages.join(' / ') || '없음'}`);
+  return { succeeded: messages.length > 0 && errors.length === 0, messages, errors };
+}
+
+/**
+ * 업로드 후 분개장 유효성 검사 / 전기 (postingMode)
+ * 전기는 규칙에 allowPosting 권한이 있고 원본 엑셀과 대사가 일치할 때만 실행한다.
+ * @returns {Promise<Object>} { mode, status, validated, posted, messages, error, summary, completedAt }
+ */
+async function runPostingActions(page, journalNumber, fileConfig, reconciliation) {
+  const posting = { mode: fileConfig.postingMode, status: null, validated: false, posted: false, messages: [], error: null };
+  const finish = (status, summary, error = null) => {
+    logger[error ? 'warn' : 'info'](`분개장 ${journalNumber} ${summary}${error ? `: ${error}` : ''}`);
+    return { ...posting, status, summary, error, completedAt: new Date().toISOString() };
+  };
+
+  try {
+    const validation = await runJournalAction(page, 'validate');
+    posting.messages.push(...validation.messages);
+    posting.validated = validation.succeeded;
+    if (!validation.succeeded) {
+      return finish('validation-failed', '유효성 검사 실패', validation.errors.join(' / ') || '유효성 검사 결과 메시지를 확인할 수 없습니다.');
+    }
+    if (fileConfig.postingMode === 'validate') {
+      return finish('validated', '유효성 검사 통과');
+    }
+
+    if (!fileConfig.allowPosting) {
+      return finish('post-blocked', '전기하지 않음', '전기 권한(allowPosting)이 없는 규칙입니다.');
+    }
+    if (!reconciliation || reconciliation.status !== 'matched') {
+      return finish('post-blocked', '전기하지 않음', '원본 엑셀과 대사가 일치하지 않거나 대사하지 못했습니다.');
+    }
+
+    const post = await runJournalAction(page, 'post');
+    posting.messages.push(...post.messages);
+    posting.posted = post.succeeded;
+    if (!post.succeeded) {
+      return finish('post-failed', '전기 실패', post.errors.join(' / ') || '전기 결과 메시지를 확인할 수 없습니다. D365에서 전기 여부를 확인해주세요.');
+    }
+    return finish('posted', '전기 완료');
+  } catch (error) {
+    return finish('error', '유효성 검사/전기 실행 실패', error.message);
+  }
+}
+
+// 업로드 후 D365 분개장 라인과 원본 엑셀 대사, 설정된 경우 유효성 검사/전기
+// 대사와 전기 결과는 업로드 결과에 영향을 주지 않고 결과에만 기록
+async function checkUploadedJournal(page, credentials, excelFilePath, journalNumber, fileConfig) {
+  const postingEnabled = fileConfig.postingMode && fileConfig.postingMode !== 'none';
+  if (!journalNumber) {
+    const error = '분개장 번호를 확인할 수 없어 대사하지 못했습니다.';
+    return {
+      reconciliation: { status: 'error', journalNumber: null, error },
+      posting: postingEnabled
+        ? { mode: fileConfig.postingMode, status: 'error', validated: false, posted: false, messages: [], error, summary: '유효성 검사/전기 실행 실패', completedAt: new Date().toISOString() }
+        : null
+    };
+  }
+
+  let reconciliation;
+  let posting = null;
+  try {
+    await openJournalLines(page, journalNumber);
+
+    try {
+      const journalLines = await readJournalLines(page);
+      reconciliation = await reconcileJournal(excelFilePath, journalLines, journalNumber);
+      if (reconciliation.status === 'matched') {
+        logger.info(`분개장 ${journalNumber} 대사 일치: 라인 ${reconciliation.journal.lineCount}개, 차변 ${reconciliation.journal.totalDebit}, 대변 ${reconciliation.journal.totalCredit}`);
+      } else {
+        logger.warn(`분개장 ${journalNumber} 대사 불일치: ${reconciliation.diffText}`);
+      }
+    } catch (reconcileError) {
+      logger.error(`분개장 ${journalNumber} 대사 실패: ${reconcileError.message}`);
+      reconciliation = { status: 'error', journalNumber, error: reconcileError.message };
+    }
+
+    if (postingEnabled) {
+      posting = await runPostingActions(page, journalNumber, fileConfig, reconciliation);
+    }
+  } catch (error) {
+    logger.error(`분개장 ${journalNumber} 라인 화면 열기 실패: ${error.message}`);
+    reconciliation = { status: 'error', journalNumber, error: error.message };
+    if (postingEnabled) {
+      posting = { mode: fileConfig.postingMode, status: 'error', validated: false, posted: false, messages: [], error: error.message, summary: '유효성 검사/전기 실행 실패', completedAt: new Date().toISOString() };
+    }
+  } finally {
+    // 다음 파일 처리를 위해 대시보드로 복귀 (같은 회사)
+    try {
+      await openD365Dashboard(page, credentials, fileConfig.company);
+    } catch (returnError) {
+      logger.warn(`대사 후 대시보드 복귀 실패: ${returnError.message}`);
+    }
+  }
+
+  return { reconciliation, posting };
+}
+
+// 열린 분개장 이름 조회(lookup)에서 설정된 분개장 이름을 필터로 검색하여 선택하는 함수
+// 조회 컨트롤 입력란에 이름을 입력하면 D365가 조회 목록을 필터링하므로, 필터링된 목록에서 이름이 정확히 일치하는 행을 클릭
+async function selectJournalName(page, journalName) {
+  // 1. 조회 컨트롤 입력란에 분개장 이름 입력 (조회 목록 필터)
+  const filterReady = await page.evaluate(() => {
+    const lookupButton = document.querySelector('.lookupButton[title="오픈"]') || document.querySelector('.lookupButton');
+    const control = lookupButton && lookupButton.closest('[data-dyn-controlname]');
+    const input = control && control.querySelector('input[type="text"], input:not([type])');
+    if (!input) return false;
+
+    input.focus();
+    input.select();
+    return true;
+  });
+
+  if (filterReady) {
+    await page.keyboard.type(journalName);
+    logger.info(`조회 필터에 분개장 이름 "${journalName}" 입력`);
+    await delay(2000); // 조회 목록 필터링 대기
+  } else {
+    logger.warn('조회 컨트롤 입력란을 찾지 못함, 열린 조회 목록에서 바로 검색합니다.');
+  }
+
+  // 2. 필터링된 조회 목록에서 이름이 정확히 일치하는 행 클릭
+  const selected = await page.evaluate((name) => {
+    const cells = Array.from(document.querySelectorAll(
+      'input[id^="SysGen_Name_"], [role="grid"] input[type="text"], [role="row"] input[type="text"]'
+    ));
+    const cell = cells.find(input =>
+      (input.value || '').trim() === name || (input.title || '').trim() === name
+    );
+    if (!cell) return false;
+
+    cell.click();
+    return true;
+  }, journalName);
+
+  if (selected) {
+    logger.info(`조회 목록에서 분개장 이름 "${journalName}" 선택 성공`);
+    return;
+  }
+
+  // 3. 목록에서 찾지 못했지만 필터 입력은 된 경우 입력값 그대로 확정 (D365가 값 검증)
+  if (filterReady) {
+    await page.keyboard.press('Tab');
+    logger.warn(`조회 목록에서 "${journalName}" 행을 찾지 못해 입력값으로 확정했습니다.`);
+    return;
+  }
+
+  throw new Error(`조회 목록에서 분개장 이름 "${journalName}"을(를) 찾을 수 없습니다`);
+}
+
+// 업로드 대화상자의 추가 입력 필드 설정 (uploadOptions.fields: { 필드 라벨: 값 })
+async function applyUploadOptions(page, uploadOptions) {
+  for (const [label, value] of Object.entries(uploadOptions.fields || {})) {
+    const found = await page.evaluate((fieldLabel, fieldValue) => {
+      const inputs = Array.from(document.querySelectorAll('input, textarea'));
+      const input = inputs.find(inp => {
+        const labelElement = inp.id ? document.querySelector(`label[for="${inp.id}"]`) : null;
+        return (inp.getAttribute('aria-label') || '').trim() === fieldLabel ||
+          (labelElement && labelElement.textContent.trim() === fieldLabel);
+      });
+      if (!input) return false;
+
+      input.focus();
+      input.value = fieldValue;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }, label, String(value));
+
+    if (!found) {
+      throw new Error(`업로드 옵션 필드 "${label}"을(를) 찾을 수 없습니다`);
+    }
+    logger.info(`업로드 옵션 "${label}" = "${value}" 입력 완료`);
+    await delay(500);
+  }
+}
+
+// 설명 템플릿으로 전표 설명 생성
+// 회계기간은 context.period(사전 검증 결과), 없으면 엑셀 회계일자로 결정하고 셀 값은 템플릿에 사용된 셀만 읽음
+async function buildDescription(template, excelFilePath, fileNumber, context = {}) {
+  let parentheses = null;
+  if (template.includes('{parentheses}')) {
+    parentheses = extractTextFromParentheses(excelFilePath);
+  }
+
+  let period = context.period || null;
+  if (!period && /\{(yyyy|mm)\}/.test(template)) {
+    period = await readVoucherPeriod(excelFilePath);
+  }
+
+  const cellRefs = getTemplateCellRefs(template);
+  const cells = cellRefs.length > 0 ? await readCellValues(excelFilePath, cellRefs) : {};
+
+  return renderDescription(template, {
+    parentheses,
+    fileName: path.basename(excelFilePath, path.extname(excelFilePath)),
+    fileNumber,
+    yyyy: period ? period.slice(0, 4) : null,
+    mm: period ? period.slice(5, 7) : null,
+    vendor: getVendorName(path.basename(excelFilePath)),
+    cells
+  });
+}
+
+/**
+ * 엑셀 전표 파일 1개를 업로드하는 함수 (즐겨찾기 메뉴 ~ 마지막 "확인" 버튼)
+ * @param {Object} page - Puppeteer 페이지 객체 (로그인 완료 상태)
+ * @param {string} excelFilePath - 업로드할 엑셀 파일 경로
+ * @param {number|null} fileNumber - 파일 번호 (번호 없는 파일은 null)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - 리허설 모드 (마지막 "확인" 버튼을 누르지 않고 대화상자 취소)
+ * @param {string} [options.screenshotDir] - 단계별 스크린샷 저장 폴더
+ * @param {Object} [options.evidence] - 실행 증거 기록 (run-evidence.js beginEvidenceRun 결과, 단계마다 스크린샷/주소/DOM 저장)
+ * @param {Object} [options.fileConfig] - 파일별 업로드 설정 { journalName, descriptionTemplate, uploadOptions } (voucher-config.js)
+ * @param {string} [options.period] - 파일의 회계기간 YYYY-MM (설명 템플릿 {yyyy} {mm} 토큰용)
+ * @param {AbortSignal} [options.signal] - 실행 취소 신호 (마지막 "확인" 버튼을 누르기 전에 확인)
+ * @returns {Promise<Object>} { steps, description, journalName, dryRun, journalNumber, messages }
+ *   - 실패 시 유형별 업로드 오류(upload-errors.js)를 던지며 error.steps에 단계 기록,
+ *     error.finalSubmitAttempted에 마지막 "확인" 버튼 클릭 시도 여부 포함
+ */
+async function processVoucherFile(page, excelFilePath, fileNumber, options = {}) {
+  const steps = [];
+  let stepError = null;
+  let operatorAssisted = false;
+  let stepSelectors = [];
+  let finalSubmitAttempted = false;
+  const fileConfig = options.fileConfig || { ...DEFAULT_FILE_CONFIG };
+  // 스크린샷 파일명 앞부분 (번호 없는 파일은 파일명 사용)
+  const filePrefix = fileNumber !== null && fileNumber !== undefined
+    ? String(fileNumber).padStart(2, '0')
+    : path.basename(excelFilePath, path.extname(excelFilePath));
+
+  // 단계별 성공/실패 기록 (스크린샷 폴더가 지정된 경우 스크린샷도 저장)
+  // critical: 실패하면 이후 단계를 진행할 수 없는 단계 - 실제 업로드에서는 즉시 중단하여 재시도 정책 적용 (리허설은 모든 단계 기록)
+  const recordStep = async (stepName, { critical = false } = {}) => {
+    const step = {
+      step: stepName,
+      success: !stepError,
+      error: stepError,
+      timestamp: new Date().toISOString()
+    };
+    if (operatorAssisted) step.operatorAssisted = true;
+    if (stepSelectors.length > 0) step.selectors = stepSelectors;
+    stepError = null;
+    operatorAssisted = false;
+    stepSelectors = [];
+
+    if (options.screenshotDir) {
+      const safeName = stepName.replace(/[\\/:*?"<>|()\s]+/g, '_');
+      const screenshotPath = path.join(
+        options.screenshotDir,
+        `${filePrefix}_${String(steps.length + 1).padStart(2, '0')}_${safeName}.png`
+      );
+      try {
+        await page.screenshot({ path: screenshotPath });
+        step.screenshot = screenshotPath;
+      } catch (screenshotError) {
+        logger.warn(`스크린샷 저장 실패 (${stepName}): ${screenshotError.message}`);
+      }
+    }
+
+    if (options.evidence) {
+      const evidence = await captureStepEvidence(options.evidence, page, `${filePrefix}_${stepName}`, {
+        status: step.success ? 'completed' : 'failed',
+        error: step.error
+      });
+      if (evidence) step.evidence = evidence.screenshot || evidence.dom;
+    }
+
+    steps.push(step);
+    logger.info(`[단계 기록] ${stepName}: ${step.success ? '성공' : `실패 - ${step.error}`}`);
+
+    if (!step.success && critical && !options.dryRun) {
+      throw new SelectorNotFoundError(`${stepName} 실패: ${step.error}`, { details: { step: stepName } });
+    }
+  };
+
+  // 자동 처리 실패 시 작업자 확인 대기 (리허설은 멈추지 않고 단계 실패로 기록)
+  const askOperator = async (stepName, instructions) => {
+    if (options.dryRun) {
+      stepError = stepError || `수동 처리 필요: ${instructions}`;
+      return;
+    }
+    await waitForOperator(page, stepName, instructions, path.basename(excelFilePath));
+    stepError = null;
+    operatorAssisted = true;
+  };
+
+  // 카탈로그 선택자로 요소를 찾아 클릭하고 찾은 방법을 단계 기록에 남김 (찾지 못하면 단계 실패로 기록하고 false)
+  const clickStepElement = async (name) => {
+    try {
+      const resolved = await clickElement(page, name);
+      stepSelectors.push(describeResolution(resolved));
+      return true;
+    } catch (error) {
+      logger.error(error.message);
+      stepError = error.message;
+      return false;
+    }
+  };
+
+  // 파일이 이동/삭제되었거나 다른 프로그램이 잠근 경우 D365 화면 조작 전에 중단
+  try {
+    fs.accessSync(excelFilePath, fs.constants.R_OK);
+  } catch (accessError) {
+    const fileError = new VoucherFileError(`엑셀 파일을 읽을 수 없습니다: ${path.basename(excelFilePath)} (${accessError.code || accessError.message})`, { cause: accessError });
+    fileError.steps = steps;
+    throw fileError;
+  }
+
+  try {
+    // 첫 번째 파일 처리 시 또는 매 파일처리 시작 시 즐겨찾기 메뉴 클릭
+    // 즐겨찾기 아이콘 클릭
+    logger.info('즐겨찾기 아이콘 찾는 중...');
+    await clickStepElement('favorites.icon');
+    await recordStep('즐겨찾기 아이콘 클릭', { critical: true });
+  
+    // 클릭 후 메뉴가 표시될 때까지 잠시 대기
+    await delay(3000);  // 3초 대기
+    logger.info('즐겨찾기 메뉴 로드 대기 완료');
+
+    // "엑셀 전표 업로드" 메뉴 클릭
+    logger.info('"엑셀 전표 업로드" 메뉴 아이템 찾는 중...');
+    await clickStepElement('favorites.excelUploadMenu');
+    await recordStep('엑셀 전표 업로드 메뉴 클릭', { critical: true });
+  
+    // 엑셀 전표 업로드 페이지 로드 대기
+    logger.info('엑셀 전표 업로드 페이지 로드 대기 중...');
+    await delay(5000);  // 5초 대기
+    logger.info('엑셀 전표 업로드 페이지 로드 완료');
+
+    // lookupButton 클릭
+    logger.info('lookupButton 클래스 요소 찾는 중...');
+    await clickStepElement('upload.journalLookupButton');
+    await recordStep('lookupButton 클릭', { critical: true });
+
+    // 팝업이 열릴 때까지 대기
+    await delay(3000);
+    logger.info('lookupButton 클릭 후 팝업 대기 완료');
+
+    // 설정된 분개장 이름을 조회 필터로 검색하여 선택
+    logger.info(`분개장 이름 "${fileConfig.journalName}" 선택 중...`);
+    try {
+      await selectJournalName(page, fileConfig.journalName);
+    } catch (lookupError) {
+      logger.error(`분개장 이름 선택 실패: ${lookupError.message}`);
+      stepError = lookupError.message;
+    }
+    await recordStep(`분개장 이름 선택 (${fileConfig.journalName})`, { critical: true });
+
+    await delay(2000);        logger.info('텍스트 필드 클릭 후 대기 완료');        // 파일명에서 괄호 안의 텍스트를 추출하여 입력
+    logger.info('텍스트 박스 찾아 파일명 괄호 안의 텍스트 입력 중...');
+  
+    let textToInput;
+    try {
+      // 설정된 설명 템플릿으로 설명 생성 (기본값: 파일명 괄호 안 텍스트) - 반드시 성공해야 함
+      textToInput = await buildDescription(fileConfig.descriptionTemplate, excelFilePath, fileNumber, { period: options.period });
     
+      if (!textToInput || textToInput.trim() === '') {
+        throw new Error(`설명 텍스트가 비어 있습니다. 파일: ${path.basename(excelFilePath)}`);
+      }
     
-    return { success: false, error: error.message, browser: browser };
+      logger.info(`설명 텍스트 "${textToInput}" 생성 성공`);
+    } catch (extractError) {
+      const errorMsg = `설명 텍스트 생성 실패: ${extractError.message}. 파일: ${path.basename(excelFilePath)}. 작업을 중단합니다.`;
+      logger.error(errorMsg);
+      stepError = errorMsg;
+      await recordStep('설명 텍스트 추출');
+      throw new VoucherFileError(errorMsg, { cause: extractError });
+    }
+
+    // 텍스트 입력 요소가 완전히 로드될 때까지 추가 대기
+    logger.info('텍스트 입력 페이지 완전 로드 대기 중...');
+    await delay(3000);
+
+    // 설명 입력란에 텍스트 입력 (필수 동작 - 찾지 못하면 이 파일 처리 중단)
+    try {
+      await page.waitForFunction(() => document.readyState === 'complete', { timeout: 10000 });
+      const resolved = await typeIntoElement(page, 'upload.descriptionInput', textToInput);
+      stepSelectors.push(describeResolution(resolved));
+      logger.info(`텍스트 박스에 "${textToInput}" 입력 완료`);
+    } catch (inputError) {
+      const errorMsg = `🚨 중요: 추가 동작 3번 실패 - 괄호 안 텍스트 "${textToInput}" 입력에 실패했습니다. ${inputError.message}. RPA 작업을 중단합니다.`;
+      logger.error(errorMsg);
+      stepError = errorMsg;
+      await recordStep('설명 입력');
+
+      // 오류 발생으로 이 파일 처리 중단 (재시도 정책에 따라 페이지 복구 후 다시 시도)
+      throw toUploadError(inputError, 'selector');
+    }
+    await recordStep('설명 입력');
+
+    await delay(2000);
+    logger.info('텍스트 입력 후 대기 완료');
+
+    // 설정된 업로드 옵션 입력 (설정이 있는 경우에만)
+    if (fileConfig.uploadOptions.fields && Object.keys(fileConfig.uploadOptions.fields).length > 0) {
+      try {
+        await applyUploadOptions(page, fileConfig.uploadOptions);
+      } catch (optionError) {
+        logger.error(`업로드 옵션 입력 실패: ${optionError.message}`);
+        stepError = optionError.message;
+        await recordStep('업로드 옵션 입력');
+        throw toUploadError(optionError, 'selector');
+      }
+      await recordStep('업로드 옵션 입력');
+    }
+
+    // "업로드" 버튼 클릭
+    logger.info('"업로드" 버튼 찾는 중...');
+    await clickStepElement('upload.uploadButton');
+    await recordStep('업로드 버튼 클릭', { critical: true });
+
+    // "Browse" 버튼 클릭 및 파일 선택
+    await delay(3000); // 업로드 버튼 클릭 후 잠시 대기
+    logger.info('"Browse" 버튼 찾는 중...');
+  
+    try {
+      // fileChooser를 사용하여 파일 선택
+      try {
+        // 파일 선택기가 열릴 때까지 대기하면서 Browse 버튼 클릭
+        const [fileChooser] = await Promise.all([
+          page.waitForFileChooser({ timeout: 10000 }),
+          clickElement(page, 'upload.browseButton')
+        ]);
+      
+        // 찾은 파일 선택
+        await fileChooser.accept([excelFilePath]);
+        logger.info(`fileChooser 방식으로 파일 선택 완료: ${path.basename(excelFilePath)}`);
+      } catch (chooserError) {
+        // 파일 입력 필드를 직접 찾아 조작
+        try {
+          // 먼저 Brows 버튼 클릭 취소(이미 클릭했을 수 있기 때문에)
+          await page.keyboard.press('Escape');
+          await delay(1000);
+        
+          // 파일 입력 필드 찾기
+          const fileInput = await findElement(page, 'upload.fileInput', { timeout: 3000 });
+        
+          if (fileInput) {
+            // 파일 입력 필드가 있으면 직접 파일 설정
+            await fileInput.element.uploadFile(excelFilePath);
+            stepSelectors.push(describeResolution(fileInput));
+            logger.info(`uploadFile 방식으로 파일 선택 완료: ${path.basename(excelFilePath)}`);
+          } else {
+            // 파일 입력 필드가 없으면 다시 Browse 버튼 클릭 후 작업자에게 파일 선택 요청
+            await clickElement(page, 'upload.browseButton');
+            await askOperator('Browse 파일 선택', `자동 파일 선택에 실패했습니다. D365 창의 파일 탐색기에서 "${path.basename(excelFilePath)}" 파일을 선택한 뒤 "계속"을 눌러주세요.`);
+          }
+        } catch (inputError) {
+          if (inputError instanceof OperatorActionError) throw inputError;
+
+          // 최후의 방법: 작업자에게 파일 선택 요청
+          await askOperator('Browse 파일 선택', `자동 파일 선택에 실패했습니다. D365 창의 파일 탐색기에서 "${path.basename(excelFilePath)}" 파일을 선택한 뒤 "계속"을 눌러주세요.`);
+        }
+      }
+    
+      // 파일 선택 후 대기
+      await delay(3000);
+      logger.info('파일 선택 후 대기 완료');
+    } catch (browseError) {
+      if (browseError instanceof OperatorActionError) throw browseError;
+
+      stepError = `자동 파일 선택 실패: ${browseError.message}`;
+      await askOperator('Browse 파일 선택', `자동 파일 선택에 실패했습니다. D365 창에서 "Browse" 버튼을 클릭하고 "${path.basename(excelFilePath)}" 파일을 선택한 뒤 "계속"을 눌러주세요.`);
+    }
+    await recordStep('Browse 파일 선택');
+
+    // 파일 선택 후 최종 "확인" 버튼 클릭
+    await delay(5000);  // 파일 선택 후 충분히 대기
+    logger.info('파일 선택 후 최종 "확인" 버튼 찾는 중...');
+    if (!(await clickStepElement('upload.fileDialogOkButton'))) {
+      stepError = `자동 클릭 실패: ${stepError}`;
+      await askOperator('최종 확인 버튼 클릭', 'D365 창의 파일 선택 대화상자에서 "확인" 버튼을 직접 클릭한 뒤 "계속"을 눌러주세요.');
+    }
+    await recordStep('최종 확인 버튼 클릭');
+
+    // 마지막 "확인" 버튼 클릭
+    await delay(5000);  // 이전 단계 완료 후 충분히 대기
+
+    // 리허설 모드: 마지막 "확인" 버튼을 누르지 않고 업로드 대화상자를 취소하여 분개장이 생성되지 않도록 함
+    if (options.dryRun) {
+      logger.info('리허설 모드 - 마지막 "확인" 버튼 클릭을 건너뛰고 업로드 대화상자를 취소합니다.');
+      const okButton = await findElement(page, 'upload.okButton');
+      if (okButton) {
+        await okButton.element.dispose();
+        stepSelectors.push(describeResolution(okButton));
+      } else {
+        stepError = '마지막 "확인" 버튼을 찾을 수 없음';
+      }
+      await recordStep('마지막 확인 버튼 확인 (클릭 생략)');
+
+      try {
+        await cancelUploadDialog(page);
+      } catch (cancelError) {
+        stepError = cancelError.message;
+      }
+      await recordStep('업로드 대화상자 취소');
+
+      return { steps, description: textToInput, journalName: fileConfig.journalName, dryRun: true };
+    }
+    logger.info('마지막 "확인" 버튼(kpc_exceluploadforledgerjournal_2_OKButton) 찾는 중...');
+
+    // 취소 요청이 있으면 분개장을 만들기 전에 중단 (이후에는 업로드 결과 확인까지 마침)
+    throwIfCancelled(options.signal, '마지막 확인 버튼 클릭 전');
+
+    // 이 시점 이후 중단되면 D365에 분개장이 생성되었는지 알 수 없음 (수동 확인 필요)
+    finalSubmitAttempted = true;
+
+    if (!(await clickStepElement('upload.okButton'))) {
+      // 버튼을 누르지 못했으므로 작업자가 건너뛰거나 중단하면 업로드되지 않은 것으로 처리
+      finalSubmitAttempted = false;
+      stepError = `자동 클릭 실패: ${stepError}`;
+      await askOperator('마지막 확인 버튼 클릭', 'D365 창의 엑셀 전표 업로드 대화상자에서 마지막 "확인" 버튼을 직접 클릭한 뒤 "계속"을 눌러주세요. 업로드하지 않으려면 "파일 건너뛰기"를 눌러주세요.');
+      finalSubmitAttempted = true;
+    }
+
+    // 추가 동작 7번까지 완료 - 작업 완료 처리
+    logger.info('추가 동작 7번(마지막 확인 버튼 클릭)까지 완료');
+  
+    await recordStep('마지막 확인 버튼 클릭');
+  
+    // 마지막 확인 버튼 클릭 후 페이지 로드 대기
+    await delay(5000);
+
+    // 생성된 분개장 번호와 D365 메시지 읽기
+    const journalResult = await readJournalResult(page);
+
+    // 분개장 번호 없이 오류 메시지만 표시되면 D365가 전표를 거부한 것으로 판단
+    const d365Errors = findD365ErrorMessages(journalResult.messages);
+    if (!journalResult.journalNumber && d365Errors.length > 0) {
+      stepError = d365Errors.join(' / ');
+      await recordStep('D365 업로드 결과 확인');
+      throw new D365ValidationError(`D365 검증 오류: ${d365Errors.join(' / ')}`, { details: { messages: journalResult.messages } });
+    }
+
+    return {
+      steps,
+      description: textToInput,
+      journalName: fileConfig.journalName,
+      dryRun: false,
+      journalNumber: journalResult.journalNumber,
+      messages: journalResult.messages
+    };
+  } catch (error) {
+    // 작업자의 건너뛰기/중단 선택과 실행 취소는 재시도 대상이 아니므로 그대로 전달
+    if (error instanceof OperatorActionError || error instanceof RunCancelledError) {
+      error.steps = steps;
+      throw error;
+    }
+
+    const uploadError = toUploadError(error);
+    uploadError.steps = steps;
+    // D365가 오류 메시지로 거부한 경우는 분개장이 생성되지 않았으므로 업로드 여부 확인 불필요
+    uploadError.finalSubmitAttempted = finalSubmitAttempted && !(uploadError instanceof D365ValidationError);
+    throw uploadError;
+  }
+}
+
+// 자동 처리에 실패한 단계에서 작업자 확인 대기 (현재 화면 스크린샷과 안내를 대시보드에 표시)
+// 계속을 선택하면 같은 단계 다음부터 진행하고, 파일 건너뛰기/작업 중단은 OperatorActionError로 전달
+async function waitForOperator(page, step, instructions, fileName = null) {
+  let screenshot = null;
+  try {
+    screenshot = await page.screenshot({ encoding: 'base64' });
+  } catch (screenshotError) {
+    logger.warn(`작업자 확인용 스크린샷 실패: ${screenshotError.message}`);
+  }
+
+  const action = await requestOperatorAction({ step, fileName, instructions, screenshot });
+  if (action !== 'resume') {
+    throw new OperatorActionError(action, step);
+  }
+  logger.info(`작업자가 "${step}" 단계를 수동으로 처리하고 계속을 선택했습니다.`);
+}
+
+// D365 대시보드 접속 (공유 세션이 ADFS 로그인 화면으로 이동된 경우에만 로그인, company: 열 회사 코드)
+async function openD365Dashboard(page, credentials, company) {
+  const { loggedIn, company: openedCompany } = await openDashboard(page, credentials, { login: handleLogin, company, retryDelayMs: 5000 });
+  
+  // 로그인한 경우 페이지가 완전히 로드될 때까지 5초 대기
+  if (loggedIn) {
+    logger.info('로그인 후 페이지가 완전히 로드될 때까지 5초 대기 중...');
+    await delay(5000);  // 5초 대기
+    logger.info('5초 대기 완료');
+  } else {
+    await smartWait.forPageReady(page, 8000);
+  }
+  return { loggedIn, company: openedCompany };
+}
+
+// 재시도 전 오류 유형의 복구 방법에 따라 페이지 복구
+// reload: 새로고침 / relogin: 대시보드 재접속 후 필요 시 로그인 / fresh-page: 기존 탭을 닫고 새 탭에서 다시 접속
+async function recoverPage(page, credentials, recovery, company) {
+  logger.info(`재시도 전 페이지 복구: ${recovery}`);
+
+  if (recovery === 'fresh-page') {
+    // 새 탭을 먼저 받아 두어 기존 탭을 반환할 때 브라우저의 탭이 모두 정리되지 않도록 함
+    const freshPage = await acquirePage();
+    await releasePage(page);
+    await openD365Dashboard(freshPage, credentials, company);
+    return freshPage;
+  }
+
+  if (recovery === 'relogin') {
+    await openD365Dashboard(page, credentials, company);
+  } else if (recovery === 'reload') {
+    await page.reload({ waitUntil: 'networkidle2' });
+    await delay(5000);
   }
+  return page;
 }
 
 // 파일 번호 범위를 받아 순차적으로 처리하는 함수 (기존 processAllFiles 수정)
-async function processAllFiles(credentials, startFileNumber = 1, endFileNumber = 17) {
+// options.dryRun: 리허설 모드 - 모든 단계를 수행하되 마지막 "확인" 버튼을 누르지 않고 단계별 스크린샷과 결과를 남김
+// options.filePaths: 폴더 파일 목록에서 직접 선택한 파일 경로 목록 (지정 시 번호 범위 대신 사용)
+// options.resume: 중단된 배치의 체크포인트를 이어서 기록 (filePaths는 이어서 처리할 파일)
+// options.openPeriod: 사전 검증에서 허용할 회계기간 YYYY-MM (없으면 앱 설정의 열린 회계기간)
+// options.company: 업로드할 D365 회사 (업로드 설정의 파일별 company가 우선, 없으면 앱 설정의 회사) - 파일마다 회사가 바뀌면 대시보드를 해당 회사로 다시 열어 전환
+// 실행 환경(TEST/PROD 등)은 시작 시점의 현재 환경으로 고정되며 원장, 체크포인트, 매니페스트와 결과에 기록
+// 단계별 증거 자료(run-evidence.js)를 남기며, 실패한 파일이 있으면 증거 폴더와 로그를 zip으로 묶어 결과의 evidence.zipPath로 돌려줌
+// 파일별 오류는 유형(upload-errors.js)에 따라 재시도 정책(설정 파일 retryPolicies로 변경 가능)을 적용하여 다시 시도
+// options.signal: 실행 취소 신호 (없으면 run-cancellation.js에 'voucher' 실행으로 등록하여 대시보드의 취소 버튼으로 취소)
+//   취소하면 파일 사이 / 재시도 전 / 마지막 "확인" 버튼 전에 멈추고 브라우저를 닫은 뒤 완료한 파일까지 "취소됨"으로 기록 (남은 파일은 이어서 하기로 처리)
+async function processAllFiles(credentials, startFileNumber = 1, endFileNumber = 17, options = {}) {
   // 폴더 경로가 설정되지 않은 경우 오류 반환
   if (!folderPath) {
     const errorMsg = '폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.';
@@ -1273,776 +1945,336 @@ async function processAllFiles(credentials, startFileNumber = 1, endFileNumber =
     throw new Error(errorMsg);
   }
 
-  logger.info(`RPA 프로세스 시작: 파일 ${startFileNumber}-${endFileNumber} 순차 처리`);
+  // 중단된 배치(확인 필요 파일 포함)가 남아 있으면 새 배치를 시작하지 않음 - 새 체크포인트가 그 기록을 덮어쓰지 않도록
+  if (!options.dryRun && !options.resume) {
+    const interruptedRun = getInterruptedRun();
+    if (interruptedRun) {
+      const errorMsg = describeInterruptedRun(interruptedRun);
+      logger.error(errorMsg);
+      return {
+        success: false,
+        error: errorMsg,
+        successCount: 0,
+        failCount: 0
+      };
+    }
+  }
+
+  // 처리할 파일 목록 결정 (직접 선택한 파일 또는 번호 범위)
+  let targetFiles;
+  let missingNumbers = [];
+  let ambiguousNumbers = [];
+  if (options.filePaths) {
+    targetFiles = options.filePaths;
+  } else {
+    ({ filePaths: targetFiles, missingNumbers, ambiguousNumbers } = collectRangeFiles(startFileNumber, endFileNumber));
+  }
+  const runLabel = options.filePaths ? `선택한 파일 ${targetFiles.length}개` : `파일 ${startFileNumber}-${endFileNumber}`;
+
+  logger.info(`RPA 프로세스 시작: ${runLabel} 순차 처리`);
   logger.info(`사용할 폴더 경로: ${folderPath}`);
+  if (missingNumbers.length > 0) {
+    logger.warn(`다음 번호로 시작하는 엑셀 파일을 찾지 못해 건너뜁니다: ${missingNumbers.join(', ')}`);
+  }
+
+  // 파일별 분개장 이름 / 설명 템플릿 / 업로드 옵션 설정 읽기 (설정 오류 시 실행하지 않음)
+  // 실제 업로드는 업로드 원장도 미리 읽어 봄 (원장이 손상되었으면 중복 확인을 할 수 없으므로 브라우저 실행 전에 중단)
+  let voucherConfig;
+  try {
+    voucherConfig = loadVoucherConfig(folderPath);
+    if (!options.dryRun) getLedgerEntries();
+  } catch (configError) {
+    logger.error(configError.message);
+    return {
+      success: false,
+      error: configError.message,
+      successCount: 0,
+      failCount: 0
+    };
+  }
+
+  // 브라우저 실행 전 사전 검증 - 차단 오류가 있는 파일이 하나라도 있으면 실행하지 않음
+  const validation = await validateVoucherFiles(targetFiles, {
+    openPeriod: getOpenPeriod(options),
+    buildDescription: createDescriptionBuilder(voucherConfig)
+  });
+  validation.missingNumbers = missingNumbers;
+  applyAmbiguousNumbers(validation, ambiguousNumbers);
+  if (validation.blocked) {
+    const blockedFiles = validation.files.filter(report => report.blocking).map(report => report.fileName);
+    const reasons = [];
+    if (blockedFiles.length > 0) reasons.push(`오류가 있는 파일: ${blockedFiles.join(', ')}`);
+    if (ambiguousNumbers.length > 0) reasons.push(`같은 번호의 파일이 여러 개인 번호: ${ambiguousNumbers.map(entry => entry.fileNumber).join(', ')}`);
+    const errorMsg = `사전 검증 실패로 실행이 차단되었습니다. ${reasons.join(' / ')}`;
+    logger.error(errorMsg);
+    return {
+      success: false,
+      blocked: true,
+      error: errorMsg,
+      validation,
+      successCount: 0,
+      failCount: 0
+    };
+  }
   
   // 성공 및 실패 카운트
   let successCount = 0;
   let failCount = 0;
-  
-  const browser = await puppeteerExtra.launch({
-    headless: false,
-    defaultViewport: null,
-    args: [
-      '--start-maximized',
-      '--ignore-certificate-errors',
-      '--ignore-certificate-errors-spki-list',
-      '--allow-insecure-localhost',
-      '--no-sandbox',
-      '--disable-setuid-sandbox'
-    ]
-  });
+  let skippedCount = 0;
+  let discrepancyCount = 0;
+  let postingIssueCount = 0;
+  let operatorSkippedCount = 0;
+  const results = [];
+  const confirmedReuploads = options.confirmedReuploads || [];
+  const runStartedAt = new Date().toISOString();
+  const runCompany = String(options.company || getSettings().company).toUpperCase();
+  const runEnvironment = getActiveEnvironment().name;
+  let currentCompany = null;
+  logger.info(`실행 환경: ${runEnvironment} (${getSettings().d365BaseUrl})`);
+
+  // 실제 업로드의 경우 파일별 분개장 번호를 매니페스트로 저장 (중간 실패/취소 시에도 처리된 파일까지 저장)
+  const saveRunManifest = async (status) => {
+    if (options.dryRun || results.length === 0) return null;
+    try {
+      return await writeUploadManifest(folderPath, {
+        startedAt: runStartedAt,
+        completedAt: new Date().toISOString(),
+        startFileNumber,
+        endFileNumber,
+        company: runCompany,
+        environment: runEnvironment,
+        status,
+        results
+      });
+    } catch (manifestError) {
+      logger.error(`업로드 매니페스트 저장 실패: ${manifestError.message}`);
+      return null;
+    }
+  };
+
+  // 실제 업로드는 파일별 결과를 확정 즉시 체크포인트로 기록 (중단 시 다음 실행에서 이어서 처리)
+  const useCheckpoint = !options.dryRun;
+  const checkpointFile = (filePath, status, details) => {
+    if (!useCheckpoint) return;
+    try {
+      markCheckpointFile(filePath, status, details);
+    } catch (checkpointError) {
+      logger.error(`체크포인트 기록 실패 (${path.basename(filePath)}): ${checkpointError.message}`);
+    }
+  };
+
+  // 리허설 모드에서는 단계별 스크린샷을 저장할 폴더 생성
+  const runOptions = { ...options };
+  if (runOptions.dryRun) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    runOptions.screenshotDir = path.join(folderPath, `rehearsal_${timestamp}`);
+    fs.mkdirSync(runOptions.screenshotDir, { recursive: true });
+    logger.info(`리허설 모드로 실행합니다. 분개장은 생성되지 않습니다. 스크린샷 폴더: ${runOptions.screenshotDir}`);
+  }
 
+  // 실행 증거 기록 (단계별 스크린샷, 주소, DOM 스냅샷)
+  const evidenceRun = beginEvidenceRun('voucher', `${runLabel}${runOptions.dryRun ? ' 리허설' : ''}`);
+  runOptions.evidence = evidenceRun;
+
+  // 대시보드의 취소 버튼으로 취소할 수 있도록 실행 등록 (파일 처리 중에는 마지막 "확인" 버튼 전에 확인)
+  const cancellation = beginCancellableRun('voucher', runLabel, options.signal);
+  runOptions.signal = cancellation.signal;
+  
+  let page = null;
   try {
-    const page = await browser.newPage();
-    
-    // SSL 인증서 오류 처리
-    await page.setBypassCSP(true);
-    
-    // 페이지 요청 인터셉트 설정 (SSL 오류 처리용)
-    await page.setRequestInterception(true);
-    page.on('request', request => {
-      request.continue();
-    });
-      // 대화상자 처리 (인증서 경고 등)
-    page.on('dialog', async dialog => {
-      logger.info(`대화상자 감지: ${dialog.message()}`);
-      await dialog.accept();
-    });
-    
-    // 1. D365 페이지 접속 (재시도 로직 추가)
-    logger.info('D365 페이지로 이동 중...');
-    let pageLoadSuccess = false;
-    let retryCount = 0;
-    const maxRetries = 3;
-    
-    while (!pageLoadSuccess && retryCount < maxRetries) {
-      try {
-        retryCount++;
-        logger.info(`D365 페이지 접속 시도 ${retryCount}/${maxRetries}`);
-        
-        await page.goto('https://d365.nepes.co.kr/namespaces/AXSF/?cmp=K02&mi=DefaultDashboard', {
-          waitUntil: 'networkidle2',
-          timeout: 60000 // 60초 타임아웃
-        });
-        
-        pageLoadSuccess = true;
-        logger.info('D365 페이지 로드 완료');
-      } catch (networkError) {
-        logger.error(`D365 페이지 접속 시도 ${retryCount} 실패: ${networkError.message}`);
-        
-        if (retryCount >= maxRetries) {
-          const errorMsg = `네트워크 연결 실패: D365 사이트(https://d365.nepes.co.kr)에 접속할 수 없습니다. 인터넷 연결을 확인하거나 VPN이 필요할 수 있습니다.`;
-          logger.error(errorMsg);
-          throw new Error(errorMsg);
-        }
-        
-        // 재시도 전 5초 대기
-        logger.info('5초 후 재시도합니다...');
-        await delay(5000);
+    // 공유 D365 세션에서 작업 탭 받기 (로그인 세션이 살아 있으면 ADFS 로그인 생략)
+    // 브라우저 실행 실패도 아래 catch에서 증거를 묶고 finally에서 취소 등록을 해제하도록 try 안에서 받음
+    page = await acquirePage();
+    await startEvidenceTrace(evidenceRun, page);
+    ({ company: currentCompany } = await openD365Dashboard(page, credentials, runCompany));
+
+    if (useCheckpoint) {
+      if (options.resume) {
+        resumeCheckpoint();
+      } else {
+        beginCheckpoint(folderPath, targetFiles, { environment: runEnvironment });
       }
     }
 
-    // 로그인 처리 (필요한 경우)
-    if (await page.$('input[type="email"]') !== null || await page.$('#userNameInput') !== null) {
-      logger.info('로그인 화면 감지됨, 로그인 시도 중...');
-      await handleLogin(page, credentials);
-    }
-    
-    // 로그인 후 페이지가 완전히 로드될 때까지 5초 대기
-    logger.info('로그인 후 페이지가 완전히 로드될 때까지 5초 대기 중...');
-    await delay(5000);  // 5초 대기
-    logger.info('5초 대기 완료');// 지정된 범위의 파일을 순차적으로 처리
-    for (let fileNumber = startFileNumber; fileNumber <= endFileNumber; fileNumber++) {
-      logger.info(`======== 파일 ${fileNumber}번 처리 시작 ========`);
-      
-      // 해당 번호로 시작하는 파일 존재 여부 확인
-      const excelFilePath = findExcelFileStartingWithNumber(folderPath, fileNumber);
-      
-      if (!excelFilePath) {
-        logger.warn(`${fileNumber}.로 시작하는 엑셀 파일을 찾지 못했습니다. 다음 번호로 넘어갑니다.`);
+    // 지정된 파일을 순차적으로 처리
+    for (let fileIndex = 0; fileIndex < targetFiles.length; fileIndex++) {
+      const excelFilePath = targetFiles[fileIndex];
+      const fileNumber = getFilePrefix(path.basename(excelFilePath));
+      throwIfCancelled(cancellation.signal, `파일 ${path.basename(excelFilePath)} 시작 전`);
+      logger.info(`======== 파일 ${path.basename(excelFilePath)} 처리 시작 (${fileIndex + 1}/${targetFiles.length}) ========`);
+
+      // 파일에 적용할 업로드 설정, 회사와 회계기간 결정
+      const resolvedConfig = resolveFileConfig(voucherConfig, fileNumber, path.basename(excelFilePath));
+      const fileConfig = { ...resolvedConfig, company: resolvedConfig.company || runCompany };
+      const fileReport = validation.files.find(report => report.filePath === excelFilePath);
+      const filePeriod = fileReport && fileReport.periods.length > 0 ? fileReport.periods[0] : validation.period;
+
+      // 같은 환경의 같은 회사에 같은 내용의 파일이 이미 업로드된 경우 사용자가 재업로드를 확인하지 않았다면 건너뜀
+      const contentHash = hashFile(excelFilePath);
+      const previousUpload = runOptions.dryRun ? null : findUpload(contentHash, runEnvironment, fileConfig.company);
+      if (previousUpload && !confirmedReuploads.includes(contentHash)) {
+        skippedCount++;
+        const skipMsg = `이미 업로드된 파일입니다 (분개장 ${previousUpload.journalNumber || '-'}, ${previousUpload.user || '-'}, ${previousUpload.uploadedAt})`;
+        logger.warn(`파일 ${path.basename(excelFilePath)} 건너뜀: ${skipMsg}`);
+        checkpointFile(excelFilePath, 'skipped', { error: skipMsg });
+        results.push({
+          fileNumber,
+          fileName: path.basename(excelFilePath),
+          success: false,
+          status: 'skipped',
+          error: skipMsg,
+          previousUpload,
+          durationMs: 0,
+          steps: []
+        });
         continue;
       }
       
-      logger.info(`${fileNumber}. 파일 찾음: ${path.basename(excelFilePath)}`);
+      logger.info(`파일 ${path.basename(excelFilePath)} 업로드 설정: 분개장 이름 "${fileConfig.journalName}", 설명 템플릿 "${fileConfig.descriptionTemplate}"${fileConfig.ruleIndex >= 0 ? ` (규칙 ${fileConfig.ruleIndex + 1})` : ' (기본값)'}`);
       
       // 각 파일에 대한 처리 시작
+      const fileStartTime = Date.now();
+      checkpointFile(excelFilePath, 'in-progress', { contentHash, company: fileConfig.company, period: filePeriod });
+      let attempts = 0;
       try {
-        // 첫 번째 파일 처리 시 또는 매 파일처리 시작 시 즐겨찾기 메뉴 클릭
-        // 즐겨찾기 아이콘 클릭
-        logger.info('즐겨찾기 아이콘 찾는 중...');
-        try {
-          await page.waitForSelector('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"][data-dyn-image-type="Symbol"]', { 
-            visible: true,
-            timeout: 10000
-          });
-          
-          await page.click('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"][data-dyn-image-type="Symbol"]');
-          logger.info('정확한 선택자로 즐겨찾기 아이콘 클릭 성공');
-        } catch (error) {
-          // 다른 선택자로 시도
-          try {
-            await page.waitForSelector('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"]', { 
-              visible: true, 
-              timeout: 5000 
-            });
-            await page.click('span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"]');
-            logger.info('단순 선택자로 즐겨찾기 아이콘 클릭 성공');
-          } catch (iconError) {
-            // JavaScript로 시도
-            try {
-              await page.evaluate(() => {
-                const spans = Array.from(document.querySelectorAll('span'));
-                const favIcon = spans.find(span => 
-                  span.getAttribute('data-dyn-title') === '즐겨찾기' || 
-                  span.classList.contains('StarEmpty-symbol') ||
-                  (span.className && span.className.includes('StarEmpty'))
-                );
-                
-                if (favIcon) {
-                  favIcon.click();
-                } else {
-                  throw new Error('JavaScript로도 즐겨찾기 아이콘을 찾을 수 없음');
-                }
-              });
-              logger.info('JavaScript로 즐겨찾기 아이콘 클릭 성공');
-            } catch (jsError) {
-              logger.error(`JavaScript로도 즐겨찾기 아이콘을 찾지 못함: ${jsError.message}`);
-            }
-          }
-        }
-        
-        // 클릭 후 메뉴가 표시될 때까지 잠시 대기
-        await delay(3000);  // 3초 대기
-        logger.info('즐겨찾기 메뉴 로드 대기 완료');
-
-        // "엑셀 전표 업로드" 메뉴 클릭
-        logger.info('"엑셀 전표 업로드" 메뉴 아이템 찾는 중...');
-        try {
-          const exactSelector = 'div.modulesPane-link.modulesFlyout-isFavorite[data-dyn-selected="false"][role="treeitem"] a.modulesPane-linkText[data-dyn-title="엑셀 전표 업로드"][role="link"]';
-          await page.waitForSelector(exactSelector, { visible: true, timeout: 10000 });
-          await page.click(exactSelector);
-          logger.info('정확한 선택자로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-        } catch (error) {
-          // 다른 선택자로 시도
-          try {
-            const selector = 'div[data-dyn-title="엑셀 전표 업로드"], div.modulesPane-link a[data-dyn-title="엑셀 전표 업로드"], .modulesPane-link a.modulesPane-linkText[data-dyn-title="엑셀 전표 업로드"]';
-            await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-            await page.click(selector);
-            logger.info('기본 선택자로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-          } catch (selectorError) {
-            // JavaScript로 시도
-            try {
-              await page.evaluate(() => {
-                const links = Array.from(document.querySelectorAll('a.modulesPane-linkText, div.modulesPane-link a, a[role="link"]'));
-                const targetLink = links.find(link => link.textContent.includes('엑셀 전표 업로드'));
-                if (targetLink) {
-                  targetLink.click();
-                } else {
-                  throw new Error('링크를 찾을 수 없음');
-                }
-              });
-              logger.info('JavaScript로 "엑셀 전표 업로드" 메뉴 클릭 완료');
-            } catch (jsError) {
-              logger.error(`JavaScript로도 메뉴를 찾지 못함: ${jsError.message}`);
-            }
-          }
-        }
-        
-        // 엑셀 전표 업로드 페이지 로드 대기
-        logger.info('엑셀 전표 업로드 페이지 로드 대기 중...');
-        await delay(5000);  // 5초 대기
-        logger.info('엑셀 전표 업로드 페이지 로드 완료');
-
-        // lookupButton 클릭
-        logger.info('lookupButton 클래스 요소 찾는 중...');
-        try {
-          await page.waitForSelector('.lookupButton[title="오픈"]', { 
-            visible: true, 
-            timeout: 10000 
-          });
-          await page.click('.lookupButton[title="오픈"]');
-          logger.info('lookupButton 클릭 성공');
-        } catch (error) {
-          // JavaScript로 시도
-          try {
-            await page.evaluate(() => {
-              const lookupButtons = Array.from(document.querySelectorAll('.lookupButton'));
-              const button = lookupButtons.find(btn => 
-                btn.getAttribute('title') === '오픈' || 
-                btn.getAttribute('data-dyn-bind')?.includes('Input_LookupTooltip')
-              );
-              
-              if (button) {
-                button.click();
-              } else {
-                throw new Error('lookupButton을 찾을 수 없음');
-              }
-            });
-            logger.info('JavaScript로 lookupButton 클릭 성공');
-          } catch (jsError) {
-            logger.error(`JavaScript로도 lookupButton을 찾지 못함: ${jsError.message}`);
-          }
+        // 이전 파일과 회사가 다르면 해당 회사 대시보드로 전환
+        if (fileConfig.company !== currentCompany) {
+          logger.info(`D365 회사 전환: ${currentCompany} → ${fileConfig.company}`);
+          ({ company: currentCompany } = await openD365Dashboard(page, credentials, fileConfig.company));
         }
 
-        // 팝업이 열릴 때까지 대기
-        await delay(3000);
-        logger.info('lookupButton 클릭 후 팝업 대기 완료');
-
-        // "일반전표(ARK)" 텍스트 필드 클릭
-        logger.info('"일반전표(ARK)" 텍스트 필드 찾는 중...');
-        try {
-          await page.waitForSelector('input[value="일반전표(ARK)"], input[title="일반전표(ARK)"]', { 
-            visible: true, 
-            timeout: 10000 
-          });
-          await page.click('input[value="일반전표(ARK)"], input[title="일반전표(ARK)"]');
-          logger.info('"일반전표(ARK)" 텍스트 필드 클릭 성공');
-        } catch (error) {
-          // ID로 시도
+        let fileResult;
+        while (!fileResult) {
+          attempts++;
           try {
-            await page.waitForSelector('#SysGen_Name_125_0_0_input', { visible: true, timeout: 5000 });
-            await page.click('#SysGen_Name_125_0_0_input');
-            logger.info('ID로 "일반전표(ARK)" 텍스트 필드 클릭 성공');
-          } catch (idError) {
-            // JavaScript로 시도
-            try {
-              await page.evaluate(() => {
-                const inputs = Array.from(document.querySelectorAll('input[type="text"]'));
-                const input = inputs.find(inp => 
-                  inp.value === '일반전표(ARK)' || 
-                  inp.title === '일반전표(ARK)'
-                );
-                
-                if (input) {
-                  input.click();
-                } else {
-                  throw new Error('텍스트 필드를 찾을 수 없음');
-                }
-              });
-              logger.info('JavaScript로 "일반전표(ARK)" 텍스트 필드 클릭 성공');
-            } catch (jsError) {
-              logger.error(`JavaScript로도 텍스트 필드를 찾지 못함: ${jsError.message}`);
+            fileResult = await processVoucherFile(page, excelFilePath, fileNumber, { ...runOptions, fileConfig, period: filePeriod });
+          } catch (attemptError) {
+            // 작업자가 건너뛰기/중단을 선택했거나 실행을 취소한 경우 재시도하지 않음
+            if (attemptError instanceof OperatorActionError || attemptError instanceof RunCancelledError) throw attemptError;
+
+            // 마지막 "확인" 버튼을 누른 뒤에는 중복 업로드 위험이 있으므로 재시도하지 않음
+            const policy = getRetryPolicy(attemptError.errorClass, voucherConfig.retryPolicies);
+            if (attemptError.finalSubmitAttempted || attempts > policy.maxRetries) {
+              attemptError.attempts = attempts;
+              throw attemptError;
             }
-          }
-        }
-
-        await delay(2000);        logger.info('텍스트 필드 클릭 후 대기 완료');        // 파일명에서 괄호 안의 텍스트를 추출하여 입력
-        logger.info('텍스트 박스 찾아 파일명 괄호 안의 텍스트 입력 중...');
-        
-        let textToInput;
-        try {
-          // 파일명에서 괄호 안의 텍스트 추출 - 반드시 성공해야 함
-          textToInput = extractTextFromParentheses(excelFilePath);
-          
-          if (!textToInput || textToInput.trim() === '') {
-            throw new Error(`파일명 괄호 안에 유효한 텍스트가 없습니다. 파일: ${path.basename(excelFilePath)}`);
-          }
-          
-          logger.info(`파일명 괄호 안의 텍스트 "${textToInput}" 추출 성공`);
-        } catch (extractError) {
-          const errorMsg = `파일명 괄호 텍스트 추출 실패: ${extractError.message}. 파일: ${path.basename(excelFilePath)}. 작업을 중단합니다.`;
-          logger.error(errorMsg);
-          failCount++;          throw new Error(errorMsg);
-        }
-
-        // 텍스트 입력 요소가 완전히 로드될 때까지 추가 대기
-        logger.info('텍스트 입력 페이지 완전 로드 대기 중...');
-        await delay(3000);
 
-        // 텍스트 입력 - 강화된 5번 시도
-        let inputSuccess = false;
-        let lastError = null;
-
-        // 첫 번째 시도: 메인 ID 선택자 (강화된 버전)
-        if (!inputSuccess) {
-          try {
-            logger.info('첫 번째 시도: 메인 ID 선택자로 텍스트 입력 (강화된 대기)');
-            
-            // 페이지가 완전히 안정화될 때까지 대기
-            await page.waitForFunction(
-              () => document.readyState === 'complete',
-              { timeout: 10000 }
-            );
-            
-            // 여러 가능한 선택자들을 시도
-            const possibleSelectors = [
-              '#kpc_exceluploadforledgerjournal_2_FormStringControl_Txt_input',
-              'input[id*="FormStringControl_Txt_input"]',
-              'input[id*="kpc_exceluploadforledgerjournal"][id*="Txt_input"]',
-              'input[role="textbox"]'
-            ];
-            
-            let foundElement = null;
-            for (const selector of possibleSelectors) {
-              try {
-                await page.waitForSelector(selector, { visible: true, timeout: 3000 });
-                foundElement = selector;
-                logger.info(`요소 찾음: ${selector}`);
-                break;
-              } catch (e) {
-                logger.warn(`선택자 실패: ${selector}`);
-              }
-            }
-            
-            if (foundElement) {
-              // 요소가 클릭 가능할 때까지 대기
-              await page.waitForFunction(
-                (sel) => {
-                  const element = document.querySelector(sel);
-                  return element && !element.disabled && element.offsetParent !== null;
-                },
-                { timeout: 5000 },
-                foundElement
-              );
-              
-              await page.click(foundElement);
-              await delay(500); // 클릭 후 잠시 대기
-              await page.type(foundElement, textToInput);
-              logger.info(`첫 번째 시도 성공: 텍스트 박스에 "${textToInput}" 입력 완료`);
-              inputSuccess = true;
-            } else {
-              throw new Error('모든 선택자에서 요소를 찾을 수 없음');
-            }
-          } catch (error) {
-            lastError = error;
-            logger.warn(`첫 번째 시도 실패: ${error.message}`);
+            const waitMs = getRetryDelay(policy, attempts);
+            logger.warn(`파일 ${path.basename(excelFilePath)} ${describeError(attemptError).errorClassLabel} 오류로 재시도합니다 (${attempts}/${policy.maxRetries}, ${waitMs / 1000}초 후): ${attemptError.message}`);
+            await delay(waitMs);
+            throwIfCancelled(cancellation.signal, `파일 ${path.basename(excelFilePath)} 재시도 전`);
+            page = await recoverPage(page, credentials, policy.recovery, fileConfig.company);
           }
         }
-
-        // 두 번째 시도: 클래스 선택자 (강화된 버전)
-        if (!inputSuccess) {
-          try {
-            logger.info('두 번째 시도: 클래스 선택자로 텍스트 입력');
-            
-            const classSelectors = [
-              'input.textbox.field.displayoption[role="textbox"]',
-              'input.textbox.field.displayoption',
-              'input.textbox[role="textbox"]',
-              'input[class*="textbox"][class*="field"]'
-            ];
-            
-            let foundElement = null;
-            for (const selector of classSelectors) {
-              try {
-                await page.waitForSelector(selector, { visible: true, timeout: 3000 });
-                foundElement = selector;
-                logger.info(`클래스 요소 찾음: ${selector}`);
-                break;
-              } catch (e) {
-                logger.warn(`클래스 선택자 실패: ${selector}`);
-              }
-            }
-            
-            if (foundElement) {
-              await page.click(foundElement);
-              await delay(500);
-              await page.type(foundElement, textToInput);
-              logger.info(`두 번째 시도 성공: 텍스트 박스에 "${textToInput}" 입력 완료`);
-              inputSuccess = true;
-            } else {
-              throw new Error('모든 클래스 선택자에서 요소를 찾을 수 없음');
-            }
-            logger.info(`두 번째 시도 성공: 텍스트 박스에 "${textToInput}" 입력 완료`);
-            inputSuccess = true;
-          } catch (error) {
-            lastError = error;
-            logger.warn(`두 번째 시도 실패: ${error.message}`);
+        const allStepsPassed = fileResult.steps.every(step => step.success);
+
+        // 리허설 모드에서는 모든 단계가 성공해야 성공으로 집계
+        if (!runOptions.dryRun || allStepsPassed) {
+          successCount++;
+          logger.info(`파일 ${path.basename(excelFilePath)} 처리 성공${runOptions.dryRun ? ' (리허설)' : ''}`);
+
+          // 실제 업로드 성공 시 체크포인트와 업로드 원장에 기록
+          if (!runOptions.dryRun) {
+            checkpointFile(excelFilePath, 'success', { journalNumber: fileResult.journalNumber });
+            recordUpload({
+              contentHash,
+              fileName: path.basename(excelFilePath),
+              filePath: excelFilePath,
+              period: filePeriod,
+              user: credentials.username,
+              company: fileConfig.company,
+              environment: runEnvironment,
+              journalNumber: fileResult.journalNumber || null
+            });
           }
+        } else {
+          failCount++;
+          logger.warn(`파일 ${path.basename(excelFilePath)} 리허설 중 실패한 단계가 있습니다.`);
         }
 
-        // 세 번째 시도: JavaScript로 직접 조작
-        if (!inputSuccess) {
-          try {
-            logger.info('세 번째 시도: JavaScript로 직접 텍스트 입력');
-            await page.evaluate((text) => {
-              const inputs = Array.from(document.querySelectorAll('input[role="textbox"]'));
-              const input = inputs.find(inp => 
-                inp.className.includes('textbox') || 
-                inp.id?.includes('FormStringControl_Txt_input')
-              );
-              
-              if (input) {
-                input.focus();
-                input.value = text;
-                input.dispatchEvent(new Event('input', { bubbles: true }));
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-                return true;
-              } else {
-                throw new Error('텍스트 박스를 찾을 수 없음');
-              }
-            }, textToInput);
-            logger.info(`세 번째 시도 성공: JavaScript로 텍스트 박스에 "${textToInput}" 입력 완료`);
-            inputSuccess = true;
-          } catch (error) {
-            lastError = error;
-            logger.warn(`세 번째 시도 실패: ${error.message}`);
-          }
+        // 실제 업로드 후 D365 분개장 라인과 원본 엑셀 대사 (불일치 시 "업로드됨 (불일치)"로 표시), 설정된 경우 유효성 검사/전기
+        let reconciliation = null;
+        let posting = null;
+        if (!runOptions.dryRun) {
+          ({ reconciliation, posting } = await checkUploadedJournal(page, credentials, excelFilePath, fileResult.journalNumber, fileConfig));
+          if (reconciliation.status === 'discrepancy') discrepancyCount++;
+          if (posting && !['validated', 'posted'].includes(posting.status)) postingIssueCount++;
         }
 
-        // 네 번째 시도: 모든 텍스트 입력 필드 검색
-        if (!inputSuccess) {
-          try {
-            logger.info('네 번째 시도: 모든 텍스트 입력 필드에서 검색');
-            await page.evaluate((text) => {
-              const allInputs = Array.from(document.querySelectorAll('input[type="text"], input:not([type]), textarea'));
-              
-              // 설명란으로 추정되는 입력 필드 찾기
-              const descriptionInput = allInputs.find(inp => 
-                inp.placeholder?.includes('설명') ||
-                inp.title?.includes('설명') ||
-                inp.getAttribute('aria-label')?.includes('설명') ||
-                inp.id?.includes('Description') ||
-                inp.id?.includes('Txt') ||
-                inp.name?.includes('description')
-              );
-              
-              if (descriptionInput) {
-                descriptionInput.focus();
-                descriptionInput.value = text;
-                descriptionInput.dispatchEvent(new Event('input', { bubbles: true }));
-                descriptionInput.dispatchEvent(new Event('change', { bubbles: true }));
-                return true;
-              } else {
-                throw new Error('설명란으로 추정되는 입력 필드를 찾을 수 없음');
-              }
-            }, textToInput);
-            logger.info(`네 번째 시도 성공: 설명란 입력 필드에 "${textToInput}" 입력 완료`);
-            inputSuccess = true;
-          } catch (error) {
-            lastError = error;
-            logger.warn(`네 번째 시도 실패: ${error.message}`);
-          }
-        }
+        results.push({
+          fileNumber,
+          fileName: path.basename(excelFilePath),
+          success: !runOptions.dryRun || allStepsPassed,
+          status: runOptions.dryRun ? 'dry-run' : (reconciliation.status === 'discrepancy' ? 'discrepancy' : 'success'),
+          company: fileConfig.company,
+          description: fileResult.description,
+          journalName: fileResult.journalName,
+          journalNumber: fileResult.journalNumber || null,
+          messages: fileResult.messages || [],
+          reconciliation,
+          posting,
+          attempts,
+          durationMs: Date.now() - fileStartTime,
+          steps: fileResult.steps
+        });
+      } catch (fileProcessError) {
+        await captureStepEvidence(evidenceRun, page, `${path.basename(excelFilePath)}_오류`, { status: 'failed', error: fileProcessError.message });
 
-        // 다섯 번째 시도: 가장 가능성 높은 입력 필드 선택
-        if (!inputSuccess) {
-          try {
-            logger.info('다섯 번째 시도: 가장 가능성 높은 입력 필드 선택');
-            await page.evaluate((text) => {
-              const allInputs = Array.from(document.querySelectorAll('input, textarea'));
-              
-              // 보이는 입력 필드만 필터링
-              const visibleInputs = allInputs.filter(inp => {
-                const style = window.getComputedStyle(inp);
-                return style.display !== 'none' && style.visibility !== 'hidden' && inp.offsetWidth > 0 && inp.offsetHeight > 0;
-              });
-              
-              if (visibleInputs.length > 0) {
-                // 가장 큰 입력 필드 선택 (설명란일 가능성이 높음)
-                const largestInput = visibleInputs.reduce((prev, current) => {
-                  return (prev.offsetWidth * prev.offsetHeight) > (current.offsetWidth * current.offsetHeight) ? prev : current;
-                });
-                
-                largestInput.focus();
-                largestInput.value = text;
-                largestInput.dispatchEvent(new Event('input', { bubbles: true }));
-                largestInput.dispatchEvent(new Event('change', { bubbles: true }));
-                return true;
-              } else {
-                throw new Error('보이는 입력 필드를 찾을 수 없음');
-              }
-            }, textToInput);
-            logger.info(`다섯 번째 시도 성공: 가장 큰 입력 필드에 "${textToInput}" 입력 완료`);
-            inputSuccess = true;
-          } catch (error) {
-            lastError = error;
-            logger.warn(`다섯 번째 시도 실패: ${error.message}`);
-          }        }        // 모든 시도 실패 시 RPA 작업 중단 (필수 동작)
-        if (!inputSuccess) {
-          const errorMsg = `🚨 중요: 추가 동작 3번 실패 - 괄호 안 텍스트 "${textToInput}" 입력에 모든 시도가 실패했습니다. 마지막 오류: ${lastError?.message || '알 수 없는 오류'}. RPA 작업을 중단합니다.`;
-          logger.error(errorMsg);
-          
-          // 브라우저 닫기
-          try {
-            await browser.close();
-          } catch (closeError) {
-            logger.error(`브라우저 종료 중 오류: ${closeError.message}`);
-          }
-          
-          // 오류 발생으로 작업 중단
-          throw new Error(errorMsg);
+        // 작업자가 중단을 선택하거나 실행을 취소하면 현재 파일을 미처리로 되돌리고 배치 중단 (이어서 하기로 다시 처리 가능)
+        if ((fileProcessError instanceof OperatorActionError && fileProcessError.action === 'abort') || fileProcessError instanceof RunCancelledError) {
+          checkpointFile(excelFilePath, 'pending');
+          throw fileProcessError;
         }
 
-        await delay(2000);
-        logger.info('텍스트 입력 후 대기 완료');
-
-        // "업로드" 버튼 클릭
-        logger.info('"업로드" 버튼 찾는 중...');
-        try {
-          await page.waitForSelector('#kpc_exceluploadforledgerjournal_2_UploadButton_label', { 
-            visible: true, 
-            timeout: 10000 
+        // 작업자가 파일 건너뛰기를 선택한 경우
+        if (fileProcessError instanceof OperatorActionError) {
+          operatorSkippedCount++;
+          logger.warn(`파일 ${path.basename(excelFilePath)} 건너뜀: ${fileProcessError.message}`);
+          checkpointFile(excelFilePath, 'skipped', { error: fileProcessError.message });
+          results.push({
+            fileNumber,
+            fileName: path.basename(excelFilePath),
+            success: false,
+            status: 'operator-skipped',
+            company: fileConfig.company,
+            journalName: fileConfig.journalName,
+            error: fileProcessError.message,
+            attempts,
+            durationMs: Date.now() - fileStartTime,
+            steps: fileProcessError.steps || []
           });
-          await page.click('#kpc_exceluploadforledgerjournal_2_UploadButton_label');
-          logger.info('ID로 "업로드" 버튼 클릭 성공');
-        } catch (error) {
-          // 텍스트로 시도
-          try {
-            await page.waitForSelector('span.button-label:contains("업로드")', { 
-              visible: true, 
-              timeout: 5000 
-            });
-            await page.click('span.button-label:contains("업로드")');
-            logger.info('텍스트로 "업로드" 버튼 클릭 성공');
-          } catch (textError) {
-            // JavaScript로 시도
-            try {
-              await page.evaluate(() => {
-                const spans = Array.from(document.querySelectorAll('span.button-label, span[id*="UploadButton_label"]'));
-                const uploadButton = spans.find(span => span.textContent.trim() === '업로드');
-                
-                if (uploadButton) {
-                  uploadButton.click();
-                } else {
-                  const buttons = Array.from(document.querySelectorAll('button, div.button-container, [role="button"]'));
-                  const btn = buttons.find(b => {
-                    const text = b.textContent.trim();
-                    return text === '업로드' || text.includes('업로드');
-                  });
-                  
-                  if (btn) {
-                    btn.click();
-                  } else {
-                    throw new Error('업로드 버튼을 찾을 수 없음');
-                  }
-                }
-              });
-              logger.info('JavaScript로 "업로드" 버튼 클릭 성공');
-            } catch (jsError) {
-              logger.error(`JavaScript로도 "업로드" 버튼을 찾지 못함: ${jsError.message}`);
-            }
-          }
-        }
-
-        // "Browse" 버튼 클릭 및 파일 선택
-        await delay(3000); // 업로드 버튼 클릭 후 잠시 대기
-        logger.info('"Browse" 버튼 찾는 중...');
-        
-        try {
-          // fileChooser를 사용하여 파일 선택
-          try {
-            // 파일 선택기가 열릴 때까지 대기하면서 Browse 버튼 클릭
-            const [fileChooser] = await Promise.all([
-              page.waitForFileChooser({ timeout: 10000 }),
-              page.click('#Dialog_4_UploadBrowseButton, button[name="UploadBrowseButton"]')
-            ]);
-            
-            // 찾은 파일 선택
-            await fileChooser.accept([excelFilePath]);
-            logger.info(`fileChooser 방식으로 파일 선택 완료: ${path.basename(excelFilePath)}`);
-          } catch (chooserError) {
-            // 파일 입력 필드를 직접 찾아 조작
-            try {
-              // 먼저 Brows 버튼 클릭 취소(이미 클릭했을 수 있기 때문에)
-              await page.keyboard.press('Escape');
-              await delay(1000);
-              
-              // 파일 입력 필드 찾기
-              const fileInputSelector = 'input[type="file"]';
-              const fileInput = await page.$(fileInputSelector);
-              
-              if (fileInput) {
-                // 파일 입력 필드가 있으면 직접 파일 설정
-                await fileInput.uploadFile(excelFilePath);
-                logger.info(`uploadFile 방식으로 파일 선택 완료: ${path.basename(excelFilePath)}`);
-              } else {
-                // 파일 입력 필드가 없으면 다시 Browse 버튼 클릭 시도
-                await page.click('#Dialog_4_UploadBrowseButton, button[name="UploadBrowseButton"]');
-                
-                // 사용자에게 파일 선택 안내
-                await page.evaluate((fileName) => {
-                  alert(`자동 파일 선택에 실패했습니다. 파일 탐색기에서 "${fileName}" 파일을 수동으로 선택해주세요.`);
-                }, path.basename(excelFilePath));
-                
-                // 사용자가 파일을 선택할 때까지 대기 (30초)
-                logger.info('사용자의 수동 파일 선택 대기 중... (30초)');
-                await delay(30000);
-              }
-            } catch (inputError) {
-              // 최후의 방법: 사용자에게 안내
-              await page.evaluate((message, fileName) => {
-                alert(`${message} 파일 탐색기에서 "${fileName}" 파일을 수동으로 선택해주세요.`);
-              }, `자동 파일 선택에 실패했습니다.`, path.basename(excelFilePath));
-              
-              // 사용자가 파일을 선택할 때까지 대기 (30초)
-              logger.info('사용자의 수동 파일 선택 대기 중... (30초)');
-              await delay(30000);
-            }
-          }
-          
-          // 파일 선택 후 대기
-          await delay(3000);
-          logger.info('파일 선택 후 대기 완료');
-          
-          // 파일 선택 대화상자에서 "확인" 버튼이 필요한 경우 클릭
-          try {
-            const confirmButtonSelector = '#Dialog_4_OkButton, #SysOKButton, span.button-label:contains("확인"), span.button-label:contains("OK")';
-            const confirmButton = await page.$(confirmButtonSelector);
-            
-            if (confirmButton) {
-              await confirmButton.click();
-              logger.info('파일 선택 대화상자의 "확인" 버튼 클릭 성공');
-            }
-          } catch (confirmError) {
-            logger.warn(`확인 버튼 클릭 시도 중 오류: ${confirmError.message}`);
-            logger.info('계속 진행합니다...');
-          }
-        } catch (browseError) {
-          // 사용자에게 파일 선택 안내
-          try {
-            await page.evaluate((fileNumber) => {
-              alert(`자동화 스크립트에 문제가 발생했습니다. 수동으로 "Browse" 버튼을 클릭하고 "${fileNumber}."로 시작하는 엑셀 파일을 선택해주세요.`);
-            }, fileNumber);
-            
-            // 사용자가 작업을 완료할 때까지 대기
-            logger.info('사용자의 수동 파일 선택 대기 중... (60초)');
-            await delay(60000);
-          } catch (alertError) {
-            logger.error(`알림 표시 중 오류: ${alertError.message}`);
-          }
-        }
-
-        // 파일 선택 후 최종 "확인" 버튼 클릭
-        await delay(5000);  // 파일 선택 후 충분히 대기
-        logger.info('파일 선택 후 최종 "확인" 버튼 찾는 중...');
-
-        try {
-          // ID로 시도
-          await page.waitForSelector('#Dialog_4_OkButton', { 
-            visible: true, 
-            timeout: 10000 
+        } else {
+          // 파일 처리 중 오류 발생 시 실패 카운트 증가
+          failCount++;
+          logger.error(`파일 ${path.basename(excelFilePath)} 처리 중 오류 발생: ${fileProcessError.message}`);
+
+          // 마지막 "확인" 버튼 클릭 이후 실패하면 업로드 여부를 알 수 없으므로 수동 확인 대상으로 표시
+          const uncertain = !!fileProcessError.finalSubmitAttempted;
+          const errorMessage = uncertain
+            ? `${fileProcessError.message} (마지막 확인 버튼 클릭 이후 실패 - D365에서 업로드 여부를 직접 확인해주세요)`
+            : fileProcessError.message;
+          checkpointFile(excelFilePath, uncertain ? 'uncertain' : 'failed', { error: errorMessage });
+
+          results.push({
+            fileNumber,
+            fileName: path.basename(excelFilePath),
+            success: false,
+            status: uncertain ? 'uncertain' : 'failed',
+            company: fileConfig.company,
+            journalName: fileConfig.journalName,
+            error: errorMessage,
+            ...describeError(fileProcessError),
+            messages: (fileProcessError.details && fileProcessError.details.messages) || [],
+            attempts,
+            durationMs: Date.now() - fileStartTime,
+            steps: fileProcessError.steps || []
           });
-          await page.click('#Dialog_4_OkButton');
-          logger.info('ID로 최종 "확인" 버튼 클릭 성공');
-        } catch (error) {
-          // 이름 속성으로 시도
-          try {
-            await page.waitForSelector('button[name="OkButton"]', { 
-              visible: true, 
-              timeout: 5000 
-            });
-            await page.click('button[name="OkButton"]');
-            logger.info('name 속성으로 최종 "확인" 버튼 클릭 성공');
-          } catch (nameError) {
-            // JavaScript로 시도
-            try {
-              await page.evaluate(() => {
-                // 방법 1: ID로 찾기
-                const okButton = document.querySelector('#Dialog_4_OkButton');
-                if (okButton) {
-                  okButton.click();
-                  return;
-                }
-                
-                // 방법 2: 레이블로 찾기
-                const okLabel = document.querySelector('#Dialog_4_OkButton_label');
-                if (okLabel) {
-                  okLabel.click();
-                  return;
-                }
-                
-                // 방법 3: 버튼 텍스트로 찾기
-                const buttons = Array.from(document.querySelectorAll('button, span.button-label'));
-                const button = buttons.find(btn => btn.textContent.trim() === '확인');
-                if (button) {
-                  button.click();
-                  return;
-                }
-                
-                // 방법 4: 버튼 클래스와 속성으로 찾기
-                const dynamicsButtons = Array.from(document.querySelectorAll('button.dynamicsButton.button-isDefault'));
-                const defaultButton = dynamicsButtons.find(btn => {
-                  const label = btn.querySelector('.button-label');
-                  return label && label.textContent.trim() === '확인';
-                });
-                
-                if (defaultButton) {
-                  defaultButton.click();
-                } else {
-                  throw new Error('최종 확인 버튼을 찾을 수 없음');
-                }
-              });
-              logger.info('JavaScript로 최종 "확인" 버튼 클릭 성공');
-            } catch (jsError) {
-              // 사용자에게 안내
-              await page.evaluate(() => {
-                alert('자동으로 "확인" 버튼을 클릭할 수 없습니다. 수동으로 "확인" 버튼을 클릭해주세요.');
-              });
-              
-              // 사용자가 확인 버튼을 클릭할 때까지 대기 (20초)
-              logger.info('사용자의 수동 "확인" 버튼 클릭 대기 중... (20초)');
-              await delay(20000);
-            }
-          }
         }
-
-        // 마지막 "확인" 버튼 클릭
-        await delay(5000);  // 이전 단계 완료 후 충분히 대기
-        logger.info('마지막 "확인" 버튼(kpc_exceluploadforledgerjournal_2_OKButton) 찾는 중...');
-
-        try {
-          // ID로 시도
-          await page.waitForSelector('#kpc_exceluploadforledgerjournal_2_OKButton', { 
-            visible: true, 
-            timeout: 10000 
-          });
-          await page.click('#kpc_exceluploadforledgerjournal_2_OKButton');
-          logger.info('ID로 마지막 "확인" 버튼 클릭 성공');
-        } catch (error) {
-          // JavaScript로 시도
-          try {
-            await page.evaluate(() => {
-              // ID 패턴으로 찾기
-              const buttons = Array.from(document.querySelectorAll('button[id*="kpc_exceluploadforledgerjournal"][id*="OKButton"]'));
-              if (buttons.length > 0) {
-                buttons[0].click();
-                return;
-              }
-              
-              // 버튼 텍스트와 위치로 찾기
-              const allButtons = Array.from(document.querySelectorAll('button.dynamicsButton'));
-              const confirmButton = allButtons.find(btn => {
-                const label = btn.querySelector('.button-label');
-                return label && (label.textContent.trim() === '확인' || label.textContent.trim() === 'OK');
-              });
-              
-              if (confirmButton) {
-                confirmButton.click();
-              } else {
-                throw new Error('마지막 확인 버튼을 찾을 수 없음');
-              }
-            });
-            logger.info('JavaScript로 마지막 "확인" 버튼 클릭 성공');
-          } catch (jsError) {
-            // 사용자에게 안내
-            await page.evaluate(() => {
-              alert('자동으로 마지막 "확인" 버튼을 클릭할 수 없습니다. 수동으로 "확인" 버튼을 클릭해주세요.');
-            });
-            
-            // 사용자가 수동으로 작업할 시간 제공
-            logger.info('사용자의 수동 마지막 "확인" 버튼 클릭 대기 중... (20초)');
-            await delay(20000);
-          }        }
-
-        // 추가 동작 7번까지 완료 - 작업 완료 처리
-        logger.info('추가 동작 7번(마지막 확인 버튼 클릭)까지 완료');
-        
-        // 마지막 확인 버튼 클릭 후 페이지 로드 대기
-        await delay(5000);
-
-        // 해당 파일 처리 성공 카운트 증가
-        successCount++;
-        logger.info(`파일 번호 ${fileNumber} 처리 성공`);
-      } catch (fileProcessError) {
-        // 파일 처리 중 오류 발생 시 실패 카운트 증가
-        failCount++;
-        logger.error(`파일 번호 ${fileNumber} 처리 중 오류 발생: ${fileProcessError.message}`);
       }
       
-      logger.info(`======== 파일 ${fileNumber}번 처리 완료 ========`);
+      logger.info(`======== 파일 ${path.basename(excelFilePath)} 처리 완료 ========`);
         // 다음 파일 처리 전 페이지 초기 상태로 돌아가기
-      if (fileNumber < endFileNumber) {
+      if (fileIndex < targetFiles.length - 1) {
         try {
           // 페이지 새로고침
           await page.reload({ waitUntil: 'networkidle2' });
@@ -2056,38 +2288,126 @@ async function processAllFiles(credentials, startFileNumber = 1, endFileNumber =
     }
       // 모든 작업 완료 후 최종 결과 보고
     logger.info("=================================================");
-    logger.info(`파일 ${startFileNumber}-${endFileNumber} 처리 완료. 성공: ${successCount}, 실패: ${failCount}`);
+    logger.info(`${runLabel} 처리 완료. 성공: ${successCount} (대사 불일치 ${discrepancyCount}, 검증/전기 미완료 ${postingIssueCount}), 실패: ${failCount}, 중복 건너뜀: ${skippedCount}, 작업자 건너뜀: ${operatorSkippedCount}`);
     logger.info("=================================================");
+
+    // 모든 파일을 끝까지 처리했으므로 체크포인트 완료 처리 (확인 필요 파일은 다음 실행 시 계속 안내)
+    if (useCheckpoint) finishCheckpoint(true);
+
+    const modeLabel = runOptions.dryRun ? '리허설 ' : '';
+
+    const manifest = await saveRunManifest('completed');
+    const evidence = await finishEvidenceRun(evidenceRun, {
+      success: failCount === 0,
+      error: failCount > 0 ? `실패 ${failCount}건` : null
+    });
+
+    // 리허설 결과 보고서 저장
+    if (runOptions.dryRun) {
+      const reportPath = path.join(runOptions.screenshotDir, 'rehearsal-report.json');
+      fs.writeFileSync(reportPath, JSON.stringify({
+        environment: runEnvironment,
+        startFileNumber,
+        endFileNumber,
+        successCount,
+        failCount,
+        results,
+        completedAt: new Date().toISOString()
+      }, null, 2), 'utf-8');
+      logger.info(`리허설 결과 보고서 저장: ${reportPath}`);
+    }
     
     // 작업 완료 팝업 표시
-    await page.evaluate((successCount, failCount, startFileNumber, endFileNumber) => {
-      alert(`파일 ${startFileNumber}-${endFileNumber} 처리가 완료되었습니다.\n성공: ${successCount}, 실패: ${failCount}\n확인 버튼을 누르면 창이 닫힙니다.`);
-    }, successCount, failCount, startFileNumber, endFileNumber);
+    await page.evaluate((successCount, failCount, runLabel, modeLabel) => {
+      alert(`${runLabel} ${modeLabel}처리가 완료되었습니다.\n성공: ${successCount}, 실패: ${failCount}\n확인 버튼을 누르면 창이 닫힙니다.`);
+    }, successCount, failCount, runLabel, modeLabel);
     
-    // 모든 작업 완료 후 브라우저 닫기
-    await browser.close();
+    // 모든 작업 완료 후 작업 탭 닫기 (브라우저와 로그인 세션은 다음 작업을 위해 유지)
+    await releasePage(page);
       return {
       success: true,
-      message: `파일 ${startFileNumber}-${endFileNumber} 처리 완료. 성공: ${successCount}, 실패: ${failCount}`,
+      message: `${runLabel} ${modeLabel}처리 완료. 성공: ${successCount}, 실패: ${failCount}${skippedCount > 0 ? `, 중복 건너뜀: ${skippedCount}` : ''}${operatorSkippedCount > 0 ? `, 작업자 건너뜀: ${operatorSkippedCount}` : ''}${discrepancyCount > 0 ? `, 대사 불일치: ${discrepancyCount}` : ''}${postingIssueCount > 0 ? `, 검증/전기 미완료: ${postingIssueCount}` : ''}`,
       successCount,
       failCount,
+      skippedCount,
+      discrepancyCount,
+      postingIssueCount,
+      operatorSkippedCount,
+      dryRun: !!runOptions.dryRun,
+      environment: runEnvironment,
+      screenshotDir: runOptions.screenshotDir,
+      manifest,
+      evidence,
+      results,
       completedAt: new Date().toISOString()
     };
     
   } catch (error) {
-    logger.error(`RPA 오류 발생: ${error.message}`);
+    // 취소 요청 후의 작업자 확인 중단도 취소로 처리
+    const cancelled = error instanceof RunCancelledError || cancellation.signal.aborted;
+    logger[cancelled ? 'warn' : 'error'](`RPA ${cancelled ? '실행 취소' : '오류 발생'}: ${error.message}`);
+
+    // 중간에 중단된 배치는 다음 실행 시 이어서 처리할 수 있도록 체크포인트 유지
+    if (useCheckpoint) finishCheckpoint(false);
+
+    // 중단 시점 화면까지 증거로 남김 (실패는 zip으로 묶음)
+    await captureStepEvidence(evidenceRun, page, cancelled ? '실행_취소' : '실행_중단', { status: cancelled ? 'cancelled' : 'failed', error: error.message });
+    const evidence = await finishEvidenceRun(evidenceRun, { success: false, cancelled, error: error.message });
     
-    // 브라우저 닫기
-    try {
-      await browser.close();
-    } catch (closeError) {
-      logger.error(`브라우저 종료 중 오류: ${closeError.message}`);
+    // 작업 탭 닫기
+    await releasePage(page);
+
+    if (cancelled) {
+      // 취소한 실행은 다른 작업이 브라우저를 쓰고 있지 않으면 브라우저까지 닫음
+      await closeSessionIfIdle();
+
+      const manifest = await saveRunManifest('cancelled');
+      const completedItems = results.map(file => ({ fileName: file.fileName, status: file.status, journalNumber: file.journalNumber || null }));
+      const remainingFiles = targetFiles.slice(results.length).map(filePath => path.basename(filePath));
+      logger.warn(`${runLabel} 실행 취소: 완료 ${completedItems.length}개, 남은 파일 ${remainingFiles.length}개`);
+
+      return {
+        success: false,
+        cancelled: true,
+        status: 'cancelled',
+        error: `실행이 취소되었습니다. 완료 ${completedItems.length}개, 남은 파일 ${remainingFiles.length}개${remainingFiles.length > 0 && useCheckpoint ? ' (중단된 배치에서 이어서 실행할 수 있습니다)' : ''}`,
+        completedItems,
+        remainingFiles,
+        successCount,
+        failCount,
+        skippedCount,
+        discrepancyCount,
+        postingIssueCount,
+        operatorSkippedCount,
+        dryRun: !!runOptions.dryRun,
+        environment: runEnvironment,
+        manifest,
+        evidence,
+        results,
+        cancelledAt: new Date().toISOString()
+      };
     }
     
+    const manifest = await saveRunManifest('failed');
+    
     return { 
       success: false, 
-      error: error.message
+      error: error.message,
+      // 작업자가 중단한 경우 오류 해결 방법 대신 중단 여부만 표시
+      ...(error instanceof OperatorActionError ? { aborted: true } : describeError(error)),
+      successCount,
+      failCount,
+      skippedCount,
+      discrepancyCount,
+      postingIssueCount,
+      operatorSkippedCount,
+      environment: runEnvironment,
+      manifest,
+      evidence,
+      results
     };
+  } finally {
+    cancellation.finish();
   }
 }
 /**
@@ -2096,23 +2416,24 @@ async function processAllFiles(credentials, startFileNumber = 1, endFileNumber =
  * @param {Object} credentials - 로그인 정보 (username, password)
  */
 async function handleLogin(page, credentials) {
+  const { loginMs, navigationMs } = getSettings().timeouts;
   try {
   
     // 1. 사용자 이름(이메일) 입력
     logger.info('사용자 이름 입력 중...');
-    await page.waitForSelector('#userNameInput', { visible: true, timeout: 10000 });
+    await page.waitForSelector('#userNameInput', { visible: true, timeout: loginMs });
     await page.type('#userNameInput', credentials.username);
     logger.info('사용자 이름 입력 완료');
     
     // 2. 비밀번호 입력
     logger.info('비밀번호 입력 중...');
-    await page.waitForSelector('#passwordInput', { visible: true, timeout: 10000 });
+    await page.waitForSelector('#passwordInput', { visible: true, timeout: loginMs });
     await page.type('#passwordInput', credentials.password);
     logger.info('비밀번호 입력 완료');
     
     // 3. 로그인 버튼 클릭
     logger.info('로그인 버튼 클릭 중...');
-    await page.waitForSelector('#submitButton', { visible: true, timeout: 10000 });
+    await page.waitForSelector('#submitButton', { visible: true, timeout: loginMs });
     
     
     await page.click('#submitButton');
@@ -2120,15 +2441,24 @@ async function handleLogin(page, credentials) {
     
     // 로그인 후 페이지 로드 대기
     logger.info('로그인 후 페이지 로드 대기 중...');
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
+    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: navigationMs });
     
-    // 로그인 성공 확인
+    // 로그인 성공 확인 (로그인 화면이 그대로면 ADFS 오류 메시지와 함께 실패)
+    if (await page.$('#userNameInput') !== null) {
+      const adfsMessage = await page.$eval('#errorText', el => el.textContent.trim()).catch(() => '');
+      throw new AuthenticationError(`로그인 실패: ${adfsMessage || '로그인 화면에서 넘어가지 않습니다. 아이디와 비밀번호를 확인해주세요.'}`);
+    }
     logger.info('로그인 완료');
     
   } catch (error) {
     // 오류 시 스크린샷
     logger.error(`로그인 오류: ${error.message}`);
-    throw error;
+    // 네트워크 오류가 아니면 인증 오류로 분류
+    if (error instanceof VoucherUploadError) throw error;
+    const uploadError = toUploadError(error);
+    throw uploadError instanceof NetworkError
+      ? uploadError
+      : new AuthenticationError(`로그인 실패: ${error.message}`, { cause: error });
   }
 }
 
@@ -2160,31 +2490,26 @@ function setCredentials(username, password) {
 // 실행 예시
 if (require.main === module) {
   const credentials = getCredentials();
-  let globalBrowser; // 브라우저 인스턴스 전역 유지
+  
+  // 프로세스 종료 시 공유 D365 브라우저도 정리
+  process.on('SIGINT', async () => {
+    logger.info('프로세스 종료 요청이 감지되었습니다.');
+    logger.info('브라우저 종료 중...');
+    await closeSession();
+    process.exit(0);
+  });
   
   navigateToDynamics365(credentials)
     .then(result => {
       if (result && result.success) {
         logger.info('스크립트 실행 완료');
         logger.info('브라우저 창이 열린 상태로 유지됩니다. 종료하려면 Ctrl+C를 누르세요.');
-        globalBrowser = result.browser; // 브라우저 인스턴스 저장
         
         // 프로세스 유지 (브라우저 창이 닫히지 않도록)
         process.stdin.resume();
-        
-        // 프로세스 종료 시 브라우저도 정리
-        process.on('SIGINT', async () => {
-          logger.info('프로세스 종료 요청이 감지되었습니다.');
-          if (globalBrowser) {
-            logger.info('브라우저 종료 중...');
-            await globalBrowser.close();
-          }
-          process.exit(0);
-        });
       } else if (result) {
         logger.warn(`스크립트 실행 중 오류 발생: ${result.error}`);
         logger.info('브라우저 창이 열린 상태로 유지됩니다. 종료하려면 Ctrl+C를 누르세요.');
-        globalBrowser = result.browser;
         process.stdin.resume();
       }
     })
@@ -2217,6 +2542,16 @@ class EZVoucher {
   onStatusUpdate(callback) {
     taskEvents.on('task-status-update', callback);
   }
+
+  // 폴더 감시 대기열 변경 구독 함수
+  onWatchQueueUpdate(callback) {
+    taskEvents.on('watch-queue-update', callback);
+  }
+
+  // 작업자 확인 요청 표시/해제 구독 함수
+  onOperatorAttention(callback) {
+    onOperatorAttentionChange(callback);
+  }
   
   // 사용자 인증 정보 설정 메서드 추가
   setCredentials(username, password) {
@@ -2284,7 +2619,7 @@ class EZVoucher {
   }
 
   // 파일 번호 범위 처리 메소드 추가
-  async processFileRange(startFileNumber, endFileNumber) {
+  async processFileRange(startFileNumber, endFileNumber, options = {}) {
     taskEvents.emit('task-status-update', {
       taskName: `파일 ${startFileNumber}-${endFileNumber} 처리`,
       status: 'running',
@@ -2293,8 +2628,7 @@ class EZVoucher {
     });
     
     try {
-      const credentials = getCredentials();
-      const result = await processFileRange(credentials, startFileNumber, endFileNumber);
+      const result = await submitVoucherJob('voucher-range', { startFileNumber, endFileNumber, options });
       
       taskEvents.emit('task-status-update', {
         taskName: `파일 ${startFileNumber}-${endFileNumber} 처리`,
@@ -2316,7 +2650,7 @@ class EZVoucher {
   }
 
   // 단일 파일 처리 메소드 추가
-  async processSingleFile(fileNumber) {
+  async processSingleFile(fileNumber, options = {}) {
     taskEvents.emit('task-status-update', {
       taskName: `파일 ${fileNumber} 처리`,
       status: 'running',
@@ -2325,8 +2659,7 @@ class EZVoucher {
     });
     
     try {
-      const credentials = getCredentials();
-      const result = await processSingleFile(credentials, fileNumber);
+      const result = await submitVoucherJob('voucher-single', { fileNumber, options });
       
       taskEvents.emit('task-status-update', {
         taskName: `파일 ${fileNumber} 처리`,
@@ -2349,18 +2682,235 @@ class EZVoucher {
 }
 
 // 파일 번호 범위를 지정하여 처리하는 함수
-async function processFileRange(credentials, startFileNumber, endFileNumber) {
-  return await processAllFiles(credentials, startFileNumber, endFileNumber);
+async function processFileRange(credentials, startFileNumber, endFileNumber, options = {}) {
+  return await processAllFiles(credentials, startFileNumber, endFileNumber, options);
 }
 
 // 선택된 파일들을 처리하는 함수 (파일 범위 처리와 동일)
-async function processSelectedFiles(credentials, startFileNumber, endFileNumber) {
-  return await processAllFiles(credentials, startFileNumber, endFileNumber);
+async function processSelectedFiles(credentials, startFileNumber, endFileNumber, options = {}) {
+  return await processAllFiles(credentials, startFileNumber, endFileNumber, options);
 }
 
 // 단일 파일을 처리하는 함수
-async function processSingleFile(credentials, fileNumber) {
-  return await processAllFiles(credentials, fileNumber, fileNumber);
+async function processSingleFile(credentials, fileNumber, options = {}) {
+  return await processAllFiles(credentials, fileNumber, fileNumber, options);
+}
+
+// 폴더 파일 목록에서 직접 선택한 파일들을 처리하는 함수 (번호가 연속되지 않아도 됨)
+async function processFileList(credentials, filePaths, options = {}) {
+  return await processAllFiles(credentials, null, null, { ...options, filePaths });
+}
+
+// 작업 대기열의 전표 업로드 작업 종류 (매입송장 작업과 같은 대기열에서 순서대로 실행)
+registerJobType('voucher-range', { kind: 'voucher', label: '전표 파일 범위 업로드', run: runVoucherJob });
+registerJobType('voucher-single', { kind: 'voucher', label: '전표 단일 파일 업로드', run: runVoucherJob });
+registerJobType('voucher-files', { kind: 'voucher', label: '선택한 전표 파일 업로드', run: runVoucherJob });
+registerJobType('voucher-resume', { kind: 'voucher', label: '중단된 배치 이어서 하기', run: runVoucherJob });
+
+/**
+ * 전표 업로드 작업을 작업 대기열에 등록하고 실행 결과 대기
+ * 작업은 등록할 때의 작업 폴더로 실행한다 (대기하는 동안 다른 폴더를 선택해도 바뀌지 않음).
+ * @param {string} type - 'voucher-range' / 'voucher-single' / 'voucher-files' / 'voucher-resume'
+ * @param {Object} params - { startFileNumber, endFileNumber } / { fileNumber } / { filePaths } / { folderPath, fileCount },
+ *   options: processAllFiles 실행 옵션 (dryRun, confirmedReuploads, company)
+ * @param {string} [label] - 대기열에 표시할 작업 설명 (없으면 작업 내용으로 만듦)
+ * @returns {Promise<Object>} processAllFiles 실행 결과
+ */
+function submitVoucherJob(type, params, label = null) {
+  const jobParams = { folderPath, ...params };
+  if (!jobParams.folderPath) {
+    throw new Error('폴더 경로가 설정되지 않았습니다. 먼저 "폴더 지정" 버튼을 클릭하여 폴더를 선택해주세요.');
+  }
+
+  const rehearsal = jobParams.options && jobParams.options.dryRun ? ' 리허설' : '';
+  const folderName = path.basename(jobParams.folderPath);
+  const jobs = {
+    'voucher-range': [`파일 ${jobParams.startFileNumber}-${jobParams.endFileNumber}번${rehearsal}`, jobParams.endFileNumber - jobParams.startFileNumber + 1],
+    'voucher-single': [`파일 ${jobParams.fileNumber}번${rehearsal}`, 1],
+    'voucher-files': [`선택한 파일 ${(jobParams.filePaths || []).length}개${rehearsal}`, (jobParams.filePaths || []).length],
+    'voucher-resume': [`중단된 배치 이어서 하기 (${jobParams.fileCount}개)`, jobParams.fileCount]
+  };
+  const [description, units] = jobs[type];
+  return submitJob(type, { label: label || `${description} · ${folderName}`, params: jobParams, units });
+}
+
+// 작업 대기열에서 전표 업로드 작업 실행 (등록할 때의 작업 폴더로 전환)
+async function runVoucherJob(job) {
+  const credentials = getCredentials();
+  if (!credentials.username || !credentials.password) {
+    throw new Error('로그인 정보가 설정되지 않았습니다. 먼저 로그인을 해주세요.');
+  }
+
+  const { folderPath: jobFolderPath, options = {} } = job.params;
+  if (job.type === 'voucher-resume') {
+    return await resumeInterruptedBatch(credentials, options);
+  }
+  if (!fs.existsSync(jobFolderPath)) {
+    throw new Error(`작업 폴더를 찾을 수 없습니다: ${jobFolderPath}`);
+  }
+  useWorkFolder(jobFolderPath);
+
+  switch (job.type) {
+    case 'voucher-range':
+      return await processSelectedFiles(credentials, job.params.startFileNumber, job.params.endFileNumber, options);
+    case 'voucher-single':
+      return await processSingleFile(credentials, job.params.fileNumber, options);
+    default:
+      return await processFileList(credentials, job.params.filePaths, options);
+  }
+}
+
+// 작업 폴더 전환 (다른 폴더를 감시 중이면 감시 종료)
+function useWorkFolder(targetFolderPath) {
+  if (watchState.watcher && targetFolderPath !== folderPath) {
+    stopFolderWatch();
+  }
+  if (targetFolderPath !== folderPath) {
+    logger.info(`작업 대기열: 작업 폴더를 ${targetFolderPath}(으)로 전환`);
+  }
+  folderPath = targetFolderPath;
+}
+
+// 폴더 감시 상태 (감시 중인 폴더에서 쓰기가 끝난 엑셀 파일을 대기열에 보관)
+const watchState = {
+  watcher: null,
+  autoRun: false,
+  running: false,
+  queue: []
+};
+let watchItemSequence = 0;
+
+// 화면 표시용 대기열 상태
+function getWatchQueueSnapshot() {
+  return {
+    watching: !!watchState.watcher,
+    folderPath,
+    autoRun: watchState.autoRun,
+    running: watchState.running,
+    items: watchState.queue.map(item => ({ ...item }))
+  };
+}
+
+// 대기열 변경을 대시보드에 알림
+function emitWatchQueueUpdate() {
+  taskEvents.emit('watch-queue-update', getWatchQueueSnapshot());
+}
+
+// 작업 폴더 감시 시작 (이미 감시 중이면 다시 시작)
+function startFolderWatch(options = {}) {
+  if (watchState.watcher) {
+    watchState.watcher.close();
+  }
+  if (options.autoRun !== undefined) {
+    watchState.autoRun = !!options.autoRun;
+  }
+  watchState.watcher = watchVoucherFolder(folderPath, enqueueWatchedFile, { debounceMs: options.debounceMs });
+  emitWatchQueueUpdate();
+}
+
+// 작업 폴더 감시 종료 (대기열은 유지)
+function stopFolderWatch() {
+  if (watchState.watcher) {
+    watchState.watcher.close();
+    watchState.watcher = null;
+  }
+  emitWatchQueueUpdate();
+}
+
+// 쓰기가 끝난 파일을 대기열에 추가 (이미 대기 중인 파일은 감지 시각만 갱신)
+function enqueueWatchedFile(filePath) {
+  const fileName = path.basename(filePath);
+  const existing = watchState.queue.find(item => item.filePath === filePath && item.status === 'queued');
+
+  if (existing) {
+    existing.detectedAt = new Date().toISOString();
+    existing.message = '파일 변경 감지 - 업로드 대기';
+  } else {
+    watchState.queue.push({
+      id: ++watchItemSequence,
+      filePath,
+      fileName,
+      status: 'queued',
+      detectedAt: new Date().toISOString(),
+      completedAt: null,
+      message: '업로드 대기'
+    });
+  }
+  logger.info(`감시 대기열에 추가: ${fileName}`);
+  emitWatchQueueUpdate();
+
+  if (watchState.autoRun) {
+    runWatchQueue().catch(error => logger.error(`대기열 자동 실행 중 오류: ${error.message}`));
+  }
+}
+
+// 대기 중인 파일을 processAllFiles로 업로드하고 파일별 결과를 대기열에 반영
+async function runWatchQueue() {
+  if (watchState.running) {
+    return { success: false, error: '이미 대기열을 처리 중입니다.' };
+  }
+
+  const items = watchState.queue.filter(item => item.status === 'queued');
+  if (items.length === 0) {
+    return { success: true, message: '처리할 대기 파일이 없습니다.', successCount: 0, failCount: 0 };
+  }
+
+  const credentials = getCredentials();
+  if (!credentials.username || !credentials.password) {
+    const errorMsg = '로그인 정보가 설정되지 않아 대기열을 처리할 수 없습니다. 먼저 로그인을 해주세요.';
+    logger.warn(errorMsg);
+    return { success: false, error: errorMsg };
+  }
+
+  watchState.running = true;
+  items.forEach(item => {
+    item.status = 'running';
+    item.message = '작업 대기열에서 업로드 대기 / 진행 중';
+  });
+  emitWatchQueueUpdate();
+
+  try {
+    const result = await submitVoucherJob('voucher-files', { filePaths: items.map(item => item.filePath), options: {} },
+      `폴더 감시 파일 ${items.length}개 · ${path.basename(folderPath)}`);
+
+    items.forEach(item => {
+      const fileResult = (result.results || []).find(entry => entry.fileName === item.fileName);
+      item.completedAt = new Date().toISOString();
+      if (!fileResult) {
+        item.status = 'failed';
+        item.message = result.error || '처리되지 않았습니다.';
+      } else if (fileResult.status === 'success' || fileResult.status === 'discrepancy') {
+        item.status = 'done';
+        item.message = fileResult.journalNumber ? `분개장 ${fileResult.journalNumber}` : '업로드 완료';
+        if (fileResult.status === 'discrepancy') {
+          item.message += ` · 대사 불일치: ${fileResult.reconciliation.diffText}`;
+        }
+        if (fileResult.posting) {
+          item.message += ` · ${fileResult.posting.summary}`;
+        }
+      } else {
+        item.status = ['skipped', 'uncertain'].includes(fileResult.status) ? fileResult.status
+          : (fileResult.status === 'operator-skipped' ? 'skipped' : 'failed');
+        item.message = fileResult.errorClassLabel ? `[${fileResult.errorClassLabel}] ${fileResult.error}` : fileResult.error;
+      }
+    });
+    return result;
+  } catch (error) {
+    items.forEach(item => {
+      item.status = 'failed';
+      item.message = error.message;
+      item.completedAt = new Date().toISOString();
+    });
+    throw error;
+  } finally {
+    watchState.running = false;
+    emitWatchQueueUpdate();
+
+    // 처리 중에 새로 들어온 파일이 있으면 자동 실행 모드에서 이어서 처리
+    if (watchState.autoRun && watchState.queue.some(item => item.status === 'queued')) {
+      runWatchQueue().catch(error => logger.error(`대기열 자동 실행 중 오류: ${error.message}`));
+    }
+  }
 }
 
 // 싱글톤 인스턴스 생성 및 내보내기
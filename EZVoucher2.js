@@ -3,7 +3,7 @@
  * 
  * 동작 순서:
  * 1. ERP 접속 및 로그인 완료
- *    - D365 페이지 접속 (https://d365.nepes.co.kr/namespaces/AXSF/?cmp=K02&mi=DefaultDashboard)
+ *    - D365 페이지 접속 (현재 환경 프로필의 D365 주소와 회사, 예: https://d365.nepes.co.kr/namespaces/AXSF/?cmp=K02&mi=DefaultDashboard)
  *    - ADFS 로그인 처리 (#userNameInput, #passwordInput, #submitButton)
  *    - 페이지 로딩 완료 대기
  * 
@@ -12,47 +12,31 @@
  *    - "구매 입고내역 조회(N)" 검색어 입력
  *    - NavigationSearchBox에서 해당 메뉴 클릭
  * 
- * 3. (추후 구현 예정) 매입송장 처리 로직
- *    - 파일 업로드
- *    - 데이터 처리
- *    - 결과 확인
+ * 3. 다운로드한 엑셀 파일 매크로 실행
+ * 4. 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터(AT/AV/AU열) 추출
+ * 5. 캘린더 버튼 클릭 및 송장 처리 (새 탭에서 송장 정보 입력 후 저장)
+ * 6. 대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력
+ * 7. 그룹웨어 상신
+ *
+ * 각 단계는 INVOICE_WORKFLOW_STEPS에 입력값/출력값/제한 시간/재시도 정책과 함께 정의되어 있고
+ * step-workflow.js가 순서대로 실행한다 (실패 단계와 입력값 보고, 시작/종료 단계 지정).
  */
 
-const puppeteer = require('puppeteer');
-const puppeteerExtra = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 const xlsx = require('xlsx'); // 엑셀 파일 읽기용 라이브러리
 
 const { ipcMain, dialog } = require('electron');
+const { getSelectorEntry, resolveElement, findElement, clickElement, typeIntoElement } = require('./selector-resolver.js');
+const { runWorkflow, throwIfStepAborted, findStepIndex, WorkflowStepError } = require('./step-workflow.js');
+const { acquirePage, releasePage, openDashboard, closeSessionIfIdle } = require('./d365-session.js');
+const { RunCancelledError, beginCancellableRun } = require('./run-cancellation.js');
+const { beginEvidenceRun, startEvidenceTrace, captureStepEvidence, finishEvidenceRun } = require('./run-evidence.js');
+const { getSettings, getActiveEnvironment, getLogLevel, scaleDelay, getDownloadDir } = require('./app-settings.js');
 
-// 기본 대기 함수
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// 에러 메시지로부터 실패한 단계를 추정하는 헬퍼 함수
-function getCurrentStepFromError(errorMessage) {
-  const errorLower = errorMessage.toLowerCase();
-  
-  if (errorLower.includes('network') || errorLower.includes('connection') || errorLower.includes('d365') || errorLower.includes('login')) {
-    return 1; // 1단계: ERP 접속 및 로그인
-  } else if (errorLower.includes('navigate') || errorLower.includes('구매') || errorLower.includes('inquiry')) {
-    return 2; // 2단계: 구매 입고내역 조회 페이지 이동
-  } else if (errorLower.includes('excel') || errorLower.includes('macro') || errorLower.includes('엑셀')) {
-    return 3; // 3단계: 엑셀 파일 처리
-  } else if (errorLower.includes('menu') || errorLower.includes('supplier') || errorLower.includes('공급사')) {
-    return 4; // 4단계: 공급사송장 메뉴
-  } else if (errorLower.includes('calendar') || errorLower.includes('캘린더')) {
-    return 5; // 5단계: 캘린더 버튼
-  } else if (errorLower.includes('pending') || errorLower.includes('대기중')) {
-    return 6; // 6단계: 대기중인 공급사송장
-  } else if (errorLower.includes('groupware') || errorLower.includes('그룹웨어')) {
-    return 7; // 7단계: 그룹웨어 상신
-  } else {
-    return 1; // 기본값
-  }
-}
+// 기본 대기 함수 (설정의 대기 시간 배율 적용)
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, scaleDelay(ms)));
 
 // 마지막 처리된 B값의 AT열 날짜 값을 저장하는 전역 변수 (FixedDueDate 입력용)
 let lastProcessedDateFromATColumn = null;
@@ -267,7 +251,7 @@ async function waitForDataTable(page, timeout = 30000) {
 
 // 로거 설정
 const logger = winston.createLogger({
-  level: 'info',
+  level: getLogLevel(),
   format: winston.format.combine(
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
@@ -291,9 +275,6 @@ const logger = winston.createLogger({
   ]
 });
 
-// Puppeteer Extra 설정
-puppeteerExtra.use(StealthPlugin());
-
 // 글로벌 변수
 let globalCredentials = {
   username: '',
@@ -315,28 +296,29 @@ let globalDateRange = {
 
 // 로그인 처리 함수 (EZVoucher.js와 동일한 ADFS 전용 로직)
 async function handleLogin(page, credentials) {
+  const { loginMs, navigationMs } = getSettings().timeouts;
   try {
     // 1. 사용자 이름(이메일) 입력
     logger.info('사용자 이름 입력 중...');
-    await page.waitForSelector('#userNameInput', { visible: true, timeout: 10000 });
+    await page.waitForSelector('#userNameInput', { visible: true, timeout: loginMs });
     await page.type('#userNameInput', credentials.username);
     logger.info('사용자 이름 입력 완료');
     
     // 2. 비밀번호 입력
     logger.info('비밀번호 입력 중...');
-    await page.waitForSelector('#passwordInput', { visible: true, timeout: 10000 });
+    await page.waitForSelector('#passwordInput', { visible: true, timeout: loginMs });
     await page.type('#passwordInput', credentials.password);
     logger.info('비밀번호 입력 완료');
     
     // 3. 로그인 버튼 클릭
     logger.info('로그인 버튼 클릭 중...');
-    await page.waitForSelector('#submitButton', { visible: true, timeout: 10000 });
+    await page.waitForSelector('#submitButton', { visible: true, timeout: loginMs });
     await page.click('#submitButton');
     logger.info('로그인 버튼 클릭 완료');
     
     // 로그인 후 페이지 로드 대기
     logger.info('로그인 후 페이지 로드 대기 중...');
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
+    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: navigationMs });
     
     // 로그인 성공 확인
     logger.info('로그인 완료');
@@ -374,836 +356,498 @@ function getSelectedDateRange() {
   return globalDateRange;
 }
 
-/**
- * 단계별 진행 상황을 추적하는 D365 접속 함수 (다중모드용)
- */
-async function connectToD365WithProgress(credentials, progressCallback, cycle) {
-  logger.info(`=== ${cycle}번째 사이클 - D365 접속 시작 ===`);
-  
-  // 1단계 시작 콜백
-  if (progressCallback) {
-    progressCallback(cycle, 1, 0, null);
+// 4단계에서 엑셀 파일에서 추출한 값 (5~7단계 입력값)
+function getExtractedValues() {
+  return {
+    atDate: lastProcessedDateFromATColumn,
+    avDate: lastProcessedDateFromAVColumn,
+    auValue: lastProcessedValueFromAUColumn,
+    iValue: lastProcessedValueFromIColumn
+  };
+}
+
+// 이전 사이클에서 추출한 값이 다음 사이클에 남지 않도록 초기화
+function resetExtractedValues() {
+  lastProcessedDateFromATColumn = null;
+  lastProcessedDateFromAVColumn = null;
+  lastProcessedValueFromAUColumn = null;
+  lastProcessedValueFromIColumn = null;
+  extractedVendorInvoiceValue = null;
+}
+
+// 호출하는 쪽에서 넘긴 추출 값을 5~7단계 함수가 읽는 전역 변수에 반영 (5단계 이후부터 시작하는 경우)
+function applyExtractedValues(data) {
+  if (data.atDate !== undefined) lastProcessedDateFromATColumn = data.atDate;
+  if (data.avDate !== undefined) lastProcessedDateFromAVColumn = data.avDate;
+  if (data.auValue !== undefined) lastProcessedValueFromAUColumn = data.auValue;
+  if (data.iValue !== undefined) lastProcessedValueFromIColumn = data.iValue;
+  if (data.vendorInvoiceValue !== undefined) extractedVendorInvoiceValue = data.vendorInvoiceValue;
+}
+
+// 1단계 실행: D365 페이지 접속 및 로그인 (공유 세션이 ADFS 로그인 화면으로 이동된 경우에만 로그인, 접속 실패 시 단계 재시도 정책으로 다시 시도)
+// 지정한 회사(company)로 대시보드를 열고 실제로 열린 회사를 company로 돌려준다
+// signal: 단계 시도 중단 신호 (제한 시간이 지나면 재시도 전에 멈춤)
+async function loginToD365({ page, credentials, company }, { signal } = {}) {
+  const { company: openedCompany } = await openDashboard(page, credentials, { login: handleLogin, company, maxRetries: 1 });
+  throwIfStepAborted(signal);
+
+  // 로그인 후 페이지가 완전히 로드될 때까지 스마트 대기
+  logger.info('로그인 후 페이지 로딩 확인 중...');
+  const pageReady = await smartWait.forPageReady(page, 8000);
+  if (!pageReady) {
+    logger.warn('페이지 로딩 확인 실패, 기본 2초 대기로 진행');
+    await delay(2000);
   }
-  
-  const browser = await puppeteerExtra.launch({
-    headless: false,
-    channel: 'chrome',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-web-security',
-      '--disable-features=VizDisplayCompositor',
-      '--start-maximized',
-      '--ignore-certificate-errors',
-      '--ignore-ssl-errors',
-      '--ignore-certificate-errors-spki-list'
-    ],
-    defaultViewport: null
-  });
+  logger.info('페이지 로딩 확인 완료');
+  return { company: openedCompany };
+}
 
-  const page = await browser.newPage();
-  
-  try {
-    // User-Agent 설정
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    // SSL 인증서 오류 처리
-    await page.setBypassCSP(true);
-    
-    // 페이지 요청 인터셉트 설정 (SSL 오류 처리용)
-    await page.setRequestInterception(true);
-    page.on('request', request => {
-      request.continue();
-    });
-    
-    // 대화상자 처리 (인증서 경고 등)
-    page.on('dialog', async dialog => {
-      logger.info(`대화상자 감지: ${dialog.message()}`);
-      await dialog.accept();
-    });
-    
-    // D365 페이지 접속 (재시도 로직 추가)
-    logger.info('D365 페이지로 이동 중...');
-    let pageLoadSuccess = false;
-    let retryCount = 0;
-    const maxRetries = 3;
-    
-    while (!pageLoadSuccess && retryCount < maxRetries) {
-      try {
-        retryCount++;
-        logger.info(`D365 페이지 접속 시도 ${retryCount}/${maxRetries}`);
-        
-        await page.goto('https://d365.nepes.co.kr/namespaces/AXSF/?cmp=K02&mi=DefaultDashboard', {
-          waitUntil: 'networkidle2',
-          timeout: 60000 // 60초 타임아웃
-        });
-        
-        pageLoadSuccess = true;
-        logger.info('D365 페이지 로드 완료');
-      } catch (networkError) {
-        logger.error(`D365 페이지 접속 시도 ${retryCount} 실패: ${networkError.message}`);
-        
-        if (retryCount >= maxRetries) {
-          const errorMsg = `네트워크 연결 실패: D365 사이트(https://d365.nepes.co.kr)에 접속할 수 없습니다. 인터넷 연결을 확인하거나 VPN이 필요할 수 있습니다.`;
-          logger.error(errorMsg);
-          if (progressCallback) {
-            progressCallback(cycle, 1, 0, errorMsg);
-          }
-          throw new Error(errorMsg);
-        }
-        
-        // 재시도 전 2초 대기
-        logger.info('2초 후 재시도합니다...');
-        await delay(2000);
+/**
+ * 매입송장 처리 단계 정의 (step-workflow.js 단계 형식)
+ * 데이터를 입력/저장/상신하는 5~7단계는 중복 처리를 막기 위해 재시도하지 않는다.
+ */
+const INVOICE_WORKFLOW_STEPS = [
+  {
+    id: 'login',
+    number: 1,
+    name: 'ERP 접속 및 로그인',
+    inputs: ['page', 'username', 'company'],
+    outputs: ['company'],
+    timeoutMs: 120000,
+    retry: { maxRetries: 2, backoffMs: 2000 },
+    always: true,
+    run: loginToD365
+  },
+  {
+    id: 'receivingInquiry',
+    number: 2,
+    name: '구매 입고내역 조회 및 다운로드',
+    inputs: ['page'],
+    outputs: [],
+    timeoutMs: 300000,
+    retry: { maxRetries: 1, backoffMs: 3000 },
+    run: async ({ page }, { signal }) => {
+      await navigateToReceivingInquiry(page, { signal });
+    }
+  },
+  {
+    id: 'excelMacro',
+    number: 3,
+    name: '엑셀 파일 열기 및 매크로 실행',
+    inputs: ['valueA'],
+    outputs: ['excelFilePath'],
+    timeoutMs: 180000,
+    run: async () => {
+      const excelResult = await executeExcelProcessing();
+      if (!excelResult.success) {
+        throw new Error(excelResult.error);
       }
+      return { excelFilePath: excelResult.filePath, excelFileName: excelResult.fileName };
     }
-    
-    // 로그인 처리 (필요한 경우)
-    if (await page.$('input[type="email"]') !== null || await page.$('#userNameInput') !== null) {
-      logger.info('로그인 화면 감지됨, 로그인 시도 중...');
-      await handleLogin(page, credentials);
+  },
+  {
+    id: 'pendingVendorInvoice',
+    number: 4,
+    name: '대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리',
+    inputs: ['page', 'excelFilePath', 'valueA'],
+    outputs: ['atDate', 'avDate', 'auValue'],
+    timeoutMs: 600000,
+    run: async ({ page, excelFilePath }) => {
+      const pendingResult = await navigateToPendingVendorInvoice(page, excelFilePath);
+      if (!pendingResult.success) {
+        throw new Error(pendingResult.error);
+      }
+      return getExtractedValues();
     }
-    
-    // 로그인 후 페이지가 완전히 로드될 때까지 스마트 대기
-    logger.info('로그인 후 페이지 로딩 확인 중...');
-    const pageReady = await smartWait.forPageReady(page, 8000);
-    if (!pageReady) {
-      logger.warn('페이지 로딩 확인 실패, 기본 2초 대기로 진행');
+  },
+  {
+    id: 'invoiceEntry',
+    number: 5,
+    name: '캘린더 버튼 클릭 및 송장 처리',
+    inputs: ['page', 'atDate', 'avDate', 'auValue'],
+    outputs: ['invoicePage'],
+    timeoutMs: 300000,
+    run: async ({ page }) => {
+      const invoicePage = await clickCalendarButton(page);
+      if (!invoicePage) {
+        throw new Error('송장 정보 입력 탭까지 진행하지 못했습니다. (송장 번호 또는 Description 입력란을 찾을 수 없음)');
+      }
+      return { invoicePage, vendorInvoiceValue: extractedVendorInvoiceValue };
+    }
+  },
+  {
+    id: 'pendingInvoiceFilter',
+    number: 6,
+    name: '대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력',
+    inputs: ['invoicePage', 'auValue'],
+    outputs: [],
+    timeoutMs: 300000,
+    run: async ({ invoicePage }) => {
       await delay(2000);
+      await executeStep6RPA(invoicePage);
     }
-    
-    logger.info('페이지 로딩 확인 완료');
-    logger.info(`=== 1단계: ERP 접속 및 로그인 완료 (${cycle}번째 사이클) ===`);
-    
-    // 1단계 완료 콜백
-    if (progressCallback) {
-      progressCallback(cycle, 2, 1, null);
+  },
+  {
+    id: 'groupwareSubmit',
+    number: 7,
+    name: '그룹웨어 상신',
+    inputs: ['invoicePage', 'auValue'],
+    outputs: [],
+    timeoutMs: 300000,
+    run: async ({ invoicePage }) => {
+      await delay(2000);
+      await executeStep7RPA(invoicePage);
     }
-    
-    // 2단계: 구매 입고내역 조회 페이지 이동
-    try {
-      await navigateToReceivingInquiry(page);
-      logger.info(`=== 2단계: 구매 입고내역 조회 페이지 이동 완료 (${cycle}번째 사이클) ===`);
-      
-      // 2단계 완료 콜백
-      if (progressCallback) {
-        progressCallback(cycle, 3, 2, null);
-      }
-    } catch (step2Error) {
-      const errorMsg = `2단계 실패: ${step2Error.message}`;
-      logger.error(errorMsg);
-      if (progressCallback) {
-        progressCallback(cycle, 2, 1, errorMsg);
-      }
-      throw new Error(errorMsg);
+  }
+];
+
+// 공유 D365 세션에서 매입송장 처리용 작업 탭 받기
+async function acquireInvoicePage() {
+  const page = await acquirePage();
+  try {
+    // User-Agent 설정
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    return page;
+  } catch (error) {
+    await releasePage(page);
+    throw error;
+  }
+}
+
+// 브라우저 알림 팝업 표시 (작업 탭을 받지 못했거나 실패해도 계속 진행)
+async function showBrowserAlert(page, message) {
+  if (!page) return;
+  try {
+    await page.evaluate(text => alert(text), message);
+    logger.info('알림 팝업창 표시됨');
+  } catch (alertError) {
+    logger.warn(`알림 팝업창 표시 실패: ${alertError.message}`);
+  }
+}
+
+/**
+ * 매입송장 처리 워크플로 실행 (공유 세션 작업 탭 받기 → 단계 실행 → 결과 팝업 → 작업 탭 반환)
+ * @param {Object} credentials - { username, password }
+ * @param {Object} [options] - {
+ *   cycle: 다중모드 사이클 번호,
+ *   progressCallback(cycle, currentStep, completedSteps, error): 다중모드 진행 콜백,
+ *   onProgress(event): 단계 진행 이벤트 (step-workflow.js 이벤트 + cycle),
+ *   startAt, stopAfter: 시작/종료 단계 번호 또는 id,
+ *   company: 처리할 D365 회사 코드 (기본: 앱 설정의 회사),
+ *   data: 건너뛴 단계 대신 넘길 입력값 (예: { excelFilePath, atDate, avDate, auValue }),
+ *   signal: 실행 취소 신호 (없으면 run-cancellation.js에 'invoice' 실행으로 등록하여 대시보드의 취소 버튼으로 취소)
+ * }
+ * 단계마다 증거 자료(run-evidence.js - 스크린샷, 주소, DOM 스냅샷)를 남기며, 실패하면 증거 폴더와 로그를 zip으로 묶는다.
+ * 취소하면 진행 중인 단계를 마친 뒤 다음 단계 전에 멈추고 브라우저를 닫는다.
+ * @returns {Promise<Object>} 성공: { success, message, company, environment, evidence, stepResults, ... }
+ *   실패: { success: false, error, company, environment, evidence: { dir, zipPath }, failedStep, failedStepId, failedStepName, failedStepData, stepResults, ... }
+ *   취소: { success: false, cancelled: true, status: 'cancelled', error, completedItems: 완료한 단계 목록, stepResults, ... }
+ */
+async function runInvoiceWorkflow(credentials, options = {}) {
+  const { cycle, progressCallback } = options;
+  const cycleLabel = cycle ? `${cycle}번째 사이클 ` : '';
+  const company = String(options.company || getSettings().company).toUpperCase();
+  const environment = getActiveEnvironment().name;
+  logger.info(`=== ${cycleLabel}매입송장 처리 - D365 접속 시작 (환경: ${environment}, 회사: ${company}) ===`);
+
+  // 단계 진행 이벤트를 기존 진행 콜백 형식(사이클, 현재 단계, 완료 단계 수, 오류)으로도 전달
+  const handleProgress = (event) => {
+    if (progressCallback) {
+      const stepNumber = event.step.number;
+      if (event.type === 'start') progressCallback(cycle, stepNumber, stepNumber - 1, null);
+      if (event.type === 'complete') progressCallback(cycle, stepNumber, stepNumber, null);
+      if (event.type === 'fail') progressCallback(cycle, stepNumber, stepNumber - 1, event.error);
     }
-    
-    // 3단계: 엑셀 파일 열기 및 매크로 실행
-    try {
-      logger.info(`🚀 === 3단계: 엑셀 파일 열기 및 매크로 실행 시작 (${cycle}번째 사이클) ===`);
-      const excelResult = await executeExcelProcessing(page);
-      if (!excelResult.success) {
-        const errorMsg = `3단계 실패: ${excelResult.error}`;
-        logger.error(errorMsg);
-        if (progressCallback) {
-          progressCallback(cycle, 3, 2, errorMsg);
-        }
-        throw new Error(errorMsg);
-      } else {
-        logger.info(`✅ 3단계: 엑셀 파일 열기 및 매크로 실행 완료 (${cycle}번째 사이클)`);
-        logger.info(`✅ 4단계: 대기중인 공급사송장 메뉴 이동도 완료됨 (${cycle}번째 사이클)`);
-        
-        // 3단계, 4단계 완료 콜백
-        if (progressCallback) {
-          progressCallback(cycle, 5, 4, null);
-        }
-      }
-    } catch (step3Error) {
-      const errorMsg = `3단계 실패: ${step3Error.message}`;
-      logger.error(errorMsg);
-      if (progressCallback) {
-        progressCallback(cycle, 3, 2, errorMsg);
-      }
-      throw new Error(errorMsg);
+    if (options.onProgress) {
+      options.onProgress({ ...event, cycle });
     }
-    
-    // 5~7단계는 executeExcelProcessing 내부에서 실행되므로 완료로 처리
-    logger.info(`=== 5~7단계: 송장 처리 및 그룹웨어 상신 완료 (${cycle}번째 사이클) ===`);
-    
-    // 전체 완료 콜백
-    if (progressCallback) {
-      progressCallback(cycle, 7, 7, null);
+  };
+
+  const data = { ...(options.data || {}) };
+  resetExtractedValues();
+  applyExtractedValues(data);
+
+  // 엑셀 매크로 단계 이후부터 시작하면서 파일을 지정하지 않은 경우 다운로드 폴더의 최신 엑셀 파일 사용
+  if (!data.excelFilePath && options.startAt && findStepIndex(INVOICE_WORKFLOW_STEPS, options.startAt) > findStepIndex(INVOICE_WORKFLOW_STEPS, 'excelMacro')) {
+    const latestExcel = await openDownloadedExcel();
+    if (latestExcel.success) {
+      data.excelFilePath = latestExcel.filePath;
+      logger.info(`시작 단계 이전의 엑셀 파일로 최신 다운로드 파일 사용: ${latestExcel.fileName}`);
     }
-    
+  }
+
+  // 실행 증거 기록 (단계별 스크린샷, 주소, DOM 스냅샷)
+  const evidenceRun = beginEvidenceRun('invoice', `${cycleLabel}매입송장 (회사 ${company})`);
+  // 대시보드의 취소 버튼으로 취소할 수 있도록 실행 등록 (다중모드 사이클은 다중모드 실행의 신호 사용)
+  const cancellation = beginCancellableRun('invoice', `${cycleLabel}매입송장 (회사 ${company})`, options.signal);
+
+  let page = null;
+  try {
+    // 공유 세션에서 작업 탭 받기 (브라우저 실행 실패도 아래 catch에서 증거를 zip으로 묶음)
+    page = await acquireInvoicePage();
+    await startEvidenceTrace(evidenceRun, page);
+    const workflow = await runWorkflow(INVOICE_WORKFLOW_STEPS, {
+      data: { ...data, page, credentials, company, username: credentials.username, valueA: userInputValueA },
+      startAt: options.startAt,
+      stopAfter: options.stopAfter,
+      signal: cancellation.signal,
+      onProgress: handleProgress,
+      afterStep: ({ step, status, error }) => captureStepEvidence(evidenceRun, page, `${step.number}_${step.name}`, { status, error })
+    });
+
+    const completedResults = workflow.stepResults.filter(result => result.status === 'completed');
+    const summary = workflow.stepResults
+      .map(result => result.status === 'completed' ? `✅ ${result.number}. ${result.name} 완료` : `⏭️ ${result.number}. ${result.name} (건너뜀)`)
+      .join('\n');
+
     // 전체 프로세스 완료 대기
     await delay(5000);
-    
-    // 완료 팝업창 표시
-    try {
-      await page.evaluate((cycleNum) => {
-        alert(`🎉 ${cycleNum}번째 사이클 매입송장 처리 RPA 자동화가 완료되었습니다!\n\n✅ 1. ERP 접속 및 로그인 완료\n✅ 2. 구매 입고내역 조회 및 다운로드 완료\n✅ 3. 엑셀 파일 열기 및 매크로 실행 완료\n✅ 4. 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료\n✅ 5. 캘린더 버튼 클릭 및 송장 처리 완료\n✅ 6. 대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력 완료\n✅ 7. 그룹웨어 상신 완료\n\n브라우저가 자동으로 닫힙니다.`);
-      }, cycle);
-      logger.info('✅ 완료 팝업창 표시됨');
-    } catch (alertError) {
-      logger.warn(`완료 팝업창 표시 실패: ${alertError.message}`);
-    }
-    
-    // 브라우저 닫기
-    try {
-      await browser.close();
-      logger.info('✅ 브라우저 닫기 완료');
-    } catch (closeError) {
-      logger.warn(`브라우저 닫기 실패: ${closeError.message}`);
-    }
-    
-    logger.info(`🎉 === ${cycle}번째 사이클 전체 RPA 프로세스 완료 - 브라우저 닫기 후 종료 ===`);
-    
+    const evidence = await finishEvidenceRun(evidenceRun, { success: true });
+
+    await showBrowserAlert(page, `🎉 ${cycleLabel}매입송장 처리 RPA 자동화가 완료되었습니다!\n\n${summary}\n\n작업 탭이 자동으로 닫힙니다.`);
+    await releasePage(page);
+
+    logger.info(`🎉 === ${cycleLabel}매입송장 처리 완료 (${workflow.completedSteps}/${INVOICE_WORKFLOW_STEPS.length}단계 실행) - 작업 탭 닫기 후 종료 (브라우저 세션 유지) ===`);
+
     // 성공 시 serializable한 객체만 반환
-    return { 
-      success: true, 
-      message: `${cycle}번째 사이클 완료: 1. ERP 접속 및 로그인 완료\n2. 구매 입고내역 조회 및 다운로드 완료\n3. 엑셀 파일 열기 및 매크로 실행 완료\n4. 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료\n5. 캘린더 버튼 클릭 및 송장 처리 완료\n6. 대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력 완료\n7. 그룹웨어 상신 완료`,
+    return {
+      success: true,
+      message: `${cycle ? `${cycle}번째 사이클 완료: ` : ''}${completedResults.map(result => `${result.number}. ${result.name} 완료`).join('\n')}`,
       completedAt: new Date().toISOString(),
-      browserKeptOpen: false,
-      cycle: cycle
+      browserKeptOpen: true,
+      cycle: cycle,
+      company: workflow.data.company,
+      environment,
+      evidence,
+      stepResults: workflow.stepResults
     };
-    
+
   } catch (error) {
-    logger.error(`${cycle}번째 사이클 D365 접속 중 오류 발생: ${error.message}`);
-    
-    // 에러 팝업창 표시
-    try {
-      await page.evaluate((errorMsg, cycleNum) => {
-        alert(`❌ ${cycleNum}번째 사이클 매입송장 처리 RPA 자동화 중 오류가 발생했습니다!\n\n오류 내용: ${errorMsg}\n\n브라우저가 자동으로 닫힙니다.`);
-      }, error.message, cycle);
-      logger.info('❌ 에러 팝업창 표시됨');
-    } catch (alertError) {
-      logger.warn(`에러 팝업창 표시 실패: ${alertError.message}`);
+    if (error instanceof RunCancelledError) {
+      return await finishCancelledInvoiceRun(error, { evidenceRun, page, cycle, company, environment });
     }
-    
-    // 브라우저 닫기 (에러 시에도)
-    try {
-      await browser.close();
-      logger.info('✅ 브라우저 닫기 완료 (에러 발생 시)');
-    } catch (closeError) {
-      logger.warn(`브라우저 닫기 실패: ${closeError.message}`);
+    logger.error(`${cycleLabel}매입송장 처리 중 오류 발생: ${error.message}`);
+
+    // 단계 밖의 오류는 오류 시점 화면을 증거로 추가한 뒤 zip으로 묶음 (단계 실패는 afterStep에서 이미 저장)
+    if (!(error instanceof WorkflowStepError)) {
+      await captureStepEvidence(evidenceRun, page, '오류', { status: 'failed', error: error.message });
     }
-    
-    // 실패 시 serializable한 객체 반환
-    return { 
-      success: false, 
+    const evidence = await finishEvidenceRun(evidenceRun, { success: false, error: error.message });
+
+    await showBrowserAlert(page, `❌ ${cycleLabel}매입송장 처리 RPA 자동화 중 오류가 발생했습니다!\n\n오류 내용: ${error.message}\n\n작업 탭이 자동으로 닫힙니다.`);
+    await releasePage(page);
+
+    // 실패 시 serializable한 객체 반환 (단계 오류가 아니면 실패 단계 정보 없음)
+    const stepError = error instanceof WorkflowStepError ? error : null;
+    return {
+      success: false,
       error: error.message,
       failedAt: new Date().toISOString(),
-      browserKeptOpen: false,
+      browserKeptOpen: true,
       cycle: cycle,
-      failedStep: getCurrentStepFromError(error.message)
+      company,
+      environment,
+      evidence,
+      failedStep: stepError ? stepError.stepNumber : null,
+      failedStepId: stepError ? stepError.stepId : null,
+      failedStepName: stepError ? stepError.stepName : null,
+      failedStepData: stepError ? stepError.inputs : null,
+      timedOut: stepError ? stepError.timedOut : false,
+      stepResults: stepError ? stepError.stepResults : []
     };
+  } finally {
+    cancellation.finish();
   }
 }
 
-// 1. ERP 접속 및 로그인 완료
-async function connectToD365(credentials) {
-  logger.info('=== 매입송장 처리 - D365 접속 시작 ===');
-  
-  const browser = await puppeteerExtra.launch({
-    headless: false,
-    channel: 'chrome',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-web-security',
-      '--disable-features=VizDisplayCompositor',
-      '--start-maximized',
-      '--ignore-certificate-errors',
-      '--ignore-ssl-errors',
-      '--ignore-certificate-errors-spki-list'
-    ],
-    defaultViewport: null
-  });
+// 취소한 매입송장 실행 정리 - 증거 목차에 취소로 기록하고 작업 탭과 브라우저를 닫은 뒤 완료한 단계 목록 반환
+async function finishCancelledInvoiceRun(error, { evidenceRun, page, cycle, company, environment }) {
+  const cycleLabel = cycle ? `${cycle}번째 사이클 ` : '';
+  const stepResults = error.stepResults || [];
+  const completedItems = stepResults
+    .filter(result => result.status === 'completed')
+    .map(result => ({ id: result.id, number: result.number, name: result.name }));
+  logger.warn(`🛑 ${cycleLabel}매입송장 처리 실행 취소: ${error.message} (완료한 단계 ${completedItems.length}개)`);
+
+  await captureStepEvidence(evidenceRun, page, '실행_취소', { status: 'cancelled', error: error.message });
+  const evidence = await finishEvidenceRun(evidenceRun, { success: false, cancelled: true, error: error.message });
+
+  // 작업 탭을 닫고 다른 작업이 브라우저를 쓰고 있지 않으면 브라우저까지 닫음
+  await releasePage(page);
+  await closeSessionIfIdle();
+
+  return {
+    success: false,
+    cancelled: true,
+    status: 'cancelled',
+    error: `${cycleLabel}실행이 취소되었습니다. 완료한 단계: ${completedItems.length > 0 ? completedItems.map(item => `${item.number}. ${item.name}`).join(', ') : '없음'}`,
+    completedItems,
+    cancelledAt: new Date().toISOString(),
+    browserKeptOpen: false,
+    cycle: cycle,
+    company,
+    environment,
+    evidence,
+    failedStep: null,
+    stepResults
+  };
+}
+
+/**
+ * 단계별 진행 상황을 추적하는 D365 접속 함수 (다중모드용)
+ * @param {Object} [options] - onProgress, startAt, stopAfter, data (runInvoiceWorkflow 참고)
+ */
+async function connectToD365WithProgress(credentials, progressCallback, cycle, options = {}) {
+  return runInvoiceWorkflow(credentials, { ...options, progressCallback, cycle });
+}
+
+// 1~7. ERP 접속부터 그룹웨어 상신까지 매입송장 처리 (options는 runInvoiceWorkflow 참고)
+async function connectToD365(credentials, options = {}) {
+  return runInvoiceWorkflow(credentials, options);
+}
+
+// 탐색 검색으로 메뉴 이동: 검색 버튼 클릭 → 검색어 입력 → 검색 결과에서 메뉴 클릭
+// 검색 결과 메뉴를 찾지 못하면 Enter 키로 첫 번째 결과를 선택한다
+async function openMenuFromSearch(page, searchTerm, resultSelectorName, { signal } = {}) {
+  logger.info('검색 버튼 찾는 중...');
+  await clickElement(page, 'navigation.searchButton', { timeout: 2000 });
+  logger.info('검색 버튼 클릭 성공');
+
+  // 검색창이 나타날 때까지 대기
+  await delay(2000);
+
+  throwIfStepAborted(signal);
+  logger.info('검색어 입력 중...');
+  await typeIntoElement(page, 'navigation.searchInput', searchTerm, { timeout: 5000, delay: 100 });
+  logger.info(`검색어 입력 완료: ${searchTerm}`);
+
+  // 검색 결과가 나타날 때까지 대기
+  await delay(3000);
+
+  throwIfStepAborted(signal);
+  logger.info(`검색 결과에서 "${searchTerm}" 메뉴 찾는 중...`);
+  const menuItem = await findElement(page, resultSelectorName, { timeout: 3000 });
+  if (menuItem) {
+    await menuItem.element.evaluate(element => element.click());
+    await menuItem.element.dispose();
+    logger.info(`"${searchTerm}" 메뉴 클릭 완료`);
+  } else {
+    logger.info('Enter 키로 검색 결과 선택 시도...');
+    await page.keyboard.press('Enter');
+  }
+}
 
-  const page = await browser.newPage();
+// 2. 검색 기능을 통한 구매 입고내역 조회 페이지 이동
+// signal: 단계 시도 중단 신호 - 하위 단계 사이마다 확인하여 제한 시간이 지난 시도는 재시도 전에 멈춤
+async function navigateToReceivingInquiry(page, { signal } = {}) {
+  logger.info('=== 2. 구매 입고내역 조회 페이지 이동 시작 ===');
   
   try {
-    // User-Agent 설정
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    // 2-1 ~ 2-3. 검색 버튼 클릭 후 "구매 입고내역 조회(N)" 검색, 검색 결과에서 해당 메뉴 클릭
+    await openMenuFromSearch(page, '구매 입고내역 조회(N)', 'navigation.receivingInquiryResult', { signal });
+    
+    // 페이지 이동 대기
+    logger.info('구매 입고내역 조회 페이지 로딩 대기 중...');
+    await delay(5000);
     
-    // SSL 인증서 오류 처리
-    await page.setBypassCSP(true);
+    // 페이지 로딩 완료 확인
+    const pageReady = await smartWait.forPageReady(page, 10000);
+    if (!pageReady) {
+      logger.warn('페이지 로딩 확인 실패, 기본 3초 대기로 진행');
+      await delay(3000);
+    }
     
-    // 페이지 요청 인터셉트 설정 (SSL 오류 처리용)
-    await page.setRequestInterception(true);
-    page.on('request', request => {
-      request.continue();
-    });
+    logger.info('=== 2. 구매 입고내역 조회 페이지 이동 완료 ===');
+
+
     
-    // 대화상자 처리 (인증서 경고 등)
-    page.on('dialog', async dialog => {
-      logger.info(`대화상자 감지: ${dialog.message()}`);
-      await dialog.accept();
-    });
+    // 3. FromDate 입력 (현재 월의 첫날)
+    throwIfStepAborted(signal);
+    logger.info('=== 3. FromDate 설정 시작 ===');
     
-    // D365 페이지 접속 (재시도 로직 추가)
-    logger.info('D365 페이지로 이동 중...');
-    let pageLoadSuccess = false;
-    let retryCount = 0;
-    const maxRetries = 3;
+    // 현재 날짜에서 월의 첫날 계산
+    /*const now = new Date();
+    // 현재날짜 기준 현재월 가져오기
+    const fromDate = `${now.getMonth() + 1}/1/${now.getFullYear()}`; // M/d/YYYY 형태
+
+    logger.info(`설정할 FromDate: ${fromDate}`);
+    */
     
-    while (!pageLoadSuccess && retryCount < maxRetries) {
-      try {
-        retryCount++;
-        logger.info(`D365 페이지 접속 시도 ${retryCount}/${maxRetries}`);
-        
-        await page.goto('https://d365.nepes.co.kr/namespaces/AXSF/?cmp=K02&mi=DefaultDashboard', {
-          waitUntil: 'networkidle2',
-          timeout: 60000 // 60초 타임아웃
-        });
-        
-        pageLoadSuccess = true;
-        logger.info('D365 페이지 로드 완료');
-      } catch (networkError) {
-        logger.error(`D365 페이지 접속 시도 ${retryCount} 실패: ${networkError.message}`);
-        
-        if (retryCount >= maxRetries) {
-          const errorMsg = `네트워크 연결 실패: D365 사이트(https://d365.nepes.co.kr)에 접속할 수 없습니다. 인터넷 연결을 확인하거나 VPN이 필요할 수 있습니다.`;
-          logger.error(errorMsg);
-          throw new Error(errorMsg);
-        }
-        
-        // 재시도 전 2초 대기
-        logger.info('2초 후 재시도합니다...');
-        await delay(2000);
-      }
-    }    // 로그인 처리 (필요한 경우) - EZVoucher.js와 동일한 조건
-    if (await page.$('input[type="email"]') !== null || await page.$('#userNameInput') !== null) {
-      logger.info('로그인 화면 감지됨, 로그인 시도 중...');
-      await handleLogin(page, credentials);
+    // 사용자 선택된 날짜 범위 사용
+    let fromDate;
+
+    // 디버깅: globalDateRange 현재 상태 확인
+    logger.info(`[DEBUG] 현재 globalDateRange 상태:`, JSON.stringify(globalDateRange, null, 2));
+
+    // globalDateRange에서 fromDate가 이미 설정된 경우 사용
+    if (globalDateRange.fromDate) {
+      fromDate = globalDateRange.fromDate;
+      logger.info(`[UI에서 설정된 값 사용] FromDate: ${fromDate} (${globalDateRange.year}년 ${globalDateRange.month}월)`);
+    } else {
+      // 기본값: 현재월의 첫날 (fallback)
+      const now = new Date();
+      const currentMonth = now.getMonth() + 1;
+      const currentYear = now.getFullYear();
+      fromDate = `${currentMonth}/1/${currentYear}`;
+      logger.info(`[기본값 사용] FromDate: ${fromDate} (현재월)`);
     }
+
+    logger.info(`설정할 FromDate: ${fromDate}`);
     
-    // 로그인 후 페이지가 완전히 로드될 때까지 스마트 대기
-    logger.info('로그인 후 페이지 로딩 확인 중...');
-    const pageReady = await smartWait.forPageReady(page, 8000);
-    if (!pageReady) {
-      logger.warn('페이지 로딩 확인 실패, 기본 2초 대기로 진행');
-      await delay(2000);
-    }    logger.info('페이지 로딩 확인 완료');
+    //-------------------------------------------------------------------------------
+
+    await typeIntoElement(page, 'receivingInquiry.fromDateInput', fromDate, { timeout: 5000, delay: 100 });
+    await page.keyboard.press('Tab'); // 포커스 이동으로 입력 확정
+    logger.info(`FromDate 설정 완료: ${fromDate}`);
     
-    logger.info('=== 1. ERP 접속 및 로그인 완료 ===');
+    await delay(1000); // 입력 안정화 대기
     
-    // 2번 동작 실행: 구매 입고내역 조회 페이지 이동
-    await navigateToReceivingInquiry(page);
+    // 4. ToDate 입력 (현재 월의 마지막 날)
+    throwIfStepAborted(signal);
+    logger.info('=== 4. ToDate 설정 시작 ===');
     
-    // 3번 동작 실행: 엑셀 파일 열기 및 매크로 실행 (page 매개변수 전달)
-    logger.info('🚀 === 3번 동작: 엑셀 파일 열기 및 매크로 실행 시작 ===');
-    const excelResult = await executeExcelProcessing(page);
-    if (!excelResult.success) {
-      logger.warn(`⚠️ 엑셀 처리 실패: ${excelResult.error}`);
+    /*
+    // 현재 날짜에서 월의 마지막 날 계산
+    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+    const toDate = `${now.getMonth() + 1}/${lastDay}/${now.getFullYear()}`; // M/d/YYYY 형태
+    logger.info(`설정할 ToDate: ${toDate}`);
+    */
+   
+    // 사용자 선택된 날짜 범위 사용
+    let toDate;
+
+    // globalDateRange에서 toDate가 이미 설정된 경우 사용
+    if (globalDateRange.toDate) {
+      toDate = globalDateRange.toDate;
+      logger.info(`[UI에서 설정된 값 사용] ToDate: ${toDate} (${globalDateRange.year}년 ${globalDateRange.month}월)`);
     } else {
-      logger.info('✅ 3번 동작: 엑셀 파일 열기 및 매크로 실행 완료');
-      logger.info('✅ 4번 동작: 대기중인 공급사송장 메뉴 이동도 완료됨');
+      // 기본값: 현재월의 마지막날 (fallback)
+      const now = new Date();
+      const currentMonth = now.getMonth() + 1;
+      const currentYear = now.getFullYear();
+      const lastDay = new Date(currentYear, currentMonth, 0).getDate();
+      toDate = `${currentMonth}/${lastDay}/${currentYear}`;
+      logger.info(`[기본값 사용] ToDate: ${toDate} (현재월)`);
     }
+
+    logger.info(`설정할 ToDate: ${toDate}`);
     
+
+    await typeIntoElement(page, 'receivingInquiry.toDateInput', toDate, { timeout: 5000, delay: 100 });
+    await page.keyboard.press('Tab'); // 포커스 이동으로 입력 확정
+    logger.info(`ToDate 설정 완료: ${toDate}`);
     
-    // 전체 프로세스 완료 대기
-    await delay(5000);
+    await delay(1000); // 입력 안정화 대기
     
-    // 완료 팝업창 표시
-    try {
-      await page.evaluate(() => {
-        alert('🎉 매입송장 처리 RPA 자동화가 완료되었습니다!\n\n✅ 1. ERP 접속 및 로그인 완료\n✅ 2. 구매 입고내역 조회 및 다운로드 완료\n✅ 3. 엑셀 파일 열기 및 매크로 실행 완료\n✅ 4. 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료\n✅ 5. 캘린더 버튼 클릭 및 송장 처리 완료\n✅ 6. 대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력 완료\n✅ 7. 그룹웨어 상신 완료\n\n브라우저가 자동으로 닫힙니다.');
-      });
-      logger.info('✅ 완료 팝업창 표시됨');
-    } catch (alertError) {
-      logger.warn(`완료 팝업창 표시 실패: ${alertError.message}`);
-    }
+    // 5. Inquiry 버튼 클릭
+    throwIfStepAborted(signal);
+    logger.info('=== 5. Inquiry 버튼 클릭 시작 ===');
     
-    // 브라우저 닫기
-    try {
-      await browser.close();
-      logger.info('✅ 브라우저 닫기 완료');
-    } catch (closeError) {
-      logger.warn(`브라우저 닫기 실패: ${closeError.message}`);
-    }
+    await clickElement(page, 'receivingInquiry.inquiryButton', { timeout: 5000 });
+    logger.info('Inquiry 버튼 클릭 성공');
     
-    logger.info('🎉 === 전체 RPA 프로세스 완료 (7번 RPA 실패 시) - 브라우저 닫기 후 종료 ===');
-      // 성공 시 serializable한 객체만 반환
-    return { 
-      success: true, 
-      message: '1. ERP 접속 및 로그인 완료\n2. 구매 입고내역 조회 및 다운로드 완료\n3. 엑셀 파일 열기 및 매크로 실행 완료\n4. 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료\n5. 캘린더 버튼 클릭 및 송장 처리 완료\n6. 대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력 완료\n7. 그룹웨어 상신 완료',
-      completedAt: new Date().toISOString(),
-      browserKeptOpen: false
-    };
-    
-  } catch (error) {
-    logger.error(`D365 접속 중 오류 발생: ${error.message}`);
-    
-    // 에러 팝업창 표시
-    try {
-      await page.evaluate((errorMsg) => {
-        alert(`❌ 매입송장 처리 RPA 자동화 중 오류가 발생했습니다!\n\n오류 내용: ${errorMsg}\n\n브라우저가 자동으로 닫힙니다.`);
-      }, error.message);
-      logger.info('❌ 에러 팝업창 표시됨');
-    } catch (alertError) {
-      logger.warn(`에러 팝업창 표시 실패: ${alertError.message}`);
-    }
-    
-    // 브라우저 닫기 (에러 시에도)
-    try {
-      await browser.close();
-      logger.info('✅ 브라우저 닫기 완료 (에러 발생 시)');
-    } catch (closeError) {
-      logger.warn(`브라우저 닫기 실패: ${closeError.message}`);
-    }
-    
-    // 에러 시에도 serializable한 객체만 반환
-    return { 
-      success: false, 
-      error: error.message,
-      failedAt: new Date().toISOString(),
-      browserKeptOpen: false
-    };
-  }
-}
-
-// 2. 검색 기능을 통한 구매 입고내역 조회 페이지 이동
-async function navigateToReceivingInquiry(page) {
-  logger.info('=== 2. 구매 입고내역 조회 페이지 이동 시작 ===');
-  
-  try {
-    // 2-1. 검색 버튼 클릭 (Find-symbol 버튼)
-    logger.info('검색 버튼 찾는 중...');
-    
-    const searchButtonSelectors = [
-      '.button-commandRing.Find-symbol',
-      'span.Find-symbol',
-      '[data-dyn-image-type="Symbol"].Find-symbol',
-      '.button-container .Find-symbol'
-    ];
-    
-    let searchButtonClicked = false;
-    
-    for (const selector of searchButtonSelectors) {
-      try {
-        logger.info(`검색 버튼 선택자 시도: ${selector}`);
-        
-        const searchButton = await page.$(selector);
-        if (searchButton) {
-          const isVisible = await page.evaluate(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && style.visibility !== 'hidden' && el.offsetParent !== null;
-          }, searchButton);
-          
-          if (isVisible) {
-            await searchButton.click();
-            logger.info(`검색 버튼 클릭 성공: ${selector}`);
-            searchButtonClicked = true;
-            break;
-          } else {
-            logger.warn(`검색 버튼이 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (error) {
-        logger.warn(`검색 버튼 클릭 실패: ${selector} - ${error.message}`);
-      }
-    }
-    
-    if (!searchButtonClicked) {
-      // JavaScript로 직접 검색 버튼 클릭 시도
-      try {
-        logger.info('JavaScript로 검색 버튼 직접 클릭 시도...');
-        await page.evaluate(() => {
-          const searchButtons = document.querySelectorAll('.Find-symbol, [data-dyn-image-type="Symbol"]');
-          for (const btn of searchButtons) {
-            if (btn.classList.contains('Find-symbol') || btn.getAttribute('data-dyn-image-type') === 'Symbol') {
-              btn.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        searchButtonClicked = true;
-        logger.info('JavaScript로 검색 버튼 클릭 성공');
-      } catch (jsError) {
-        logger.error('JavaScript 검색 버튼 클릭 실패:', jsError.message);
-      }
-    }
-    
-    if (!searchButtonClicked) {
-      throw new Error('검색 버튼을 찾을 수 없습니다.');
-    }
-    
-    // 검색창이 나타날 때까지 대기
-    await delay(2000);
-    
-    // 2-2. "구매 입고내역 조회(N)" 검색어 입력
-    logger.info('검색어 입력 중...');
-    
-    const searchInputSelectors = [
-      'input[type="text"]',
-      '.navigationSearchBox input',
-      '#NavigationSearchBox',
-      'input[placeholder*="검색"]',
-      'input[aria-label*="검색"]'
-    ];
-    
-    let searchInputFound = false;
-    const searchTerm = '구매 입고내역 조회(N)';
-    
-    for (const selector of searchInputSelectors) {
-      try {
-        logger.info(`검색 입력창 선택자 시도: ${selector}`);
-        
-        await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-        
-        // 기존 텍스트 클리어
-        await page.click(selector, { clickCount: 3 }); // 모든 텍스트 선택
-        await page.keyboard.press('Backspace'); // 선택된 텍스트 삭제
-        
-        // 검색어 입력
-        await page.type(selector, searchTerm, { delay: 100 });
-        logger.info(`검색어 입력 완료: ${searchTerm}`);
-        
-        searchInputFound = true;
-        break;
-        
-      } catch (error) {
-        logger.warn(`검색 입력창 처리 실패: ${selector} - ${error.message}`);
-      }
-    }
-    
-    if (!searchInputFound) {
-      throw new Error('검색 입력창을 찾을 수 없습니다.');
-    }
-    
-    // 검색 결과가 나타날 때까지 대기
-    await delay(3000);
-    
-    // 2-3. NavigationSearchBox에서 해당 메뉴 클릭
-    logger.info('검색 결과에서 구매 입고내역 조회 메뉴 찾는 중...');
-    
-    const searchResultSelectors = [
-      '.navigationSearchBox',
-      '.search-results',
-      '.navigation-search-results',
-      '[data-dyn-bind*="NavigationSearch"]'
-    ];
-    
-    let menuClicked = false;
-    
-    for (const containerSelector of searchResultSelectors) {
-      try {
-        const container = await page.$(containerSelector);
-        if (container) {
-          // 컨테이너 내에서 "구매 입고내역 조회" 텍스트가 포함된 요소 찾기
-          const menuItems = await page.$$eval(`${containerSelector} *`, (elements) => {
-            return elements
-              .filter(el => {
-                const text = el.textContent || el.innerText || '';
-                return text.includes('구매 입고내역 조회') || text.includes('구매') && text.includes('입고');
-              })
-              .map(el => ({
-                text: el.textContent || el.innerText,
-                clickable: el.tagName === 'A' || el.tagName === 'BUTTON' || el.onclick || el.getAttribute('role') === 'button'
-              }));
-          });
-          
-          logger.info(`검색 결과 메뉴 항목들:`, menuItems);
-          
-          if (menuItems.length > 0) {
-            // 첫 번째 매칭되는 항목 클릭
-            await page.evaluate((containerSel) => {
-              const container = document.querySelector(containerSel);
-              if (container) {
-                const elements = container.querySelectorAll('*');
-                for (const el of elements) {
-                  const text = el.textContent || el.innerText || '';
-                  if (text.includes('구매 입고내역 조회') || (text.includes('구매') && text.includes('입고'))) {
-                    el.click();
-                    return true;
-                  }
-                }
-              }
-              return false;
-            }, containerSelector);
-            
-            logger.info('구매 입고내역 조회 메뉴 클릭 완료');
-            menuClicked = true;
-            break;
-          }
-        }
-      } catch (error) {
-        logger.warn(`검색 결과 처리 실패: ${containerSelector} - ${error.message}`);
-      }
-    }
-    
-    if (!menuClicked) {
-      // Enter 키로 첫 번째 결과 선택 시도
-      logger.info('Enter 키로 검색 결과 선택 시도...');
-      await page.keyboard.press('Enter');
-      menuClicked = true;
-    }
-    
-    // 페이지 이동 대기
-    logger.info('구매 입고내역 조회 페이지 로딩 대기 중...');
-    await delay(5000);
-    
-    // 페이지 로딩 완료 확인
-    const pageReady = await smartWait.forPageReady(page, 10000);
-    if (!pageReady) {
-      logger.warn('페이지 로딩 확인 실패, 기본 3초 대기로 진행');
-      await delay(3000);
-    }
-    
-    logger.info('=== 2. 구매 입고내역 조회 페이지 이동 완료 ===');
-
-
-    
-    // 3. FromDate 입력 (현재 월의 첫날)
-    logger.info('=== 3. FromDate 설정 시작 ===');
-    
-    // 현재 날짜에서 월의 첫날 계산
-    /*const now = new Date();
-    // 현재날짜 기준 현재월 가져오기
-    const fromDate = `${now.getMonth() + 1}/1/${now.getFullYear()}`; // M/d/YYYY 형태
-
-    logger.info(`설정할 FromDate: ${fromDate}`);
-    */
-    
-    // 사용자 선택된 날짜 범위 사용
-    let fromDate;
-
-    // 디버깅: globalDateRange 현재 상태 확인
-    logger.info(`[DEBUG] 현재 globalDateRange 상태:`, JSON.stringify(globalDateRange, null, 2));
-
-    // globalDateRange에서 fromDate가 이미 설정된 경우 사용
-    if (globalDateRange.fromDate) {
-      fromDate = globalDateRange.fromDate;
-      logger.info(`[UI에서 설정된 값 사용] FromDate: ${fromDate} (${globalDateRange.year}년 ${globalDateRange.month}월)`);
-    } else {
-      // 기본값: 현재월의 첫날 (fallback)
-      const now = new Date();
-      const currentMonth = now.getMonth() + 1;
-      const currentYear = now.getFullYear();
-      fromDate = `${currentMonth}/1/${currentYear}`;
-      logger.info(`[기본값 사용] FromDate: ${fromDate} (현재월)`);
-    }
-
-    logger.info(`설정할 FromDate: ${fromDate}`);
-    
-    //-------------------------------------------------------------------------------
-
-    // FromDate 입력창 선택자들
-    const fromDateSelectors = [
-      'input[name="FromDate"]',
-      'input[id*="FromDate_input"]',
-      'input[aria-labelledby*="FromDate_label"]',
-      'input[placeholder=""][name="FromDate"]'
-    ];
-    
-    let fromDateSet = false;
-    
-    for (const selector of fromDateSelectors) {
-      try {
-        logger.info(`FromDate 입력창 선택자 시도: ${selector}`);
-        
-        await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-        
-        // 입력창 클릭
-        await page.click(selector);
-        await delay(500);
-        
-        // 기존 텍스트 클리어 (모든 텍스트 선택 후 삭제)
-        await page.click(selector, { clickCount: 3 });
-        await page.keyboard.press('Backspace');
-        await delay(300);
-        
-        // 날짜 입력
-        await page.type(selector, fromDate, { delay: 100 });
-        await page.keyboard.press('Tab'); // 포커스 이동으로 입력 확정
-        
-        logger.info(`FromDate 설정 완료: ${fromDate}`);
-        fromDateSet = true;
-        break;
-        
-      } catch (error) {
-        logger.warn(`FromDate 설정 실패: ${selector} - ${error.message}`);
-      }
-    }
-    
-    if (!fromDateSet) {
-      throw new Error('FromDate 입력창을 찾을 수 없습니다.');
-    }
-    
-    await delay(1000); // 입력 안정화 대기
-    
-    // 4. ToDate 입력 (현재 월의 마지막 날)
-    logger.info('=== 4. ToDate 설정 시작 ===');
-    
-    /*
-    // 현재 날짜에서 월의 마지막 날 계산
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-    const toDate = `${now.getMonth() + 1}/${lastDay}/${now.getFullYear()}`; // M/d/YYYY 형태
-    logger.info(`설정할 ToDate: ${toDate}`);
-    */
-   
-    // 사용자 선택된 날짜 범위 사용
-    let toDate;
-
-    // globalDateRange에서 toDate가 이미 설정된 경우 사용
-    if (globalDateRange.toDate) {
-      toDate = globalDateRange.toDate;
-      logger.info(`[UI에서 설정된 값 사용] ToDate: ${toDate} (${globalDateRange.year}년 ${globalDateRange.month}월)`);
-    } else {
-      // 기본값: 현재월의 마지막날 (fallback)
-      const now = new Date();
-      const currentMonth = now.getMonth() + 1;
-      const currentYear = now.getFullYear();
-      const lastDay = new Date(currentYear, currentMonth, 0).getDate();
-      toDate = `${currentMonth}/${lastDay}/${currentYear}`;
-      logger.info(`[기본값 사용] ToDate: ${toDate} (현재월)`);
-    }
-
-    logger.info(`설정할 ToDate: ${toDate}`);
-    
-
-    // ToDate 입력창 선택자들
-    const toDateSelectors = [
-      'input[name="ToDate"]',
-      'input[id*="ToDate_input"]',
-      'input[aria-labelledby*="ToDate_label"]',
-      'input[placeholder=""][name="ToDate"]'
-    ];
-    
-    let toDateSet = false;
-    
-    for (const selector of toDateSelectors) {
-      try {
-        logger.info(`ToDate 입력창 선택자 시도: ${selector}`);
-        
-        await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-        
-        // 입력창 클릭
-        await page.click(selector);
-        await delay(500);
-        
-        // 기존 텍스트 클리어 (모든 텍스트 선택 후 삭제)
-        await page.click(selector, { clickCount: 3 });
-        await page.keyboard.press('Backspace');
-        await delay(300);
-        
-        // 날짜 입력
-        await page.type(selector, toDate, { delay: 100 });
-        await page.keyboard.press('Tab'); // 포커스 이동으로 입력 확정
-        
-        logger.info(`ToDate 설정 완료: ${toDate}`);
-        toDateSet = true;
-        break;
-        
-      } catch (error) {
-        logger.warn(`ToDate 설정 실패: ${selector} - ${error.message}`);
-      }
-    }
-    
-    if (!toDateSet) {
-      throw new Error('ToDate 입력창을 찾을 수 없습니다.');
-    }
-    
-    await delay(1000); // 입력 안정화 대기
-    
-    // 5. Inquiry 버튼 클릭
-    logger.info('=== 5. Inquiry 버튼 클릭 시작 ===');
-    
-    // Inquiry 버튼 선택자들
-    const inquiryButtonSelectors = [
-      '.button-container:has(.button-label:contains("Inquiry"))',
-      'span.button-label:contains("Inquiry")',
-      'div.button-container span[id*="Inquiry_label"]',
-      '[id*="Inquiry_label"]',
-      'span[for*="Inquiry"]'
-    ];
-    
-    let inquiryButtonClicked = false;
-    
-    for (const selector of inquiryButtonSelectors) {
-      try {
-        logger.info(`Inquiry 버튼 선택자 시도: ${selector}`);
-        
-        // CSS 선택자에 :contains()가 있는 경우 JavaScript로 처리
-        if (selector.includes(':contains(')) {
-          const clicked = await page.evaluate(() => {
-            const buttons = document.querySelectorAll('.button-container');
-            for (const container of buttons) {
-              const label = container.querySelector('.button-label, span[id*="label"]');
-              if (label && (label.textContent || label.innerText || '').includes('Inquiry')) {
-                container.click();
-                return true;
-              }
-            }
-            return false;
-          });
-          
-          if (clicked) {
-            logger.info('JavaScript로 Inquiry 버튼 클릭 성공');
-            inquiryButtonClicked = true;
-            break;
-          }
-        } else {
-          // 일반 선택자 처리
-          const inquiryButton = await page.$(selector);
-          if (inquiryButton) {
-            const isVisible = await page.evaluate(el => {
-              const style = window.getComputedStyle(el);
-              return style.display !== 'none' && style.visibility !== 'hidden' && el.offsetParent !== null;
-            }, inquiryButton);
-            
-            if (isVisible) {
-              await inquiryButton.click();
-              logger.info(`Inquiry 버튼 클릭 성공: ${selector}`);
-              inquiryButtonClicked = true;
-              break;
-            } else {
-              logger.warn(`Inquiry 버튼이 보이지 않음: ${selector}`);
-            }
-          }
-        }
-      } catch (error) {
-        logger.warn(`Inquiry 버튼 클릭 실패: ${selector} - ${error.message}`);
-      }
-    }
-    
-    // 추가 시도: ID와 텍스트를 조합한 방법
-    if (!inquiryButtonClicked) {
-      try {
-        logger.info('ID와 텍스트 조합으로 Inquiry 버튼 찾는 중...');
-        
-        const clicked = await page.evaluate(() => {
-          // id에 "Inquiry"가 포함된 요소들 찾기
-          const elements = document.querySelectorAll('[id*="Inquiry"]');
-          for (const el of elements) {
-            // 클릭 가능한 요소이거나 부모가 클릭 가능한 요소인지 확인
-            const clickableEl = el.closest('.button-container, button, [role="button"]') || el;
-            if (clickableEl) {
-              clickableEl.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        
-        if (clicked) {
-          logger.info('ID 기반으로 Inquiry 버튼 클릭 성공');
-          inquiryButtonClicked = true;
-        }
-      } catch (error) {
-        logger.warn(`ID 기반 Inquiry 버튼 클릭 실패: ${error.message}`);
-      }
-    }
-      if (!inquiryButtonClicked) {
-      throw new Error('Inquiry 버튼을 찾을 수 없습니다.');
-    }
-    
-    // 조회 실행 후 데이터 테이블이 나타날 때까지 대기
-    logger.info('조회 실행 중, 데이터 테이블 로딩 대기...');
+    // 조회 실행 후 데이터 테이블이 나타날 때까지 대기
+    logger.info('조회 실행 중, 데이터 테이블 로딩 대기...');
     
     // 기본 대기 시간 (최소 10초 - 조회 실행 후 초기 로딩 대기)
     await delay(5000);
@@ -1219,6 +863,7 @@ async function navigateToReceivingInquiry(page) {
       logger.info('=== 구매 입고내역 조회 설정 및 조회 실행 완료 ===');
     
     // 6. 데이터 내보내기 실행
+    throwIfStepAborted(signal);
     logger.info('🚀 === 6. 데이터 내보내기 시작 ===');
     
     // 내보내기 전 추가 안정화 대기
@@ -1227,90 +872,10 @@ async function navigateToReceivingInquiry(page) {
     // 6-1. 구매주문 컬럼 헤더 우클릭
     logger.info('🔍 구매주문 컬럼 헤더 찾는 중...');
     
-    // 더 많은 선택자 추가
-    const purchaseOrderHeaderSelectors = [
-      'div[data-dyn-columnname="NPS_VendPackingSlipSumReportTemp_PurchId"]',
-      'div[data-dyn-controlname="NPS_VendPackingSlipSumReportTemp_PurchId"]',
-      'div.dyn-headerCell[data-dyn-columnname*="PurchId"]',
-      'div.dyn-headerCellLabel[title="구매주문"]',
-      '[data-dyn-columnname*="PurchId"]',
-      'th:contains("구매주문")',
-      'div[title="구매주문"]'
-    ];
-    
-    let headerRightClicked = false;
-    
-    // JavaScript로 "구매주문" 헤더 찾기 (더 robust한 방법)
-    try {
-      logger.info('JavaScript로 구매주문 헤더 찾는 중...');
-      
-      const headerFound = await page.evaluate(() => {
-        // 모든 가능한 헤더 요소 검색
-        const allHeaders = document.querySelectorAll('th, .dyn-headerCell, [role="columnheader"], div[data-dyn-columnname], div[title]');
-        
-        for (const header of allHeaders) {
-          const text = header.textContent || header.innerText || header.title || '';
-          const columnName = header.getAttribute('data-dyn-columnname') || '';
-          
-          if (text.includes('구매주문') || columnName.includes('PurchId')) {
-            // 우클릭 이벤트 발생
-            const event = new MouseEvent('contextmenu', {
-              bubbles: true,
-              cancelable: true,
-              button: 2
-            });
-            header.dispatchEvent(event);
-            return true;
-          }
-        }
-        return false;
-      });
-      
-      if (headerFound) {
-        logger.info('✅ JavaScript로 구매주문 헤더 우클릭 성공');
-        headerRightClicked = true;
-      }
-    } catch (error) {
-      logger.warn(`JavaScript 헤더 우클릭 실패: ${error.message}`);
-    }
-    
-    // 기존 방법으로도 시도
-    if (!headerRightClicked) {
-      for (const selector of purchaseOrderHeaderSelectors) {
-        try {
-          logger.info(`구매주문 헤더 선택자 시도: ${selector}`);
-          
-          if (selector.includes(':contains(')) {
-            continue; // CSS :contains()는 지원되지 않으므로 스킵
-          }
-          
-          const headerElement = await page.$(selector);
-          if (headerElement) {
-            const isVisible = await page.evaluate(el => {
-              const style = window.getComputedStyle(el);
-              return style.display !== 'none' && style.visibility !== 'hidden' && el.offsetParent !== null;
-            }, headerElement);
-            
-            if (isVisible) {
-              // 우클릭 실행
-              await headerElement.click({ button: 'right' });
-              logger.info(`✅ 구매주문 헤더 우클릭 성공: ${selector}`);
-              headerRightClicked = true;
-              break;
-            } else {
-              logger.warn(`구매주문 헤더가 보이지 않음: ${selector}`);
-            }
-          }
-        } catch (error) {
-          logger.warn(`구매주문 헤더 우클릭 실패: ${selector} - ${error.message}`);
-        }
-      }
-    }
-    
-    if (!headerRightClicked) {
-      logger.error('❌ 구매주문 컬럼 헤더를 찾을 수 없습니다.');
-      throw new Error('구매주문 컬럼 헤더를 찾을 수 없습니다.');
-    }
+    const purchIdHeader = await resolveElement(page, 'receivingInquiry.purchIdHeader', { timeout: 5000 });
+    await purchIdHeader.element.click({ button: 'right' });
+    await purchIdHeader.element.dispose();
+    logger.info('✅ 구매주문 헤더 우클릭 성공');
     
     // 컨텍스트 메뉴가 나타날 때까지 대기
     logger.info('⏳ 컨텍스트 메뉴 대기 중...');
@@ -1318,168 +883,19 @@ async function navigateToReceivingInquiry(page) {
       // 6-2. "모든 행 내보내기" 메뉴 클릭
     logger.info('🔍 모든 행 내보내기 메뉴 찾는 중...');
     
-    let exportMenuClicked = false;
-    
-    // JavaScript로 "모든 행 내보내기" 메뉴 찾기
-    try {
-      logger.info('JavaScript로 모든 행 내보내기 메뉴 찾는 중...');
-      
-      const clicked = await page.evaluate(() => {
-        // 1. button-container 내부의 button-label에서 "모든 행 내보내기" 찾기
-        const buttonContainers = document.querySelectorAll('.button-container');
-        
-        for (const container of buttonContainers) {
-          const buttonLabel = container.querySelector('.button-label');
-          if (buttonLabel) {
-            const text = buttonLabel.textContent || buttonLabel.innerText || '';
-            if (text.includes('모든 행 내보내기')) {
-              // button-container 전체를 클릭
-              container.click();
-              return { success: true, text: text.trim(), method: 'button-container' };
-            }
-          }
-        }
-        
-        // 2. 직접 button-label 요소에서 찾기
-        const buttonLabels = document.querySelectorAll('.button-label');
-        for (const label of buttonLabels) {
-          const text = label.textContent || label.innerText || '';
-          if (text.includes('모든 행 내보내기')) {
-            // 부모 button-container 찾아서 클릭
-            const parentContainer = label.closest('.button-container');
-            if (parentContainer) {
-              parentContainer.click();
-              return { success: true, text: text.trim(), method: 'parent-container' };
-            } else {
-              // 부모가 없으면 label 자체 클릭
-              label.click();
-              return { success: true, text: text.trim(), method: 'direct-label' };
-            }
-          }
-        }
-        
-        // 3. 모든 요소에서 텍스트 검색 (기존 방법)
-        const allElements = document.querySelectorAll('span, button, [role="button"], [role="menuitem"]');
-        
-        for (const element of allElements) {
-          const text = element.textContent || element.innerText || '';
-          if (text.includes('모든 행 내보내기') || text.includes('내보내기') || text.includes('Export')) {
-            // 클릭 가능한 부모 요소 찾기
-            const clickableParent = element.closest('.button-container, button, [role="button"], [role="menuitem"]') || element;
-            clickableParent.click();
-            return { success: true, text: text.trim(), method: 'fallback' };
-          }
-        }
-        
-        return { success: false };
-      });
-      
-      if (clicked.success) {
-        logger.info(`✅ JavaScript로 내보내기 메뉴 클릭 성공 (${clicked.method}): "${clicked.text}"`);
-        exportMenuClicked = true;
-      }
-    } catch (error) {
-      logger.warn(`JavaScript 모든 행 내보내기 메뉴 클릭 실패: ${error.message}`);
-    }
-    
-    if (!exportMenuClicked) {
-      // 추가 시도: Puppeteer 선택자로 button-container 직접 찾기
-      try {
-        logger.info('Puppeteer 선택자로 모든 행 내보내기 버튼 찾는 중...');
-        
-        // button-container 내부에 "모든 행 내보내기" 텍스트가 있는 요소 찾기
-        const buttonContainers = await page.$$('.button-container');
-        
-        for (const container of buttonContainers) {
-          try {
-            const text = await container.evaluate(el => {
-              const label = el.querySelector('.button-label');
-              return label ? (label.textContent || label.innerText || '') : '';
-            });
-            
-            if (text.includes('모든 행 내보내기')) {
-              await container.click();
-              logger.info(`✅ Puppeteer로 내보내기 버튼 클릭 성공: "${text.trim()}"`);
-              exportMenuClicked = true;
-              break;
-            }
-          } catch (containerError) {
-            logger.warn(`button-container 처리 중 오류: ${containerError.message}`);
-          }
-        }
-      } catch (error) {
-        logger.warn(`Puppeteer 모든 행 내보내기 버튼 클릭 실패: ${error.message}`);
-      }
-    }
-    
-    if (!exportMenuClicked) {
-      logger.error('❌ 모든 행 내보내기 메뉴를 찾을 수 없습니다.');
-      throw new Error('모든 행 내보내기 메뉴를 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'receivingInquiry.exportAllRowsMenu', { timeout: 5000 });
+    logger.info('✅ 모든 행 내보내기 메뉴 클릭 성공');
     
     // 다운로드 대화상자가 나타날 때까지 대기
     logger.info('⏳ 다운로드 대화상자 대기 중...');
     await delay(5000);
     
     // 6-3. "다운로드" 버튼 클릭
+    throwIfStepAborted(signal);
     logger.info('🔍 다운로드 버튼 찾는 중...');
     
-    let downloadButtonClicked = false;
-    
-    // JavaScript로 다운로드 버튼 찾기 (더 강력한 로직)
-    try {
-      logger.info('JavaScript로 다운로드 버튼 찾는 중...');
-      
-      const clicked = await page.evaluate(() => {
-        // 1. "다운로드" 텍스트가 포함된 모든 요소 검색
-        const allElements = document.querySelectorAll('button, .button-label, span, [role="button"]');
-        
-        for (const element of allElements) {
-          const text = element.textContent || element.innerText || '';
-          if (text.includes('다운로드') || text.includes('Download')) {
-            const clickable = element.tagName === 'BUTTON' ? element : element.closest('button, [role="button"], .button-container');
-            if (clickable) {
-              clickable.click();
-              return { success: true, text: text.trim(), method: 'text-search' };
-            }
-          }
-        }
-        
-        // 2. DownloadButton 관련 속성으로 검색
-        const downloadElements = document.querySelectorAll('[name*="DownloadButton"], [id*="DownloadButton"], [data-dyn-controlname*="Download"]');
-        for (const el of downloadElements) {
-          const button = el.tagName === 'BUTTON' ? el : el.closest('button');
-          if (button) {
-            button.click();
-            return { success: true, method: 'attribute-search' };
-          }
-        }
-        
-        // 3. Download 아이콘으로 검색
-        const downloadIcons = document.querySelectorAll('.Download-symbol, [class*="download"], [class*="Download"]');
-        for (const icon of downloadIcons) {
-          const button = icon.closest('button, [role="button"]');
-          if (button) {
-            button.click();
-            return { success: true, method: 'icon-search' };
-          }
-        }
-        
-        return { success: false };
-      });
-      
-      if (clicked.success) {
-        logger.info(`✅ JavaScript로 다운로드 버튼 클릭 성공 (${clicked.method}): ${clicked.text || 'N/A'}`);
-        downloadButtonClicked = true;
-      }
-    } catch (error) {
-      logger.warn(`JavaScript 다운로드 버튼 클릭 실패: ${error.message}`);
-    }
-    
-    if (!downloadButtonClicked) {
-      logger.error('❌ 다운로드 버튼을 찾을 수 없습니다.');
-      throw new Error('다운로드 버튼을 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'receivingInquiry.downloadButton', { timeout: 5000 });
+    logger.info('✅ 다운로드 버튼 클릭 성공');
     
     // 다운로드 완료 대기
     logger.info('📥 다운로드 실행 중, 완료 대기...');
@@ -1533,10 +949,8 @@ async function openDownloadedExcel() {
   logger.info('🚀 === 다운받은 엑셀 파일 경로 찾기 시작 ===');
   
   try {
-    const os = require('os');
-    
-    // Windows 기본 다운로드 폴더 경로
-    const downloadPath = path.join(os.homedir(), 'Downloads');
+    // 다운로드 폴더 경로 (앱 설정, 비어 있으면 Windows 기본 다운로드 폴더)
+    const downloadPath = getDownloadDir();
     logger.info(`다운로드 폴더 경로: ${downloadPath}`);
     
     // 다운로드 폴더에서 최근 다운받은 엑셀 파일 찾기
@@ -1597,7 +1011,7 @@ async function openDownloadedExcel() {
 }
 
 // 3번 RPA 동작: 엑셀 파일 열기 및 매크로 실행 (통합 관리)
-async function executeExcelProcessing(page) {
+async function executeExcelProcessing() {
   logger.info('🚀 === 3번 RPA 동작: 엑셀 파일 열기 및 매크로 실행 시작 ===');
   logger.info(`📋 현재 설정된 A열 값: userInputValueA = ${userInputValueA}`);
   try {
@@ -1615,26 +1029,11 @@ async function executeExcelProcessing(page) {
       throw new Error(macroResult.error || '엑셀 매크로 실행에 실패했습니다.');
     }
     logger.info('✅ Step 2 완료: 매크로 실행 성공');
-    // 3. 완료 메시지 반환
+    // 3. 매크로가 저장한 엑셀 파일을 4단계에서 읽기 전 5초 대기
     logger.info('🎉 === 3번 RPA 동작 완료 ===');
-    // 4번 RPA 동작: 대기중인 공급사송장 메뉴 이동 (5초 대기 후 실행)
-    logger.info('⏳ 5초 대기 후 4번 RPA 동작(대기중인 공급사송장 메뉴 이동) 시작 예정...');
+    logger.info('⏳ 엑셀 파일 저장 완료를 위해 5초 대기...');
     await delay(5000);
     
-    let step4Status = '4번 RPA 동작 건너뜀';
-    if (page) {
-      try {
-        const pendingResult = await navigateToPendingVendorInvoice(page, openResult.filePath);
-        logger.info('4번 RPA 동작 결과:', pendingResult);
-        step4Status = '4번 RPA 동작(대기중인 공급사송장 메뉴 이동) 실행 완료';
-      } catch (step4Error) {
-        logger.error(`4번 RPA 동작 중 오류 발생: ${step4Error.message}`);
-        logger.warn('4번 RPA 동작 실패했지만 전체 프로세스는 계속 진행합니다.');
-        step4Status = `4번 RPA 동작 실패: ${step4Error.message}`;
-      }
-    } else {
-      logger.warn('4번 RPA 동작을 위한 page 인스턴스가 제공되지 않았습니다.');
-    }
     return {
       success: true,
       message: '3번 RPA 동작: 엑셀 파일 매크로 실행이 완료되었습니다.',
@@ -1643,8 +1042,7 @@ async function executeExcelProcessing(page) {
       completedAt: new Date().toISOString(),
       steps: {
         step1: '엑셀 파일 경로 찾기 완료',
-        step2: '매크로 실행 완료',
-        step3: step4Status
+        step2: '매크로 실행 완료'
       }
     };
   } catch (error) {
@@ -1662,147 +1060,8 @@ async function executeExcelProcessing(page) {
 async function navigateToPendingVendorInvoice(page, excelFilePath) {
   logger.info('🚀 === 4번 RPA 동작: 대기중인 공급사송장 메뉴 이동 시작 ===');
   try {
-    // 1. 검색 버튼 클릭 (2-1과 동일)
-    logger.info('검색 버튼 찾는 중...');
-    const searchButtonSelectors = [
-      '.button-commandRing.Find-symbol',
-      'span.Find-symbol',
-      '[data-dyn-image-type="Symbol"].Find-symbol',
-      '.button-container .Find-symbol'
-    ];
-    let searchButtonClicked = false;
-    for (const selector of searchButtonSelectors) {
-      try {
-        logger.info(`검색 버튼 선택자 시도: ${selector}`);
-        const searchButton = await page.$(selector);
-        if (searchButton) {
-          const isVisible = await page.evaluate(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && style.visibility !== 'hidden' && el.offsetParent !== null;
-          }, searchButton);
-          if (isVisible) {
-            await searchButton.click();
-            logger.info(`검색 버튼 클릭 성공: ${selector}`);
-            searchButtonClicked = true;
-            break;
-          } else {
-            logger.warn(`검색 버튼이 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (error) {
-        logger.warn(`검색 버튼 클릭 실패: ${selector} - ${error.message}`);
-      }
-    }
-    if (!searchButtonClicked) {
-      // JavaScript로 직접 검색 버튼 클릭 시도
-      try {
-        logger.info('JavaScript로 검색 버튼 직접 클릭 시도...');
-        await page.evaluate(() => {
-          const searchButtons = document.querySelectorAll('.Find-symbol, [data-dyn-image-type="Symbol"]');
-          for (const btn of searchButtons) {
-            if (btn.classList.contains('Find-symbol') || btn.getAttribute('data-dyn-image-type') === 'Symbol') {
-              btn.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        searchButtonClicked = true;
-        logger.info('JavaScript로 검색 버튼 클릭 성공');
-      } catch (jsError) {
-        logger.error('JavaScript 검색 버튼 클릭 실패:', jsError.message);
-      }
-    }
-    if (!searchButtonClicked) {
-      throw new Error('검색 버튼을 찾을 수 없습니다. (4번 RPA)');
-    }
-    // 검색창이 나타날 때까지 대기
-    await delay(2000);
-    // 2. "대기중인 공급사송장" 검색어 입력
-    logger.info('검색어 입력 중...');
-    const searchInputSelectors = [
-      'input[type="text"]',
-      '.navigationSearchBox input',
-      '#NavigationSearchBox',
-      'input[placeholder*="검색"]',
-      'input[aria-label*="검색"]'
-    ];
-    let searchInputFound = false;
-    const searchTerm = '대기중인 공급사송장';
-    for (const selector of searchInputSelectors) {
-      try {
-        logger.info(`검색 입력창 선택자 시도: ${selector}`);
-        await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-        await page.click(selector, { clickCount: 3 });
-        await page.keyboard.press('Backspace');
-        await page.type(selector, searchTerm, { delay: 100 });
-        logger.info(`검색어 입력 완료: ${searchTerm}`);
-        searchInputFound = true;
-        break;
-      } catch (error) {
-        logger.warn(`검색 입력창 처리 실패: ${selector} - ${error.message}`);
-      }
-    }
-    if (!searchInputFound) {
-      throw new Error('검색 입력창을 찾을 수 없습니다. (4번 RPA)');
-    }
-    // 검색 결과가 나타날 때까지 대기
-    await delay(3000);
-    // 3. NavigationSearchBox에서 해당 메뉴 클릭
-    logger.info('검색 결과에서 대기중인 공급사송장 메뉴 찾는 중...');
-    const searchResultSelectors = [
-      '.navigationSearchBox',
-      '.search-results',
-      '.navigation-search-results',
-      '[data-dyn-bind*="NavigationSearch"]'
-    ];
-    let menuClicked = false;
-    for (const containerSelector of searchResultSelectors) {
-      try {
-        const container = await page.$(containerSelector);
-        if (container) {
-          const menuItems = await page.$$eval(`${containerSelector} *`, (elements) => {
-            return elements
-              .filter(el => {
-                const text = el.textContent || el.innerText || '';
-                return text.includes('대기중인 공급사송장');
-              })
-              .map(el => ({
-                text: el.textContent || el.innerText,
-                clickable: el.tagName === 'A' || el.tagName === 'BUTTON' || el.onclick || el.getAttribute('role') === 'button'
-              }));
-          });
-          logger.info(`검색 결과 메뉴 항목들:`, menuItems);
-          if (menuItems.length > 0) {
-            await page.evaluate((containerSel) => {
-              const container = document.querySelector(containerSel);
-              if (container) {
-                const elements = container.querySelectorAll('*');
-                for (const el of elements) {
-                  const text = el.textContent || el.innerText || '';
-                  if (text.includes('대기중인 공급사송장')) {
-                    el.click();
-                    return true;
-                  }
-                }
-              }
-              return false;
-            }, containerSelector);
-            logger.info('대기중인 공급사송장 메뉴 클릭 완료');
-            menuClicked = true;
-            break;
-          }
-        }
-      } catch (error) {
-        logger.warn(`검색 결과 처리 실패: ${containerSelector} - ${error.message}`);
-      }
-    }
-    if (!menuClicked) {
-      // Enter 키로 첫 번째 결과 선택 시도
-      logger.info('Enter 키로 검색 결과 선택 시도...');
-      await page.keyboard.press('Enter');
-      menuClicked = true;
-    }
+    // 1~3. 검색 버튼 클릭 후 "대기중인 공급사송장" 검색, 검색 결과에서 해당 메뉴 클릭 (2-1 ~ 2-3과 동일)
+    await openMenuFromSearch(page, '대기중인 공급사송장', 'navigation.pendingVendorInvoiceResult');
     // 페이지 이동 대기
     logger.info('대기중인 공급사송장 페이지 로딩 대기 중...');
     await delay(5000);
@@ -1979,86 +1238,12 @@ async function navigateToPendingVendorInvoice(page, excelFilePath) {
           // 필터 팝업창이 로드될 때까지 잠시 대기
           await delay(1500);
           
-          const filterInputResult = await page.evaluate((value) => {
-            // 다양한 필터 팝업 선택자 시도
-            const popupSelectors = [
-              '.columnHeader-popup',
-              '[class*="popup"]',
-              '[class*="filter"]',
-              '[class*="dropdown"]',
-              '.dyn-popup'
-            ];
-            
-            let filterPopup = null;
-            for (const popupSelector of popupSelectors) {
-              filterPopup = document.querySelector(popupSelector);
-              if (filterPopup && filterPopup.offsetParent !== null) {
-                break;
-              }
-            }
-            
-            if (!filterPopup) {
-              return { success: false, error: '필터 팝업창을 찾을 수 없음' };
-            }
-            
-            // 다양한 입력 필드 선택자 시도
-            const inputSelectors = [
-              'input[role="combobox"]',
-              'input.textbox.field',
-              'input[type="text"]',
-              'input[name*="Filter"]',
-              'input[class*="filter"]',
-              'input[class*="search"]',
-              'input',
-              'textarea'
-            ];
-            
-            for (const selector of inputSelectors) {
-              const inputs = filterPopup.querySelectorAll(selector);
-              for (const input of inputs) {
-                if (input && input.offsetParent !== null && !input.disabled) {
-                  try {
-                    // 포커스 설정
-                    input.focus();
-                    
-                    // 기존 값 클리어 (다양한 방법으로)
-                    input.value = '';
-                    input.dispatchEvent(new Event('input', { bubbles: true }));
-                    input.dispatchEvent(new Event('keydown', { bubbles: true }));
-                    input.dispatchEvent(new Event('keyup', { bubbles: true }));
-                    
-                    // 새 값 입력
-                    input.value = value;
-                    
-                    // 다양한 이벤트 발생
-                    input.dispatchEvent(new Event('input', { bubbles: true }));
-                    input.dispatchEvent(new Event('change', { bubbles: true }));
-                    input.dispatchEvent(new Event('keydown', { bubbles: true }));
-                    input.dispatchEvent(new Event('keyup', { bubbles: true }));
-                    
-                    // 값이 제대로 입력되었는지 확인
-                    if (input.value === value) {
-                      return { 
-                        success: true, 
-                        method: 'enhanced-input',
-                        selector: selector,
-                        value: value,
-                        popupFound: filterPopup.className
-                      };
-                    }
-                  } catch (inputError) {
-                    continue;
-                  }
-                }
-              }
-            }
-            
-            return { success: false, error: '사용 가능한 필터 입력창을 찾을 수 없습니다.' };
-          }, currentBValue);
-          
-          if (!filterInputResult.success) {
+          try {
+            await typeIntoElement(page, 'pendingInvoice.purchIdFilterInput', currentBValue, { timeout: 3000 });
+            logger.info(`✅ 필터 입력 성공: "${currentBValue}"`);
+          } catch (filterError) {
             // 대안: 키보드를 통한 직접 입력 시도
-            logger.warn(`⚠️ 필터 입력 실패, 키보드 입력 시도 (B값: "${currentBValue}")`);
+            logger.warn(`⚠️ 필터 입력 실패, 키보드 입력 시도 (B값: "${currentBValue}"): ${filterError.message}`);
             
             try {
               // Ctrl+A로 전체 선택 후 값 입력
@@ -2076,8 +1261,6 @@ async function navigateToPendingVendorInvoice(page, excelFilePath) {
               logger.warn(`❌ 키보드 입력도 실패 (B값: "${currentBValue}"): ${keyboardError.message}`);
               continue; // 다음 B값으로 넘어감
             }
-          } else {
-            logger.info(`✅ 필터 입력 성공: "${filterInputResult.value}" (방법: ${filterInputResult.method})`);
           }
           
           // 4-5. Enter 키로 필터 적용
@@ -2328,16 +1511,7 @@ async function navigateToPendingVendorInvoice(page, excelFilePath) {
     logger.info('⏰ 4번 RPA 완료 후 5초 대기 중...');
     await delay(5000);
     
-    // ========== 5번 RPA 동작: 캘린더 버튼 클릭 ==========
-    logger.info('🚀 === 5번 RPA 동작: 캘린더 버튼 클릭 시작 ===');
-    try {
-      await clickCalendarButton(page);
-      logger.info('✅ 5번 RPA 동작: 캘린더 버튼 클릭 완료');
-    } catch (step5Error) {
-      logger.error(`❌ 5번 RPA 동작 실패: ${step5Error.message}`);
-    }
-    
-    return { success: true, message: '4번 RPA 동작: 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료, 5번 RPA 동작: 캘린더 버튼 클릭 완료' };
+    return { success: true, message: '4번 RPA 동작: 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료' };
   } catch (error) {
     logger.error(`4번 RPA 동작 중 오류: ${error.message}`);
     return { success: false, error: error.message, step: '4번 RPA 동작 (대기중인 공급사송장 메뉴 이동)' };
@@ -2668,205 +1842,20 @@ ${vbaCode}
 
 /**
  * 5번 RPA 동작: 캘린더 버튼 클릭
+ * @returns {Promise<Page|null>} 송장 정보를 입력한 새 탭 (입력란을 찾지 못해 진행하지 못한 경우 null)
  */
 async function clickCalendarButton(page) {
   try {
     logger.info('캘린더 버튼 찾는 중...');
     
-    // dyn-date-picker-button 클래스를 가진 캘린더 버튼 선택자들
-    const calendarButtonSelectors = [
-      'div.dyn-container.dyn-date-picker-button[role="button"][title="Open"]',
-      'div.dyn-date-picker-button[role="button"]',
-      'div[class*="dyn-date-picker-button"]',
-      '.dyn-date-picker-button',
-      'div[title="Open"][role="button"]',
-      'button[title="Open"]',
-      'div[role="button"][aria-label="Open"]',
-      'div[class*="date-picker"][role="button"]',
-      'div[class*="calendar"][role="button"]',
-      'div.button[title="Open"]'
-    ];
-    
-    let buttonFound = false;
-    let buttonPosition = null;
-    
-    for (const selector of calendarButtonSelectors) {
-      try {
-        logger.info(`캘린더 버튼 선택자 시도: ${selector}`);
-        
-        // 요소가 존재하는지 확인
-        const button = await page.$(selector);
-        if (button) {
-          // 요소가 보이는지 확인
-          const isVisible = await button.isIntersectingViewport();
-          if (isVisible) {
-            logger.info(`캘린더 버튼 발견: ${selector}`);
-            
-            // 버튼 위치 정보 가져오기
-            buttonPosition = await button.boundingBox();
-            logger.info(`캘린더 버튼 위치: x=${buttonPosition.x}, y=${buttonPosition.y}, width=${buttonPosition.width}, height=${buttonPosition.height}`);
-            
-            buttonFound = true;
-            break;
-          } else {
-            logger.warn(`캘린더 버튼이 화면에 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (selectorError) {
-        logger.warn(`선택자 ${selector} 시도 실패: ${selectorError.message}`);
-        continue;
-      }
-    }
-    
-    if (!buttonFound) {
-      // SVG 내용을 포함한 더 구체적인 선택자 시도
-      try {
-        logger.info('SVG 내용 기반 캘린더 버튼 찾는 중...');
-        
-        const svgButtonInfo = await page.evaluate(() => {
-          // 다양한 SVG 패턴으로 캘린더 버튼 찾기
-          const potentialButtons = document.querySelectorAll('div[role="button"], button, div[title="Open"], div[class*="picker"], div[class*="calendar"]');
-          for (const element of potentialButtons) {
-            const svg = element.querySelector('svg');
-            if (svg) {
-              const svgContent = svg.innerHTML;
-              // 다양한 캘린더 SVG 패턴 확인
-              if (svgContent.includes('M33.09,6.82h6.75v31.5h-36V6.82h6.75V4.57h2.25V6.82h18V4.57h2.25Z') ||
-                  svgContent.includes('calendar') ||
-                  svgContent.includes('date') ||
-                  element.title === 'Open' ||
-                  element.getAttribute('aria-label') === 'Open') {
-                const rect = element.getBoundingClientRect();
-                if (rect.width > 0 && rect.height > 0) {
-                  return {
-                    x: rect.x,
-                    y: rect.y,
-                    width: rect.width,
-                    height: rect.height,
-                    element: element.tagName + '.' + element.className
-                  };
-                }
-              }
-            }
-          }
-          return null;
-        });
-        
-        if (svgButtonInfo) {
-          buttonPosition = svgButtonInfo;
-          logger.info(`SVG 기반 캘린더 버튼 위치: x=${buttonPosition.x}, y=${buttonPosition.y}, width=${buttonPosition.width}, height=${buttonPosition.height}, element=${svgButtonInfo.element}`);
-          buttonFound = true;
-        }
-      } catch (svgError) {
-        logger.warn(`SVG 기반 검색 실패: ${svgError.message}`);
-      }
-    }
-
-    if (!buttonFound) {
-      // 최후의 수단: 모든 클릭 가능한 요소에서 "Open" 관련 요소 찾기
-      try {
-        logger.info('포괄적 검색으로 캘린더 버튼 찾는 중...');
-        
-        const generalButtonInfo = await page.evaluate(() => {
-          const allClickable = document.querySelectorAll('div, button, span, a');
-          for (const element of allClickable) {
-            if ((element.title === 'Open' || 
-                 element.getAttribute('aria-label') === 'Open' ||
-                 element.className.includes('date-picker') ||
-                 element.className.includes('calendar') ||
-                 element.getAttribute('role') === 'button') &&
-                element.offsetParent !== null) {
-              const rect = element.getBoundingClientRect();
-              if (rect.width > 0 && rect.height > 0) {
-                return {
-                  x: rect.x,
-                  y: rect.y,
-                  width: rect.width,
-                  height: rect.height,
-                  tag: element.tagName,
-                  className: element.className,
-                  title: element.title
-                };
-              }
-            }
-          }
-          return null;
-        });
-        
-        if (generalButtonInfo) {
-          buttonPosition = generalButtonInfo;
-          logger.info(`포괄적 검색으로 캘린더 버튼 발견: ${generalButtonInfo.tag}.${generalButtonInfo.className}, title="${generalButtonInfo.title}"`);
-          logger.info(`버튼 위치: x=${buttonPosition.x}, y=${buttonPosition.y}, width=${buttonPosition.width}, height=${buttonPosition.height}`);
-          buttonFound = true;
-        }
-      } catch (generalError) {
-        logger.warn(`포괄적 검색 실패: ${generalError.message}`);
-      }
-    }
-    
-    if (!buttonFound || !buttonPosition) {
-      // 페이지 상태 디버깅 정보 수집
-      try {
-        const debugInfo = await page.evaluate(() => {
-          const allButtons = document.querySelectorAll('div[role="button"], button');
-          const allWithTitle = document.querySelectorAll('[title="Open"]');
-          const allDatePickers = document.querySelectorAll('[class*="date"], [class*="picker"], [class*="calendar"]');
-          
-          return {
-            totalButtons: allButtons.length,
-            titleOpenElements: allWithTitle.length,
-            datePickerElements: allDatePickers.length,
-            url: window.location.href,
-            title: document.title
-          };
-        });
-        
-        logger.error(`캘린더 버튼 찾기 실패 - 디버깅 정보:`);
-        logger.error(`- 전체 버튼 요소: ${debugInfo.totalButtons}개`);
-        logger.error(`- title="Open" 요소: ${debugInfo.titleOpenElements}개`);
-        logger.error(`- 날짜 선택기 관련 요소: ${debugInfo.datePickerElements}개`);
-        logger.error(`- 현재 URL: ${debugInfo.url}`);
-        logger.error(`- 페이지 제목: ${debugInfo.title}`);
-      } catch (debugError) {
-        logger.warn(`디버깅 정보 수집 실패: ${debugError.message}`);
-      }
-      
-      throw new Error('캘린더 버튼을 찾을 수 없습니다. 모든 선택자와 대안 방법이 실패했습니다.');
-    }
+    const calendarButton = await resolveElement(page, 'invoice.calendarButton', { timeout: 3000 });
+    const buttonPosition = await calendarButton.element.boundingBox();
+    await calendarButton.element.dispose();
+    logger.info(`캘린더 버튼 위치: x=${buttonPosition.x}, y=${buttonPosition.y}, width=${buttonPosition.width}, height=${buttonPosition.height}`);
     
     // 캘린더 버튼 왼쪽에 있는 송장일 입력 필드 찾기
     logger.info('캘린더 버튼 왼쪽의 송장일 입력 필드 찾는 중...');
-    
-    let invoiceDateInput = null;
-    const inputSelectors = [
-      'input[type="text"]',
-      'input[class*="date"]',
-      'input[class*="Date"]',
-      'input[data-dyn-controlname*="date"]',
-      'input[data-dyn-controlname*="Date"]'
-    ];
-    
-    // 캘린더 버튼 기준으로 왼쪽에 있는 입력 필드 찾기
-    for (const selector of inputSelectors) {
-      try {
-        const inputs = await page.$$(selector);
-        for (const input of inputs) {
-          const inputBox = await input.boundingBox();
-          if (inputBox && 
-              Math.abs(inputBox.y - buttonPosition.y) < 20 && // 같은 행에 있는지 확인
-              inputBox.x < buttonPosition.x && // 캘린더 버튼 왼쪽에 있는지 확인
-              (buttonPosition.x - inputBox.x - inputBox.width) < 50) { // 거리가 가까운지 확인
-            
-            invoiceDateInput = input;
-            logger.info(`송장일 입력 필드 발견: ${selector}, 위치: x=${inputBox.x}, y=${inputBox.y}`);
-            break;
-          }
-        }
-        if (invoiceDateInput) break;
-      } catch (error) {
-        logger.warn(`선택자 ${selector} 확인 중 오류: ${error.message}`);
-      }
-    }
+    const invoiceDateInput = await findElement(page, 'invoice.invoiceDateInput', { timeout: 2000 });
     
     if (!invoiceDateInput) {
       // 대안: 캘린더 버튼 왼쪽 20px 지점을 더블클릭
@@ -2882,7 +1871,8 @@ async function clickCalendarButton(page) {
     } else {
       // 송장일 입력 필드를 더블클릭
       logger.info('송장일 입력 필드 더블클릭 수행 중...');
-      await invoiceDateInput.click({ clickCount: 2 });
+      await invoiceDateInput.element.click({ clickCount: 2 });
+      await invoiceDateInput.element.dispose();
       await delay(500);
     }
     
@@ -2936,60 +1926,8 @@ async function clickCalendarButton(page) {
       console.log('전체 input 요소 수:', document.querySelectorAll('input').length);
     });
     
-    // 송장 번호 input 요소 선택자들
-    const invoiceInputSelectors = [
-      'input#PurchParmTable_gridParmTableNum_474_0_0_input',
-      'input[id*="PurchParmTable_gridParmTableNum"][id*="_input"]',
-      'input[id*="gridParmTableNum"][id*="_input"]',
-      'input[aria-label="송장 번호"]',
-      'input[class*="dyn-field"][class*="dyn-hyperlink"]',
-      'div[data-dyn-controlname="PurchParmTable_gridParmTableNum"] input',
-      'div[id*="PurchParmTable_gridParmTableNum"] input'
-    ];
-    
-    let inputFound = false;
-    let targetInput = null;
-    
-    for (const selector of invoiceInputSelectors) {
-      try {
-        logger.info(`송장 번호 input 선택자 시도: ${selector}`);
-        
-        // 요소가 존재하는지 확인
-        const input = await page.$(selector);
-        if (input) {
-          // 요소가 보이는지 확인
-          const isVisible = await input.isIntersectingViewport();
-          if (isVisible) {
-            // input 요소의 속성 정보 가져오기
-            const inputInfo = await page.evaluate((el) => {
-              return {
-                id: el.id,
-                value: el.value,
-                ariaLabel: el.getAttribute('aria-label'),
-                maxLength: el.getAttribute('maxlength'),
-                className: el.className
-              };
-            }, input);
-            
-            logger.info(`송장 번호 input 발견: ${selector}`);
-            logger.info(`Input 정보: id=${inputInfo.id}, value="${inputInfo.value}", aria-label="${inputInfo.ariaLabel}"`);
-            
-            // input 위치 정보 가져오기
-            const inputPosition = await input.boundingBox();
-            logger.info(`송장 번호 input 위치: x=${inputPosition.x}, y=${inputPosition.y}, width=${inputPosition.width}, height=${inputPosition.height}`);
-            
-            targetInput = input;
-            inputFound = true;
-            break;
-          } else {
-            logger.warn(`송장 번호 input이 화면에 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (selectorError) {
-        logger.warn(`선택자 ${selector} 시도 실패: ${selectorError.message}`);
-        continue;
-      }
-    }
+    const invoiceNumberInput = await findElement(page, 'invoice.invoiceNumberInput', { timeout: 3000 });
+    let inputFound = Boolean(invoiceNumberInput);
     
     if (!inputFound) {
       // 더 광범위한 검색: value 속성에 특정 패턴이 있는 input 찾기
@@ -3037,8 +1975,16 @@ async function clickCalendarButton(page) {
       }
     } else {
       // 찾은 input 요소 클릭
+      const inputInfo = await invoiceNumberInput.element.evaluate(el => ({
+        id: el.id,
+        value: el.value,
+        ariaLabel: el.getAttribute('aria-label')
+      }));
+      logger.info(`Input 정보: id=${inputInfo.id}, value="${inputInfo.value}", aria-label="${inputInfo.ariaLabel}"`);
+      
       logger.info('송장 번호 input 클릭 수행 중...');
-      await targetInput.click();
+      await invoiceNumberInput.element.click();
+      await invoiceNumberInput.element.dispose();
       await delay(500);
       
       logger.info('✅ 송장 번호 input 클릭 완료');
@@ -3050,59 +1996,59 @@ async function clickCalendarButton(page) {
       // 공급사송장 요소에서 값 추출 (3.5 동작용)
       try {
         logger.info('공급사송장 요소에서 값 추출 중...');
-        extractedVendorInvoiceValue = await page.evaluate(() => {
-          // 공급사송장 span 요소 찾기
-          const vendorInvoiceSpan = document.querySelector('span.formCaption.link-content-validLink[role="link"]');
-          if (!vendorInvoiceSpan || !vendorInvoiceSpan.textContent.includes('공급사송장')) {
-            return null;
-          }
-          
-          // 공급사송장 요소의 부모나 형제 요소에서 값 찾기
-          let targetValue = null;
-          
-          // 방법 1: 부모 요소에서 다음 input이나 span 찾기
-          const parentElement = vendorInvoiceSpan.closest('td, div, form');
-          if (parentElement) {
-            const nextInputs = parentElement.querySelectorAll('input, span');
-            for (const input of nextInputs) {
-              if (input !== vendorInvoiceSpan && input.value && input.value.trim()) {
-                targetValue = input.value.trim();
-                break;
-              }
-              if (input !== vendorInvoiceSpan && input.textContent && input.textContent.trim() && 
-                  input.textContent.includes('_')) {
-                targetValue = input.textContent.trim();
-                break;
+        // 공급사송장 캡션이 없으면 값 추출을 건너뜀
+        const vendorInvoiceCaption = await findElement(page, 'invoice.vendorInvoiceCaption', { timeout: 2000 });
+        extractedVendorInvoiceValue = null;
+        if (vendorInvoiceCaption) {
+          extractedVendorInvoiceValue = await vendorInvoiceCaption.element.evaluate((vendorInvoiceSpan) => {
+            // 공급사송장 요소의 부모나 형제 요소에서 값 찾기
+            let targetValue = null;
+          
+            // 방법 1: 부모 요소에서 다음 input이나 span 찾기
+            const parentElement = vendorInvoiceSpan.closest('td, div, form');
+            if (parentElement) {
+              const nextInputs = parentElement.querySelectorAll('input, span');
+              for (const input of nextInputs) {
+                if (input !== vendorInvoiceSpan && input.value && input.value.trim()) {
+                  targetValue = input.value.trim();
+                  break;
+                }
+                if (input !== vendorInvoiceSpan && input.textContent && input.textContent.trim() && 
+                    input.textContent.includes('_')) {
+                  targetValue = input.textContent.trim();
+                  break;
+                }
               }
             }
-          }
           
-          // 방법 2: elementFromPoint로 20px 아래 위치 확인
-          if (!targetValue) {
-            const rect = vendorInvoiceSpan.getBoundingClientRect();
-            const targetX = rect.x + (rect.width / 2);
-            const targetY = rect.y + rect.height + 20;
+            // 방법 2: elementFromPoint로 20px 아래 위치 확인
+            if (!targetValue) {
+              const rect = vendorInvoiceSpan.getBoundingClientRect();
+              const targetX = rect.x + (rect.width / 2);
+              const targetY = rect.y + rect.height + 20;
             
-            const targetElement = document.elementFromPoint(targetX, targetY);
-            if (targetElement && targetElement.textContent && targetElement.textContent.trim()) {
-              targetValue = targetElement.textContent.trim();
+              const targetElement = document.elementFromPoint(targetX, targetY);
+              if (targetElement && targetElement.textContent && targetElement.textContent.trim()) {
+                targetValue = targetElement.textContent.trim();
+              }
             }
-          }
           
-          // 방법 3: 전체 페이지에서 송장번호 패턴 찾기 (최후의 수단)
-          if (!targetValue) {
-            const allElements = document.querySelectorAll('input, span, td, div');
-            for (const element of allElements) {
-              const text = element.value || element.textContent || '';
-              if (text.match(/\d{6}_V\d+_\d+/)) { // 송장번호 패턴 매칭
-                targetValue = text.trim();
-                break;
+            // 방법 3: 전체 페이지에서 송장번호 패턴 찾기 (최후의 수단)
+            if (!targetValue) {
+              const allElements = document.querySelectorAll('input, span, td, div');
+              for (const element of allElements) {
+                const text = element.value || element.textContent || '';
+                if (text.match(/\d{6}_V\d+_\d+/)) { // 송장번호 패턴 매칭
+                  targetValue = text.trim();
+                  break;
+                }
               }
             }
-          }
           
-          return targetValue;
-        });
+            return targetValue;
+          });
+          await vendorInvoiceCaption.element.dispose();
+        }
         
         if (extractedVendorInvoiceValue) {
           logger.info(`✅ 공급사송장 아래 값 추출 성공: "${extractedVendorInvoiceValue}"`);
@@ -3150,78 +2096,18 @@ async function clickCalendarButton(page) {
       // InvoiceDetails_Description input 요소 찾기
       logger.info('InvoiceDetails_Description input 요소 찾는 중...');
       
-      const descriptionInputSelectors = [
-        'input#VendEditInvoice_5_InvoiceDetails_Description_input',
-        'input[name="InvoiceDetails_Description"]',
-        'input[id*="InvoiceDetails_Description_input"]',
-        'input[id*="Description_input"]',
-        'input[aria-labelledby*="InvoiceDetails_Description_label"]',
-        'input[class*="textbox"][class*="field"]',
-        'input[class*="textbox"]',
-        'input[type="text"][maxlength="255"]',
-        'input[data-dyn-bind*="InvoiceDetails_Description"]',
-        'input[placeholder*="Description"]',
-        'input[aria-label*="Description"]',
-        'div[data-dyn-controlname*="Description"] input',
-        'input[type="text"]',
-        'textarea[name*="Description"]',
-        'textarea[id*="Description"]',
-        'input[class*="field"]',
-        'input'
-      ];
-      
-      let descriptionInputFound = false;
-      let targetDescriptionInput = null;
-      let retryCount = 0;
-      const maxRetries = 3;
-      
-      while (!descriptionInputFound && retryCount < maxRetries) {
-        logger.info(`Description input 찾기 시도 ${retryCount + 1}/${maxRetries}`);
-        
-        for (const selector of descriptionInputSelectors) {
-          try {
-            logger.info(`Description input 선택자 시도: ${selector}`);
-            
-            const input = await newTab.$(selector);
-            if (input) {
-              const isVisible = await input.isIntersectingViewport();
-              if (isVisible) {
-                logger.info(`Description input 발견: ${selector}`);
-                
-                // input 위치 정보 가져오기
-                const inputPosition = await input.boundingBox();
-                logger.info(`Description input 위치: x=${inputPosition.x}, y=${inputPosition.y}`);
-                
-                targetDescriptionInput = input;
-                descriptionInputFound = true;
-                break;
-              }
-            }
-          } catch (selectorError) {
-            logger.warn(`선택자 ${selector} 시도 실패: ${selectorError.message}`);
-            continue;
-          }
-        }
-        
-        if (!descriptionInputFound) {
-          retryCount++;
-          if (retryCount < maxRetries) {
-            logger.info(`Description input을 찾지 못함, 2초 후 재시도...`);
-            await delay(2000);
-          }
-        }
-      }
+      const descriptionInput = await findElement(newTab, 'invoice.descriptionInput');
       
-      if (descriptionInputFound && targetDescriptionInput) {
+      if (descriptionInput) {
         // Description input 클릭
         logger.info('Description input 클릭 수행 중...');
-        await targetDescriptionInput.click();
+        await descriptionInput.element.click();
         await delay(500);
         
         // AU열 값 붙여넣기
         if (lastProcessedValueFromAUColumn) {
           logger.info(`AU열 값 붙여넣기: ${lastProcessedValueFromAUColumn}`);
-          await targetDescriptionInput.type(String(lastProcessedValueFromAUColumn));
+          await descriptionInput.element.type(String(lastProcessedValueFromAUColumn));
           await delay(300);
           
           // Enter 키 입력
@@ -3238,6 +2124,8 @@ async function clickCalendarButton(page) {
           // FixedDueDate textbox 찾기 및 AT열 값 입력
           await processFixedDueDateInput(newTab);
           
+          // 6~7단계는 송장 정보를 입력한 탭에서 이어서 진행
+          return newTab;
         } else {
           logger.warn('⚠️ AU열 값이 없어서 붙여넣기를 건너뜁니다');
         }
@@ -3249,6 +2137,7 @@ async function clickCalendarButton(page) {
       logger.warn('⚠️ 송장 번호 input을 찾을 수 없었지만 캘린더 부분은 완료됨');
     }
     
+    return null;
   } catch (error) {
     logger.error(`캘린더 버튼 처리 중 오류: ${error.message}`);
     throw error;
@@ -3262,112 +2151,21 @@ async function processFixedDueDateInput(page) {
   try {
     logger.info('🚀 FixedDueDate textbox 처리 시작');
     
-    // FixedDueDate textbox 선택자들 (더 포괄적으로 개선)
-    const fixedDueDateSelectors = [
-      'input[name="PurchParmTable_FixedDueDate"]',
-      'input[id*="PurchParmTable_FixedDueDate_input"]',
-      'input[id*="FixedDueDate_input"]',
-      'input[id*="FixedDueDate"]',
-      'input.textbox.field[role="combobox"][aria-haspopup="dialog"]',
-      'input[aria-controls="ui-datepicker-div"]',
-      'input[role="combobox"][aria-haspopup="dialog"]',
-      'input.textbox.field',
-      'input[class*="textbox"]',
-      'input[class*="date"]',
-      'input[type="text"][class*="field"]',
-      'input[placeholder*="날짜"]',
-      'input[placeholder*="date"]'
-    ];
-    
-    let targetInput = null;
-    let inputFound = false;
-    
-    // 각 선택자로 FixedDueDate textbox 찾기
-    for (const selector of fixedDueDateSelectors) {
-      try {
-        logger.info(`FixedDueDate textbox 선택자 시도: ${selector}`);
-        
-        const input = await page.$(selector);
-        if (input) {
-          const isVisible = await input.isIntersectingViewport();
-          if (isVisible) {
-            // input 정보 확인
-            const inputInfo = await page.evaluate((el) => {
-              return {
-                id: el.id,
-                name: el.name,
-                value: el.value,
-                title: el.title,
-                placeholder: el.placeholder
-              };
-            }, input);
-            
-            logger.info(`FixedDueDate textbox 발견: ${selector}`);
-            logger.info(`Input 정보: id=${inputInfo.id}, name=${inputInfo.name}, value="${inputInfo.value}", title="${inputInfo.title}"`);
-            
-            targetInput = input;
-            inputFound = true;
-            break;
-          } else {
-            logger.warn(`FixedDueDate textbox가 화면에 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (selectorError) {
-        logger.warn(`선택자 ${selector} 시도 실패: ${selectorError.message}`);
-        continue;
-      }
-    }
-    
-    if (!inputFound) {
-      // JavaScript evaluate를 사용한 더 포괄적인 검색
-      logger.info('JavaScript evaluate로 FixedDueDate textbox 찾는 중...');
-      try {
-        const result = await page.evaluate(() => {
-          // 모든 input 요소에서 날짜 관련 요소 찾기
-          const inputs = document.querySelectorAll('input[type="text"], input[role="combobox"], input.textbox, input.field');
-          
-          for (const input of inputs) {
-            // FixedDueDate 관련 속성 체크
-            if (input.name && input.name.includes('FixedDueDate')) {
-              return { success: true, selector: `input[name="${input.name}"]`, id: input.id };
-            }
-            if (input.id && input.id.includes('FixedDueDate')) {
-              return { success: true, selector: `input[id="${input.id}"]`, id: input.id };
-            }
-            // 날짜 입력 필드 추정
-            if (input.placeholder && (input.placeholder.includes('날짜') || input.placeholder.includes('date'))) {
-              return { success: true, selector: `input[placeholder="${input.placeholder}"]`, id: input.id };
-            }
-            // 캘린더 버튼 근처의 input 찾기
-            if (input.getAttribute('aria-haspopup') === 'dialog' || input.role === 'combobox') {
-              return { success: true, selector: `input[id="${input.id}"]`, id: input.id };
-            }
-          }
-          
-          return { success: false };
-        });
-        
-        if (result.success) {
-          logger.info(`JavaScript evaluate로 FixedDueDate 발견: ${result.selector}, id: ${result.id}`);
-          targetInput = await page.$(result.selector);
-          if (targetInput) {
-            const isVisible = await targetInput.isIntersectingViewport();
-            if (isVisible) {
-              inputFound = true;
-              logger.info(`✅ JavaScript evaluate로 FixedDueDate textbox 찾기 성공`);
-            }
-          }
-        }
-      } catch (evalError) {
-        logger.warn(`JavaScript evaluate 실패: ${evalError.message}`);
-      }
-    }
+    const fixedDueDateInput = await findElement(page, 'invoice.fixedDueDateInput', { timeout: 2000 });
     
-    if (!inputFound) {
+    if (!fixedDueDateInput) {
       logger.warn('⚠️ FixedDueDate textbox를 찾을 수 없어 이 단계를 건너뜁니다.');
       return; // 오류 대신 경고로 처리하고 계속 진행
     }
     
+    const inputInfo = await fixedDueDateInput.element.evaluate(el => ({
+      id: el.id,
+      name: el.name,
+      value: el.value,
+      title: el.title
+    }));
+    logger.info(`Input 정보: id=${inputInfo.id}, name=${inputInfo.name}, value="${inputInfo.value}", title="${inputInfo.title}"`);
+    
     // AT열 값 확인 및 변환
     if (!lastProcessedDateFromATColumn) {
       logger.warn('⚠️ AT열 값이 없어서 FixedDueDate 입력을 건너뜁니다');
@@ -3385,7 +2183,7 @@ async function processFixedDueDateInput(page) {
     
     // FixedDueDate textbox 클릭 및 값 입력
     logger.info('FixedDueDate textbox 클릭 수행 중...');
-    await targetInput.click();
+    await fixedDueDateInput.element.click();
     await delay(500);
     
     // 기존 값 모두 선택 후 삭제
@@ -3396,7 +2194,7 @@ async function processFixedDueDateInput(page) {
     
     // AT열 값 입력
     logger.info(`AT열 값 입력: ${convertedDate}`);
-    await targetInput.type(convertedDate);
+    await fixedDueDateInput.element.type(convertedDate);
     await delay(300);
     
     // Enter 키 입력
@@ -3424,129 +2222,21 @@ async function processFixedDueDateInput(page) {
  */
 async function processBizRegNumInput(page) {
   try {
-    logger.info('🚀 사업자등록번호 input 처리 시작');
-    
-    // 사업자등록번호 input 선택자들
-    const bizRegInputSelectors = [
-      'input[name="VendInvoiceInfoTable_KVBizRegNum_Line"]',
-      'input[id*="VendInvoiceInfoTable_KVBizRegNum_Line_input"]',
-      'input[id*="KVBizRegNum_Line_input"]',
-      'input[aria-labelledby*="KVBizRegNum_Line_label"]',
-      'input.textbox.field[role="combobox"][aria-haspopup="grid"]',
-      'input[data-dyn-bind*="VendInvoiceInfoTable_KVBizRegNum"]'
-    ];
-    
-    let inputFound = false;
-    let targetInput = null;
-    
-    // 첫 번째 시도: 일반적인 선택자로 찾기
-    for (const selector of bizRegInputSelectors) {
-      try {
-        logger.info(`사업자등록번호 input 선택자 시도: ${selector}`);
-        
-        const input = await page.$(selector);
-        if (input) {
-          const isVisible = await input.isIntersectingViewport();
-          if (isVisible) {
-            // input 정보 확인
-            const inputInfo = await page.evaluate((el) => {
-              return {
-                id: el.id,
-                name: el.name,
-                value: el.value,
-                ariaLabelledBy: el.getAttribute('aria-labelledby'),
-                className: el.className,
-                type: el.type,
-                role: el.role
-              };
-            }, input);
-            
-            logger.info(`사업자등록번호 input 발견: ${selector}`);
-            logger.info(`Input 정보: id=${inputInfo.id}, name=${inputInfo.name}, value="${inputInfo.value}", role="${inputInfo.role}"`);
-            
-            targetInput = input;
-            inputFound = true;
-            break;
-          } else {
-            logger.warn(`사업자등록번호 input이 화면에 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (selectorError) {
-        logger.warn(`선택자 ${selector} 시도 실패: ${selectorError.message}`);
-        continue;
-      }
-    }
-    
-    // 두 번째 시도: name 속성으로 찾기
-    if (!inputFound) {
-      try {
-        logger.info('name 속성 기반 사업자등록번호 input 찾는 중...');
-        
-        const inputByName = await page.evaluate(() => {
-          const inputs = document.querySelectorAll('input[type="text"], input[role="combobox"]');
-          for (const input of inputs) {
-            const name = input.name || '';
-            if (name.includes('KVBizRegNum') || name.includes('VendInvoiceInfoTable')) {
-              const rect = input.getBoundingClientRect();
-              return {
-                found: true,
-                id: input.id,
-                name: input.name,
-                value: input.value,
-                ariaLabelledBy: input.getAttribute('aria-labelledby'),
-                x: rect.x,
-                y: rect.y,
-                width: rect.width,
-                height: rect.height
-              };
-            }
-          }
-          return { found: false };
-        });
-        
-        if (inputByName.found) {
-          logger.info(`name 기반 사업자등록번호 input 발견: id=${inputByName.id}, name=${inputByName.name}`);
-          logger.info(`위치: x=${inputByName.x}, y=${inputByName.y}`);
-          
-          inputFound = true;
-          // 좌표를 이용해서 나중에 클릭할 준비
-        }
-      } catch (nameError) {
-        logger.warn(`name 기반 검색 실패: ${nameError.message}`);
-      }
-    }
-    
-    if (!inputFound) {
-      throw new Error('사업자등록번호 input을 찾을 수 없습니다.');
-    }
-    
-    // input 클릭
-    if (targetInput) {
-      logger.info('사업자등록번호 input 클릭 수행 중...');
-      await targetInput.click();
-      await delay(500);
-    } else {
-      // name 기반으로 찾은 경우 좌표로 클릭
-      const inputByName = await page.evaluate(() => {
-        const inputs = document.querySelectorAll('input[type="text"], input[role="combobox"]');
-        for (const input of inputs) {
-          const name = input.name || '';
-          if (name.includes('KVBizRegNum') || name.includes('VendInvoiceInfoTable')) {
-            const rect = input.getBoundingClientRect();
-            return {
-              x: rect.x + rect.width / 2,
-              y: rect.y + rect.height / 2
-            };
-          }
-        }
-        return null;
-      });
-      
-      if (inputByName) {
-        await page.mouse.click(inputByName.x, inputByName.y);
-        await delay(500);
-      }
-    }
+    logger.info('🚀 사업자등록번호 input 처리 시작');
+    
+    const bizRegInput = await resolveElement(page, 'invoice.bizRegNumInput', { timeout: 2000 });
+    const inputInfo = await bizRegInput.element.evaluate(el => ({
+      id: el.id,
+      name: el.name,
+      value: el.value
+    }));
+    logger.info(`Input 정보: id=${inputInfo.id}, name=${inputInfo.name}, value="${inputInfo.value}"`);
+    
+    // input 클릭
+    logger.info('사업자등록번호 input 클릭 수행 중...');
+    await bizRegInput.element.click();
+    await bizRegInput.element.dispose();
+    await delay(500);
     
     // 기존 값 모두 선택 후 삭제
     await page.keyboard.down('Control');
@@ -3588,127 +2278,19 @@ async function processKVTenderIdInput(page) {
   try {
     logger.info('🚀 KVTenderId input 처리 시작');
     
-    // KVTenderId input 선택자들
-    const tenderIdInputSelectors = [
-      'input[name="VendInvoiceInfoTable_KVTenderId_Line"]',
-      'input[id*="VendInvoiceInfoTable_KVTenderId_Line_input"]',
-      'input[id*="KVTenderId_Line_input"]',
-      'input[aria-labelledby*="KVTenderId_Line_label"]',
-      'input.textbox.field[role="combobox"][aria-haspopup="grid"]',
-      'input[data-dyn-bind*="VendInvoiceInfoTable_KVTenderId"]'
-    ];
-    
-    let inputFound = false;
-    let targetInput = null;
-    
-    // 첫 번째 시도: 일반적인 선택자로 찾기
-    for (const selector of tenderIdInputSelectors) {
-      try {
-        logger.info(`KVTenderId input 선택자 시도: ${selector}`);
-        
-        const input = await page.$(selector);
-        if (input) {
-          const isVisible = await input.isIntersectingViewport();
-          if (isVisible) {
-            // input 정보 확인
-            const inputInfo = await page.evaluate((el) => {
-              return {
-                id: el.id,
-                name: el.name,
-                value: el.value,
-                ariaLabelledBy: el.getAttribute('aria-labelledby'),
-                className: el.className,
-                type: el.type,
-                role: el.role
-              };
-            }, input);
-            
-            logger.info(`KVTenderId input 발견: ${selector}`);
-            logger.info(`Input 정보: id=${inputInfo.id}, name=${inputInfo.name}, value="${inputInfo.value}", role="${inputInfo.role}"`);
-            
-            targetInput = input;
-            inputFound = true;
-            break;
-          } else {
-            logger.warn(`KVTenderId input이 화면에 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (selectorError) {
-        logger.warn(`선택자 ${selector} 시도 실패: ${selectorError.message}`);
-        continue;
-      }
-    }
-    
-    // 두 번째 시도: name 속성으로 찾기
-    if (!inputFound) {
-      try {
-        logger.info('name 속성 기반 KVTenderId input 찾는 중...');
-        
-        const inputByName = await page.evaluate(() => {
-          const inputs = document.querySelectorAll('input[type="text"], input[role="combobox"]');
-          for (const input of inputs) {
-            const name = input.name || '';
-            if (name.includes('KVTenderId') || name.includes('VendInvoiceInfoTable')) {
-              const rect = input.getBoundingClientRect();
-              return {
-                found: true,
-                id: input.id,
-                name: input.name,
-                value: input.value,
-                ariaLabelledBy: input.getAttribute('aria-labelledby'),
-                x: rect.x,
-                y: rect.y,
-                width: rect.width,
-                height: rect.height
-              };
-            }
-          }
-          return { found: false };
-        });
-        
-        if (inputByName.found) {
-          logger.info(`name 기반 KVTenderId input 발견: id=${inputByName.id}, name=${inputByName.name}`);
-          logger.info(`위치: x=${inputByName.x}, y=${inputByName.y}`);
-          
-          inputFound = true;
-          // 좌표를 이용해서 나중에 클릭할 준비
-        }
-      } catch (nameError) {
-        logger.warn(`name 기반 검색 실패: ${nameError.message}`);
-      }
-    }
-    
-    if (!inputFound) {
-      throw new Error('KVTenderId input을 찾을 수 없습니다.');
-    }
+    const tenderIdInput = await resolveElement(page, 'invoice.tenderIdInput', { timeout: 2000 });
+    const inputInfo = await tenderIdInput.element.evaluate(el => ({
+      id: el.id,
+      name: el.name,
+      value: el.value
+    }));
+    logger.info(`Input 정보: id=${inputInfo.id}, name=${inputInfo.name}, value="${inputInfo.value}"`);
     
     // input 클릭
-    if (targetInput) {
-      logger.info('KVTenderId input 클릭 수행 중...');
-      await targetInput.click();
-      await delay(500);
-    } else {
-      // name 기반으로 찾은 경우 좌표로 클릭
-      const inputByName = await page.evaluate(() => {
-        const inputs = document.querySelectorAll('input[type="text"], input[role="combobox"]');
-        for (const input of inputs) {
-          const name = input.name || '';
-          if (name.includes('KVTenderId') || name.includes('VendInvoiceInfoTable')) {
-            const rect = input.getBoundingClientRect();
-            return {
-              x: rect.x + rect.width / 2,
-              y: rect.y + rect.height / 2
-            };
-          }
-        }
-        return null;
-      });
-      
-      if (inputByName) {
-        await page.mouse.click(inputByName.x, inputByName.y);
-        await delay(500);
-      }
-    }
+    logger.info('KVTenderId input 클릭 수행 중...');
+    await tenderIdInput.element.click();
+    await tenderIdInput.element.dispose();
+    await delay(500);
     
     // 기존 값 모두 선택 후 삭제
     await page.keyboard.down('Control');
@@ -3737,46 +2319,6 @@ async function processKVTenderIdInput(page) {
     // 저장 버튼 클릭 처리
     await clickSaveButton(page);
     
-    // 2초 대기 후 6번 RPA 동작 시작
-    logger.info('⏳ 2초 대기 후 6번 RPA 동작 시작 예정...');
-    await delay(2000);
-    
-    try {
-      await executeStep6RPA(page);
-      logger.info('✅ 6번 RPA 동작 완료');
-      
-      // 7번 RPA 동작: 그룹웨어 상신
-      logger.info('⏳ 2초 대기 후 7번 RPA 동작(그룹웨어 상신) 시작 예정...');
-      await delay(2000);
-      
-      try {
-        await executeStep7RPA(page);
-        logger.info('✅ 7번 RPA 동작: 그룹웨어 상신 완료');
-        
-        // 7번 RPA 성공 시 브라우저 닫기
-        try {
-          await browser.close();
-          logger.info('✅ 단일모드 전체 RPA 프로세스 완료 - 브라우저 닫기 완료');
-          
-          // 성공 완료 후 바로 반환
-          return { 
-            success: true, 
-            message: '1. ERP 접속 및 로그인 완료\n2. 구매 입고내역 조회 및 다운로드 완료\n3. 엑셀 파일 열기 및 매크로 실행 완료\n4. 대기중인 공급사송장 메뉴 이동 및 엑셀 데이터 처리 완료\n5. 캘린더 버튼 클릭 및 송장 처리 완료\n6. 대기중인 공급사송장 메뉴 이동 및 AU열 값 필터 입력 완료\n7. 그룹웨어 상신 완료',
-            completedAt: new Date().toISOString(),
-            browserKeptOpen: false
-          };
-        } catch (closeError) {
-          logger.warn(`브라우저 닫기 실패: ${closeError.message}`);
-        }
-        
-      } catch (step7Error) {
-        logger.warn(`⚠️ 7번 RPA 동작 실패했지만 계속 진행: ${step7Error.message}`);
-      }
-      
-    } catch (step6Error) {
-      logger.warn(`⚠️ 6번 RPA 동작 실패했지만 계속 진행: ${step6Error.message}`);
-    }
-    
   } catch (error) {
     logger.error(`KVTenderId input 처리 중 오류: ${error.message}`);
     throw error;
@@ -3810,150 +2352,15 @@ async function processCloseNewWindow(page) {
       newPage = page;
     }
     
-    // "창 닫기" 버튼 선택자들
-    const closeButtonSelectors = [
-      // 지정된 선택자 패턴
-      'span[data-dyn-bind*="FormButtonControlClose"]',
-      '#NPS_VATInvoiceResultList4UserPo_7_FormButtonControlClose_label',
-      'span[id*="FormButtonControlClose_label"]',
-      'span[class="button-label"][for*="FormButtonControlClose"]',
-      
-      // 일반적인 닫기 버튼 선택자들
-      'button[aria-label*="닫기"]',
-      'button[title*="닫기"]',
-      'span[aria-label*="닫기"]',
-      'span[title*="닫기"]',
-      '[data-dyn-bind*="닫기"]',
-      
-      // 텍스트 기반 선택자들
-      'button:contains("창 닫기")',
-      'span:contains("창 닫기")',
-      'button:contains("닫기")',
-      'span:contains("닫기")',
-      
-      // X 버튼이나 Close 버튼
-      'button[aria-label*="Close"]',
-      'button[title*="Close"]',
-      '.close-button',
-      '.btn-close',
-      '[role="button"][aria-label*="Close"]'
-    ];
-    
-    let closeButtonClicked = false;
-    
-    // 첫 번째 시도: 일반적인 선택자로 찾기
-    for (const selector of closeButtonSelectors) {
-      try {
-        if (selector.includes(':contains(')) {
-          continue; // CSS :contains()는 지원되지 않으므로 스킵
-        }
-        
-        logger.info(`창 닫기 버튼 선택자 시도: ${selector}`);
-        
-        const closeButton = await newPage.$(selector);
-        if (closeButton) {
-          const isVisible = await newPage.evaluate(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && style.visibility !== 'hidden' && el.offsetParent !== null;
-          }, closeButton);
-          
-          if (isVisible) {
-            await closeButton.click();
-            logger.info(`✅ 창 닫기 버튼 클릭 성공: ${selector}`);
-            closeButtonClicked = true;
-            break;
-          } else {
-            logger.warn(`창 닫기 버튼이 보이지 않음: ${selector}`);
-          }
-        }
-      } catch (selectorError) {
-        logger.warn(`창 닫기 버튼 선택자 시도 실패: ${selector} - ${selectorError.message}`);
-        continue;
-      }
-    }
-    
-    // 두 번째 시도: JavaScript로 직접 텍스트 검색
-    if (!closeButtonClicked) {
-      try {
-        logger.info('JavaScript로 "창 닫기" 텍스트 검색 중...');
-        
-        const clicked = await newPage.evaluate(() => {
-          // 모든 요소에서 "창 닫기" 텍스트 검색
-          const allElements = document.querySelectorAll('*');
-          
-          for (const element of allElements) {
-            const text = element.textContent || element.innerText || '';
-            if (text.trim() === '창 닫기' || text.includes('창 닫기')) {
-              // 클릭 가능한 요소인지 확인
-              const clickableEl = element.closest('button, [role="button"], .button-container, span[for], label[for]') || element;
-              
-              // 해당 요소가 클릭 가능한지 확인
-              const style = window.getComputedStyle(clickableEl);
-              if (style.display !== 'none' && style.visibility !== 'hidden') {
-                clickableEl.click();
-                return { success: true, text: text.trim(), tagName: clickableEl.tagName };
-              }
-            }
-          }
-          return { success: false };
-        });
-        
-        if (clicked.success) {
-          logger.info(`✅ JavaScript로 창 닫기 버튼 클릭 성공: "${clicked.text}" (${clicked.tagName})`);
-          closeButtonClicked = true;
-        }
-      } catch (jsError) {
-        logger.warn(`JavaScript 창 닫기 버튼 클릭 실패: ${jsError.message}`);
-      }
-    }
-    
-    // 세 번째 시도: 특정 ID 패턴으로 찾기
-    if (!closeButtonClicked) {
-      try {
-        logger.info('특정 ID 패턴으로 창 닫기 버튼 찾는 중...');
-        
-        const clicked = await newPage.evaluate(() => {
-          // FormButtonControlClose가 포함된 ID를 가진 요소들 찾기
-          const elements = document.querySelectorAll('[id*="FormButtonControlClose"]');
-          
-          for (const element of elements) {
-            // label이나 span 요소인 경우, for 속성에 해당하는 실제 버튼 찾기
-            const targetId = element.getAttribute('for');
-            if (targetId) {
-              const targetButton = document.getElementById(targetId);
-              if (targetButton) {
-                targetButton.click();
-                return { success: true, method: 'for-target', id: targetId };
-              }
-            }
-            
-            // 직접 클릭 시도
-            const style = window.getComputedStyle(element);
-            if (style.display !== 'none' && style.visibility !== 'hidden') {
-              element.click();
-              return { success: true, method: 'direct', id: element.id };
-            }
-          }
-          return { success: false };
-        });
-        
-        if (clicked.success) {
-          logger.info(`✅ ID 패턴으로 창 닫기 버튼 클릭 성공 (${clicked.method}): ${clicked.id}`);
-          closeButtonClicked = true;
-        }
-      } catch (idError) {
-        logger.warn(`ID 패턴 창 닫기 버튼 클릭 실패: ${idError.message}`);
-      }
-    }
-    
-    if (!closeButtonClicked) {
-      logger.warn('⚠️ 창 닫기 버튼을 찾을 수 없습니다. 수동으로 닫아야 할 수 있습니다.');
-      // 에러를 throw하지 않고 경고만 표시 (프로세스 진행을 방해하지 않기 위해)
-    } else {
-      logger.info('✅ 새창 닫기 처리 완료');
+    try {
+      const closeButton = await clickElement(newPage, 'invoice.closeWindowButton', { timeout: 2000 });
+      logger.info(`✅ 새창 닫기 처리 완료: ${closeButton.strategyName}`);
       
       // 창이 닫힌 후 잠시 대기
       await delay(1000);
+    } catch (closeError) {
+      logger.warn(`⚠️ 창 닫기 버튼을 찾을 수 없습니다. 수동으로 닫아야 할 수 있습니다. (${closeError.message})`);
+      // 에러를 throw하지 않고 경고만 표시 (프로세스 진행을 방해하지 않기 위해)
     }
     
   } catch (error) {
@@ -3970,14 +2377,15 @@ async function clickCloseButtonBelowUserBtn(page) {
     logger.info('🔍 UserBtn 아래쪽 닫기 버튼 찾는 중...');
     
     // 1. UserBtn 요소 찾기
-    const userBtn = await page.$('button#UserBtn');
+    const userBtn = await findElement(page, 'navigation.userButton', { timeout: 2000 });
     if (!userBtn) {
       logger.warn('⚠️ UserBtn 요소를 찾을 수 없습니다.');
       return;
     }
     
     // UserBtn의 위치 정보 가져오기
-    const userBtnPosition = await userBtn.boundingBox();
+    const userBtnPosition = await userBtn.element.boundingBox();
+    await userBtn.element.dispose();
     if (!userBtnPosition) {
       logger.warn('⚠️ UserBtn의 위치 정보를 가져올 수 없습니다.');
       return;
@@ -3990,27 +2398,19 @@ async function clickCloseButtonBelowUserBtn(page) {
     logger.info(`닫기 버튼 검색 기준 Y좌표: ${targetY} (UserBtn Y좌표 + 20px)`);
     
     // 2. UserBtn 아래쪽에서 commandRing Cancel-symbol 버튼 찾기
-    const closeButtonSelectors = [
-      '[class*="commandRing"][class*="Cancel-symbol"]',
-      '.commandRing.Cancel-symbol',
-      'button[class*="commandRing"][class*="Cancel-symbol"]',
-      'div[class*="commandRing"][class*="Cancel-symbol"]',
-      '[class*="Cancel-symbol"]',
-      'button[class*="Cancel-symbol"]'
-    ];
-    
+    // (위치 조건은 카탈로그로 표현할 수 없어 선택 방법별 후보를 UserBtn 아래쪽인지 확인한 뒤 클릭)
     let closeButtonFound = false;
     
-    for (const selector of closeButtonSelectors) {
+    for (const strategy of getSelectorEntry('invoice.commandRingCloseButton').strategies) {
       try {
-        logger.info(`닫기 버튼 선택자 시도: ${selector}`);
+        logger.info(`닫기 버튼 선택 방법 시도: ${strategy.name}`);
         
-        const buttons = await page.$$(selector);
+        const buttons = await page.$$(strategy.css);
         for (const button of buttons) {
           const buttonPosition = await button.boundingBox();
           if (buttonPosition && buttonPosition.y > targetY) {
             // UserBtn 아래쪽에 있는 버튼인 경우
-            logger.info(`닫기 버튼 발견: ${selector}, 위치: x=${buttonPosition.x}, y=${buttonPosition.y}`);
+            logger.info(`닫기 버튼 발견: ${strategy.name}, 위치: x=${buttonPosition.x}, y=${buttonPosition.y}`);
             
             const isVisible = await button.isIntersectingViewport();
             if (isVisible) {
@@ -4027,39 +2427,7 @@ async function clickCloseButtonBelowUserBtn(page) {
         
         if (closeButtonFound) break;
       } catch (err) {
-        logger.warn(`닫기 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!closeButtonFound) {
-      // JavaScript evaluate로 더 정확한 검색
-      try {
-        logger.info('JavaScript evaluate로 닫기 버튼 찾는 중...');
-        const result = await page.evaluate((targetY) => {
-          // 모든 요소 중에서 commandRing Cancel-symbol 관련 요소 찾기
-          const allElements = document.querySelectorAll('*');
-          for (const element of allElements) {
-            const className = element.className || '';
-            if ((className.includes('commandRing') && className.includes('Cancel-symbol')) ||
-                className.includes('Cancel-symbol')) {
-              const rect = element.getBoundingClientRect();
-              if (rect.y > targetY && element.offsetParent !== null) {
-                console.log(`닫기 버튼 클릭 시도: class="${className}", y=${rect.y}`);
-                element.click();
-                return { success: true, className: className, y: rect.y };
-              }
-            }
-          }
-          return { success: false };
-        }, targetY);
-        
-        if (result.success) {
-          logger.info(`JavaScript evaluate로 닫기 버튼 클릭 성공: class="${result.className}", y=${result.y}`);
-          await delay(500);
-          closeButtonFound = true;
-        }
-      } catch (err) {
-        logger.warn(`JavaScript evaluate 닫기 버튼 클릭 실패: ${err.message}`);
+        logger.warn(`닫기 버튼 선택 방법 실패: ${strategy.name} - ${err.message}`);
       }
     }
     
@@ -4082,73 +2450,12 @@ async function clickSaveButton(page) {
   try {
     logger.info('🔍 저장 버튼 찾는 중...');
     
-    // 저장 버튼 선택자들
-    const saveButtonSelectors = [
-      'span#VendEditInvoice_5_SystemDefinedSaveButton_label',
-      'span[id*="SystemDefinedSaveButton_label"]',
-      'span.button-label[for*="SystemDefinedSaveButton"]',
-      'span[for="VendEditInvoice_5_SystemDefinedSaveButton"]',
-      'button#VendEditInvoice_5_SystemDefinedSaveButton'
-    ];
-    
-    let saveButtonFound = false;
-    
-    for (const selector of saveButtonSelectors) {
-      try {
-        logger.info(`저장 버튼 선택자 시도: ${selector}`);
-        
-        const button = await page.$(selector);
-        if (button) {
-          const isVisible = await button.isIntersectingViewport();
-          const text = await button.evaluate(el => el.textContent);
-          
-          logger.info(`저장 버튼 발견: ${selector}, 가시성: ${isVisible}, 텍스트: "${text}"`);
-          
-          if (isVisible && text && text.includes('저장')) {
-            logger.info('저장 버튼 클릭 시도...');
-            await button.click();
-            await delay(1000); // 저장 후 1초 대기
-            saveButtonFound = true;
-            break;
-          }
-        }
-      } catch (err) {
-        logger.warn(`저장 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!saveButtonFound) {
-      // JavaScript evaluate로 더 정확한 검색
-      try {
-        logger.info('JavaScript evaluate로 저장 버튼 찾는 중...');
-        const result = await page.evaluate(() => {
-          // 모든 span과 button 요소에서 "저장" 텍스트가 있는 요소 찾기
-          const allElements = document.querySelectorAll('span, button');
-          for (const element of allElements) {
-            const text = element.textContent ? element.textContent.trim() : '';
-            const id = element.id || '';
-            
-            if (text === '저장' && element.offsetParent !== null &&
-                (id.includes('SystemDefinedSaveButton') || element.className.includes('button-label'))) {
-              console.log(`저장 버튼 클릭 시도: text="${text}", id="${id}"`);
-              element.click();
-              return { success: true, text: text, id: id };
-            }
-          }
-          return { success: false };
-        });
-        
-        if (result.success) {
-          logger.info(`JavaScript evaluate로 저장 버튼 클릭 성공: text="${result.text}", id="${result.id}"`);
-          await delay(1000); // 저장 후 1초 대기
-          saveButtonFound = true;
-        }
-      } catch (err) {
-        logger.warn(`JavaScript evaluate 저장 버튼 클릭 실패: ${err.message}`);
-      }
-    }
-    
-    if (saveButtonFound) {
+    const saveButton = await findElement(page, 'invoice.saveButton', { timeout: 3000 });
+    if (saveButton) {
+      logger.info(`저장 버튼 클릭 시도: ${saveButton.strategyName}`);
+      await saveButton.element.click();
+      await saveButton.element.dispose();
+      await delay(1000); // 저장 후 1초 대기
       logger.info('✅ 저장 버튼 클릭 완료');
     } else {
       logger.warn('⚠️ 저장 버튼을 찾을 수 없습니다.');
@@ -4167,139 +2474,8 @@ async function executeStep6RPA(page) {
   logger.info('🚀 === 6번 RPA 동작: 대기중인 공급사송장 메뉴 이동 시작 ===');
   
   try {
-    // 1. 검색 버튼 클릭
-    logger.info('1. 검색 버튼 찾는 중...');
-    const searchButtonSelectors = [
-      '.button-commandRing.Find-symbol',
-      'span.Find-symbol',
-      '[data-dyn-image-type="Symbol"].Find-symbol',
-      '.button-container .Find-symbol'
-    ];
-    
-    let searchButtonClicked = false;
-    for (const selector of searchButtonSelectors) {
-      try {
-        logger.info(`검색 버튼 선택자 시도: ${selector}`);
-        const searchButton = await page.$(selector);
-        if (searchButton) {
-          const isVisible = await searchButton.isIntersectingViewport();
-          logger.info(`검색 버튼 발견: ${selector}, 가시성: ${isVisible}`);
-          
-          if (isVisible) {
-            await searchButton.click();
-            await delay(500);
-            logger.info('검색 버튼 클릭 완료');
-            searchButtonClicked = true;
-            break;
-          }
-        }
-      } catch (err) {
-        logger.warn(`검색 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!searchButtonClicked) {
-      throw new Error('검색 버튼을 찾을 수 없습니다. (6번 RPA)');
-    }
-    
-    // 검색창이 나타날 때까지 대기
-    await delay(2000);
-    
-    // 2. "대기중인 공급사송장" 검색어 입력
-    logger.info('2. 검색어 입력 중...');
-    const searchInputSelectors = [
-      'input[type="text"]',
-      '.navigationSearchBox input',
-      '#NavigationSearchBox',
-      'input[placeholder*="검색"]',
-      'input[aria-label*="검색"]'
-    ];
-    
-    let searchInputFound = false;
-    const searchTerm = '대기중인 공급사송장';
-    
-    for (const selector of searchInputSelectors) {
-      try {
-        logger.info(`검색 입력창 선택자 시도: ${selector}`);
-        await page.waitForSelector(selector, { visible: true, timeout: 5000 });
-        await page.click(selector, { clickCount: 3 });
-        await page.keyboard.press('Backspace');
-        await page.type(selector, searchTerm, { delay: 100 });
-        logger.info(`검색어 입력 완료: ${searchTerm}`);
-        searchInputFound = true;
-        break;
-      } catch (error) {
-        logger.warn(`검색 입력창 처리 실패: ${selector} - ${error.message}`);
-      }
-    }
-    
-    if (!searchInputFound) {
-      throw new Error('검색 입력창을 찾을 수 없습니다. (6번 RPA)');
-    }
-    
-    // 검색 결과가 나타날 때까지 대기
-    await delay(3000);
-    
-    // 3. 검색 결과에서 대기중인 공급사송장 메뉴 클릭
-    logger.info('3. 검색 결과에서 대기중인 공급사송장 메뉴 찾는 중...');
-    const searchResultSelectors = [
-      '.navigationSearchBox',
-      '.search-results',
-      '.navigation-search-results',
-      '[data-dyn-bind*="NavigationSearch"]'
-    ];
-    
-    let menuClicked = false;
-    for (const containerSelector of searchResultSelectors) {
-      try {
-        const container = await page.$(containerSelector);
-        if (container) {
-          const menuItems = await page.$$eval(`${containerSelector} *`, (elements) => {
-            return elements
-              .filter(el => {
-                const text = el.textContent || el.innerText || '';
-                return text.includes('대기중인 공급사송장');
-              })
-              .map(el => ({
-                text: el.textContent || el.innerText,
-                clickable: el.tagName === 'A' || el.tagName === 'BUTTON' || el.onclick || el.getAttribute('role') === 'button'
-              }));
-          });
-          
-          logger.info(`검색 결과 메뉴 항목들:`, menuItems);
-          
-          if (menuItems.length > 0) {
-            await page.evaluate((containerSel) => {
-              const container = document.querySelector(containerSel);
-              if (container) {
-                const elements = container.querySelectorAll('*');
-                for (const el of elements) {
-                  const text = el.textContent || el.innerText || '';
-                  if (text.includes('대기중인 공급사송장')) {
-                    el.click();
-                    return true;
-                  }
-                }
-              }
-              return false;
-            }, containerSelector);
-            
-            logger.info('대기중인 공급사송장 메뉴 클릭 완료');
-            menuClicked = true;
-            break;
-          }
-        }
-      } catch (error) {
-        logger.warn(`검색 결과 처리 실패: ${containerSelector} - ${error.message}`);
-      }
-    }
-    
-    if (!menuClicked) {
-      // Enter 키로 첫 번째 결과 선택 시도
-      logger.info('Enter 키로 검색 결과 선택 시도...');
-      await page.keyboard.press('Enter');
-      menuClicked = true;
-    }
+    // 1~3. 검색 버튼 클릭 후 "대기중인 공급사송장" 검색, 검색 결과에서 해당 메뉴 클릭
+    await openMenuFromSearch(page, '대기중인 공급사송장', 'navigation.pendingVendorInvoiceResult');
     
     // 페이지 이동 대기
     logger.info('4. 대기중인 공급사송장 페이지 로딩 대기 중...');
@@ -4317,450 +2493,208 @@ async function executeStep6RPA(page) {
     } else {
       logger.info(`📋 사용할 AU열 값: "${lastProcessedValueFromAUColumn}"`);
       
-      // 필터 텍스트박스 선택자들
-      const filterInputSelectors = [
-        'input[name="QuickFilterControl_Input"]',
-        'input[id*="QuickFilterControl_Input_input"]',
-        'input[aria-label="필터"]',
-        'input[id*="QuickFilterControl"]'
-      ];
-      
-      let filterInputFound = false;
-      
-      for (const selector of filterInputSelectors) {
-        try {
-          logger.info(`필터 텍스트박스 선택자 시도: ${selector}`);
-          
-          const input = await page.$(selector);
-          if (input) {
-            const isVisible = await input.isIntersectingViewport();
-            logger.info(`필터 텍스트박스 발견: ${selector}, 가시성: ${isVisible}`);
-            
-            if (isVisible) {
-              // 텍스트박스 클릭 및 기존 내용 삭제
-              await input.click();
-              await delay(300);
-              
-              // 기존 내용 모두 선택 후 삭제
-              await page.keyboard.down('Control');
-              await page.keyboard.press('KeyA');
-              await page.keyboard.up('Control');
-              await delay(200);
-              
-              // AU열 값 입력
-              await input.type(String(lastProcessedValueFromAUColumn));
-              await delay(1000); // 1초 대기하여 콤보박스 나타나게 함
-              
-              // 콤보박스에서 4번째 항목(인덱스 3) 클릭
-              try {
-                const comboboxItem = await page.$('li.quickFilter-listItem[data-dyn-index="3"]');
-                if (comboboxItem) {
-                  await comboboxItem.click();
-                  await delay(500);
-                  logger.info(`✅ 콤보박스 4번째 항목 클릭 완료`);
-                  
-                  // 1초 대기 후 추가 동작 시작
-                  await delay(1000);
-                  
-                  // 1. SVG 체크박스 클릭
-                  try {
-                    const svgCheckbox = await page.$('div.dyn-container._ln972h.dyn-svg-symbol');
-                    if (svgCheckbox) {
-                      await svgCheckbox.click();
-                      await delay(1000);
-                      logger.info(`✅ SVG 체크박스 클릭 완료`);
-                      
-                      // 2. 그룹웨어 버튼 클릭
-                      try {
-                        const groupwareButton = await page.$('button[id*="NPS_GroupWareActionPaneTab_button"]');
-                        if (groupwareButton) {
-                          await groupwareButton.click();
-                          await delay(1000);
-                          logger.info(`✅ 그룹웨어 버튼 클릭 완료`);
-                          
-                          // 3. 그룹웨어 승인 버튼 클릭
-                          try {
-                            const approvalButton = await page.$('div.button-container span.button-label[id*="NPS_IF_GRW_POINVOICEBATCH_label"]');
-                            if (approvalButton) {
-                              await approvalButton.click();
-                              await delay(1000);
-                              logger.info(`✅ 그룹웨어 승인 버튼 클릭 완료`);
-                              
-                              // 4. 새 창(로그인 창) 대기 및 처리 - 개선된 방법
-                              try {
-                                logger.info('새 창(로그인 창) 대기 중...');
-                                
-                                let newPage = null;
-                                let attempts = 0;
-                                const maxAttempts = 10;
-                                
-                                // 3번째 탭 (인덱스 2) 확인 방법
-                                while (!newPage && attempts < maxAttempts) {
-                                  try {
-                                    const pages = await page.browser().pages();
-                                    logger.info(`현재 페이지 수: ${pages.length}`);
-                                    
-                                    // 3번째 탭이 존재하는지 확인 (인덱스 2)
-                                    if (pages.length >= 3) {
-                                      newPage = pages[2]; // 3번째 탭 (인덱스 2)
-                                      logger.info('✅ 3번째 탭에서 새 창 감지됨');
-                                      break;
-                                    }
-                                    
-                                    // 만약 3번째 탭이 없으면, 가장 최근에 열린 페이지 확인
-                                    if (pages.length > 1) {
-                                      newPage = pages[pages.length - 1];
-                                      logger.info(`✅ 가장 최근 페이지에서 새 창 감지됨 (총 ${pages.length}개 페이지, 인덱스 ${pages.length - 1})`);
-                                      break;
-                                    }
-                                    
-                                  } catch (pageError) {
-                                    logger.warn(`페이지 확인 실패 (시도 ${attempts + 1}/${maxAttempts}): ${pageError.message}`);
-                                  }
-                                  
-                                  attempts++;
-                                  logger.info(`3번째 탭 대기 중... (시도 ${attempts}/${maxAttempts})`);
-                                  await delay(1000);
-                                }
-                                
-                                if (!newPage) {
-                                  throw new Error('새 창을 감지할 수 없습니다');
-                                }
-                                
-                                // 새 페이지 로딩 대기
-                                try {
-                                  await newPage.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 });
-                                } catch (navError) {
-                                  logger.warn(`페이지 네비게이션 대기 실패: ${navError.message}, 계속 진행`);
-                                }
-                                await delay(1000);
-                                logger.info('✅ 새 로그인 창 감지 및 로딩 완료');
-                                
-                                // 4.1 로그인 요소 대기 및 확인
-                                logger.info('로그인 요소 대기 중...');
-                                let loginAttempts = 0;
-                                const maxLoginAttempts = 5;
-                                let loginSuccess = false;
-                                
-                                while (!loginSuccess && loginAttempts < maxLoginAttempts) {
-                                  try {
-                                    // 로그인 요소들이 모두 존재하는지 확인
-                                    await newPage.waitForSelector('#txtLoginID', { visible: true, timeout: 3000 });
-                                    await newPage.waitForSelector('#txtPassword', { visible: true, timeout: 3000 });
-                                    await newPage.waitForSelector('#btnLogin', { visible: true, timeout: 3000 });
-                                    
-                                    logger.info('✅ 모든 로그인 요소 감지됨');
-                                    
-                                    // 4.1 아이디 입력 (하드코딩)
-                                    const loginId = 'accounting';
-                                    await newPage.click('#txtLoginID'); // 포커스
-                                    await newPage.evaluate(() => document.querySelector('#txtLoginID').value = ''); // 기존 값 클리어
-                                    await newPage.type('#txtLoginID', loginId);
-                                    await delay(100);
-                                    logger.info(`✅ 로그인 ID 입력 완료: ${loginId}`);
-                                    
-                                    // 4.2 패스워드 입력 (하드코딩)
-                                    const loginPassword = 'P@ssw0rd';
-                                    await newPage.click('#txtPassword'); // 포커스
-                                    await newPage.evaluate(() => document.querySelector('#txtPassword').value = ''); // 기존 값 클리어
-                                    await newPage.type('#txtPassword', loginPassword);
-                                    await delay(100);
-                                    logger.info(`✅ 로그인 PW 입력 완료`);
-                                    
-                                    // 4.3 로그인 버튼 클릭
-                                    await newPage.click('#btnLogin');
-                                    await delay(500);
-                                    logger.info(`✅ 로그인 버튼 클릭 완료`);
-                                    
-                                    loginSuccess = true;
-                                    
-                                  } catch (loginError) {
-                                    loginAttempts++;
-                                    logger.warn(`로그인 시도 ${loginAttempts}/${maxLoginAttempts} 실패: ${loginError.message}`);
-                                    
-                                    if (loginAttempts < maxLoginAttempts) {
-                                      logger.info('2초 후 재시도...');
-                                      await delay(2000);
-                                    }
-                                  }
-                                }
-                                
-                                if (!loginSuccess) {
-                                  throw new Error('로그인 요소를 찾을 수 없습니다');
-                                }
-                                
-                              } catch (newPageError) {
-                                logger.error(`❌ 새 창 로그인 처리 실패: ${newPageError.message}. 작업 중단.`);
-                                return;
-                              }
-                              
-                            } else {
-                              logger.error('❌ 그룹웨어 승인 버튼을 찾을 수 없습니다. 작업 중단.');
-                              return;
-                            }
-                          } catch (approvalError) {
-                            logger.error(`❌ 그룹웨어 승인 버튼 클릭 실패: ${approvalError.message}. 작업 중단.`);
-                            return;
-                          }
-                          
-                        } else {
-                          logger.error('❌ 그룹웨어 버튼을 찾을 수 없습니다. 작업 중단.');
-                          return;
-                        }
-                      } catch (groupwareError) {
-                        logger.error(`❌ 그룹웨어 버튼 클릭 실패: ${groupwareError.message}. 작업 중단.`);
-                        return;
-                      }
-                      
-                    } else {
-                      logger.error('❌ SVG 체크박스를 찾을 수 없습니다. 작업 중단.');
-                      return;
-                    }
-                  } catch (svgError) {
-                    logger.error(`❌ SVG 체크박스 클릭 실패: ${svgError.message}. 작업 중단.`);
-                    return;
-                  }
-                  
-                } else {
-                  logger.error('❌ 콤보박스에서 4번째 항목을 찾을 수 없습니다.');
-                  return;
-                }
-              } catch (comboError) {
-                logger.error(`❌ 콤보박스 항목 클릭 실패: ${comboError.message}`);
-                return;
-              }
-              
-              logger.info(`✅ 필터 텍스트박스에 AU열 값 입력 및 콤보박스 선택 완료: "${lastProcessedValueFromAUColumn}"`);
-              filterInputFound = true;
-              break;
-            }
-          }
-        } catch (err) {
-          logger.warn(`필터 텍스트박스 선택자 실패: ${selector} - ${err.message}`);
-        }
-      }
+      const filterInput = await findElement(page, 'pendingInvoice.quickFilterInput', { timeout: 3000 });
       
-      if (!filterInputFound) {
-        // JavaScript evaluate로 더 정확한 검색
-        try {
-          logger.info('JavaScript evaluate로 필터 텍스트박스 찾는 중...');
-          const result = await page.evaluate((iValue) => {
-            // 필터 관련 input 찾기
-            const inputs = document.querySelectorAll('input[name*="QuickFilter"], input[aria-label*="필터"], input[id*="QuickFilter"]');
-            for (const input of inputs) {
-              if (input.offsetParent !== null) {
-                // 기존 내용 삭제 후 새 값 입력
-                input.focus();
-                input.select();
-                input.value = '';
-                input.value = iValue;
-                
-                // input 이벤트 발생시켜 변경사항 알림
-                const inputEvent = new Event('input', { bubbles: true });
-                input.dispatchEvent(inputEvent);
-                
-                return {
-                  success: true,
-                  value: iValue,
-                  id: input.id,
-                  name: input.name
-                };
-              }
-            }
-            return { success: false };
-          }, String(lastProcessedValueFromAUColumn));
-          
-          if (result.success) {
-            logger.info(`✅ JavaScript evaluate로 필터 입력 성공: "${result.value}", id: "${result.id}"`);
-            await delay(1000); // 콤보박스 나타날 때까지 대기
+      if (filterInput) {
+        const input = filterInput.element;
+        
+        // 텍스트박스 클릭 및 기존 내용 삭제
+        await input.click();
+        await delay(300);
+        
+        // 기존 내용 모두 선택 후 삭제
+        await page.keyboard.down('Control');
+        await page.keyboard.press('KeyA');
+        await page.keyboard.up('Control');
+        await delay(200);
+        
+        // AU열 값 입력
+        await input.type(String(lastProcessedValueFromAUColumn));
+        await delay(1000); // 1초 대기하여 콤보박스 나타나게 함
+        
+        // 콤보박스에서 4번째 항목(인덱스 3) 클릭
+        try {
+          const comboboxItem = await page.$('li.quickFilter-listItem[data-dyn-index="3"]');
+          if (comboboxItem) {
+            await comboboxItem.click();
+            await delay(500);
+            logger.info(`✅ 콤보박스 4번째 항목 클릭 완료`);
+            
+            // 1초 대기 후 추가 동작 시작
+            await delay(1000);
             
-            // 콤보박스에서 4번째 항목(인덱스 3) 클릭
+            // 1. SVG 체크박스 클릭
             try {
-              const comboboxItem = await page.$('li.quickFilter-listItem[data-dyn-index="3"]');
-              if (comboboxItem) {
-                await comboboxItem.click();
-                await delay(500);
-                logger.info(`✅ 콤보박스 4번째 항목 클릭 완료`);
-                
-                // 1초 대기 후 추가 동작 시작
+              const svgCheckbox = await page.$('div.dyn-container._ln972h.dyn-svg-symbol');
+              if (svgCheckbox) {
+                await svgCheckbox.click();
                 await delay(1000);
+                logger.info(`✅ SVG 체크박스 클릭 완료`);
                 
-                // 1. SVG 체크박스 클릭
+                // 2. 그룹웨어 버튼 클릭
                 try {
-                  const svgCheckbox = await page.$('div.dyn-container._ln972h.dyn-svg-symbol');
-                  if (svgCheckbox) {
-                    await svgCheckbox.click();
+                  const groupwareButton = await page.$('button[id*="NPS_GroupWareActionPaneTab_button"]');
+                  if (groupwareButton) {
+                    await groupwareButton.click();
                     await delay(1000);
-                    logger.info(`✅ SVG 체크박스 클릭 완료`);
+                    logger.info(`✅ 그룹웨어 버튼 클릭 완료`);
                     
-                    // 2. 그룹웨어 버튼 클릭
+                    // 3. 그룹웨어 승인 버튼 클릭
                     try {
-                      const groupwareButton = await page.$('button[id*="NPS_GroupWareActionPaneTab_button"]');
-                      if (groupwareButton) {
-                        await groupwareButton.click();
+                      const approvalButton = await page.$('div.button-container span.button-label[id*="NPS_IF_GRW_POINVOICEBATCH_label"]');
+                      if (approvalButton) {
+                        await approvalButton.click();
                         await delay(1000);
-                        logger.info(`✅ 그룹웨어 버튼 클릭 완료`);
+                        logger.info(`✅ 그룹웨어 승인 버튼 클릭 완료`);
                         
-                        // 3. 그룹웨어 승인 버튼 클릭
+                        // 4. 새 창(로그인 창) 대기 및 처리 - 개선된 방법
                         try {
-                          const approvalButton = await page.$('div.button-container span.button-label[id*="NPS_IF_GRW_POINVOICEBATCH_label"]');
-                          if (approvalButton) {
-                            await approvalButton.click();
-                            await delay(1000);
-                            logger.info(`✅ 그룹웨어 승인 버튼 클릭 완료`);
-                            
-                            // 4. 새 창(로그인 창) 대기 및 처리 - 개선된 방법
+                          logger.info('새 창(로그인 창) 대기 중...');
+                          
+                          let newPage = null;
+                          let attempts = 0;
+                          const maxAttempts = 10;
+                          
+                          // 3번째 탭 (인덱스 2) 확인 방법
+                          while (!newPage && attempts < maxAttempts) {
                             try {
-                              logger.info('새 창(로그인 창) 대기 중...');
-                              
-                              let newPage = null;
-                              let attempts = 0;
-                              const maxAttempts = 10;
+                              const pages = await page.browser().pages();
+                              logger.info(`현재 페이지 수: ${pages.length}`);
                               
-                              // 3번째 탭 (인덱스 2) 확인 방법
-                              while (!newPage && attempts < maxAttempts) {
-                                try {
-                                  const pages = await page.browser().pages();
-                                  logger.info(`현재 페이지 수: ${pages.length}`);
-                                  
-                                  // 3번째 탭이 존재하는지 확인 (인덱스 2)
-                                  if (pages.length >= 3) {
-                                    newPage = pages[2]; // 3번째 탭 (인덱스 2)
-                                    logger.info('✅ 3번째 탭에서 새 창 감지됨');
-                                    break;
-                                  }
-                                  
-                                  // 만약 3번째 탭이 없으면, 가장 최근에 열린 페이지 확인
-                                  if (pages.length > 1) {
-                                    newPage = pages[pages.length - 1];
-                                    logger.info(`✅ 가장 최근 페이지에서 새 창 감지됨 (총 ${pages.length}개 페이지, 인덱스 ${pages.length - 1})`);
-                                    break;
-                                  }
-                                  
-                                } catch (pageError) {
-                                  logger.warn(`페이지 확인 실패 (시도 ${attempts + 1}/${maxAttempts}): ${pageError.message}`);
-                                }
-                                
-                                attempts++;
-                                logger.info(`3번째 탭 대기 중... (시도 ${attempts}/${maxAttempts})`);
-                                await delay(1000);
+                              // 3번째 탭이 존재하는지 확인 (인덱스 2)
+                              if (pages.length >= 3) {
+                                newPage = pages[2]; // 3번째 탭 (인덱스 2)
+                                logger.info('✅ 3번째 탭에서 새 창 감지됨');
+                                break;
                               }
                               
-                              if (!newPage) {
-                                throw new Error('새 창을 감지할 수 없습니다');
+                              // 만약 3번째 탭이 없으면, 가장 최근에 열린 페이지 확인
+                              if (pages.length > 1) {
+                                newPage = pages[pages.length - 1];
+                                logger.info(`✅ 가장 최근 페이지에서 새 창 감지됨 (총 ${pages.length}개 페이지, 인덱스 ${pages.length - 1})`);
+                                break;
                               }
                               
-                              // 새 페이지 로딩 대기
-                              try {
-                                await newPage.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 });
-                              } catch (navError) {
-                                logger.warn(`페이지 네비게이션 대기 실패: ${navError.message}, 계속 진행`);
-                              }
-                              await delay(1000);
-                              logger.info('✅ 새 로그인 창 감지 및 로딩 완료');
+                            } catch (pageError) {
+                              logger.warn(`페이지 확인 실패 (시도 ${attempts + 1}/${maxAttempts}): ${pageError.message}`);
+                            }
+                            
+                            attempts++;
+                            logger.info(`3번째 탭 대기 중... (시도 ${attempts}/${maxAttempts})`);
+                            await delay(1000);
+                          }
+                          
+                          if (!newPage) {
+                            throw new Error('새 창을 감지할 수 없습니다');
+                          }
+                          
+                          // 새 페이지 로딩 대기
+                          try {
+                            await newPage.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 });
+                          } catch (navError) {
+                            logger.warn(`페이지 네비게이션 대기 실패: ${navError.message}, 계속 진행`);
+                          }
+                          await delay(1000);
+                          logger.info('✅ 새 로그인 창 감지 및 로딩 완료');
+                          
+                          // 4.1 로그인 요소 대기 및 확인
+                          logger.info('로그인 요소 대기 중...');
+                          let loginAttempts = 0;
+                          const maxLoginAttempts = 5;
+                          let loginSuccess = false;
+                          
+                          while (!loginSuccess && loginAttempts < maxLoginAttempts) {
+                            try {
+                              // 로그인 요소들이 모두 존재하는지 확인
+                              await newPage.waitForSelector('#txtLoginID', { visible: true, timeout: 3000 });
+                              await newPage.waitForSelector('#txtPassword', { visible: true, timeout: 3000 });
+                              await newPage.waitForSelector('#btnLogin', { visible: true, timeout: 3000 });
                               
-                              // 4.1 로그인 요소 대기 및 확인
-                              logger.info('로그인 요소 대기 중...');
-                              let loginAttempts = 0;
-                              const maxLoginAttempts = 5;
-                              let loginSuccess = false;
+                              logger.info('✅ 모든 로그인 요소 감지됨');
                               
-                              while (!loginSuccess && loginAttempts < maxLoginAttempts) {
-                                try {
-                                  // 로그인 요소들이 모두 존재하는지 확인
-                                  await newPage.waitForSelector('#txtLoginID', { visible: true, timeout: 2000 });
-                                  await newPage.waitForSelector('#txtPassword', { visible: true, timeout: 2000 });
-                                  await newPage.waitForSelector('#btnLogin', { visible: true, timeout: 2000 });
-                                  
-                                  logger.info('✅ 모든 로그인 요소 감지됨');
-                                  
-                                  // 4.1 아이디 입력 (하드코딩)
-                                  const loginId = 'accounting';
-                                  await newPage.click('#txtLoginID'); // 포커스
-                                  await newPage.evaluate(() => document.querySelector('#txtLoginID').value = ''); // 기존 값 클리어
-                                  await newPage.type('#txtLoginID', loginId);
-                                  await delay(100);
-                                  logger.info(`✅ 로그인 ID 입력 완료: ${loginId}`);
-                                  
-                                  // 4.2 패스워드 입력 (하드코딩)
-                                  const loginPassword = 'P@ssw0rd';
-                                  await newPage.click('#txtPassword'); // 포커스
-                                  await newPage.evaluate(() => document.querySelector('#txtPassword').value = ''); // 기존 값 클리어
-                                  await newPage.type('#txtPassword', loginPassword);
-                                  await delay(100);
-                                  logger.info(`✅ 로그인 PW 입력 완료`);
-                                  
-                                  // 4.3 로그인 버튼 클릭
-                                  await newPage.click('#btnLogin');
-                                  await delay(100);
-                                  logger.info(`✅ 로그인 버튼 클릭 완료`);
-                                  
-                                  loginSuccess = true;
-                                  
-                                } catch (loginError) {
-                                  loginAttempts++;
-                                  logger.warn(`로그인 시도 ${loginAttempts}/${maxLoginAttempts} 실패: ${loginError.message}`);
-                                  
-                                  if (loginAttempts < maxLoginAttempts) {
-                                    logger.info('2초 후 재시도...');
-                                    await delay(2000);
-                                  }
-                                }
-                              }
+                              // 4.1 아이디 입력 (하드코딩)
+                              const loginId = 'accounting';
+                              await newPage.click('#txtLoginID'); // 포커스
+                              await newPage.evaluate(() => document.querySelector('#txtLoginID').value = ''); // 기존 값 클리어
+                              await newPage.type('#txtLoginID', loginId);
+                              await delay(100);
+                              logger.info(`✅ 로그인 ID 입력 완료: ${loginId}`);
                               
-                              if (!loginSuccess) {
-                                throw new Error('로그인 요소를 찾을 수 없습니다');
-                              }
+                              // 4.2 패스워드 입력 (하드코딩)
+                              const loginPassword = 'P@ssw0rd';
+                              await newPage.click('#txtPassword'); // 포커스
+                              await newPage.evaluate(() => document.querySelector('#txtPassword').value = ''); // 기존 값 클리어
+                              await newPage.type('#txtPassword', loginPassword);
+                              await delay(100);
+                              logger.info(`✅ 로그인 PW 입력 완료`);
+                              
+                              // 4.3 로그인 버튼 클릭
+                              await newPage.click('#btnLogin');
+                              await delay(500);
+                              logger.info(`✅ 로그인 버튼 클릭 완료`);
+                              
+                              loginSuccess = true;
                               
-                            } catch (newPageError) {
-                              logger.error(`❌ 새 창 로그인 처리 실패: ${newPageError.message}. 작업 중단.`);
-                              return;
+                            } catch (loginError) {
+                              loginAttempts++;
+                              logger.warn(`로그인 시도 ${loginAttempts}/${maxLoginAttempts} 실패: ${loginError.message}`);
+                              
+                              if (loginAttempts < maxLoginAttempts) {
+                                logger.info('2초 후 재시도...');
+                                await delay(2000);
+                              }
                             }
-                            
-                          } else {
-                            logger.error('❌ 그룹웨어 승인 버튼을 찾을 수 없습니다. 작업 중단.');
-                            return;
                           }
-                        } catch (approvalError) {
-                          logger.error(`❌ 그룹웨어 승인 버튼 클릭 실패: ${approvalError.message}. 작업 중단.`);
+                          
+                          if (!loginSuccess) {
+                            throw new Error('로그인 요소를 찾을 수 없습니다');
+                          }
+                          
+                        } catch (newPageError) {
+                          logger.error(`❌ 새 창 로그인 처리 실패: ${newPageError.message}. 작업 중단.`);
                           return;
                         }
                         
                       } else {
-                        logger.error('❌ 그룹웨어 버튼을 찾을 수 없습니다. 작업 중단.');
+                        logger.error('❌ 그룹웨어 승인 버튼을 찾을 수 없습니다. 작업 중단.');
                         return;
                       }
-                    } catch (groupwareError) {
-                      logger.error(`❌ 그룹웨어 버튼 클릭 실패: ${groupwareError.message}. 작업 중단.`);
+                    } catch (approvalError) {
+                      logger.error(`❌ 그룹웨어 승인 버튼 클릭 실패: ${approvalError.message}. 작업 중단.`);
                       return;
                     }
                     
                   } else {
-                    logger.error('❌ SVG 체크박스를 찾을 수 없습니다. 작업 중단.');
+                    logger.error('❌ 그룹웨어 버튼을 찾을 수 없습니다. 작업 중단.');
                     return;
                   }
-                } catch (svgError) {
-                  logger.error(`❌ SVG 체크박스 클릭 실패: ${svgError.message}. 작업 중단.`);
+                } catch (groupwareError) {
+                  logger.error(`❌ 그룹웨어 버튼 클릭 실패: ${groupwareError.message}. 작업 중단.`);
                   return;
                 }
                 
               } else {
-                logger.error('❌ 콤보박스에서 4번째 항목을 찾을 수 없습니다.');
+                logger.error('❌ SVG 체크박스를 찾을 수 없습니다. 작업 중단.');
                 return;
               }
-            } catch (comboError) {
-              logger.error(`❌ 콤보박스 항목 클릭 실패: ${comboError.message}`);
+            } catch (svgError) {
+              logger.error(`❌ SVG 체크박스 클릭 실패: ${svgError.message}. 작업 중단.`);
               return;
             }
             
-            filterInputFound = true;
+          } else {
+            logger.error('❌ 콤보박스에서 4번째 항목을 찾을 수 없습니다.');
+            return;
           }
-        } catch (err) {
-          logger.warn(`JavaScript evaluate 필터 입력 실패: ${err.message}`);
+        } catch (comboError) {
+          logger.error(`❌ 콤보박스 항목 클릭 실패: ${comboError.message}`);
+          return;
         }
+        
+        logger.info(`✅ 필터 텍스트박스에 AU열 값 입력 및 콤보박스 선택 완료: "${lastProcessedValueFromAUColumn}"`);
       }
       
-      if (!filterInputFound) {
+      if (!filterInput) {
         logger.warn('⚠️ 필터 텍스트박스를 찾을 수 없습니다.');
       } else {
         logger.info('✅ 필터 텍스트박스에 I열 값 입력 완료');
@@ -5177,101 +3111,9 @@ async function processInvoiceIntegrationAfterAT(page) {
       });
     });
     
-    const invoiceIntegrationSelectors = [
-      'button[data-dyn-controlname="summaryPurchSetup"]',
-      'button[data-dyn-role="DropDialogButton"][data-dyn-controlname="summaryPurchSetup"]',
-      'button.dropDialogButton[data-dyn-controlname="summaryPurchSetup"]',
-      'button[id*="summaryPurchSetup"]',
-      '#VendEditInvoice_5_summaryPurchSetup',
-      'button.dynamicsButton.dropDialogButton',
-      'span.button-label.button-label-dropDown[id*="summaryPurchSetup_label"]',
-      'span[id*="summaryPurchSetup_label"]'
-    ];
-    
-    let integrationButtonFound = false;
-    
-    for (const selector of invoiceIntegrationSelectors) {
-      try {
-        logger.info(`송장 통합 버튼 선택자 시도: ${selector}`);
-        const button = await page.$(selector);
-        if (button) {
-          logger.info(`선택자로 요소 발견: ${selector}`);
-          const isVisible = await button.isIntersectingViewport();
-          logger.info(`요소 가시성 확인: ${isVisible}`);
-          
-          // 요소의 텍스트 내용 확인
-          const textContent = await button.evaluate(el => el.textContent);
-          logger.info(`요소 텍스트 내용: "${textContent}"`);
-          
-          if (isVisible) {
-            logger.info(`송장 통합 버튼 클릭 시도: ${selector}`);
-            await button.click();
-            await delay(500);
-            integrationButtonFound = true;
-            break;
-          } else {
-            logger.warn(`요소가 화면에 보이지 않음: ${selector}`);
-          }
-        } else {
-          logger.warn(`선택자로 요소를 찾을 수 없음: ${selector}`);
-        }
-      } catch (err) {
-        logger.warn(`송장 통합 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!integrationButtonFound) {
-      // 모든 요소에서 "송장 통합" 텍스트를 포함한 요소 찾기
-      try {
-        logger.info('모든 요소에서 송장 통합 텍스트 검색 중...');
-        const result = await page.evaluate(() => {
-          // 모든 clickable 요소 검색
-          const allElements = document.querySelectorAll('span, button, div, a');
-          const foundElements = [];
-          
-          for (const element of allElements) {
-            if (element.textContent && element.textContent.includes('송장 통합')) {
-              foundElements.push({
-                tagName: element.tagName,
-                id: element.id,
-                className: element.className,
-                textContent: element.textContent.trim(),
-                isVisible: element.offsetParent !== null
-              });
-            }
-          }
-          
-          // 첫 번째로 찾은 송장 통합 요소 클릭 시도
-          if (foundElements.length > 0) {
-            const element = document.querySelector(`${foundElements[0].tagName.toLowerCase()}${foundElements[0].id ? '#' + foundElements[0].id : ''}${foundElements[0].className ? '.' + foundElements[0].className.split(' ').join('.') : ''}`);
-            if (element) {
-              element.click();
-              return { success: true, elements: foundElements };
-            }
-          }
-          
-          return { success: false, elements: foundElements };
-        });
-        
-        logger.info(`발견된 송장 통합 요소들: ${JSON.stringify(result.elements, null, 2)}`);
-        
-        if (result.success) {
-          logger.info('포괄적 검색으로 송장 통합 버튼 클릭 성공');
-          await delay(500);
-          integrationButtonFound = true;
-        } else if (result.elements.length > 0) {
-          logger.warn('송장 통합 요소는 발견했지만 클릭에 실패');
-        } else {
-          logger.warn('송장 통합 텍스트를 포함한 요소를 찾을 수 없음');
-        }
-      } catch (err) {
-        logger.warn(`포괄적 송장 통합 버튼 검색 실패: ${err.message}`);
-      }
-    }
-    
-    if (!integrationButtonFound) {
-      throw new Error('송장 통합 버튼을 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'invoice.summaryPurchSetupButton', { timeout: 3000 });
+    logger.info('송장 통합 버튼 클릭 완료');
+    await delay(500);
     
     // 2. 송장 통합 DropDialogButton 클릭 후 나타나는 옵션 대기
     logger.info('2. 송장 통합 드롭다운 옵션 대기 중...');
@@ -5293,161 +3135,21 @@ async function processInvoiceIntegrationAfterAT(page) {
       });
     });
     
-    const optionSelectors = [
-      'li[data-dyn-index="1"]',
-      'li[id*="list_item1"]',
-      'li[role="option"]',
-      'li[id*="sumBy_list_item"]',
-      'li:contains("송장 계정")',
-      'li'
-    ];
-    
-    let optionFound = false;
-    
-    for (const selector of optionSelectors) {
-      try {
-        logger.info(`송장 계정 옵션 선택자 시도: ${selector}`);
-        
-        if (selector === 'li') {
-          // 모든 li 요소에 대해 하나씩 확인
-          const allLis = await page.$$('li');
-          logger.info(`총 ${allLis.length}개의 li 요소 발견`);
-          
-          for (let i = 0; i < allLis.length; i++) {
-            try {
-              const li = allLis[i];
-              const isVisible = await li.isIntersectingViewport();
-              const text = await li.evaluate(el => el.textContent);
-              
-              if (text && text.includes('송장 계정') && isVisible) {
-                logger.info(`송장 계정 옵션 발견 (li[${i}]): "${text.trim()}"`);
-                await li.click();
-                await delay(500);
-                optionFound = true;
-                break;
-              }
-            } catch (innerErr) {
-              // 개별 li 처리 실패는 무시
-            }
-          }
-          
-          if (optionFound) break;
-        } else {
-          const option = await page.$(selector);
-          if (option) {
-            logger.info(`선택자로 요소 발견: ${selector}`);
-            const isVisible = await option.isIntersectingViewport();
-            logger.info(`요소 가시성: ${isVisible}`);
-            
-            if (isVisible) {
-              const text = await option.evaluate(el => el.textContent);
-              logger.info(`요소 텍스트: "${text}"`);
-              
-              if (text && text.includes('송장 계정')) {
-                logger.info(`송장 계정 옵션 클릭: ${selector}`);
-                await option.click();
-                await delay(500);
-                optionFound = true;
-                break;
-              }
-            }
-          } else {
-            logger.warn(`선택자로 요소를 찾을 수 없음: ${selector}`);
-          }
-        }
-      } catch (err) {
-        logger.warn(`송장 계정 옵션 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!optionFound) {
-      // JavaScript evaluate로 "송장 계정" 텍스트 찾기
-      try {
-        logger.info('JavaScript evaluate로 송장 계정 옵션 찾는 중...');
-        const evaluateResult = await page.evaluate(() => {
-          const lis = document.querySelectorAll('li');
-          for (const li of lis) {
-            if (li.textContent && li.textContent.includes('송장 계정')) {
-              li.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        
-        if (evaluateResult) {
-          logger.info('JavaScript evaluate로 송장 계정 옵션 클릭 성공');
-          await delay(500);
-          optionFound = true;
-        }
-      } catch (err) {
-        logger.warn(`JavaScript evaluate 송장 계정 옵션 클릭 실패: ${err.message}`);
-      }
-    }
-    
-    if (!optionFound) {
-      throw new Error('송장 계정 옵션을 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'invoice.sumByInvoiceAccountOption', { timeout: 3000 });
+    logger.info('송장 계정 옵션 클릭 완료');
+    await delay(500);
     
     // 4. "연결" 버튼 클릭
     logger.info('4. "연결" 버튼 찾는 중...');
     await delay(1000);
     
-    const connectButtonSelectors = [
-      'span[id*="buttonReArrange_label"]',
-      'span.button-label[for*="buttonReArrange"]',
-      'span[class="button-label"]'
-    ];
-    
-    let connectButtonFound = false;
-    
-    for (const selector of connectButtonSelectors) {
-      try {
-        const button = await page.$(selector);
-        if (button) {
-          const isVisible = await button.isIntersectingViewport();
-          if (isVisible) {
-            const text = await button.textContent();
-            if (text && text.trim() === '연결') {
-              logger.info(`연결 버튼 클릭: ${selector}`);
-              await button.click();
-              await delay(500);
-              connectButtonFound = true;
-              break;
-            }
-          }
-        }
-      } catch (err) {
-        logger.warn(`연결 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!connectButtonFound) {
-      // JavaScript evaluate로 "연결" 텍스트 찾기
-      try {
-        logger.info('JavaScript evaluate로 연결 버튼 찾는 중...');
-        const buttonFound = await page.evaluate(() => {
-          const spans = document.querySelectorAll('span');
-          for (const span of spans) {
-            if (span.textContent && span.textContent.trim() === '연결') {
-              span.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        
-        if (buttonFound) {
-          logger.info('JavaScript evaluate로 연결 버튼 클릭 성공');
-          await delay(500);
-          connectButtonFound = true;
-        }
-      } catch (err) {
-        logger.warn(`JavaScript evaluate 연결 버튼 클릭 실패: ${err.message}`);
-      }
-    }
-    
-    if (!connectButtonFound) {
+    const connectButton = await findElement(page, 'invoice.reArrangeButton', { timeout: 3000 });
+    if (connectButton) {
+      logger.info(`연결 버튼 클릭: ${connectButton.strategyName}`);
+      await connectButton.element.click();
+      await connectButton.element.dispose();
+      await delay(500);
+    } else {
       logger.error('연결 버튼을 찾을 수 없습니다. 송장 통합 처리를 건너뜁니다.');
       // 에러를 throw하지 않고 경고만 남김 (전체 프로세스 중단 방지)
     }
@@ -5470,64 +3172,9 @@ async function processInvoiceIntegrationAfterAV(page) {
     // 1. "송장 통합" 버튼 클릭하여 팝업 열기
     logger.info('1. 송장 통합 버튼 찾는 중...');
     
-    const invoiceIntegrationSelectors = [
-      'button[data-dyn-controlname="summaryPurchSetup"]',
-      'button[data-dyn-role="DropDialogButton"][data-dyn-controlname="summaryPurchSetup"]',
-      'button.dropDialogButton[data-dyn-controlname="summaryPurchSetup"]',
-      'button[id*="summaryPurchSetup"]',
-      '#VendEditInvoice_5_summaryPurchSetup',
-      'button.dynamicsButton.dropDialogButton',
-      'span.button-label.button-label-dropDown[id*="summaryPurchSetup_label"]',
-      'span[id*="summaryPurchSetup_label"]'
-    ];
-    
-    let integrationButtonFound = false;
-    
-    for (const selector of invoiceIntegrationSelectors) {
-      try {
-        logger.info(`송장 통합 버튼 선택자 시도: ${selector}`);
-        const button = await page.$(selector);
-        if (button) {
-          const isVisible = await button.isIntersectingViewport();
-          const textContent = await button.evaluate(el => el.textContent);
-          logger.info(`요소 발견: ${selector}, 가시성: ${isVisible}, 텍스트: "${textContent}"`);
-          
-          if (isVisible) {
-            logger.info(`송장 통합 버튼 클릭 시도: ${selector}`);
-            await button.click();
-            await delay(1000); // 팝업이 열릴 시간 대기
-            integrationButtonFound = true;
-            break;
-          }
-        }
-      } catch (err) {
-        logger.warn(`송장 통합 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!integrationButtonFound) {
-      // 포괄적 검색으로 송장 통합 버튼 찾기
-      const result = await page.evaluate(() => {
-        const allElements = document.querySelectorAll('span, button, div, a');
-        for (const element of allElements) {
-          if (element.textContent && element.textContent.includes('송장 통합') && element.offsetParent !== null) {
-            element.click();
-            return { success: true, text: element.textContent.trim() };
-          }
-        }
-        return { success: false };
-      });
-      
-      if (result.success) {
-        logger.info(`포괄적 검색으로 송장 통합 버튼 클릭 성공: "${result.text}"`);
-        await delay(1000);
-        integrationButtonFound = true;
-      }
-    }
-    
-    if (!integrationButtonFound) {
-      throw new Error('송장 통합 버튼을 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'invoice.summaryPurchSetupButton', { timeout: 3000 });
+    logger.info('송장 통합 버튼 클릭 완료');
+    await delay(1000); // 팝업이 열릴 시간 대기
     
     // 2. 팝업 다이얼로그가 열렸는지 확인하고 sumBy input textbox 클릭
     logger.info('2. 팝업 다이얼로그에서 sumBy input textbox 찾는 중...');
@@ -5535,47 +3182,9 @@ async function processInvoiceIntegrationAfterAV(page) {
     // 팝업이 완전히 로드될 때까지 대기
     await delay(3000);
     
-    const sumByInputSelectors = [
-      'input[name="sumBy"]',
-      'input[data-dyn-controlname="sumBy"]',
-      'input[id*="sumBy"]',
-      'input[class*="textbox"][role="combobox"]',
-      'input[title="송장 계정"]',
-      'input[id$="_sumBy_input"]',
-      'input[class*="textbox"][name="sumBy"]',
-      'input[role="combobox"]',
-      'input[class*="textbox"][class*="field"]',
-      'input[type="text"][role="combobox"]',
-      'input[class*="textbox"]',
-      'input'
-    ];
-    
-    let sumByInputFound = false;
-    
-    for (const selector of sumByInputSelectors) {
-      try {
-        logger.info(`sumBy input 선택자 시도: ${selector}`);
-        const input = await page.$(selector);
-        if (input) {
-          const isVisible = await input.isIntersectingViewport();
-          logger.info(`sumBy input 발견: ${selector}, 가시성: ${isVisible}`);
-          
-          if (isVisible) {
-            logger.info(`sumBy input textbox 클릭: ${selector}`);
-            await input.click();
-            await delay(800); // 드롭다운이 나타날 시간 대기
-            sumByInputFound = true;
-            break;
-          }
-        }
-      } catch (err) {
-        logger.warn(`sumBy input 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!sumByInputFound) {
-      throw new Error('팝업에서 sumBy input textbox를 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'invoice.sumByInput', { timeout: 3000 });
+    logger.info('sumBy input textbox 클릭 완료');
+    await delay(800); // 드롭다운이 나타날 시간 대기
     
     // 3. 드롭다운에서 "송장 계정" 옵션 선택
     logger.info('3. 드롭다운에서 "송장 계정" 옵션 찾는 중...');
@@ -5591,99 +3200,9 @@ async function processInvoiceIntegrationAfterAV(page) {
       });
     });
     
-    const optionSelectors = [
-      'li[data-dyn-index="1"]',
-      'li[role="option"]',
-      'option[value*="account"]',
-      'div[role="option"]',
-      'li'
-    ];
-    
-    let optionFound = false;
-    
-    for (const selector of optionSelectors) {
-      try {
-        logger.info(`송장 계정 옵션 선택자 시도: ${selector}`);
-        
-        if (selector === 'li') {
-          // 모든 li 요소에서 "송장 계정" 텍스트 찾기
-          const allLis = await page.$$('li');
-          logger.info(`총 ${allLis.length}개의 li 요소 발견`);
-          
-          for (let i = 0; i < allLis.length; i++) {
-            try {
-              const li = allLis[i];
-              const isVisible = await li.isIntersectingViewport();
-              const text = await li.evaluate(el => el.textContent);
-              
-              logger.info(`li[${i}] 확인: "${text ? text.trim() : 'null'}", 가시성: ${isVisible}`);
-              
-              if (text && isVisible && (
-                text.includes('송장 계정') || 
-                text.trim() === '송장 계정' ||
-                text.includes('송장계정')
-              )) {
-                logger.info(`송장 계정 옵션 발견 및 클릭: "${text.trim()}"`);
-                await li.click();
-                await delay(500);
-                optionFound = true;
-                break;
-              }
-            } catch (innerErr) {
-              // 개별 li 처리 실패는 무시
-            }
-          }
-          
-          if (optionFound) break;
-        } else {
-          const option = await page.$(selector);
-          if (option) {
-            const isVisible = await option.isIntersectingViewport();
-            const text = await option.evaluate(el => el.textContent);
-            
-            if (isVisible && text && text.includes('송장 계정')) {
-              logger.info(`송장 계정 옵션 클릭: ${selector}`);
-              await option.click();
-              await delay(500);
-              optionFound = true;
-              break;
-            }
-          }
-        }
-      } catch (err) {
-        logger.warn(`송장 계정 옵션 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!optionFound) {
-      // JavaScript evaluate로 더 정확한 검색
-      const evaluateResult = await page.evaluate(() => {
-        const allElements = document.querySelectorAll('li, option, div[role="option"]');
-        for (const element of allElements) {
-          const text = element.textContent ? element.textContent.trim() : '';
-          if (text && element.offsetParent !== null && (
-            text.includes('송장 계정') || 
-            text === '송장 계정' ||
-            text.includes('송장계정')
-          )) {
-            console.log(`송장 계정 옵션 클릭 시도: "${text}"`);
-            element.click();
-            return { success: true, clickedText: text };
-          }
-        }
-        return { success: false };
-      });
-      
-      if (evaluateResult.success) {
-        logger.info(`JavaScript evaluate로 송장 계정 옵션 클릭 성공: "${evaluateResult.clickedText}"`);
-        await delay(500);
-        optionFound = true;
-      }
-    }
-    
-    if (!optionFound) {
-      throw new Error('드롭다운에서 송장 계정 옵션을 찾을 수 없습니다.');
-    }
+    await clickElement(page, 'invoice.sumByInvoiceAccountOption', { timeout: 3000 });
+    logger.info('송장 계정 옵션 클릭 완료');
+    await delay(500);
     
     // 4. 팝업 내 "연결" 버튼 (#110_9_buttonReArrange) 클릭
     logger.info('4. 팝업 내 "연결" 버튼 찾는 중...');
@@ -5701,68 +3220,13 @@ async function processInvoiceIntegrationAfterAV(page) {
       });
     });
     
-    const connectButtonSelectors = [
-      '#110_9_buttonReArrange',
-      'button[id*="buttonReArrange"]',
-      'button[data-dyn-controlname*="buttonReArrange"]',
-      'span[id*="buttonReArrange_label"]'
-    ];
-    
-    let connectButtonFound = false;
-    
-    for (const selector of connectButtonSelectors) {
-      try {
-        logger.info(`연결 버튼 선택자 시도: ${selector}`);
-        const button = await page.$(selector);
-        if (button) {
-          const isVisible = await button.isIntersectingViewport();
-          const text = await button.evaluate(el => el.textContent);
-          logger.info(`연결 버튼 발견: ${selector}, 가시성: ${isVisible}, 텍스트: "${text}"`);
-          
-          if (isVisible) {
-            logger.info(`연결 버튼 클릭: ${selector}`);
-            await button.click();
-            await delay(500);
-            connectButtonFound = true;
-            break;
-          }
-        }
-      } catch (err) {
-        logger.warn(`연결 버튼 선택자 실패: ${selector} - ${err.message}`);
-      }
-    }
-    
-    if (!connectButtonFound) {
-      // JavaScript evaluate로 연결 버튼 찾기
-      const result = await page.evaluate(() => {
-        const allElements = document.querySelectorAll('button, span');
-        for (const element of allElements) {
-          const text = element.textContent ? element.textContent.trim() : '';
-          const id = element.id || '';
-          
-          if (element.offsetParent !== null && (
-            text === '연결' || 
-            text === '재배치' ||
-            text.includes('연결') ||
-            text.includes('재배치') ||
-            id.includes('buttonReArrange')
-          )) {
-            console.log(`연결 버튼 클릭 시도: "${text}", id: "${id}"`);
-            element.click();
-            return { success: true, clickedText: text, id: id };
-          }
-        }
-        return { success: false };
-      });
-      
-      if (result.success) {
-        logger.info(`JavaScript evaluate로 연결 버튼 클릭 성공: "${result.clickedText}", id: "${result.id}"`);
-        await delay(500);
-        connectButtonFound = true;
-      }
-    }
-    
-    if (!connectButtonFound) {
+    const connectButton = await findElement(page, 'invoice.reArrangeButton', { timeout: 3000 });
+    if (connectButton) {
+      logger.info(`연결 버튼 클릭: ${connectButton.strategyName}`);
+      await connectButton.element.click();
+      await connectButton.element.dispose();
+      await delay(500);
+    } else {
       logger.error('팝업에서 연결 버튼을 찾을 수 없습니다. 송장 통합 처리를 건너뜁니다.');
       // 에러를 throw하지 않고 경고만 남김 (전체 프로세스 중단 방지)
     }
@@ -5808,13 +3272,14 @@ function getCurrentDateFormatted() {
 
 /**
  * 매입송장 처리 메인 함수 - 전체 RPA 프로세스 실행
+ * @param {Object} [options] - { startAt, stopAfter, onProgress, data } (runInvoiceWorkflow 참고)
  */
-async function processInvoice(credentials) {
+async function processInvoice(credentials, options = {}) {
   try {
     logger.info('🚀 === 다중모드 매입송장 처리 시작 ===');
     
     // 1~7. 전체 RPA 프로세스 실행 (connectToD365가 모든 단계 포함)
-    const result = await connectToD365(credentials);
+    const result = await connectToD365(credentials, options);
     
     logger.info('✅ 다중모드 매입송장 처리 완료');
     
@@ -5832,12 +3297,12 @@ async function processInvoice(credentials) {
 /**
  * 단계별 진행 상황을 추적하는 매입송장 처리 함수 (다중모드용)
  */
-async function processInvoiceWithProgress(credentials, progressCallback, cycle) {
+async function processInvoiceWithProgress(credentials, progressCallback, cycle, options = {}) {
   try {
     logger.info(`🚀 === ${cycle}번째 사이클 매입송장 처리 시작 ===`);
     
     // 1~7. 전체 RPA 프로세스 실행 (단계별 콜백 포함)
-    const result = await connectToD365WithProgress(credentials, progressCallback, cycle);
+    const result = await connectToD365WithProgress(credentials, progressCallback, cycle, options);
     
     logger.info(`✅ ${cycle}번째 사이클 매입송장 처리 완료`);
     
@@ -5851,10 +3316,12 @@ async function processInvoiceWithProgress(credentials, progressCallback, cycle)
       progressCallback(cycle, null, null, error.message);
     }
     
+    // 단계 실행 전 오류 (브라우저 실행 실패, 잘못된 시작/종료 단계 등)
     return {
       success: false,
       error: error.message,
-      failedStep: 1 // 기본적으로 1번 단계에서 실패로 가정
+      failedStep: null,
+      stepResults: []
     };
   }
 }
@@ -5869,20 +3336,51 @@ function setValueA(valueA) {
   logger.info(`✅ A열 값 설정 완료: userInputValueA = ${userInputValueA}`);
 }
 
+// 현재 A열 값 반환 (작업 대기열에 등록할 때 실행할 값을 기록)
+function getValueA() {
+  return userInputValueA;
+}
+
 /**
  * 여러 A열 값을 순차적으로 처리하는 함수
+ * @param {Array} valueArray - A열 값 목록 (사이클마다 회사를 바꾸려면 { valueA, company } 형식)
+ * @param {Function} [progressCallback] - (사이클, 현재 단계, 완료 단계 수, 오류) 화면 진행 표시용 콜백
+ * @param {Object} [options] - 모든 사이클에 적용할 startAt, stopAfter, onProgress, company (runInvoiceWorkflow 참고),
+ *   signal: 실행 취소 신호 (없으면 다중모드 전체를 'invoice' 실행으로 등록하여 대시보드의 취소 버튼으로 취소)
+ * 취소하면 진행 중인 사이클의 현재 단계를 마친 뒤 멈추고, 끝난 사이클 목록(completedItems)과 함께 "취소됨"으로 반환한다.
  */
-async function processMultipleValueA(valueArray, credentials) {
+async function processMultipleValueA(valueArray, credentials, progressCallback, options = {}) {
+  const cancellation = beginCancellableRun('invoice', `다중모드 A열 값 ${valueArray.length}개`, options.signal);
+  try {
+    return await runMultipleValueA(valueArray, credentials, progressCallback, { ...options, signal: cancellation.signal });
+  } finally {
+    cancellation.finish();
+  }
+}
+
+// 다중모드 사이클 순차 실행 (processMultipleValueA 참고)
+async function runMultipleValueA(valueArray, credentials, progressCallback, options) {
   const results = [];
+  const environment = getActiveEnvironment().name;
+  let cancelled = false;
   
-  logger.info(`🚀 === 다중모드 시작: ${valueArray.length}개 A열 값 처리 ===`);
+  logger.info(`🚀 === 다중모드 시작: ${valueArray.length}개 A열 값 처리 (환경: ${environment}) ===`);
   
   for (let i = 0; i < valueArray.length; i++) {
-    const currentValue = parseInt(valueArray[i]);
+    const item = valueArray[i];
+    const currentValue = parseInt(item !== null && typeof item === 'object' ? item.valueA : item);
+    const cycleCompany = String((item && item.company) || options.company || getSettings().company).toUpperCase();
     const isFirstCycle = i === 0;
     const isLastCycle = i === valueArray.length - 1;
+
+    // 안전 지점 - 사이클 사이에서 취소 확인
+    if (options.signal.aborted) {
+      logger.warn(`🛑 실행 취소 - ${i + 1}번째 사이클부터 처리하지 않습니다.`);
+      cancelled = true;
+      break;
+    }
     
-    logger.info(`\n🔄 다중 처리 ${i + 1}/${valueArray.length}: A열 값 ${currentValue} 처리 시작`);
+    logger.info(`\n🔄 다중 처리 ${i + 1}/${valueArray.length}: A열 값 ${currentValue} 처리 시작 (회사: ${cycleCompany})`);
     logger.info(`📍 사이클 타입: ${isFirstCycle ? '첫 번째 사이클' : '후속 사이클'}`);
     logger.info(`📍 마지막 사이클: ${isLastCycle ? 'YES' : 'NO'}`);
     
@@ -5898,6 +3396,7 @@ async function processMultipleValueA(valueArray, credentials) {
           if (!results[i]) {
             results[i] = {
               valueA: currentValue,
+              company: cycleCompany,
               cycle: i + 1,
               success: false,
               message: '',
@@ -5923,38 +3422,63 @@ async function processMultipleValueA(valueArray, credentials) {
           }
           
           results[i].stepDetails.push(stepInfo);
+          
+          if (progressCallback) {
+            progressCallback(cycleNum, currentStep, completedSteps, error);
+          }
         },
-        i + 1 // cycle number
+        i + 1, // cycle number
+        { ...options, company: cycleCompany }
       );
       
       // 콜백에서 이미 results[i]가 생성되었으므로 업데이트만 수행
       if (results[i]) {
         results[i].success = result.success;
+        results[i].company = result.company || cycleCompany;
         results[i].message = result.message;
         results[i].completedAt = new Date().toISOString();
+        results[i].error = result.error;
         results[i].failedStep = result.failedStep;
+        results[i].failedStepName = result.failedStepName;
+        results[i].failedStepData = result.failedStepData;
+        results[i].stepResults = result.stepResults;
+        results[i].evidence = result.evidence;
       } else {
         // 혹시 콜백이 호출되지 않은 경우를 위한 fallback
         results.push({
           valueA: currentValue,
+          company: cycleCompany,
           cycle: i + 1,
           success: result.success,
           message: result.message,
           completedAt: new Date().toISOString(),
+          error: result.error,
           failedStep: result.failedStep,
+          failedStepName: result.failedStepName,
+          failedStepData: result.failedStepData,
+          stepResults: result.stepResults,
+          evidence: result.evidence,
           stepDetails: [] // 빈 단계 정보
         });
       }
+
+      // 사이클 중에 취소된 경우 남은 사이클을 처리하지 않음
+      if (result.cancelled) {
+        results[i].cancelled = true;
+        logger.warn(`🛑 ${i + 1}번째 사이클 실행 취소 - 다중모드를 중단합니다.`);
+        cancelled = true;
+        break;
+      }
       
       if (result.success) {
         logger.info(`✅ A열 값 ${currentValue} 처리 완료`);
       } else {
-        logger.error(`❌ A열 값 ${currentValue} 처리 실패: ${result.message}`);
+        logger.error(`❌ A열 값 ${currentValue} 처리 실패: ${result.error}`);
         
         // 첫 번째 사이클에서 에러 발생시 전체 프로세스 중단
         if (isFirstCycle) {
           logger.error(`🚨 첫 번째 사이클에서 에러 발생 - 전체 다중모드 프로세스 중단`);
-          logger.error(`🚨 에러 상세: ${result.message}`);
+          logger.error(`🚨 에러 상세: ${result.error}`);
           return {
             success: false,
             totalProcessed: 1,
@@ -5962,7 +3486,8 @@ async function processMultipleValueA(valueArray, credentials) {
             failCount: 1,
             results: results,
             isMultipleMode: true,
-            error: `첫 번째 사이클 실패로 인한 전체 프로세스 중단: ${result.message}`,
+            environment,
+            error: `첫 번째 사이클 실패로 인한 전체 프로세스 중단: ${result.error}`,
             message: `첫 번째 사이클에서 에러가 발생하여 다중모드를 중단했습니다.`
           };
         }
@@ -5992,16 +3517,17 @@ async function processMultipleValueA(valueArray, credentials) {
         results[i].message = error.message;
         results[i].completedAt = new Date().toISOString();
         results[i].errorDetails = error.stack;
-        results[i].failedStep = getCurrentStepFromError(error.message);
+        results[i].failedStep = null;
       } else {
         results.push({
           valueA: currentValue,
+          company: cycleCompany,
           cycle: i + 1,
           success: false,
           message: error.message,
           completedAt: new Date().toISOString(),
           errorDetails: error.stack,
-          failedStep: getCurrentStepFromError(error.message),
+          failedStep: null,
           stepDetails: [] // 빈 단계 정보
         });
       }
@@ -6017,6 +3543,7 @@ async function processMultipleValueA(valueArray, credentials) {
           failCount: 1,
           results: results,
           isMultipleMode: true,
+          environment,
           error: `첫 번째 사이클 예외로 인한 전체 프로세스 중단: ${error.message}`,
           message: `첫 번째 사이클에서 예외가 발생하여 다중모드를 중단했습니다.`
         };
@@ -6036,6 +3563,10 @@ async function processMultipleValueA(valueArray, credentials) {
   // 전체 결과 요약
   const successCount = results.filter(r => r.success).length;
   const failCount = results.length - successCount;
+
+  if (cancelled) {
+    return finishCancelledMultipleRun(valueArray, results, environment);
+  }
   
   logger.info(`\n📊 === 다중모드 완료 ===`);
   logger.info(`📈 처리 통계 - 총: ${results.length}, 성공: ${successCount}, 실패: ${failCount}`);
@@ -6046,9 +3577,10 @@ async function processMultipleValueA(valueArray, credentials) {
     logger.info(`  - ${result.cycle}번째 사이클 (A열 값: ${result.valueA}): ${status}`);
     
     if (!result.success) {
-      logger.error(`    오류: ${result.message}`);
+      logger.error(`    오류: ${result.error || result.message}`);
       if (result.failedStep) {
-        logger.error(`    실패 단계: ${result.failedStep}단계`);
+        logger.error(`    실패 단계: ${result.failedStep}단계(${result.failedStepName})`);
+        logger.error(`    실패 단계 입력값: ${JSON.stringify(result.failedStepData)}`);
       }
       if (result.errorDetails) {
         logger.error(`    상세: ${result.errorDetails.split('\n')[0]}`); // 첫 번째 줄만 표시
@@ -6076,11 +3608,39 @@ async function processMultipleValueA(valueArray, credentials) {
     failCount: failCount,
     results: results,
     isMultipleMode: true,
+    environment,
     message: `총 ${results.length}개 A열 값 처리 완료 (성공: ${successCount}, 실패: ${failCount})`,
     completedAt: new Date().toISOString()
   };
 }
 
+// 취소한 다중모드 결과 - 끝난 사이클(성공/실패)과 처리하지 않은 A열 값을 "취소됨"으로 기록
+function finishCancelledMultipleRun(valueArray, results, environment) {
+  const finishedResults = results.filter(result => result && !result.cancelled);
+  const completedItems = finishedResults.map(result => ({ cycle: result.cycle, valueA: result.valueA, company: result.company, success: result.success }));
+  const remainingValues = valueArray.slice(finishedResults.length).map(item => parseInt(item !== null && typeof item === 'object' ? item.valueA : item));
+  const successCount = finishedResults.filter(result => result.success).length;
+
+  logger.warn(`🛑 === 다중모드 실행 취소: 끝난 사이클 ${completedItems.length}개 (성공 ${successCount}), 처리하지 않은 A열 값 ${remainingValues.join(', ') || '없음'} ===`);
+
+  return {
+    success: false,
+    cancelled: true,
+    status: 'cancelled',
+    totalProcessed: completedItems.length,
+    successCount,
+    failCount: completedItems.length - successCount,
+    results,
+    completedItems,
+    remainingValues,
+    isMultipleMode: true,
+    environment,
+    error: `다중모드 실행이 취소되었습니다. 끝난 사이클 ${completedItems.length}개, 처리하지 않은 A열 값: ${remainingValues.join(', ') || '없음'}`,
+    message: `다중모드 실행이 취소되었습니다 (끝난 사이클 ${completedItems.length}개 / 전체 ${valueArray.length}개)`,
+    cancelledAt: new Date().toISOString()
+  };
+}
+
 // 모듈 내보내기
 module.exports = {
   setCredentials,
@@ -6092,6 +3652,8 @@ module.exports = {
   processInvoice,
   processInvoiceWithProgress,
   setValueA,
+  getValueA,
   processMultipleValueA,
-  getCurrentDateFormatted
+  getCurrentDateFormatted,
+  INVOICE_WORKFLOW_STEPS
 };
\ No newline at end of file
@@ -0,0 +1,439 @@
+/**
+ * 앱 설정 모듈 (메인 프로세스)
+ * 환경 프로필(운영/테스트 등 환경별 D365 주소, 회사, 로그인 도메인, 그룹웨어 주소), 다운로드 폴더,
+ * 브라우저 표시 여부와 실행할 브라우저, 전표 사전 검증의 열린 회계기간, 기본 대기 시간, 실행 증거 자료, 작업 대기열, 로그 수준을 사용자 데이터 폴더의 app-settings.json 파일에 저장하고
+ * 모든 모듈이 이 값을 읽어 사용한다. getSettings()는 현재 환경 프로필의 값을 d365BaseUrl, company,
+ * loginDomain, groupwareUrl로 함께 돌려주므로 각 모듈은 환경을 따로 구분하지 않아도 된다.
+ * 설정 파일이 없거나 값이 빠진 경우 기본값(기존 고정값과 동일, 운영 환경)으로 동작한다.
+ * 예전 형식(최상위 d365BaseUrl, company, loginDomain)의 설정 파일은 운영(PROD) 프로필로 읽는다.
+ * 로그 수준은 각 모듈의 로거를 만들 때 읽으므로 앱을 다시 시작해야 적용된다.
+ *
+ * 설정 파일 예시:
+ * {
+ *   "activeEnvironment": "TEST",
+ *   "environments": {
+ *     "PROD": { "label": "운영", "production": true, "d365BaseUrl": "https://d365.nepes.co.kr", "company": "K02", "loginDomain": "nepes.co.kr", "groupwareUrl": "" },
+ *     "TEST": { "label": "테스트", "production": false, "d365BaseUrl": "https://d365-test.nepes.co.kr", "company": "K02", "loginDomain": "nepes.co.kr", "groupwareUrl": "" }
+ *   },
+ *   "downloadDir": "",
+ *   "headless": false,
+ *   "browserChannel": "",
+ *   "openPeriod": "",
+ *   "timeouts": { "navigationMs": 60000, "loginMs": 10000, "elementMs": 10000, "delayScale": 1 },
+ *   "evidence": { "enabled": true, "trace": false, "keepRuns": 30 },
+ *   "jobQueue": { "keepFinished": 20 },
+ *   "logLevel": "info"
+ * }
+ */
+
+const { app } = require('electron');
+const winston = require('winston');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 로거 설정 (로그 수준은 설정 파일을 읽은 뒤 아래에서 적용)
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const SETTINGS_FILE_NAME = 'app-settings.json';
+
+// winston 로그 수준 (앞쪽일수록 적게 기록)
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// 실행할 브라우저 ('': puppeteer가 설치한 브라우저, 'chrome': PC에 설치된 Chrome)
+const BROWSER_CHANNELS = ['', 'chrome'];
+
+// 환경 프로필 항목의 기본값
+const DEFAULT_ENVIRONMENT = {
+  label: '',
+  production: false, // 운영 환경 (전환 시 확인 필요, 화면 배너 빨간색)
+  d365BaseUrl: '',
+  company: 'K02',
+  loginDomain: 'nepes.co.kr',
+  groupwareUrl: ''
+};
+
+// 환경 프로필 값으로 채워 getSettings()에 함께 돌려주는 항목 (설정 파일의 최상위에는 저장하지 않음)
+const ENVIRONMENT_FIELDS = ['d365BaseUrl', 'company', 'loginDomain', 'groupwareUrl'];
+
+// 설정 파일이 없거나 값이 없을 때 사용하는 기본값
+const DEFAULT_SETTINGS = {
+  activeEnvironment: 'PROD',
+  environments: {
+    PROD: { ...DEFAULT_ENVIRONMENT, label: '운영', production: true, d365BaseUrl: 'https://d365.nepes.co.kr' },
+    TEST: { ...DEFAULT_ENVIRONMENT, label: '테스트' } // 테스트 D365 주소는 설정 화면에서 입력
+  },
+  downloadDir: '', // 비어 있으면 사용자 다운로드 폴더
+  headless: false,
+  browserChannel: '', // 비어 있으면 puppeteer가 설치한 브라우저, 'chrome'이면 PC에 설치된 Chrome (d365-session.js)
+  openPeriod: '', // 전표 사전 검증에서 허용하는 회계기간 YYYY-MM (비어 있으면 배치 내 기간 일치만 검사, voucher-validator.js)
+  timeouts: {
+    navigationMs: 60000, // D365 페이지 이동
+    loginMs: 10000, // ADFS 로그인 입력란 표시
+    elementMs: 10000, // 화면 요소 찾기 (선택자 카탈로그 첫 번째 방법)
+    delayScale: 1 // 단계 사이 고정 대기 시간 배율 (느린 환경에서는 1보다 크게)
+  },
+  evidence: {
+    enabled: true, // 실행마다 단계별 스크린샷, 주소, DOM 스냅샷 저장 (run-evidence.js)
+    trace: false, // Puppeteer 트레이스 기록 (파일이 크므로 문제 분석 시에만)
+    keepRuns: 30 // 남겨 둘 최근 실행 증거 폴더 수
+  },
+  jobQueue: {
+    keepFinished: 20 // 대기열에 남겨 둘 끝난 작업 기록 수 (job-queue.js)
+  },
+  logLevel: 'info'
+};
+
+// 현재 설정 (처음 읽을 때 파일에서 불러옴)
+let currentSettings = null;
+
+// 설정 파일 경로 (사용자 데이터 폴더)
+function getSettingsPath() {
+  return path.join(app.getPath('userData'), SETTINGS_FILE_NAME);
+}
+
+// 환경 프로필 목록에 기본값 채우기 (예전 형식의 최상위 접속 정보는 운영 프로필로 옮김, 주소 끝의 "/" 제거)
+function mergeEnvironments(settings) {
+  const environments = {};
+  if (settings.environments) {
+    Object.entries(settings.environments).forEach(([name, environment]) => {
+      environments[name] = { ...DEFAULT_ENVIRONMENT, ...(DEFAULT_SETTINGS.environments[name] || {}), ...environment };
+    });
+  } else {
+    const legacy = {};
+    ['d365BaseUrl', 'company', 'loginDomain'].forEach(field => {
+      if (settings[field] !== undefined) legacy[field] = settings[field];
+    });
+    Object.entries(DEFAULT_SETTINGS.environments).forEach(([name, environment]) => {
+      environments[name] = { ...environment };
+    });
+    Object.assign(environments.PROD, legacy);
+  }
+
+  Object.values(environments).forEach(environment => {
+    environment.d365BaseUrl = String(environment.d365BaseUrl).replace(/\/+$/, '');
+  });
+  return environments;
+}
+
+// 기본값 위에 저장된 값 덮어쓰기 (환경 프로필 값으로 채운 최상위 항목은 제외)
+function mergeSettings(settings) {
+  const merged = {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    environments: mergeEnvironments(settings || {}),
+    timeouts: { ...DEFAULT_SETTINGS.timeouts, ...((settings && settings.timeouts) || {}) },
+    evidence: { ...DEFAULT_SETTINGS.evidence, ...((settings && settings.evidence) || {}) },
+    jobQueue: { ...DEFAULT_SETTINGS.jobQueue, ...((settings && settings.jobQueue) || {}) }
+  };
+  ENVIRONMENT_FIELDS.concat(['environment', 'production']).forEach(field => delete merged[field]);
+  return merged;
+}
+
+// 저장된 설정에 현재 환경 프로필 값 채우기
+function withActiveEnvironment(settings) {
+  const environment = settings.environments[settings.activeEnvironment];
+  const flattened = { ...settings, environment: settings.activeEnvironment, production: environment.production };
+  ENVIRONMENT_FIELDS.forEach(field => {
+    flattened[field] = environment[field];
+  });
+  return flattened;
+}
+
+// 설정 파일 읽기 (없거나 손상된 경우 기본값)
+function loadSettings() {
+  let settingsPath;
+  try {
+    settingsPath = getSettingsPath();
+    if (!fs.existsSync(settingsPath)) return mergeSettings({});
+
+    const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+    const errors = checkSettings(settings);
+    if (errors.length > 0) {
+      logger.error(`앱 설정 파일 오류, 기본값을 사용합니다: ${errors.join(' / ')}`);
+      return mergeSettings({});
+    }
+    return mergeSettings(settings);
+  } catch (error) {
+    logger.error(`앱 설정 읽기 실패, 기본값을 사용합니다 (${settingsPath || SETTINGS_FILE_NAME}): ${error.message}`);
+    return mergeSettings({});
+  }
+}
+
+/**
+ * 현재 설정 조회 (현재 환경 프로필의 접속 정보 포함)
+ * @returns {Object} { activeEnvironment, environments, environment, production, d365BaseUrl, company, loginDomain, groupwareUrl,
+ *   downloadDir, headless, browserChannel, openPeriod, timeouts, evidence, jobQueue, logLevel }
+ */
+function getSettings() {
+  if (!currentSettings) currentSettings = withActiveEnvironment(loadSettings());
+  return currentSettings;
+}
+
+/**
+ * 현재 환경 프로필
+ * @returns {Object} { name, label, production, d365BaseUrl, company, loginDomain, groupwareUrl }
+ */
+function getActiveEnvironment() {
+  const settings = getSettings();
+  return { name: settings.activeEnvironment, ...settings.environments[settings.activeEnvironment] };
+}
+
+// 로거 생성 시 사용할 로그 수준
+function getLogLevel() {
+  return getSettings().logLevel;
+}
+
+// 설정 형식 검사 - 오류 메시지 목록 반환 (빠진 값은 기본값을 사용하므로 오류 아님)
+function checkSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['설정은 JSON 객체여야 합니다.'];
+  }
+
+  // 예전 형식의 최상위 접속 정보 (운영 프로필로 읽음)
+  if (settings.environments === undefined) {
+    errors.push(...checkEnvironment(settings, ''));
+  }
+
+  if (settings.environments !== undefined) {
+    if (!settings.environments || typeof settings.environments !== 'object' || Array.isArray(settings.environments)) {
+      errors.push('"environments"는 환경 이름별 프로필 객체여야 합니다.');
+    } else if (Object.keys(settings.environments).length === 0) {
+      errors.push('환경 프로필이 하나 이상 있어야 합니다.');
+    } else {
+      Object.entries(settings.environments).forEach(([name, environment]) => {
+        if (!/^[A-Za-z0-9_-]{1,20}$/.test(name)) {
+          errors.push(`환경 이름 "${name}"은 영문/숫자/-/_ 20자 이내여야 합니다.`);
+        }
+        if (!environment || typeof environment !== 'object' || Array.isArray(environment)) {
+          errors.push(`환경 "${name}": 프로필은 객체여야 합니다.`);
+          return;
+        }
+        errors.push(...checkEnvironment(environment, `환경 "${name}": `));
+      });
+    }
+  }
+
+  // 현재 환경은 프로필 목록에 있고 D365 주소가 입력되어 있어야 함
+  if (settings.activeEnvironment !== undefined || settings.environments !== undefined) {
+    const environments = settings.environments && typeof settings.environments === 'object' ? settings.environments : DEFAULT_SETTINGS.environments;
+    const activeName = settings.activeEnvironment !== undefined ? settings.activeEnvironment : DEFAULT_SETTINGS.activeEnvironment;
+    const active = environments[activeName];
+    if (!active) {
+      errors.push(`현재 환경 "${activeName}"의 프로필이 없습니다.`);
+    } else if (!active.d365BaseUrl && !(DEFAULT_SETTINGS.environments[activeName] || {}).d365BaseUrl) {
+      errors.push(`현재 환경 "${activeName}"의 D365 주소가 입력되지 않았습니다.`);
+    }
+  }
+  if (settings.downloadDir !== undefined && settings.downloadDir !== '') {
+    if (typeof settings.downloadDir !== 'string' || !path.isAbsolute(settings.downloadDir)) {
+      errors.push('다운로드 폴더는 절대 경로여야 합니다 (비워 두면 사용자 다운로드 폴더).');
+    }
+  }
+  if (settings.headless !== undefined && typeof settings.headless !== 'boolean') {
+    errors.push('"headless"는 true 또는 false여야 합니다.');
+  }
+  if (settings.browserChannel !== undefined && !BROWSER_CHANNELS.includes(settings.browserChannel)) {
+    errors.push('"browserChannel"은 "" (puppeteer 브라우저) 또는 "chrome" (설치된 Chrome)이어야 합니다.');
+  }
+  if (settings.openPeriod !== undefined && settings.openPeriod !== '' && !/^\d{4}-(0[1-9]|1[0-2])$/.test(String(settings.openPeriod))) {
+    errors.push('열린 회계기간은 YYYY-MM 형식이어야 합니다 (비워 두면 배치 내 기간 일치만 검사).');
+  }
+  if (settings.logLevel !== undefined && !LOG_LEVELS.includes(settings.logLevel)) {
+    errors.push(`로그 수준은 ${LOG_LEVELS.join(' / ')} 중 하나여야 합니다.`);
+  }
+
+  if (settings.timeouts !== undefined) {
+    if (!settings.timeouts || typeof settings.timeouts !== 'object' || Array.isArray(settings.timeouts)) {
+      errors.push('"timeouts"는 객체여야 합니다.');
+    } else {
+      ['navigationMs', 'loginMs', 'elementMs'].forEach(name => {
+        const value = settings.timeouts[name];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1000 || value > 600000)) {
+          errors.push(`"timeouts.${name}"은 1000~600000(ms) 사이의 정수여야 합니다.`);
+        }
+      });
+      const delayScale = settings.timeouts.delayScale;
+      if (delayScale !== undefined && (typeof delayScale !== 'number' || delayScale < 0.5 || delayScale > 5)) {
+        errors.push('"timeouts.delayScale"은 0.5~5 사이의 숫자여야 합니다.');
+      }
+    }
+  }
+
+  if (settings.evidence !== undefined) {
+    if (!settings.evidence || typeof settings.evidence !== 'object' || Array.isArray(settings.evidence)) {
+      errors.push('"evidence"는 객체여야 합니다.');
+    } else {
+      ['enabled', 'trace'].forEach(name => {
+        if (settings.evidence[name] !== undefined && typeof settings.evidence[name] !== 'boolean') {
+          errors.push(`"evidence.${name}"은 true 또는 false여야 합니다.`);
+        }
+      });
+      const keepRuns = settings.evidence.keepRuns;
+      if (keepRuns !== undefined && (!Number.isInteger(keepRuns) || keepRuns < 1 || keepRuns > 500)) {
+        errors.push('"evidence.keepRuns"는 1~500 사이의 정수여야 합니다.');
+      }
+    }
+  }
+
+  if (settings.jobQueue !== undefined) {
+    if (!settings.jobQueue || typeof settings.jobQueue !== 'object' || Array.isArray(settings.jobQueue)) {
+      errors.push('"jobQueue"는 객체여야 합니다.');
+    } else {
+      const { keepFinished } = settings.jobQueue;
+      if (keepFinished !== undefined && (!Number.isInteger(keepFinished) || keepFinished < 0 || keepFinished > 200)) {
+        errors.push('"jobQueue.keepFinished"는 0~200 사이의 정수여야 합니다.');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// 환경 프로필 항목 형식 검사 (prefix는 오류 메시지 앞에 붙일 환경 이름)
+function checkEnvironment(environment, prefix) {
+  const errors = [];
+
+  if (environment.d365BaseUrl !== undefined && environment.d365BaseUrl !== '') {
+    if (!/^https?:\/\/[^/\s]+$/i.test(String(environment.d365BaseUrl).replace(/\/+$/, ''))) {
+      errors.push(`${prefix}D365 주소는 "https://서버주소" 형식이어야 합니다 (경로 제외).`);
+    }
+  }
+  if (environment.company !== undefined && !/^[A-Za-z0-9]{1,10}$/.test(String(environment.company))) {
+    errors.push(`${prefix}회사 코드는 영문/숫자 10자 이내여야 합니다 (예: K02).`);
+  }
+  if (environment.loginDomain !== undefined && !/^[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(String(environment.loginDomain))) {
+    errors.push(`${prefix}로그인 도메인 형식이 올바르지 않습니다 (예: nepes.co.kr).`);
+  }
+  if (environment.groupwareUrl !== undefined && environment.groupwareUrl !== '' && !/^https?:\/\/\S+$/i.test(String(environment.groupwareUrl))) {
+    errors.push(`${prefix}그룹웨어 주소는 "https://"로 시작해야 합니다.`);
+  }
+  if (environment.label !== undefined && (typeof environment.label !== 'string' || environment.label.length > 20)) {
+    errors.push(`${prefix}표시 이름은 20자 이내의 문자열이어야 합니다.`);
+  }
+  if (environment.production !== undefined && typeof environment.production !== 'boolean') {
+    errors.push(`${prefix}"production"은 true 또는 false여야 합니다.`);
+  }
+
+  return errors;
+}
+
+/**
+ * 설정 저장 (형식 오류가 있으면 저장하지 않음)
+ * @param {Object} settings - 저장할 설정 (빠진 값은 기본값)
+ * @returns {Object} 저장된 설정 (현재 환경 프로필의 접속 정보 포함)
+ */
+function saveSettings(settings) {
+  const errors = checkSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(errors.join(' / '));
+  }
+
+  const merged = mergeSettings(settings);
+
+  // 임시 파일에 쓴 뒤 교체하여 저장 중 종료되어도 손상되지 않도록 함
+  const settingsPath = getSettingsPath();
+  const tempPath = `${settingsPath}.tmp`;
+  fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(merged, null, 2), 'utf-8');
+  fs.renameSync(tempPath, settingsPath);
+
+  currentSettings = withActiveEnvironment(merged);
+  logger.info(`앱 설정 저장 완료: ${settingsPath} (환경 ${merged.activeEnvironment})`);
+  return currentSettings;
+}
+
+/**
+ * 저장하려는 설정이 현재 환경 프로필의 운영 여부나 D365 주소를 바꾸는지 확인
+ * (설정 형식 오류는 saveSettings에서 알리므로 여기서는 변경 없음으로 봄)
+ * @param {Object} settings - 저장하려는 설정
+ * @returns {string[]} 바뀌는 항목 설명 목록 (현재 환경 프로필을 지우는 경우 포함)
+ */
+function getActiveEnvironmentChanges(settings) {
+  if (checkSettings(settings).length > 0) return [];
+
+  const current = getActiveEnvironment();
+  const next = mergeEnvironments(settings)[current.name];
+  if (!next) {
+    return ['프로필 삭제'];
+  }
+
+  const changes = [];
+  if (!!next.production !== !!current.production) {
+    changes.push(`운영 여부 (${current.production ? '운영' : '운영 아님'} → ${next.production ? '운영' : '운영 아님'})`);
+  }
+  if (next.d365BaseUrl !== current.d365BaseUrl) {
+    changes.push(`D365 주소 (${current.d365BaseUrl || '-'} → ${next.d365BaseUrl || '-'})`);
+  }
+  return changes;
+}
+
+/**
+ * 현재 환경 전환 (다른 설정은 그대로 두고 저장)
+ * @param {string} name - 환경 이름 (예: TEST, PROD)
+ * @returns {Object} 저장된 설정
+ */
+function setActiveEnvironment(name) {
+  const settings = getSettings();
+  if (!settings.environments[name]) {
+    throw new Error(`환경 "${name}"의 프로필이 없습니다.`);
+  }
+
+  const previous = settings.activeEnvironment;
+  const saved = saveSettings({ ...settings, activeEnvironment: name });
+  logger.info(`환경 전환: ${previous} → ${name}`);
+  return saved;
+}
+
+/**
+ * D365 대시보드 주소
+ * @param {string} [company] - 회사 코드 (없으면 설정의 회사)
+ */
+function getD365DashboardUrl(company) {
+  const settings = getSettings();
+  return `${settings.d365BaseUrl}/namespaces/AXSF/?cmp=${encodeURIComponent(company || settings.company)}&mi=DefaultDashboard`;
+}
+
+// 다운로드 폴더 (설정이 비어 있으면 사용자 다운로드 폴더)
+function getDownloadDir() {
+  return getSettings().downloadDir || path.join(os.homedir(), 'Downloads');
+}
+
+// 고정 대기 시간에 배율 적용
+function scaleDelay(ms) {
+  return Math.round(ms * getSettings().timeouts.delayScale);
+}
+
+// 이 모듈의 로거에도 설정된 로그 수준 적용
+logger.level = getLogLevel();
+
+module.exports = {
+  SETTINGS_FILE_NAME,
+  LOG_LEVELS,
+  DEFAULT_SETTINGS,
+  DEFAULT_ENVIRONMENT,
+  getSettings,
+  getActiveEnvironment,
+  getLogLevel,
+  checkSettings,
+  saveSettings,
+  getActiveEnvironmentChanges,
+  setActiveEnvironment,
+  getD365DashboardUrl,
+  getDownloadDir,
+  scaleDelay
+};
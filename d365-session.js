@@ -0,0 +1,322 @@
+/**
+ * D365 브라우저 세션 관리 모듈 (메인 프로세스)
+ * 전표 업로드(EZVoucher.js)와 매입송장 처리(EZVoucher2.js)가 하나의 Chrome을 함께 사용한다.
+ * Chrome은 사용자 데이터 폴더의 전용 프로필로 실행하여 ADFS 로그인 쿠키가 앱을 다시 시작해도 유지되고,
+ * 작업마다 새 탭을 받아(acquirePage) 끝나면 돌려준다(releasePage). 브라우저는 앱 종료나 실행 취소 때만 닫는다.
+ * 접속 주소, 회사, 브라우저 표시 여부, 페이지 이동 대기 시간, 다운로드 폴더는 앱 설정(app-settings.js)을 따른다.
+ * D365 대시보드는 작업마다 지정한 회사(cmp 주소 파라미터)로 열고, 실제로 열린 회사가 다르면 오류로 처리한다.
+ * D365 대시보드 접속 시 ADFS 로그인 화면으로 이동된 경우에만 다시 로그인하며,
+ * 작업이 없는 동안에는 대기 탭에서 주기적으로 대시보드를 열어 세션이 만료되지 않게 한다.
+ */
+
+const { app } = require('electron');
+const puppeteerExtra = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const winston = require('winston');
+const path = require('path');
+const { NetworkError } = require('./upload-errors.js');
+const { getSettings, getLogLevel, getD365DashboardUrl } = require('./app-settings.js');
+
+// 스텔스 플러그인 적용 (사이트가 봇을 감지하지 못하도록)
+puppeteerExtra.use(StealthPlugin());
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const PROFILE_DIR_NAME = 'd365-browser-profile';
+
+// 작업이 없을 때 세션 유지를 위해 대시보드를 다시 여는 간격
+const KEEP_ALIVE_INTERVAL_MS = 10 * 60 * 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const session = {
+  browser: null,
+  launching: null,
+  homePage: null, // 브라우저 실행 시 열린 첫 탭 (세션 유지용, 작업에 사용하지 않음)
+  leasedPages: new Set(),
+  authenticated: false,
+  lastAuthenticatedAt: null,
+  keepAliveTimer: null
+};
+
+// 브라우저 프로필 폴더 (사용자 데이터 폴더)
+function getProfileDir() {
+  return path.join(app.getPath('userData'), PROFILE_DIR_NAME);
+}
+
+// 세션 상태 초기화 (브라우저가 닫힌 경우)
+function resetSession() {
+  if (session.keepAliveTimer) clearInterval(session.keepAliveTimer);
+  session.browser = null;
+  session.homePage = null;
+  session.leasedPages.clear();
+  session.authenticated = false;
+  session.keepAliveTimer = null;
+}
+
+// Chrome 실행 (이미 실행 중이면 그대로 사용)
+async function ensureBrowser() {
+  if (session.browser && session.browser.isConnected()) return session.browser;
+  if (session.launching) return session.launching;
+
+  session.launching = (async () => {
+    const { headless, browserChannel } = getSettings();
+    // 실행 파일 지정 > 설정의 브라우저 채널(설치된 Chrome) > puppeteer가 설치한 브라우저 순으로 사용
+    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    const browserOption = executablePath ? { executablePath } : (browserChannel ? { channel: browserChannel } : {});
+    const browserName = executablePath ? `실행 파일: ${executablePath}` : (browserChannel ? `채널: ${browserChannel}` : 'puppeteer 기본 브라우저');
+    logger.info(`D365 브라우저 실행 (프로필: ${getProfileDir()}${headless ? ', 화면 표시 안 함' : ''}, ${browserName})`);
+    const browser = await puppeteerExtra.launch({
+      headless: headless ? 'new' : false,
+      ...browserOption,
+      userDataDir: getProfileDir(),
+      defaultViewport: null,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor',
+        '--start-maximized',
+        '--ignore-certificate-errors',
+        '--ignore-ssl-errors',
+        '--ignore-certificate-errors-spki-list',
+        '--allow-insecure-localhost'
+      ]
+    });
+
+    // 사용자가 브라우저 창을 닫으면 다음 작업에서 다시 실행
+    browser.on('disconnected', () => {
+      if (session.browser === browser) {
+        logger.warn('D365 브라우저가 닫혔습니다. 다음 작업에서 다시 실행합니다.');
+        resetSession();
+      }
+    });
+
+    const [homePage] = await browser.pages();
+    session.browser = browser;
+    session.homePage = homePage || null;
+    session.keepAliveTimer = setInterval(keepSessionAlive, KEEP_ALIVE_INTERVAL_MS);
+    return browser;
+  })();
+
+  try {
+    return await session.launching;
+  } finally {
+    session.launching = null;
+  }
+}
+
+// 작업용 탭 설정 (SSL 인증서 오류 처리, 대화상자 자동 수락, 다운로드 폴더)
+async function setupPage(page) {
+  // SSL 인증서 오류 처리
+  await page.setBypassCSP(true);
+
+  // 페이지 요청 인터셉트 설정 (SSL 오류 처리용)
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    request.continue();
+  });
+
+  // 대화상자 처리 (인증서 경고 등)
+  page.on('dialog', async dialog => {
+    logger.info(`대화상자 감지: ${dialog.message()}`);
+    await dialog.accept();
+  });
+
+  // 설정에 다운로드 폴더가 지정된 경우 엑셀 다운로드를 해당 폴더로 저장
+  const { downloadDir } = getSettings();
+  if (downloadDir) {
+    const client = await page.target().createCDPSession();
+    await client.send('Page.setDownloadBehavior', { behavior: 'allow', downloadPath: downloadDir });
+  }
+}
+
+/**
+ * 작업용 새 탭 받기 (브라우저가 없으면 실행)
+ * @returns {Promise<Page>} 설정이 끝난 빈 탭 - 작업이 끝나면 releasePage로 돌려준다
+ */
+async function acquirePage() {
+  const browser = await ensureBrowser();
+  const page = await browser.newPage();
+  await setupPage(page);
+  session.leasedPages.add(page);
+  logger.info(`D365 작업 탭 할당 (사용 중인 탭: ${session.leasedPages.size}개)`);
+  return page;
+}
+
+/**
+ * 작업용 탭 돌려주기 - 탭을 닫고, 사용 중인 작업이 없으면 작업 중 열린 새 창(탭)도 정리
+ * @param {Page} page - acquirePage로 받은 탭
+ */
+async function releasePage(page) {
+  if (!page) return;
+  session.leasedPages.delete(page);
+
+  try {
+    if (!page.isClosed()) await page.close();
+  } catch (closeError) {
+    logger.warn(`작업 탭 닫기 실패: ${closeError.message}`);
+  }
+
+  if (session.leasedPages.size > 0 || !session.browser || !session.browser.isConnected()) return;
+
+  const pages = await session.browser.pages().catch(() => []);
+  for (const openPage of pages) {
+    if (openPage === session.homePage) continue;
+    await openPage.close().catch(closeError => logger.warn(`작업 중 열린 탭 닫기 실패: ${closeError.message}`));
+  }
+  logger.info('D365 작업 탭 정리 완료 (브라우저 세션 유지)');
+}
+
+// ADFS 로그인 화면으로 이동되었는지 확인
+async function isAdfsLoginPage(page) {
+  if (/\/adfs\//i.test(page.url())) return true;
+  return await page.$('input[type="email"]') !== null || await page.$('#userNameInput') !== null;
+}
+
+// 현재 D365 화면 주소의 회사 코드 (주소에 없으면 null)
+function readCompanyFromUrl(page) {
+  try {
+    const company = new URL(page.url()).searchParams.get('cmp');
+    return company ? company.toUpperCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 요청한 회사로 열렸는지 확인 (D365는 권한이 없는 회사를 요청하면 기본 회사로 엽니다)
+function checkOpenedCompany(page, company) {
+  const openedCompany = readCompanyFromUrl(page);
+  if (!openedCompany) {
+    logger.warn(`D365 화면 주소에서 회사 코드를 확인할 수 없습니다. 요청한 회사(${company})로 진행합니다.`);
+    return company;
+  }
+  if (openedCompany !== company) {
+    throw new Error(`D365 회사 전환 실패: ${company} 회사를 요청했지만 ${openedCompany} 회사로 열렸습니다. 해당 회사 권한이 있는지 확인해주세요.`);
+  }
+  return openedCompany;
+}
+
+/**
+ * D365 대시보드 열기 - ADFS 로그인 화면으로 이동된 경우에만 로그인
+ * @param {Page} page - 작업 탭
+ * @param {Object} credentials - { username, password }
+ * @param {Object} options - { login(page, credentials): 모듈별 로그인 함수, company: 회사 코드(기본: 설정의 회사), maxRetries: 접속 시도 횟수(기본 3), retryDelayMs: 재시도 간격(기본 2000) }
+ * @returns {Promise<Object>} { loggedIn: 이번에 로그인했는지, company: 열린 회사 }
+ */
+async function openDashboard(page, credentials, options) {
+  const maxRetries = options.maxRetries || 3;
+  const retryDelayMs = options.retryDelayMs || 2000;
+  const { d365BaseUrl, timeouts } = getSettings();
+  const company = String(options.company || getSettings().company).toUpperCase();
+
+  logger.info(`D365 페이지로 이동 중... (회사: ${company})`);
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      logger.info(`D365 페이지 접속 시도 ${attempt}/${maxRetries}`);
+      await page.goto(getD365DashboardUrl(company), {
+        waitUntil: 'networkidle2',
+        timeout: timeouts.navigationMs
+      });
+      logger.info('D365 페이지 로드 완료');
+      break;
+    } catch (networkError) {
+      logger.error(`D365 페이지 접속 시도 ${attempt} 실패: ${networkError.message}`);
+
+      if (attempt >= maxRetries) {
+        const errorMsg = `네트워크 연결 실패: D365 사이트(${d365BaseUrl})에 접속할 수 없습니다. 인터넷 연결을 확인하거나 VPN이 필요할 수 있습니다.`;
+        logger.error(errorMsg);
+        throw new NetworkError(errorMsg, { cause: networkError });
+      }
+
+      logger.info(`${retryDelayMs / 1000}초 후 재시도합니다...`);
+      await delay(retryDelayMs);
+    }
+  }
+
+  if (!(await isAdfsLoginPage(page))) {
+    logger.info('기존 D365 로그인 세션 사용 (ADFS 로그인 생략)');
+    session.authenticated = true;
+    return { loggedIn: false, company: checkOpenedCompany(page, company) };
+  }
+
+  logger.info('ADFS 로그인 화면으로 이동됨, 로그인 시도 중...');
+  session.authenticated = false;
+  await options.login(page, credentials);
+  session.authenticated = true;
+  session.lastAuthenticatedAt = new Date().toISOString();
+  return { loggedIn: true, company: checkOpenedCompany(page, company) };
+}
+
+// 작업이 없는 동안 대기 탭에서 대시보드를 다시 열어 세션 유지 (로그인이 풀렸으면 다음 작업에서 로그인)
+async function keepSessionAlive() {
+  if (!session.homePage || session.homePage.isClosed() || session.leasedPages.size > 0 || !session.authenticated) return;
+
+  try {
+    await session.homePage.goto(getD365DashboardUrl(), { waitUntil: 'networkidle2', timeout: getSettings().timeouts.navigationMs });
+    if (await isAdfsLoginPage(session.homePage)) {
+      session.authenticated = false;
+      logger.warn('D365 세션이 만료되었습니다. 다음 작업 시작 시 다시 로그인합니다.');
+    }
+  } catch (error) {
+    logger.warn(`D365 세션 유지 요청 실패: ${error.message}`);
+  }
+}
+
+// 세션 상태 (화면 표시용)
+function getSessionStatus() {
+  return {
+    browserOpen: !!(session.browser && session.browser.isConnected()),
+    authenticated: session.authenticated,
+    lastAuthenticatedAt: session.lastAuthenticatedAt,
+    activePages: session.leasedPages.size
+  };
+}
+
+// 브라우저 종료 (앱 종료 시)
+async function closeSession() {
+  const browser = session.browser;
+  resetSession();
+  if (!browser) return;
+
+  try {
+    await browser.close();
+    logger.info('D365 브라우저 종료');
+  } catch (error) {
+    logger.error(`D365 브라우저 종료 오류: ${error.message}`);
+  }
+}
+
+// 브라우저 종료 (실행 취소 시) - 다른 작업이 탭을 쓰고 있으면 닫지 않음
+async function closeSessionIfIdle() {
+  if (session.leasedPages.size > 0) {
+    logger.info(`다른 작업이 D365 탭을 사용 중이어서 브라우저를 닫지 않습니다 (사용 중인 탭: ${session.leasedPages.size}개)`);
+    return false;
+  }
+  await closeSession();
+  return true;
+}
+
+module.exports = {
+  acquirePage,
+  releasePage,
+  openDashboard,
+  isAdfsLoginPage,
+  getSessionStatus,
+  closeSession,
+  closeSessionIfIdle
+};
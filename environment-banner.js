@@ -0,0 +1,159 @@
+/**
+ * ERP RPA 실행 환경 배너 모듈
+ * 세 페이지(전표 처리, 매입송장 처리, 설정) 상단에 현재 환경(TEST/PROD 등)을 색상 배너로 표시하고
+ * 환경 전환 목록을 제공한다. 운영 환경으로 전환할 때는 확인을 받은 뒤에만 전환한다.
+ * 환경을 바꾸면 이전 환경의 로그인 정보가 지워지므로 페이지를 새로 고쳐 해당 환경으로 다시 로그인한다.
+ */
+
+// 현재 표시 중인 환경 정보 (get-app-settings 결과)
+let environmentState = {
+  active: null,
+  environments: {}
+};
+
+// 환경 배너 CSS 스타일
+function getEnvironmentBannerCSS() {
+  return `
+    /* 실행 환경 배너 */
+    .environment-banner {
+      position: sticky;
+      top: 0;
+      z-index: 900;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 8px 90px 8px 20px;
+      color: white;
+      font-size: 14px;
+      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
+    }
+
+    .environment-banner.production {
+      background: #c0392b;
+    }
+
+    .environment-banner.non-production {
+      background: #e67e22;
+    }
+
+    .environment-banner .environment-name {
+      font-weight: bold;
+      font-size: 16px;
+      letter-spacing: 1px;
+    }
+
+    .environment-banner .environment-detail {
+      flex: 1;
+      opacity: 0.9;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .environment-banner select {
+      padding: 4px 8px;
+      border: none;
+      border-radius: 4px;
+      font-size: 13px;
+    }
+  `;
+}
+
+// 배너 내용 그리기
+function renderEnvironmentBanner() {
+  const banner = document.getElementById('environmentBanner');
+  const active = environmentState.active;
+  if (!banner || !active) return;
+
+  const detail = [
+    active.label,
+    active.d365BaseUrl,
+    `회사 ${active.company}`,
+    active.groupwareUrl ? `그룹웨어 ${active.groupwareUrl}` : null
+  ].filter(Boolean).join(' · ');
+
+  banner.className = `environment-banner ${active.production ? 'production' : 'non-production'}`;
+  banner.innerHTML = `
+    <span class="environment-name">${active.production ? '🔴' : '🧪'} ${active.name}</span>
+    <span class="environment-detail"></span>
+    <label for="environmentSelect">환경 전환</label>
+    <select id="environmentSelect" onchange="switchEnvironment(this.value)"></select>
+  `;
+  banner.querySelector('.environment-detail').textContent = detail;
+  banner.querySelector('.environment-detail').title = detail;
+
+  // 환경 목록 (D365 주소가 없는 환경은 선택 불가)
+  const select = document.getElementById('environmentSelect');
+  Object.entries(environmentState.environments).forEach(([name, environment]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = `${name}${environment.label ? ` · ${environment.label}` : ''}${environment.d365BaseUrl ? '' : ' (주소 미입력)'}`;
+    option.disabled = !environment.d365BaseUrl;
+    option.selected = name === active.name;
+    select.appendChild(option);
+  });
+}
+
+// 앱 설정에서 현재 환경을 읽어 배너 갱신 (설정 화면에서 프로필을 저장한 뒤에도 호출)
+async function refreshEnvironmentBanner() {
+  if (!window.electronAPI || !window.electronAPI.getAppSettings) return;
+  try {
+    const result = await window.electronAPI.getAppSettings();
+    if (!result.success) throw new Error(result.error);
+
+    environmentState = {
+      active: result.environment,
+      environments: result.settings.environments
+    };
+    renderEnvironmentBanner();
+  } catch (error) {
+    console.error('실행 환경 정보 읽기 실패:', error);
+  }
+}
+
+// 환경 전환 (운영 환경은 확인 후 전환)
+async function switchEnvironment(name) {
+  const active = environmentState.active;
+  const target = environmentState.environments[name];
+  const select = document.getElementById('environmentSelect');
+  if (!target || !active || name === active.name) return;
+
+  if (target.production) {
+    const confirmMessage = `⚠️ 운영 환경(${name})으로 전환합니다.\n\nD365: ${target.d365BaseUrl}\n회사: ${target.company}\n\n전환 후 실행하는 전표 업로드와 매입송장 상신은 실제 운영 D365에 반영됩니다.\n계속하시겠습니까?`;
+    if (!confirm(confirmMessage)) {
+      if (select) select.value = active.name;
+      return;
+    }
+  }
+
+  try {
+    const result = await window.electronAPI.setActiveEnvironment(name, { confirmProduction: !!target.production });
+    if (!result.success) throw new Error(result.error);
+
+    // 환경별 로그인 정보를 쓰도록 페이지를 다시 불러옴
+    localStorage.setItem('erpEnvironment', name);
+    window.location.reload();
+  } catch (error) {
+    alert('환경 전환 실패: ' + error.message);
+    if (select) select.value = active.name;
+  }
+}
+
+// 환경 배너 초기화 (메인 콘텐츠 맨 위에 배너 추가)
+function initializeEnvironmentBanner() {
+  const style = document.createElement('style');
+  style.textContent = getEnvironmentBannerCSS();
+  document.head.appendChild(style);
+
+  const mainContent = document.querySelector('.main-content');
+  if (mainContent) {
+    mainContent.insertAdjacentHTML('afterbegin', '<div class="environment-banner" id="environmentBanner"></div>');
+  }
+
+  refreshEnvironmentBanner();
+}
+
+// 전역 스코프에 함수들 노출
+window.initializeEnvironmentBanner = initializeEnvironmentBanner;
+window.refreshEnvironmentBanner = refreshEnvironmentBanner;
+window.switchEnvironment = switchEnvironment;
@@ -0,0 +1,108 @@
+/**
+ * 작업 폴더 감시 모듈
+ * 새로 추가되거나 변경된 엑셀 파일을 감지하고, 쓰기가 끝날 때까지(크기와 수정 시각이 대기 시간 동안 변하지 않고
+ * 엑셀 잠금 파일 ~$가 없을 때까지) 기다린 뒤 알린다.
+ */
+
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { isExcelFile } = require('./voucher-scanner.js');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const DEFAULT_DEBOUNCE_MS = 5000;
+
+/**
+ * 작업 폴더 감시 시작
+ * @param {string} folderPath - 감시할 폴더
+ * @param {Function} onFileReady - 쓰기가 끝난 파일 경로를 받는 콜백
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs] - 마지막 변경 후 대기 시간 (기본 5초)
+ * @returns {Object} { close } - 감시 종료 함수
+ */
+function watchVoucherFolder(folderPath, onFileReady, options = {}) {
+  const debounceMs = options.debounceMs || DEFAULT_DEBOUNCE_MS;
+  const timers = new Map();
+  const lastSignatures = new Map();
+  const reportedSignatures = new Map();
+
+  const schedule = (fileName) => {
+    clearTimeout(timers.get(fileName));
+    timers.set(fileName, setTimeout(() => checkFile(fileName), debounceMs));
+  };
+
+  const checkFile = (fileName) => {
+    timers.delete(fileName);
+    const filePath = path.join(folderPath, fileName);
+
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      // 삭제되거나 이름이 바뀐 파일
+      lastSignatures.delete(fileName);
+      return;
+    }
+    if (!stat.isFile()) return;
+
+    // 엑셀에서 열려 있는 동안(잠금 파일 존재)은 계속 대기
+    if (fs.existsSync(path.join(folderPath, `~$${fileName}`))) {
+      schedule(fileName);
+      return;
+    }
+
+    // 대기 시간 동안 크기와 수정 시각이 변하지 않아야 쓰기 완료로 판단
+    const signature = `${stat.size}:${stat.mtimeMs}`;
+    if (lastSignatures.get(fileName) !== signature) {
+      lastSignatures.set(fileName, signature);
+      schedule(fileName);
+      return;
+    }
+
+    // 같은 상태로 이미 알린 파일은 다시 알리지 않음
+    if (reportedSignatures.get(fileName) === signature) return;
+    reportedSignatures.set(fileName, signature);
+
+    logger.info(`폴더 감시: 파일 쓰기 완료 감지 - ${fileName}`);
+    onFileReady(filePath);
+  };
+
+  const watcher = fs.watch(folderPath, (eventType, fileName) => {
+    if (!fileName || fileName.startsWith('~$') || !isExcelFile(fileName)) return;
+    schedule(fileName);
+  });
+
+  watcher.on('error', (error) => {
+    logger.error(`폴더 감시 오류: ${error.message}`);
+  });
+
+  logger.info(`폴더 감시 시작: ${folderPath} (대기 시간 ${debounceMs / 1000}초)`);
+
+  return {
+    close() {
+      watcher.close();
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      logger.info(`폴더 감시 종료: ${folderPath}`);
+    }
+  };
+}
+
+module.exports = {
+  watchVoucherFolder
+};
@@ -0,0 +1,256 @@
+/**
+ * ERP RPA 작업 대기열 패널 모듈
+ * 전표 처리와 매입송장 처리 페이지에 같은 작업 대기열(job-queue.js)을 표시한다.
+ * 실행 중 / 대기 중 작업의 순서, 상태, 예상 시작 시각과 최근 끝난 작업을 보여 주고,
+ * 대기 작업의 순서 변경과 삭제, 실행 중인 작업 취소, 대기열 일시 정지 / 재개를 제공한다.
+ * 페이지에 <div id="jobQueuePanel"></div>를 두고 initializeJobQueuePanel()을 호출한다.
+ */
+
+// 작업 상태 → 화면 표시
+const JOB_STATUS_LABELS = {
+  running: '▶️ 실행 중',
+  queued: '⏳ 대기',
+  completed: '✅ 완료',
+  failed: '❌ 실패',
+  cancelled: '🛑 취소됨',
+  interrupted: '⚠️ 중단됨'
+};
+
+// 예상 시각 갱신 주기 (대기열 변경이 없어도 남은 시간 표시를 갱신)
+const JOB_QUEUE_REFRESH_MS = 60 * 1000;
+
+// 작업 대기열 패널 CSS 스타일
+function getJobQueuePanelCSS() {
+  return `
+    /* 작업 대기열 */
+    .job-queue {
+      border-left: 4px solid #6c5ce7;
+    }
+
+    .job-queue-header {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      flex-wrap: wrap;
+    }
+
+    .job-queue-header h3 {
+      margin: 0;
+      flex: 1;
+    }
+
+    .job-queue-summary {
+      margin: 8px 0;
+      font-size: 13px;
+      color: #555;
+    }
+
+    .job-queue-summary.paused {
+      color: #d35400;
+      font-weight: bold;
+    }
+
+    .job-queue-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+
+    .job-queue-table th,
+    .job-queue-table td {
+      padding: 6px 8px;
+      border-bottom: 1px solid #e0e0e0;
+      text-align: left;
+      vertical-align: top;
+    }
+
+    .job-queue-table tr.job-running {
+      background-color: #eef6ff;
+    }
+
+    .job-queue-table tr.job-finished {
+      color: #777;
+    }
+
+    .job-queue-table .job-message {
+      font-size: 12px;
+      color: #777;
+    }
+
+    .job-queue-table button,
+    .job-queue-header button {
+      padding: 3px 8px;
+      margin: 0 2px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    body.dark-mode .job-queue-table tr.job-running {
+      background-color: #2c3e50;
+    }
+
+    body.dark-mode .job-queue-summary,
+    body.dark-mode .job-queue-table .job-message {
+      color: #bbb;
+    }
+  `;
+}
+
+// HTML 특수 문자 이스케이프 (작업 설명에 파일명 / 폴더명이 들어감)
+function escapeJobText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 시각 표시 (오늘이 아니면 날짜 포함)
+function formatJobTime(isoTime) {
+  if (!isoTime) return '-';
+  const time = new Date(isoTime);
+  return time.toDateString() === new Date().toDateString()
+    ? time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : time.toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// 작업별 시각 열 - 대기: 예상 시작, 실행 중: 시작 시각, 끝난 작업: 종료 시각
+function describeJobTime(job, paused) {
+  if (job.status === 'queued') {
+    if (paused || !job.estimatedStartAt) return '일시 정지 중';
+    const minutes = Math.max(0, Math.round((new Date(job.estimatedStartAt) - Date.now()) / 60000));
+    return minutes === 0 ? '곧 시작' : `약 ${formatJobTime(job.estimatedStartAt)} (${minutes}분 후)`;
+  }
+  if (job.status === 'running') {
+    return `${formatJobTime(job.startedAt)} 시작 · 약 ${Math.max(1, Math.round(job.estimatedDurationMs / 60000))}분 소요`;
+  }
+  return `${formatJobTime(job.finishedAt)} 종료`;
+}
+
+// 작업별 관리 버튼
+function renderJobActions(job, queuedCount) {
+  if (job.status === 'queued') {
+    return `
+      <button onclick="moveQueuedJob(${job.id}, -1)" title="앞으로" ${job.position === 1 ? 'disabled' : ''}>▲</button>
+      <button onclick="moveQueuedJob(${job.id}, 1)" title="뒤로" ${job.position === queuedCount ? 'disabled' : ''}>▼</button>
+      <button onclick="removeQueuedJob(${job.id})" title="대기열에서 삭제">삭제</button>
+    `;
+  }
+  if (job.status === 'running') {
+    return `<button onclick="removeQueuedJob(${job.id})" title="다음 안전 지점에서 멈춤">취소</button>`;
+  }
+  return `<button onclick="removeQueuedJob(${job.id})" title="기록 삭제">✕</button>`;
+}
+
+// 대기열 그리기
+function renderJobQueuePanel(queue) {
+  const panel = document.getElementById('jobQueuePanel');
+  if (!panel || !queue) return;
+
+  const runningCount = queue.jobs.filter(job => job.status === 'running').length;
+  const queuedCount = queue.jobs.filter(job => job.status === 'queued').length;
+  const finishedCount = queue.jobs.length - runningCount - queuedCount;
+  const summary = queue.paused
+    ? `⏸️ 일시 정지 · 대기 ${queuedCount}개${queue.pauseReason ? ` - ${queue.pauseReason}` : ''}`
+    : `실행 중 ${runningCount}개 · 대기 ${queuedCount}개 · 한 번에 하나씩 실행`;
+
+  const rows = queue.jobs.map(job => `
+    <tr class="${job.status === 'running' ? 'job-running' : (job.status === 'queued' ? '' : 'job-finished')}">
+      <td>${job.status === 'queued' ? job.position : (job.status === 'running' ? '▶' : '-')}</td>
+      <td>
+        ${escapeJobText(job.kindLabel)} · ${escapeJobText(job.label)}
+        ${job.message ? `<div class="job-message">${escapeJobText(job.message)}</div>` : ''}
+      </td>
+      <td>${escapeJobText(job.environment)}</td>
+      <td>${JOB_STATUS_LABELS[job.status] || escapeJobText(job.status)}</td>
+      <td>${escapeJobText(describeJobTime(job, queue.paused))}</td>
+      <td>${renderJobActions(job, queuedCount)}</td>
+    </tr>
+  `).join('');
+
+  panel.innerHTML = `
+    <div class="job-queue-header">
+      <h3>🗂️ 작업 대기열</h3>
+      <button onclick="toggleJobQueuePaused(${!queue.paused})">${queue.paused ? '▶️ 대기열 재개' : '⏸️ 일시 정지'}</button>
+      <button onclick="clearFinishedJobs()" ${finishedCount === 0 ? 'disabled' : ''}>끝난 작업 지우기</button>
+    </div>
+    <p class="job-queue-summary ${queue.paused ? 'paused' : ''}">${escapeJobText(summary)}</p>
+    ${queue.jobs.length === 0 ? '<p class="job-queue-summary">등록된 작업이 없습니다. 전표 업로드와 매입송장 처리를 실행하면 이 대기열에서 순서대로 실행합니다.</p>' : `
+    <table class="job-queue-table">
+      <thead>
+        <tr><th>순서</th><th>작업</th><th>환경</th><th>상태</th><th>시각</th><th>관리</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`}
+  `;
+}
+
+// 대기열 조회
+async function loadJobQueue() {
+  if (!window.electronAPI || !window.electronAPI.getJobQueue) return;
+  try {
+    const result = await window.electronAPI.getJobQueue();
+    if (!result.success) throw new Error(result.error);
+    renderJobQueuePanel(result.queue);
+  } catch (error) {
+    console.error('작업 대기열 조회 중 오류:', error);
+  }
+}
+
+// 대기열 변경 요청 결과 반영 (실패 시 안내)
+function applyJobQueueResult(result) {
+  if (result.success) {
+    renderJobQueuePanel(result.queue);
+  } else {
+    alert('작업 대기열 오류: ' + result.error);
+  }
+}
+
+// 대기 작업 순서 변경
+async function moveQueuedJob(jobId, offset) {
+  applyJobQueueResult(await window.electronAPI.moveJob(jobId, offset));
+}
+
+// 대기 작업 삭제 / 실행 중인 작업 취소 / 끝난 작업 기록 삭제
+async function removeQueuedJob(jobId) {
+  const result = await window.electronAPI.getJobQueue();
+  const job = result.success ? result.queue.jobs.find(entry => entry.id === jobId) : null;
+  if (job && job.status === 'running'
+    && !confirm(`실행 중인 작업을 취소하시겠습니까?\n${job.label}\n\n진행 중인 단계를 마친 뒤 멈춥니다.`)) {
+    return;
+  }
+  if (job && job.status === 'queued' && !confirm(`대기열에서 삭제하시겠습니까?\n${job.label}`)) {
+    return;
+  }
+  applyJobQueueResult(await window.electronAPI.removeJob(jobId));
+}
+
+// 끝난 작업 기록 모두 삭제
+async function clearFinishedJobs() {
+  applyJobQueueResult(await window.electronAPI.clearFinishedJobs());
+}
+
+// 대기열 일시 정지 / 재개
+async function toggleJobQueuePaused(paused) {
+  applyJobQueueResult(await window.electronAPI.setJobQueuePaused(paused));
+}
+
+// 작업 대기열 패널 초기화 (패널 자리가 있는 페이지에서만)
+function initializeJobQueuePanel() {
+  if (!document.getElementById('jobQueuePanel') || !window.electronAPI || !window.electronAPI.getJobQueue) return;
+
+  const style = document.createElement('style');
+  style.textContent = getJobQueuePanelCSS();
+  document.head.appendChild(style);
+
+  window.electronAPI.onJobQueueUpdate(renderJobQueuePanel);
+  loadJobQueue();
+  setInterval(loadJobQueue, JOB_QUEUE_REFRESH_MS);
+}
+
+// 전역 스코프에 함수들 노출
+window.initializeJobQueuePanel = initializeJobQueuePanel;
+window.moveQueuedJob = moveQueuedJob;
+window.removeQueuedJob = removeQueuedJob;
+window.clearFinishedJobs = clearFinishedJobs;
+window.toggleJobQueuePaused = toggleJobQueuePaused;
@@ -0,0 +1,427 @@
+/**
+ * 작업 대기열 모듈 (메인 프로세스)
+ * 전표 업로드(파일 범위, 단일 파일, 선택한 파일, 중단된 배치 이어서 하기)와 매입송장 처리(단일 모드, 다중 모드)를
+ * 하나의 대기열에 등록하여 순서대로 실행한다. 모든 작업이 같은 D365 세션(브라우저, 로그인, 회사)과 다운로드 폴더를
+ * 쓰므로 종류와 관계없이 항상 한 번에 하나씩 실행한다.
+ *
+ * 대기열은 사용자 데이터 폴더의 job-queue.json에 저장하여 앱을 다시 시작해도 유지한다.
+ * 다시 시작할 때 실행 중이던 작업은 "중단됨"으로 바꾸고(전표 업로드는 "중단된 배치"에서 이어서 실행),
+ * 대기 중인 작업이 남아 있으면 로그인 후 확인하고 실행하도록 대기열을 일시 정지한다.
+ * 로그인 정보는 저장하지 않으며 작업을 실행할 때의 로그인 정보를 사용한다.
+ *
+ * 작업 종류별 실행 함수는 각 모듈에서 registerJobType으로 등록한다 (전표 업로드: EZVoucher.js, 매입송장: main.js).
+ */
+
+const { app } = require('electron');
+const EventEmitter = require('events');
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { getSettings, getActiveEnvironment, getLogLevel } = require('./app-settings.js');
+const { RUN_KIND_LABELS, cancelRun } = require('./run-cancellation.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const QUEUE_FILE_NAME = 'job-queue.json';
+
+// 끝난 작업 상태 (대기열 순서에서 제외, 최근 기록으로 표시)
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+// 실행 기록이 없을 때 사용하는 단위(파일 / 사이클)당 예상 소요 시간
+const DEFAULT_UNIT_MS = {
+  voucher: 2 * 60 * 1000,
+  invoice: 3 * 60 * 1000
+};
+
+const queueEvents = new EventEmitter();
+
+// 작업 종류 → { kind, label, run(job) }
+const jobTypes = new Map();
+
+// 실행 결과를 기다리는 호출 (작업 id → resolve) - 앱을 다시 시작하면 없어지므로 저장하지 않음
+const waiters = new Map();
+
+// 현재 대기열 (처음 사용할 때 파일에서 불러옴)
+let queueState = null;
+
+// 대기열 파일 경로 (사용자 데이터 폴더)
+function getQueuePath() {
+  return path.join(app.getPath('userData'), QUEUE_FILE_NAME);
+}
+
+// 대기열 읽기 - 이전 실행에서 실행 중이던 작업은 중단됨으로, 대기 작업이 있으면 일시 정지
+function loadQueue() {
+  const emptyQueue = { sequence: 0, paused: false, pauseReason: null, jobs: [], stats: {} };
+  const queuePath = getQueuePath();
+  if (!fs.existsSync(queuePath)) return emptyQueue;
+
+  let saved;
+  try {
+    saved = { ...emptyQueue, ...JSON.parse(fs.readFileSync(queuePath, 'utf-8')) };
+  } catch (error) {
+    logger.error(`작업 대기열 읽기 실패, 빈 대기열로 시작합니다: ${error.message}`);
+    return emptyQueue;
+  }
+
+  saved.jobs.filter(job => job.status === 'running').forEach(job => {
+    job.status = 'interrupted';
+    job.finishedAt = new Date().toISOString();
+    job.message = job.kind === 'voucher'
+      ? '앱이 종료되어 중단되었습니다. 남은 파일은 "중단된 배치"에서 이어서 실행할 수 있습니다.'
+      : '앱이 종료되어 중단되었습니다.';
+    logger.warn(`작업 대기열: 실행 중이던 작업 #${job.id} (${job.label}) 중단됨으로 표시`);
+  });
+
+  const queuedCount = saved.jobs.filter(job => job.status === 'queued').length;
+  if (queuedCount > 0) {
+    saved.paused = true;
+    saved.pauseReason = `앱을 다시 시작하여 대기 작업 ${queuedCount}개를 일시 정지했습니다. 로그인 후 대기열을 재개해주세요.`;
+    logger.info(`작업 대기열 복원: 대기 작업 ${queuedCount}개 (일시 정지)`);
+  }
+  return saved;
+}
+
+function getQueue() {
+  if (!queueState) {
+    queueState = loadQueue();
+    saveQueue();
+  }
+  return queueState;
+}
+
+// 대기열 저장 (임시 파일에 쓴 뒤 교체하여 저장 중 종료되어도 손상되지 않도록 함)
+function saveQueue() {
+  const queuePath = getQueuePath();
+  const tempPath = `${queuePath}.tmp`;
+  fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(queueState, null, 2), 'utf-8');
+  fs.renameSync(tempPath, queuePath);
+}
+
+// 대기열 변경 저장 후 화면에 알림
+function commitQueue() {
+  saveQueue();
+  queueEvents.emit('change', getJobQueue());
+}
+
+// 대기열 설정 (보관할 끝난 작업 수)
+function getQueueSettings() {
+  return getSettings().jobQueue;
+}
+
+/**
+ * 작업 종류 등록
+ * @param {string} type - 작업 종류 (예: 'voucher-range', 'invoice-multiple')
+ * @param {Object} definition - { kind: 'voucher' / 'invoice' (취소 / 예상 시간 구분), label: 화면 표시 이름,
+ *   run: async (job) => 실행 결과 ({ success, cancelled, error, message, ... }) }
+ */
+function registerJobType(type, definition) {
+  jobTypes.set(type, definition);
+}
+
+/**
+ * 작업 등록 후 실행 결과 대기
+ * 대기열 순서가 되면 실행하고, 결과는 기존 실행 요청과 같은 형식으로 돌려준다.
+ * @param {string} type - 등록된 작업 종류
+ * @param {Object} job - { label: 작업 설명, params: 실행 함수에 넘길 값 (저장되므로 JSON으로 바꿀 수 있어야 함),
+ *   units: 예상 시간 계산용 작업량 (파일 수 / 사이클 수) }
+ * @returns {Promise<Object>} 실행 결과 (대기열에서 삭제하면 { success: false, cancelled: true, removed: true })
+ */
+function submitJob(type, { label, params = {}, units = 1 }) {
+  const definition = jobTypes.get(type);
+  if (!definition) {
+    throw new Error(`알 수 없는 작업 종류입니다: ${type}`);
+  }
+
+  const queue = getQueue();
+  const job = {
+    id: ++queue.sequence,
+    type,
+    kind: definition.kind,
+    label: label || definition.label,
+    params,
+    units: Math.max(1, units || 1),
+    environment: getActiveEnvironment().name,
+    status: 'queued',
+    submittedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    message: null
+  };
+  queue.jobs.push(job);
+  logger.info(`작업 대기열 등록 #${job.id}: ${job.label} (${job.environment})`);
+
+  const result = new Promise(resolve => waiters.set(job.id, resolve));
+  commitQueue();
+  pumpQueue();
+  return result;
+}
+
+// 작업 결과 전달 (결과를 기다리는 호출이 있는 경우)
+function resolveJob(jobId, result) {
+  const resolve = waiters.get(jobId);
+  if (!resolve) return;
+  waiters.delete(jobId);
+  resolve(result);
+}
+
+// 실행 중인 작업이 없으면 다음 대기 작업 시작 (공유 D365 세션을 쓰므로 한 번에 하나씩)
+function pumpQueue() {
+  const queue = getQueue();
+  if (queue.paused) return;
+  if (queue.jobs.some(job => job.status === 'running')) return;
+
+  const nextJob = queue.jobs.find(job => job.status === 'queued');
+  if (nextJob) startJob(nextJob);
+}
+
+// 작업 실행 (결과에 따라 완료 / 실패 / 취소로 기록하고 다음 작업 시작)
+function startJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.message = null;
+  logger.info(`작업 대기열 실행 #${job.id}: ${job.label}`);
+  commitQueue();
+
+  runJob(job)
+    .then(result => finishJob(job, result))
+    .catch(error => {
+      logger.error(`작업 대기열 처리 중 오류 #${job.id}: ${error.message}`);
+      finishJob(job, { success: false, error: error.message });
+    });
+}
+
+// 작업 종류의 실행 함수 호출 (등록한 환경과 현재 환경이 다르면 실행하지 않음)
+async function runJob(job) {
+  try {
+    const definition = jobTypes.get(job.type);
+    if (!definition) {
+      throw new Error(`알 수 없는 작업 종류입니다: ${job.type}`);
+    }
+
+    const activeEnvironment = getActiveEnvironment().name;
+    if (job.environment !== activeEnvironment) {
+      throw new Error(`이 작업은 ${job.environment} 환경에서 등록되었습니다. 현재 환경(${activeEnvironment})에서는 실행하지 않습니다.`);
+    }
+
+    return await definition.run(job);
+  } catch (error) {
+    logger.error(`작업 #${job.id} 실행 오류: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+// 작업 결과 기록
+function finishJob(job, result) {
+  const queue = getQueue();
+  job.finishedAt = new Date().toISOString();
+  job.status = result.cancelled ? 'cancelled' : (result.success ? 'completed' : 'failed');
+  job.message = summarizeResult(result);
+
+  // 끝까지 실행한 작업의 소요 시간을 작업 종류별 예상 시간에 반영
+  if (job.status !== 'cancelled') {
+    const stats = queue.stats[job.type] || { totalMs: 0, units: 0 };
+    stats.totalMs += new Date(job.finishedAt) - new Date(job.startedAt);
+    stats.units += job.units;
+    queue.stats[job.type] = stats;
+  }
+
+  logger.info(`작업 대기열 종료 #${job.id}: ${job.label} → ${job.status}${job.message ? ` (${job.message})` : ''}`);
+  pruneFinishedJobs();
+  commitQueue();
+  resolveJob(job.id, result);
+  pumpQueue();
+}
+
+// 화면 표시용 결과 요약
+function summarizeResult(result) {
+  if (result.cancelled) return result.error || '취소되었습니다.';
+  if (!result.success) return result.error || '실패했습니다.';
+
+  const counts = [];
+  if (result.successCount !== undefined) counts.push(`성공 ${result.successCount}`);
+  if (result.failCount) counts.push(`실패 ${result.failCount}`);
+  return counts.length > 0 ? counts.join(' · ') : (result.message || '완료');
+}
+
+// 보관할 수보다 많은 끝난 작업은 오래된 것부터 삭제
+function pruneFinishedJobs() {
+  const queue = getQueue();
+  const finishedJobs = queue.jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+  const overflow = finishedJobs.length - getQueueSettings().keepFinished;
+  if (overflow <= 0) return;
+
+  const removeIds = new Set(finishedJobs
+    .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+    .slice(0, overflow)
+    .map(job => job.id));
+  queue.jobs = queue.jobs.filter(job => !removeIds.has(job.id));
+}
+
+// 작업 예상 소요 시간 (작업 종류별 실행 기록의 단위당 평균, 기록이 없으면 기본값)
+function estimateDuration(job) {
+  const stats = getQueue().stats[job.type];
+  const unitMs = stats && stats.units > 0 ? stats.totalMs / stats.units : DEFAULT_UNIT_MS[job.kind] || DEFAULT_UNIT_MS.voucher;
+  return Math.round(unitMs * job.units);
+}
+
+// 대기 작업별 예상 시작 시각 계산 (실행 중 작업의 남은 시간 + 앞선 작업의 예상 시간)
+function estimateStartTimes(runningJobs, queuedJobs) {
+  const now = Date.now();
+  let freeAt = now;
+  runningJobs.forEach(job => {
+    freeAt = Math.max(freeAt, new Date(job.startedAt).getTime() + estimateDuration(job));
+  });
+
+  const startTimes = new Map();
+  queuedJobs.forEach(job => {
+    startTimes.set(job.id, new Date(freeAt).toISOString());
+    freeAt += estimateDuration(job);
+  });
+  return startTimes;
+}
+
+/**
+ * 화면 표시용 대기열 조회
+ * @returns {Object} { paused, pauseReason, jobs: [실행 중, 대기(순서대로), 끝난 작업(최근 순)] }
+ *   각 작업: { id, type, kind, kindLabel, label, status, position(대기 순서), environment, submittedAt, startedAt, finishedAt,
+ *   estimatedStartAt(일시 정지 중이면 null), estimatedDurationMs, message }
+ */
+function getJobQueue() {
+  const queue = getQueue();
+  const runningJobs = queue.jobs.filter(job => job.status === 'running');
+  const queuedJobs = queue.jobs.filter(job => job.status === 'queued');
+  const finishedJobs = queue.jobs
+    .filter(job => FINISHED_STATUSES.includes(job.status))
+    .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+  const startTimes = queue.paused ? new Map() : estimateStartTimes(runningJobs, queuedJobs);
+
+  const toPublicJob = (job) => {
+    const { params, ...publicJob } = job;
+    return {
+      ...publicJob,
+      kindLabel: RUN_KIND_LABELS[job.kind] || job.kind,
+      position: job.status === 'queued' ? queuedJobs.indexOf(job) + 1 : null,
+      estimatedStartAt: startTimes.get(job.id) || null,
+      estimatedDurationMs: estimateDuration(job)
+    };
+  };
+
+  return {
+    paused: queue.paused,
+    pauseReason: queue.pauseReason,
+    jobs: runningJobs.concat(queuedJobs, finishedJobs).map(toPublicJob)
+  };
+}
+
+/**
+ * 대기 작업 순서 변경
+ * @param {number} jobId - 작업 id
+ * @param {number} offset - 앞으로 -1, 뒤로 +1 (대기 작업 사이에서 이동)
+ */
+function moveJob(jobId, offset) {
+  const queue = getQueue();
+  const queuedJobs = queue.jobs.filter(job => job.status === 'queued');
+  const index = queuedJobs.findIndex(job => job.id === jobId);
+  if (index < 0) {
+    throw new Error('대기 중인 작업만 순서를 바꿀 수 있습니다.');
+  }
+  const targetIndex = index + offset;
+  if (targetIndex < 0 || targetIndex >= queuedJobs.length) return getJobQueue();
+
+  // 전체 목록에서 두 대기 작업의 자리를 맞바꿈
+  const from = queue.jobs.indexOf(queuedJobs[index]);
+  const to = queue.jobs.indexOf(queuedJobs[targetIndex]);
+  [queue.jobs[from], queue.jobs[to]] = [queue.jobs[to], queue.jobs[from]];
+  logger.info(`작업 대기열 순서 변경 #${jobId}: ${index + 1} → ${targetIndex + 1}`);
+  commitQueue();
+  return getJobQueue();
+}
+
+/**
+ * 작업 삭제 (대기 작업은 대기열에서 빼고, 끝난 작업은 기록에서 삭제)
+ * 실행 중인 작업은 삭제하지 않고 취소를 요청한다 (다음 안전 지점에서 멈춘 뒤 "취소됨"으로 기록).
+ * @param {number} jobId - 작업 id
+ */
+function removeJob(jobId) {
+  const queue = getQueue();
+  const job = queue.jobs.find(entry => entry.id === jobId);
+  if (!job) {
+    throw new Error('대기열에 없는 작업입니다.');
+  }
+
+  if (job.status === 'running') {
+    cancelRun(job.kind);
+    job.message = '취소 요청됨 - 진행 중인 단계를 마친 뒤 멈춥니다.';
+    commitQueue();
+    return getJobQueue();
+  }
+
+  queue.jobs = queue.jobs.filter(entry => entry !== job);
+  logger.info(`작업 대기열 삭제 #${job.id}: ${job.label}`);
+  commitQueue();
+  if (job.status === 'queued') {
+    resolveJob(job.id, { success: false, cancelled: true, removed: true, error: `대기열에서 삭제되어 실행하지 않았습니다: ${job.label}` });
+    pumpQueue();
+  }
+  return getJobQueue();
+}
+
+// 끝난 작업 기록 모두 삭제
+function clearFinishedJobs() {
+  const queue = getQueue();
+  queue.jobs = queue.jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+  commitQueue();
+  return getJobQueue();
+}
+
+// 대기열 일시 정지 (실행 중인 작업은 끝까지 실행하고 다음 작업을 시작하지 않음)
+function pauseJobQueue() {
+  const queue = getQueue();
+  queue.paused = true;
+  queue.pauseReason = '사용자가 대기열을 일시 정지했습니다.';
+  logger.info('작업 대기열 일시 정지');
+  commitQueue();
+  return getJobQueue();
+}
+
+// 대기열 재개
+function resumeJobQueue() {
+  const queue = getQueue();
+  queue.paused = false;
+  queue.pauseReason = null;
+  logger.info('작업 대기열 재개');
+  commitQueue();
+  pumpQueue();
+  return getJobQueue();
+}
+
+// 대기열 변경 구독 (등록 / 시작 / 종료 / 순서 변경 / 삭제 / 일시 정지)
+function onJobQueueChange(callback) {
+  queueEvents.on('change', callback);
+}
+
+module.exports = {
+  registerJobType,
+  submitJob,
+  getJobQueue,
+  moveJob,
+  removeJob,
+  clearFinishedJobs,
+  pauseJobQueue,
+  resumeJobQueue,
+  onJobQueueChange
+};
@@ -0,0 +1,143 @@
+/**
+ * 업로드 후 분개장 대사 모듈
+ * D365에 생성된 분개장 라인과 원본 엑셀 전표 파일을 비교하여
+ * 라인 수, 차변/대변 합계, 계정별 차변/대변 합계가 일치하는지 확인하고 차이 보고서를 만든다.
+ */
+
+const { readVoucherWorkbook } = require('./voucher-validator.js');
+
+// 금액 비교 허용 오차 (원 단위 이하 반올림 차이)
+const AMOUNT_TOLERANCE = 0.01;
+
+// D365 분개장 라인 그리드에서 읽을 컬럼 (컨트롤 이름 패턴, 헤더 텍스트)
+const JOURNAL_LINE_COLUMNS = {
+  account: { controlPattern: 'LedgerDimension|AccountNum|_Account_', headers: ['계정', 'Account'] },
+  debit: { controlPattern: 'AmountCurDebit', headers: ['차변', 'Debit'] },
+  credit: { controlPattern: 'AmountCurCredit', headers: ['대변', 'Credit'] }
+};
+
+// 소수점 둘째 자리까지 반올림 (부동소수점 오차 제거용)
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// 계정 비교용 정규화 - D365 계정은 "주계정-차원" 형식이므로 주계정만 비교
+function normalizeAccount(account) {
+  if (account === null || account === undefined) return '';
+  return String(account).trim().split('-')[0].trim();
+}
+
+// D365 화면 금액 텍스트를 숫자로 변환 (빈 값은 0)
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value || '').replace(/[,\s]/g, '');
+  if (text === '') return 0;
+  const amount = Number(text);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * 라인 목록의 라인 수, 차변/대변 합계, 계정별 합계
+ * @param {Object[]} lines - { account, debit, credit }
+ * @returns {Object} { lineCount, totalDebit, totalCredit, accounts: { 계정: { debit, credit } } }
+ */
+function summarizeLines(lines) {
+  const summary = { lineCount: lines.length, totalDebit: 0, totalCredit: 0, accounts: {} };
+  lines.forEach(line => {
+    const account = normalizeAccount(line.account);
+    const debit = parseAmount(line.debit);
+    const credit = parseAmount(line.credit);
+    summary.totalDebit += debit;
+    summary.totalCredit += credit;
+    if (!summary.accounts[account]) summary.accounts[account] = { debit: 0, credit: 0 };
+    summary.accounts[account].debit += debit;
+    summary.accounts[account].credit += credit;
+  });
+
+  summary.totalDebit = roundAmount(summary.totalDebit);
+  summary.totalCredit = roundAmount(summary.totalCredit);
+  Object.values(summary.accounts).forEach(totals => {
+    totals.debit = roundAmount(totals.debit);
+    totals.credit = roundAmount(totals.credit);
+  });
+  return summary;
+}
+
+// 금액 차이가 허용 오차를 넘는지
+function amountsDiffer(expected, actual) {
+  return Math.abs(expected - actual) > AMOUNT_TOLERANCE;
+}
+
+/**
+ * 원본 엑셀과 D365 분개장 라인 비교
+ * @param {Object} source - 원본 엑셀 요약 (summarizeLines)
+ * @param {Object} journal - D365 분개장 라인 요약 (summarizeLines)
+ * @returns {Object} { matched, differences: [{ field, label, account, expected, actual }] }
+ */
+function compareSummaries(source, journal) {
+  const differences = [];
+
+  if (source.lineCount !== journal.lineCount) {
+    differences.push({ field: 'lineCount', label: '라인 수', account: null, expected: source.lineCount, actual: journal.lineCount });
+  }
+  if (amountsDiffer(source.totalDebit, journal.totalDebit)) {
+    differences.push({ field: 'totalDebit', label: '차변 합계', account: null, expected: source.totalDebit, actual: journal.totalDebit });
+  }
+  if (amountsDiffer(source.totalCredit, journal.totalCredit)) {
+    differences.push({ field: 'totalCredit', label: '대변 합계', account: null, expected: source.totalCredit, actual: journal.totalCredit });
+  }
+
+  const accounts = Array.from(new Set([...Object.keys(source.accounts), ...Object.keys(journal.accounts)])).sort();
+  accounts.forEach(account => {
+    const expected = source.accounts[account] || { debit: 0, credit: 0 };
+    const actual = journal.accounts[account] || { debit: 0, credit: 0 };
+    if (amountsDiffer(expected.debit, actual.debit)) {
+      differences.push({ field: 'accountDebit', label: '계정별 차변', account, expected: expected.debit, actual: actual.debit });
+    }
+    if (amountsDiffer(expected.credit, actual.credit)) {
+      differences.push({ field: 'accountCredit', label: '계정별 대변', account, expected: expected.credit, actual: actual.credit });
+    }
+  });
+
+  return { matched: differences.length === 0, differences };
+}
+
+/**
+ * 원본 엑셀 파일과 D365에서 읽은 분개장 라인 대사
+ * @param {string} filePath - 원본 엑셀 파일 경로
+ * @param {Object[]} journalLines - D365 분개장 라인 { account, debit, credit }
+ * @param {string|null} journalNumber - 분개장 번호
+ * @returns {Promise<Object>} { status: 'matched' | 'discrepancy', journalNumber, source, journal, differences, diffText, reconciledAt }
+ */
+async function reconcileJournal(filePath, journalLines, journalNumber) {
+  const { lines } = await readVoucherWorkbook(filePath);
+  const source = summarizeLines(lines);
+  const journal = summarizeLines(journalLines);
+  const { matched, differences } = compareSummaries(source, journal);
+
+  return {
+    status: matched ? 'matched' : 'discrepancy',
+    journalNumber,
+    source,
+    journal,
+    differences,
+    diffText: matched ? '일치' : formatDifferences(differences),
+    reconciledAt: new Date().toISOString()
+  };
+}
+
+// 차이 보고서를 한 줄 요약 텍스트로 변환 (매니페스트, 화면 표시용)
+function formatDifferences(differences) {
+  return differences.map(diff => {
+    const target = diff.account ? `${diff.label} ${diff.account}` : diff.label;
+    return `${target}: 엑셀 ${diff.expected} / D365 ${diff.actual}`;
+  }).join(', ');
+}
+
+module.exports = {
+  JOURNAL_LINE_COLUMNS,
+  summarizeLines,
+  compareSummaries,
+  reconcileJournal,
+  formatDifferences
+};
@@ -11,6 +11,17 @@ let globalLoginState = {
   loginTime: null
 };
 
+// ID 뒤에 붙일 로그인 도메인 (현재 환경 프로필에서 읽어옴)
+let loginDomain = 'nepes.co.kr';
+
+// 현재 환경 이름 - 로그인 정보는 환경별로 따로 저장 (앱 설정을 읽기 전에는 마지막으로 사용한 환경)
+let loginEnvironment = localStorage.getItem('erpEnvironment') || '';
+
+// 현재 환경의 저장된 로그인 정보 키
+function getSavedLoginKey() {
+  return loginEnvironment ? `erpLogin:${loginEnvironment}` : 'erpLogin';
+}
+
 // 로그인 오버레이 HTML 템플릿
 function getLoginOverlayHTML() {
   return `
@@ -19,7 +30,7 @@ function getLoginOverlayHTML() {
       <div class="login-container">
         <img src="ERP_RPA아이콘.png" alt="ERP RPA" class="login-logo">
         <div class="login-title">ERP RPA 시스템</div>
-        <div class="login-subtitle">로그인이 필요합니다</div>
+        <div class="login-subtitle">로그인이 필요합니다 <span id="loginEnvironmentLabel"></span></div>
         
         <form class="login-form" onsubmit="globalLogin(event)">
           <div class="login-form-group">
@@ -258,7 +269,7 @@ function getLoginOverlayCSS() {
 
 // 저장된 로그인 정보 확인
 function checkSavedLogin() {
-  const savedLogin = localStorage.getItem('erpLogin');
+  const savedLogin = localStorage.getItem(getSavedLoginKey());
   const rememberLogin = localStorage.getItem('rememberLogin') === 'true';
   
   if (savedLogin && rememberLogin) {
@@ -280,11 +291,43 @@ function checkSavedLogin() {
       }
     } catch (error) {
       console.error('저장된 로그인 정보 복원 실패:', error);
-      localStorage.removeItem('erpLogin');
+      localStorage.removeItem(getSavedLoginKey());
     }
   }
 }
 
+// 현재 환경의 로그인 도메인 불러오기 (마지막으로 사용한 환경과 다르면 그 환경의 로그인 정보로 다시 확인)
+async function loadLoginEnvironment() {
+  if (!window.electronAPI || !window.electronAPI.getAppSettings) return;
+  try {
+    const result = await window.electronAPI.getAppSettings();
+    if (!result.success) return;
+
+    if (result.settings.loginDomain) {
+      loginDomain = result.settings.loginDomain;
+    }
+
+    const environmentLabel = document.getElementById('loginEnvironmentLabel');
+    if (environmentLabel) {
+      environmentLabel.textContent = `(${result.environment.name} 환경)`;
+    }
+
+    if (result.environment.name !== loginEnvironment) {
+      loginEnvironment = result.environment.name;
+      localStorage.setItem('erpEnvironment', loginEnvironment);
+
+      globalLoginState = { isLoggedIn: false, username: '', password: '', loginTime: null };
+      checkSavedLogin();
+      if (!globalLoginState.isLoggedIn && window.electronAPI.clearCredentials) {
+        window.electronAPI.clearCredentials();
+      }
+      updateLoginUI();
+    }
+  } catch (error) {
+    console.error('로그인 환경 설정 읽기 실패:', error);
+  }
+}
+
 // 전역 로그인 함수
 function globalLogin(event) {
   event.preventDefault();
@@ -298,8 +341,8 @@ function globalLogin(event) {
     return;
   }
   
-  // 사용자 ID에 '@nepes.co.kr' 추가 (이미 포함되어 있지 않은 경우)
-  const username = userId.includes('@') ? userId : `${userId}@nepes.co.kr`;
+  // 사용자 ID에 설정된 로그인 도메인 추가 (이미 포함되어 있지 않은 경우)
+  const username = userId.includes('@') ? userId : `${userId}@${loginDomain}`;
   
   // 로딩 상태 표시
   const loginBtn = document.getElementById('globalLoginBtn');
@@ -347,10 +390,10 @@ function completeLogin(username, password, rememberLogin) {
   
   // 로그인 정보 저장 (사용자가 체크한 경우)
   if (rememberLogin) {
-    localStorage.setItem('erpLogin', JSON.stringify(globalLoginState));
+    localStorage.setItem(getSavedLoginKey(), JSON.stringify(globalLoginState));
     localStorage.setItem('rememberLogin', 'true');
   } else {
-    localStorage.removeItem('erpLogin');
+    localStorage.removeItem(getSavedLoginKey());
     localStorage.setItem('rememberLogin', 'false');
   }
   
@@ -368,8 +411,8 @@ function globalLogout() {
       loginTime: null
     };
     
-    // 저장된 로그인 정보 제거
-    localStorage.removeItem('erpLogin');
+    // 저장된 로그인 정보 제거 (현재 환경)
+    localStorage.removeItem(getSavedLoginKey());
     localStorage.setItem('rememberLogin', 'false');
     
     // Electron API에서도 인증 정보 제거
@@ -511,6 +554,9 @@ function initializeLoginSystem() {
   
   // 저장된 로그인 정보 확인
   checkSavedLogin();
+
+  // 현재 환경과 로그인 도메인 설정 읽기
+  loadLoginEnvironment();
   
   // UI 업데이트
   updateLoginUI();
@@ -2,31 +2,19 @@ const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const ezVoucher = require('./EZVoucher.js');
 const ezVoucher2 = require('./EZVoucher2.js');
-const puppeteer = require('puppeteer');
-const { dialog } = require('electron');
+const { closeSession, getSessionStatus } = require('./d365-session.js');
+const appSettings = require('./app-settings.js');
+const { isEvidencePath } = require('./run-evidence.js');
+const { RUN_KIND_LABELS, cancelRun, getActiveRuns, onActiveRunsChange } = require('./run-cancellation.js');
+const jobQueue = require('./job-queue.js');
+const { dialog, shell } = require('electron');
 
 let mainWindow;
-let browser = null;
 let credentials = {
   username: '',
   password: ''
 };
 
-// 수정 후:
-async function launchBrowser() {
-  if (!browser) {
-    browser = await puppeteer.ㅇlaunch({
-      headless: false,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--start-maximized'
-      ]
-    });
-  }
-  return browser;
-}
-
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -64,21 +52,47 @@ function forwardStatusUpdate(data) {
 // 이벤트 리스너 등록
 ezVoucher.onStatusUpdate(forwardStatusUpdate);
 
+// 폴더 감시 대기열 변경을 렌더러에 전달
+ezVoucher.onWatchQueueUpdate((queue) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('watch-queue-update', queue);
+  }
+});
+
+// 작업자 확인 요청(자동 처리 실패로 일시 정지)을 렌더러에 전달하고 작업 표시줄에서 알림
+ezVoucher.onOperatorAttention((request) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('operator-attention', request);
+    mainWindow.flashFrame(!!request);
+  }
+});
+
+// 실행 중인 자동화 목록(시작 / 취소 요청 / 종료)을 렌더러에 전달 (취소 버튼 표시용)
+onActiveRunsChange((runs) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('active-runs-update', runs);
+  }
+});
+
+// 작업 대기열 변경(등록 / 시작 / 종료 / 순서 변경 / 삭제)을 렌더러에 전달
+jobQueue.onJobQueueChange((queue) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('job-queue-update', queue);
+  }
+});
+
 
 ipcMain.handle('run-rpa', async () => {
   try {
-    // 필요한 경우 브라우저 초기화
-    await launchBrowser();
-    
     let result = await ezVoucher.runAllTasks(credentials);
     
     return { 
       success: true, 
       data: {
-        message: result.message || '작업이 완료되었습니다. 브라우저 창이 자동으로 닫혔습니다.',
+        message: result.message || '작업이 완료되었습니다. 작업 탭이 자동으로 닫혔습니다.',
         completedAt: result.completedAt || new Date().toISOString(),
         duration: result.duration || '2분',
-        browserClosed: true
+        browserClosed: false
       }
     };
   } catch (error) {
@@ -89,18 +103,15 @@ ipcMain.handle('run-rpa', async () => {
 
 ipcMain.handle('run-task', async (event, taskName) => {
   try {
-    // 필요한 경우 브라우저 초기화
-    await launchBrowser();
-    
     let result = await ezVoucher.runTask(taskName, credentials);
     
     return { 
       success: true, 
       data: {
-        message: result.message || '작업이 완료되었습니다. 브라우저 창이 자동으로 닫혔습니다.',
+        message: result.message || '작업이 완료되었습니다. 작업 탭이 자동으로 닫혔습니다.',
         completedAt: result.completedAt || new Date().toISOString(),
         duration: result.duration || '2분',
-        browserClosed: true
+        browserClosed: false
       }
     };
   } catch (error) {
@@ -122,23 +133,35 @@ ipcMain.handle('run-ezvoucher', async () => {
 });
 
 // 파일 범위 처리 핸들러
-ipcMain.on('start-file-range-processing', async (event, { userId, userPw, startFileNumber, endFileNumber }) => {
+ipcMain.on('start-file-range-processing', async (event, { userId, userPw, startFileNumber, endFileNumber, dryRun, confirmedReuploads }) => {
   try {
     console.log(`파일 범위 처리 시작: ${startFileNumber}-${endFileNumber}`);
     
     // 자격 증명 업데이트
     credentials.username = userId;
     credentials.password = userPw;    // 파일 범위 처리 실행
-    const result = await ezVoucher.processFileRange(startFileNumber, endFileNumber);
+    const result = await ezVoucher.processFileRange(startFileNumber, endFileNumber, { dryRun: !!dryRun, confirmedReuploads });
     
     console.log('파일 범위 처리 결과:', result); // 디버깅용
     
     // 결과를 렌더러 프로세스로 전송
     event.reply('file-range-processing-result', {
-      success: true,
+      success: result.success !== false,
       message: result.message || `파일 ${startFileNumber}-${endFileNumber} 처리 완료`,
+      error: result.error,
+      errorClass: result.errorClass,
+      errorClassLabel: result.errorClassLabel,
+      remediation: result.remediation,
+      aborted: !!result.aborted,
+      validation: result.validation,
+      manifest: result.manifest,
+      results: result.results,
       successCount: result.successCount || 0,
       failCount: result.failCount || 0,
+      skippedCount: result.skippedCount || 0,
+      discrepancyCount: result.discrepancyCount || 0,
+      postingIssueCount: result.postingIssueCount || 0,
+      operatorSkippedCount: result.operatorSkippedCount || 0,
       startFileNumber,
       endFileNumber,
       completedAt: result.completedAt || new Date().toISOString()
@@ -156,23 +179,29 @@ ipcMain.on('start-file-range-processing', async (event, { userId, userPw, startF
 });
 
 // 단일 파일 처리 핸들러
-ipcMain.on('start-single-file-processing', async (event, { userId, userPw, fileNumber }) => {
+ipcMain.on('start-single-file-processing', async (event, { userId, userPw, fileNumber, dryRun, confirmedReuploads }) => {
   try {
     console.log(`단일 파일 처리 시작: ${fileNumber}`);
     
     // 자격 증명 업데이트
     credentials.username = userId;
     credentials.password = userPw;    // 단일 파일 처리 실행
-    const result = await ezVoucher.processSingleFile(fileNumber);
+    const result = await ezVoucher.processSingleFile(fileNumber, { dryRun: !!dryRun, confirmedReuploads });
     
     console.log('단일 파일 처리 결과:', result); // 디버깅용
     
     // 결과를 렌더러 프로세스로 전송
     event.reply('single-file-processing-result', {
-      success: true,
+      success: result.success !== false && !result.failCount && !result.operatorSkippedCount,
       message: result.message || `파일 ${fileNumber} 처리 완료`,
+      error: result.error || (result.results || []).map(file => file.error).filter(Boolean).join(' / ') || undefined,
+      errorClass: result.errorClass,
+      errorClassLabel: result.errorClassLabel,
+      remediation: result.remediation,
+      aborted: !!result.aborted,
+      results: result.results,
       fileNumber,
-      successCount: result.successCount || 1,
+      successCount: result.successCount || 0,
       failCount: result.failCount || 0,
       completedAt: result.completedAt || new Date().toISOString()
     });  } catch (error) {
@@ -210,6 +239,25 @@ ipcMain.handle('set-credentials', async (event, creds) => {
   }
 });
 
+// 모든 모듈의 로그인 정보 지우기 (로그아웃, 환경 전환)
+function clearCredentials() {
+  credentials.username = '';
+  credentials.password = '';
+  ezVoucher.setCredentials('', '');
+  ezVoucher2.setCredentials('', '');
+}
+
+// 크레덴셜 삭제 핸들러 (로그아웃)
+ipcMain.handle('clear-credentials', async () => {
+  try {
+    clearCredentials();
+    return { success: true };
+  } catch (error) {
+    console.error('크레덴셜 삭제 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // A열 값 설정 핸들러
 ipcMain.handle('set-value-a', async (event, valueA) => {
   try {
@@ -233,9 +281,10 @@ ipcMain.handle('set-value-a', async (event, valueA) => {
 });
 
 // 다중 A열 값 처리 핸들러
-ipcMain.handle('process-multiple-value-a', async (event, valueArray) => {
+// valueArray 항목은 A열 값 또는 { valueA, company } (사이클별 회사), options.company는 회사를 지정하지 않은 사이클에 적용
+ipcMain.handle('process-multiple-value-a', async (event, valueArray, options = {}) => {
   try {
-    console.log(`다중 A열 값 처리 시작: ${valueArray}`);
+    console.log('다중 A열 값 처리 시작:', valueArray, options);
     
     // 크레덴셜이 설정되어 있는지 확인
     if (!credentials.username || !credentials.password) {
@@ -243,19 +292,13 @@ ipcMain.handle('process-multiple-value-a', async (event, valueArray) => {
     }
     
     if (ezVoucher2 && ezVoucher2.processMultipleValueA) {
-      // 진행 상황 업데이트 콜백 함수 생성
-      const sendProgressUpdate = (groupNumber, currentStep, completedSteps, error) => {
-        if (mainWindow) {
-          mainWindow.webContents.send('multiple-mode-progress', {
-            groupNumber,
-            currentStep,
-            completedSteps,
-            error
-          });
-        }
-      };
-      
-      const result = await ezVoucher2.processMultipleValueA(valueArray, credentials, sendProgressUpdate);
+      // 작업 대기열에 등록하고 실행 결과 대기 (조회 기간은 등록할 때의 값으로 실행)
+      const values = valueArray.map(item => (item !== null && typeof item === 'object' ? item.valueA : item));
+      const result = await jobQueue.submitJob('invoice-multiple', {
+        label: `다중 모드 그룹 ${values.join(', ')}${describeInvoicePeriod()}`,
+        params: { valueArray, company: options.company, dateRange: { ...ezVoucher2.getSelectedDateRange() } },
+        units: valueArray.length
+      });
       console.log('다중 A열 값 처리 완료:', result);
       
       // 다중모드임을 표시하는 플래그 추가
@@ -273,18 +316,51 @@ ipcMain.handle('process-multiple-value-a', async (event, valueArray) => {
   }
 });
 
+// 작업 대기열의 다중 모드 작업 실행 (진행 상황은 화면에 전달)
+jobQueue.registerJobType('invoice-multiple', {
+  kind: 'invoice',
+  label: '매입송장 다중 모드',
+  run: async (job) => {
+    checkInvoiceCredentials();
+    ezVoucher2.setSelectedDateRange(job.params.dateRange);
+    
+    const sendProgressUpdate = (groupNumber, currentStep, completedSteps, error) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('multiple-mode-progress', {
+          groupNumber,
+          currentStep,
+          completedSteps,
+          error
+        });
+      }
+    };
+    return await ezVoucher2.processMultipleValueA(job.params.valueArray, credentials, sendProgressUpdate, { company: job.params.company });
+  }
+});
+
 // 매입송장 처리 핸들러
-ipcMain.handle('process-invoice', async () => {
+ipcMain.handle('process-invoice', async (event, options = {}) => {
   try {
-    console.log('매입송장 처리 시작...');
+    console.log('매입송장 처리 시작...', options);
     
     // 크레덴셜이 설정되어 있는지 확인
     if (!credentials.username || !credentials.password) {
       throw new Error('로그인 정보가 설정되지 않았습니다.');
     }
     
-    // EZVoucher2의 매입송장 처리 실행
-    const result = await ezVoucher2.processInvoice(credentials);
+    // 작업 대기열에 등록하고 실행 결과 대기 (A열 값과 조회 기간은 등록할 때의 값으로 실행)
+    const valueA = ezVoucher2.getValueA();
+    const stepRange = options.startAt || options.stopAfter ? ` (${options.startAt || 1}~${options.stopAfter || 7}단계)` : '';
+    const result = await jobQueue.submitJob('invoice', {
+      label: `단일 모드 그룹 ${valueA}${stepRange}${describeInvoicePeriod()}`,
+      params: {
+        valueA,
+        dateRange: { ...ezVoucher2.getSelectedDateRange() },
+        startAt: options.startAt,
+        stopAfter: options.stopAfter,
+        company: options.company
+      }
+    });
     console.log('매입송장 처리 완료:', result);
     
     return result;
@@ -294,6 +370,118 @@ ipcMain.handle('process-invoice', async () => {
   }
 });
 
+// 작업 대기열의 단일 모드 작업 실행 (단계 진행 이벤트는 화면에 전달)
+jobQueue.registerJobType('invoice', {
+  kind: 'invoice',
+  label: '매입송장 단일 모드',
+  run: async (job) => {
+    checkInvoiceCredentials();
+    ezVoucher2.setValueA(job.params.valueA);
+    ezVoucher2.setSelectedDateRange(job.params.dateRange);
+    
+    const sendStepProgress = (progressEvent) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('invoice-step-progress', progressEvent);
+      }
+    };
+    
+    // EZVoucher2의 매입송장 처리 실행 (시작/종료 단계, 처리할 회사 지정 가능)
+    return await ezVoucher2.processInvoice(credentials, {
+      startAt: job.params.startAt,
+      stopAfter: job.params.stopAfter,
+      company: job.params.company,
+      onProgress: sendStepProgress
+    });
+  }
+});
+
+// 매입송장 작업 실행 시 로그인 정보 확인 (대기하는 동안 로그아웃했을 수 있음)
+function checkInvoiceCredentials() {
+  if (!credentials.username || !credentials.password) {
+    throw new Error('로그인 정보가 설정되지 않았습니다. 로그인 후 다시 등록해주세요.');
+  }
+}
+
+// 대기열 작업 설명에 붙일 매입송장 조회 기간
+function describeInvoicePeriod() {
+  const { year, month } = ezVoucher2.getSelectedDateRange();
+  return ` · ${year}년 ${month}월`;
+}
+
+// 작업 대기열 조회 핸들러 (순서, 상태, 예상 시작 시각)
+ipcMain.handle('get-job-queue', async () => {
+  try {
+    return { success: true, queue: jobQueue.getJobQueue() };
+  } catch (error) {
+    console.error('[MAIN] 작업 대기열 조회 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 대기 작업 순서 변경 핸들러 (offset: 앞으로 -1, 뒤로 +1)
+ipcMain.handle('move-job', async (event, jobId, offset) => {
+  try {
+    return { success: true, queue: jobQueue.moveJob(jobId, offset) };
+  } catch (error) {
+    console.error('[MAIN] 작업 순서 변경 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 삭제 핸들러 (대기 작업은 대기열에서 삭제, 실행 중인 작업은 취소 요청, 끝난 작업은 기록 삭제)
+ipcMain.handle('remove-job', async (event, jobId) => {
+  try {
+    return { success: true, queue: jobQueue.removeJob(jobId) };
+  } catch (error) {
+    console.error('[MAIN] 작업 삭제 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 끝난 작업 기록 삭제 핸들러
+ipcMain.handle('clear-finished-jobs', async () => {
+  try {
+    return { success: true, queue: jobQueue.clearFinishedJobs() };
+  } catch (error) {
+    console.error('[MAIN] 끝난 작업 삭제 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 작업 대기열 일시 정지 / 재개 핸들러
+ipcMain.handle('set-job-queue-paused', async (event, paused) => {
+  try {
+    console.log(`[MAIN] 작업 대기열 ${paused ? '일시 정지' : '재개'}`);
+    return { success: true, queue: paused ? jobQueue.pauseJobQueue() : jobQueue.resumeJobQueue() };
+  } catch (error) {
+    console.error('[MAIN] 작업 대기열 상태 변경 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 실행 중인 자동화 취소 핸들러 (kind: 'voucher' 전표 업로드 / 'invoice' 매입송장 처리)
+// 실행은 다음 안전 지점에서 멈추고, 결과는 원래 실행 요청의 응답으로 "취소됨"과 완료한 항목 목록이 돌아감
+ipcMain.handle('cancel-automation', async (event, kind) => {
+  try {
+    console.log(`[MAIN] 실행 취소 요청: ${kind}`);
+    if (!RUN_KIND_LABELS[kind]) {
+      throw new Error(`알 수 없는 실행 종류입니다: ${kind}`);
+    }
+    if (!cancelRun(kind)) {
+      return { success: false, error: `실행 중인 ${RUN_KIND_LABELS[kind]} 작업이 없습니다.` };
+    }
+    return { success: true, message: `${RUN_KIND_LABELS[kind]} 취소를 요청했습니다. 진행 중인 단계를 마친 뒤 멈춥니다.` };
+  } catch (error) {
+    console.error('[MAIN] 실행 취소 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 실행 중인 자동화 목록 조회 핸들러 (화면을 다시 열었을 때 취소 버튼 표시용)
+ipcMain.handle('get-active-runs', async () => {
+  return { success: true, runs: getActiveRuns() };
+});
+
 // 날짜 범위 설정 핸들러
 ipcMain.handle('set-selected-date-range', async (event, dateRangeInfo) => {
   try {
@@ -313,6 +501,141 @@ ipcMain.handle('set-selected-date-range', async (event, dateRangeInfo) => {
   }
 });
 
+// 앱 설정 조회 핸들러
+ipcMain.handle('get-app-settings', async () => {
+  try {
+    return {
+      success: true,
+      settings: appSettings.getSettings(),
+      environment: appSettings.getActiveEnvironment(),
+      defaults: appSettings.DEFAULT_SETTINGS,
+      defaultEnvironment: appSettings.DEFAULT_ENVIRONMENT,
+      logLevels: appSettings.LOG_LEVELS
+    };
+  } catch (error) {
+    console.error('[MAIN] 앱 설정 조회 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 앱 설정 저장 핸들러 (현재 환경은 바꾸지 않음 - 환경 전환은 'set-active-environment'에서 확인 후 처리)
+// 현재 환경 프로필의 운영 여부나 D365 주소를 바꾸면 환경 전환과 같이 화면에서 확인을 받은 경우(options.confirmEnvironmentChange)에만 저장하고,
+// 이전 주소에 접속한 브라우저를 닫고 저장된 로그인 정보를 지운다
+ipcMain.handle('save-app-settings', async (event, settings, options = {}) => {
+  try {
+    const previous = appSettings.getSettings();
+    const environmentChanges = appSettings.getActiveEnvironmentChanges(settings);
+    if (environmentChanges.length > 0) {
+      if (!options.confirmEnvironmentChange) {
+        return {
+          success: false,
+          needsConfirmation: true,
+          error: `현재 환경(${previous.activeEnvironment})의 접속 대상이 바뀝니다: ${environmentChanges.join(', ')}`
+        };
+      }
+      if (getSessionStatus().activePages > 0) {
+        throw new Error('진행 중인 작업이 있어 현재 환경의 접속 대상을 바꿀 수 없습니다. 작업이 끝난 뒤 다시 시도해주세요.');
+      }
+    }
+
+    const saved = appSettings.saveSettings({ ...settings, activeEnvironment: previous.activeEnvironment });
+    const notes = [];
+
+    if (environmentChanges.length > 0) {
+      await closeSession();
+      clearCredentials();
+      console.log(`[MAIN] 현재 환경(${previous.activeEnvironment}) 접속 대상 변경: ${environmentChanges.join(', ')}`);
+      notes.push('현재 환경의 접속 대상이 바뀌어 브라우저를 닫고 로그인 정보를 지웠습니다. 다시 로그인해주세요.');
+    }
+
+    // 브라우저 표시 여부와 실행할 브라우저는 브라우저를 새로 실행할 때 적용 (작업 중이 아니면 바로 닫아 다음 작업에서 다시 실행)
+    if (saved.headless !== previous.headless || saved.browserChannel !== previous.browserChannel) {
+      const status = getSessionStatus();
+      if (status.browserOpen && status.activePages === 0) {
+        await closeSession();
+      } else if (status.browserOpen) {
+        notes.push('브라우저 설정은 진행 중인 작업이 끝나고 브라우저를 다시 실행하면 적용됩니다.');
+      }
+    }
+    if (saved.logLevel !== previous.logLevel) {
+      notes.push('로그 수준은 앱을 다시 시작하면 적용됩니다.');
+    }
+
+    console.log('[MAIN] 앱 설정 저장 완료');
+    return { success: true, settings: saved, message: ['설정이 저장되었습니다.', ...notes].join('\n') };
+  } catch (error) {
+    console.error('[MAIN] 앱 설정 저장 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 환경(TEST/PROD 등) 전환 핸들러
+// 운영 환경으로 전환할 때는 화면에서 확인을 받은 경우(options.confirmProduction)에만 전환
+// 환경마다 로그인 정보가 다르므로 저장된 로그인 정보를 지우고, 이전 환경에 접속한 브라우저를 닫는다
+ipcMain.handle('set-active-environment', async (event, name, options = {}) => {
+  try {
+    const settings = appSettings.getSettings();
+    const target = settings.environments[name];
+    if (!target) {
+      throw new Error(`환경 "${name}"의 프로필이 없습니다.`);
+    }
+    if (name === settings.activeEnvironment) {
+      return { success: true, environment: appSettings.getActiveEnvironment(), changed: false };
+    }
+    if (target.production && !options.confirmProduction) {
+      return { success: false, needsConfirmation: true, error: `운영 환경(${name})으로 전환하려면 확인이 필요합니다.` };
+    }
+
+    const status = getSessionStatus();
+    if (status.activePages > 0) {
+      throw new Error('진행 중인 작업이 있어 환경을 바꿀 수 없습니다. 작업이 끝난 뒤 다시 시도해주세요.');
+    }
+    if (status.browserOpen) {
+      await closeSession();
+    }
+
+    appSettings.setActiveEnvironment(name);
+    clearCredentials();
+
+    console.log(`[MAIN] 환경 전환: ${settings.activeEnvironment} → ${name}`);
+    return { success: true, environment: appSettings.getActiveEnvironment(), changed: true };
+  } catch (error) {
+    console.error('[MAIN] 환경 전환 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 실행 증거 자료(zip 또는 폴더) 위치 열기 핸들러 - 증거 폴더 안의 경로만 허용
+ipcMain.handle('open-evidence', async (event, evidencePath) => {
+  try {
+    if (!evidencePath || !isEvidencePath(evidencePath)) {
+      throw new Error('실행 증거 폴더의 파일만 열 수 있습니다.');
+    }
+    shell.showItemInFolder(evidencePath);
+    return { success: true };
+  } catch (error) {
+    console.error('[MAIN] 증거 자료 열기 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 다운로드 폴더 선택 핸들러
+ipcMain.handle('select-download-folder', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openDirectory'],
+      title: 'D365에서 받은 엑셀 파일을 저장할 폴더를 선택하세요'
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, folderPath: result.filePaths[0] };
+  } catch (error) {
+    console.error('[MAIN] 다운로드 폴더 선택 오류:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // 전체 페이지 스크린샷 캡처 IPC 핸들러 (진행상황 로그 및 크기 제한 추가)
 ipcMain.handle('capture-full-page', async () => {
   try {
@@ -405,13 +728,7 @@ ipcMain.handle('capture-full-page', async () => {
   }
 });
 
-// 앱 종료 시 브라우저 정리
+// 앱 종료 시 공유 D365 브라우저 정리
 app.on('before-quit', async () => {
-  if (browser) {
-    try {
-      await browser.close();
-    } catch (error) {
-      console.error('브라우저 종료 오류:', error);
-    }
-  }
+  await closeSession();
 });
\ No newline at end of file
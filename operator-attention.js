@@ -0,0 +1,113 @@
+/**
+ * 작업자 확인 대기 모듈
+ * 자동화가 D365 화면의 버튼이나 파일 선택을 처리하지 못하면 실행을 멈추고 대시보드에 "확인 필요" 요청(스크린샷, 안내)을 보낸 뒤
+ * 작업자가 계속(resume), 파일 건너뛰기(skip), 작업 중단(abort) 중 하나를 선택할 때까지 기다린다.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const OPERATOR_ACTIONS = ['resume', 'skip', 'abort'];
+
+// 작업자가 파일 건너뛰기 또는 작업 중단을 선택함
+class OperatorActionError extends Error {
+  constructor(action, step) {
+    super(action === 'skip'
+      ? `작업자가 "${step}" 단계에서 파일을 건너뛰었습니다.`
+      : `작업자가 "${step}" 단계에서 작업을 중단했습니다.`);
+    this.name = 'OperatorActionError';
+    this.action = action;
+    this.step = step;
+  }
+}
+
+const attentionEvents = new EventEmitter();
+
+// 현재 대기 중인 요청 (한 번에 하나)
+let pendingRequest = null;
+
+// 화면 표시용 요청 정보 (응답 함수 제외)
+function toPublicRequest(request) {
+  if (!request) return null;
+  const { resolve, ...publicRequest } = request;
+  return publicRequest;
+}
+
+/**
+ * 작업자 확인 요청 후 응답 대기
+ * @param {Object} request - { step, fileName, instructions, screenshot(base64 PNG) }
+ * @returns {Promise<string>} resume / skip / abort
+ */
+function requestOperatorAction(request) {
+  if (pendingRequest) {
+    throw new Error('이미 작업자 확인을 기다리는 요청이 있습니다.');
+  }
+
+  return new Promise(resolve => {
+    pendingRequest = {
+      id: Date.now().toString(),
+      step: request.step,
+      fileName: request.fileName || null,
+      instructions: request.instructions,
+      screenshot: request.screenshot ? `data:image/png;base64,${request.screenshot}` : null,
+      requestedAt: new Date().toISOString(),
+      resolve
+    };
+    logger.warn(`작업자 확인 대기: ${request.step}${request.fileName ? ` (${request.fileName})` : ''} - ${request.instructions}`);
+    attentionEvents.emit('change', toPublicRequest(pendingRequest));
+  });
+}
+
+/**
+ * 작업자 응답 반영
+ * @param {string} id - 요청 ID (다른 요청에 대한 늦은 응답 방지)
+ * @param {string} action - resume / skip / abort
+ */
+function respondOperatorAction(id, action) {
+  if (!OPERATOR_ACTIONS.includes(action)) {
+    throw new Error(`알 수 없는 응답입니다: ${action}`);
+  }
+  if (!pendingRequest || pendingRequest.id !== id) {
+    throw new Error('대기 중인 작업자 확인 요청이 없습니다.');
+  }
+
+  const { resolve, step } = pendingRequest;
+  pendingRequest = null;
+  logger.info(`작업자 응답: ${step} → ${action}`);
+  attentionEvents.emit('change', null);
+  resolve(action);
+}
+
+// 대기 중인 요청 조회 (대시보드를 다시 열었을 때 표시용)
+function getPendingOperatorAction() {
+  return toPublicRequest(pendingRequest);
+}
+
+// 요청 표시/해제 구독 (요청이 해제되면 null 전달)
+function onOperatorAttentionChange(callback) {
+  attentionEvents.on('change', callback);
+}
+
+module.exports = {
+  OperatorActionError,
+  requestOperatorAction,
+  respondOperatorAction,
+  getPendingOperatorAction,
+  onOperatorAttentionChange
+};
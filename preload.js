@@ -4,35 +4,89 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // 인증 정보 설정을 위한 API
   setCredentials: (credentials) => ipcRenderer.invoke('set-credentials', credentials),
+  clearCredentials: () => ipcRenderer.invoke('clear-credentials'),
   
   // EZ-Voucher 실행을 위한 API
   runEZVoucher: () => ipcRenderer.invoke('run-ezvoucher'),
   
-  // 매입송장 처리를 위한 API
-  processInvoice: () => ipcRenderer.invoke('process-invoice'),
+  // 매입송장 처리를 위한 API (options: { startAt, stopAfter } 시작/종료 단계, company 처리할 회사)
+  processInvoice: (options) => ipcRenderer.invoke('process-invoice', options),
   
   // A열 값 설정을 위한 API
   setValueA: (valueA) => ipcRenderer.invoke('set-value-a', valueA),
   
-  // 다중 A열 값 처리를 위한 API
-  processMultipleValueA: (valueArray) => ipcRenderer.invoke('process-multiple-value-a', valueArray),
+  // 다중 A열 값 처리를 위한 API (valueArray 항목: A열 값 또는 { valueA, company }, options: { company })
+  processMultipleValueA: (valueArray, options) => ipcRenderer.invoke('process-multiple-value-a', valueArray, options),
 
   // 날짜 범위 설정을 위한 API
   setSelectedDateRange: (dateRangeInfo) => ipcRenderer.invoke('set-selected-date-range', dateRangeInfo),
 
   // 다중모드 진행 상황 업데이트 리스너
   onMultipleModeProgress: (callback) => ipcRenderer.on('multiple-mode-progress', (_, data) => callback(data)),
+
+  // 매입송장 단계 진행 이벤트 리스너 (단일모드)
+  onInvoiceStepProgress: (callback) => ipcRenderer.on('invoice-step-progress', (_, data) => callback(data)),
+
+  // 실행 중인 자동화 취소 (kind: 'voucher' 전표 업로드 / 'invoice' 매입송장 처리)
+  cancelAutomation: (kind) => ipcRenderer.invoke('cancel-automation', kind),
+  getActiveRuns: () => ipcRenderer.invoke('get-active-runs'),
+  onActiveRunsUpdate: (callback) => ipcRenderer.on('active-runs-update', (_, runs) => callback(runs)),
+
+  // 작업 대기열 (전표 업로드와 매입송장 처리를 등록 순서대로 하나씩 실행)
+  getJobQueue: () => ipcRenderer.invoke('get-job-queue'),
+  moveJob: (jobId, offset) => ipcRenderer.invoke('move-job', jobId, offset),
+  removeJob: (jobId) => ipcRenderer.invoke('remove-job', jobId),
+  clearFinishedJobs: () => ipcRenderer.invoke('clear-finished-jobs'),
+  setJobQueuePaused: (paused) => ipcRenderer.invoke('set-job-queue-paused', paused),
+  onJobQueueUpdate: (callback) => ipcRenderer.on('job-queue-update', (_, queue) => callback(queue)),
   
   // 스크린 캡처를 위한 API
   captureFullPage: () => ipcRenderer.invoke('capture-full-page'),
+
+  // 실행 증거 자료(실패 시 zip) 위치 열기
+  openEvidence: (evidencePath) => ipcRenderer.invoke('open-evidence', evidencePath),
+
+  // 앱 설정 (환경 프로필, 다운로드 폴더, 브라우저 표시, 대기 시간, 로그 수준)
+  getAppSettings: () => ipcRenderer.invoke('get-app-settings'),
+  // 앱 설정 저장 (options: { confirmEnvironmentChange } 현재 환경의 운영 여부 / D365 주소 변경 확인 여부)
+  saveAppSettings: (settings, options) => ipcRenderer.invoke('save-app-settings', settings, options),
+  // 환경 전환 (options: { confirmProduction } 운영 환경 전환 확인 여부)
+  setActiveEnvironment: (name, options) => ipcRenderer.invoke('set-active-environment', name, options),
+  selectDownloadFolder: () => ipcRenderer.invoke('select-download-folder'),
   
   // 기존 API들
   runRPA: () => ipcRenderer.invoke('run-rpa'),
   runTask: (taskName) => ipcRenderer.invoke('run-task', taskName),
   onTaskStatusUpdate: (callback) => ipcRenderer.on('task-status-update', (_, data) => callback(data)),
   selectFolder: () => ipcRenderer.invoke('select-folder'),
-  processSelectedFiles: (startNumber, endNumber) => ipcRenderer.invoke('process-selected-files', startNumber, endNumber),
-  processSingleFile: (fileNumber) => ipcRenderer.invoke('process-single-file', fileNumber)
+  processSelectedFiles: (startNumber, endNumber, options) => ipcRenderer.invoke('process-selected-files', startNumber, endNumber, options),
+  validateVoucherFiles: (startNumber, endNumber, options) => ipcRenderer.invoke('validate-voucher-files', startNumber, endNumber, options),
+  processSingleFile: (fileNumber, options) => ipcRenderer.invoke('process-single-file', fileNumber, options),
+  previewVoucherFiles: (startNumber, endNumber) => ipcRenderer.invoke('preview-voucher-files', startNumber, endNumber),
+  checkDuplicateUploads: (startNumber, endNumber, options) => ipcRenderer.invoke('check-duplicate-uploads', startNumber, endNumber, options),
+  getUploadLedger: () => ipcRenderer.invoke('get-upload-ledger'),
+  scanVoucherFolder: () => ipcRenderer.invoke('scan-voucher-folder'),
+  validateVoucherFileList: (filePaths, options) => ipcRenderer.invoke('validate-voucher-file-list', filePaths, options),
+  checkDuplicateUploadsForFiles: (filePaths, options) => ipcRenderer.invoke('check-duplicate-uploads-for-files', filePaths, options),
+  processFileList: (filePaths, options) => ipcRenderer.invoke('process-file-list', filePaths, options),
+  startFolderWatch: (options) => ipcRenderer.invoke('start-folder-watch', options),
+  stopFolderWatch: () => ipcRenderer.invoke('stop-folder-watch'),
+  setWatchAutoRun: (enabled) => ipcRenderer.invoke('set-watch-auto-run', enabled),
+  approveWatchQueue: () => ipcRenderer.invoke('approve-watch-queue'),
+  getWatchQueue: () => ipcRenderer.invoke('get-watch-queue'),
+  onWatchQueueUpdate: (callback) => ipcRenderer.on('watch-queue-update', (_, queue) => callback(queue)),
+  getVoucherConfig: () => ipcRenderer.invoke('get-voucher-config'),
+  saveVoucherConfig: (config) => ipcRenderer.invoke('save-voucher-config', config),
+  previewDescriptions: (config) => ipcRenderer.invoke('preview-descriptions', config),
+  selectGenerationFolder: () => ipcRenderer.invoke('select-generation-folder'),
+  generateMonthlyVouchers: (targetFolder, options) => ipcRenderer.invoke('generate-monthly-vouchers', targetFolder, options),
+  getInterruptedRun: () => ipcRenderer.invoke('get-interrupted-run'),
+  resumeInterruptedRun: (options) => ipcRenderer.invoke('resume-interrupted-run', options),
+  resolveUncertainFile: (filePath, uploaded) => ipcRenderer.invoke('resolve-uncertain-file', filePath, uploaded),
+  discardInterruptedRun: () => ipcRenderer.invoke('discard-interrupted-run'),
+  getOperatorAttention: () => ipcRenderer.invoke('get-operator-attention'),
+  respondOperatorAttention: (id, action) => ipcRenderer.invoke('respond-operator-attention', id, action),
+  onOperatorAttention: (callback) => ipcRenderer.on('operator-attention', (_, request) => callback(request))
 });
 
 // 호환성을 위해 electron 네임스페이스도 노출
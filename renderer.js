@@ -23,7 +23,14 @@ function setupEventListeners() {
       console.log('파일 범위 처리 버튼 초기화 완료');
     } else {
       console.error('executeSelectedBtn 버튼을 찾을 수 없습니다!');
-    }    if (result.success) {
+    }
+    
+    // 사전 검증 결과가 포함된 경우 표시
+    if (result.validation) {
+      renderValidationReport(result.validation);
+    }
+    
+    if (result.success) {
       // 성공 시 상세한 정보와 함께 팝업 표시
       const successMessage = `🎉 정상적으로 RPA 동작이 마무리되었습니다! 🎉
 
@@ -31,7 +38,7 @@ function setupEventListeners() {
 • 파일 범위: ${result.startFileNumber}번 ~ ${result.endFileNumber}번
 • 총 처리 파일: ${(result.endFileNumber - result.startFileNumber + 1)}개
 • ✅ 성공: ${result.successCount || (result.endFileNumber - result.startFileNumber + 1)}개
-• ❌ 실패: ${result.failCount || 0}개
+• ❌ 실패: ${result.failCount || 0}개${result.skippedCount ? `\n• ⏭️ 중복 건너뜀: ${result.skippedCount}개` : ''}${result.operatorSkippedCount ? `\n• ⏭️ 작업자 건너뜀: ${result.operatorSkippedCount}개` : ''}${result.discrepancyCount ? `\n• ⚠️ 대사 불일치: ${result.discrepancyCount}개 (매니페스트의 대사 결과 확인)` : ''}${result.postingIssueCount ? `\n• 🔒 검증/전기 미완료: ${result.postingIssueCount}개 (매니페스트의 검증/전기 결과 확인)` : ''}
 • ⏱️ 완료 시간: ${new Date().toLocaleString()}
 
 모든 작업이 성공적으로 완료되었습니다.`;
@@ -51,11 +58,7 @@ function setupEventListeners() {
 🚫 오류 내용:
 ${result.error}
 
-⚠️ 문제 해결 방법:
-1. 네트워크 연결 상태를 확인해주세요
-2. VPN 연결이 필요한지 확인해주세요
-3. 로그인 정보가 올바른지 확인해주세요
-4. 잠시 후 다시 시도해주세요`;
+${formatRemediation(result)}`;
       
       console.log('오류 팝업 표시:', errorMessage);
       alert(errorMessage);
@@ -107,12 +110,7 @@ ${result.error}
 🚫 오류 내용:
 ${result.error}
 
-⚠️ 문제 해결 방법:
-1. 네트워크 연결 상태를 확인해주세요
-2. VPN 연결이 필요한지 확인해주세요
-3. 로그인 정보가 올바른지 확인해주세요
-4. 해당 파일이 존재하는지 확인해주세요
-5. 잠시 후 다시 시도해주세요`;
+${formatRemediation(result)}`;
       
       console.log('단일파일 오류 팝업 표시:', errorMessage);
       alert(errorMessage);
@@ -127,6 +125,32 @@ ${result.error}
     }
   });
 
+  // 업로드 원장 표시
+  loadUploadLedger();
+
+  // 업로드 회사 기본값 표시
+  loadDefaultCompany();
+
+  // 이전에 중단된 배치가 있으면 이어서 하기 안내
+  loadInterruptedRun();
+
+  // 폴더 감시 대기열 변경 수신
+  if (window.electronAPI && window.electronAPI.onWatchQueueUpdate) {
+    window.electronAPI.onWatchQueueUpdate(renderWatchQueue);
+  }
+
+  // 자동 처리 실패로 일시 정지된 작업의 작업자 확인 요청 수신
+  if (window.electronAPI && window.electronAPI.onOperatorAttention) {
+    window.electronAPI.onOperatorAttention(renderOperatorAttention);
+    loadOperatorAttention();
+  }
+
+  // 실행 중인 전표 업로드 표시 (취소 버튼)
+  if (window.electronAPI && window.electronAPI.onActiveRunsUpdate) {
+    window.electronAPI.onActiveRunsUpdate(renderActiveRun);
+    loadActiveRun();
+  }
+
   console.log('이벤트 리스너 설정 완료!');
 }
 
@@ -221,7 +245,7 @@ document.addEventListener('DOMContentLoaded', () => {
       showNotification('작업 완료', `"${result.taskName}" 작업이 성공적으로 완료되었습니다.`, 'success');
     } else {
       updateTaskStatus(taskRow, 'error', '오류');
-      showNotification('작업 실패', result.error, 'error');
+      showRunFailure(result);
     }
   });    // 작업 상태 업데이트 이벤트 수신
   window.rpaAPI.onTaskStatusUpdate && window.rpaAPI.onTaskStatusUpdate((data) => {
@@ -307,6 +331,12 @@ async function selectFolder() {
             if (executeSelectedBtn) executeSelectedBtn.disabled = false;
             if (executeSingleBtn) executeSingleBtn.disabled = false;
             
+            // 선택한 폴더의 파일 목록과 업로드 설정 표시
+            await scanVoucherFolder();
+            await loadVoucherConfigEditor();
+            const generatorPanel = document.getElementById('monthlyGeneratorPanel');
+            if (generatorPanel) generatorPanel.classList.remove('hidden');
+            
             alert(`폴더가 성공적으로 선택되었습니다:\n${result.path}`);
         } else {
             alert(`폴더 선택 실패: ${result.message}`);
@@ -342,21 +372,63 @@ async function executeSelectedFiles() {
             return;
         }
         
+        // 내용 미리보기에서 제외한 파일이 있으면 포함된 파일만 처리
+        const includedPaths = getPreviewIncludedFilePaths(start, end);
+        if (includedPaths && includedPaths.length === 0) {
+            alert('내용 미리보기에서 모든 파일이 제외되었습니다. 처리할 파일을 하나 이상 포함해주세요.');
+            return;
+        }
+        
         // 버튼 비활성화
         const executeBtn = document.getElementById('executeSelectedBtn');
         if (executeBtn) {
             executeBtn.disabled = true;
+            executeBtn.textContent = '검증 중...';
+        }
+        
+        if (includedPaths) {
+            await processFilePaths(includedPaths, executeBtn);
+            return;
+        }
+        
+        // 브라우저 실행 전 사전 검증
+        const validation = await window.electronAPI.validateVoucherFiles(start, end);
+        if (!validation.success) {
+            alert(`사전 검증 중 오류가 발생했습니다: ${validation.error}`);
+            return;
+        }
+        
+        renderValidationReport(validation.report);
+        if (validation.report.blocked) {
+            alert('사전 검증에서 오류가 발견되어 실행을 중단합니다.\n검증 결과 표에서 오류 내용을 확인해주세요.');
+            return;
+        }
+        
+        if (executeBtn) {
             executeBtn.textContent = '처리 중...';
         }
         
-        showNotification('작업 시작', `파일 ${start}번부터 ${end}번까지 처리를 시작합니다.`, 'info');
+        const dryRun = isDryRunMode();
+        const confirmedReuploads = dryRun ? [] : await confirmDuplicateUploads(await window.electronAPI.checkDuplicateUploads(start, end, { company: getRunCompany() }));
+        showNotification('작업 시작', `파일 ${start}번부터 ${end}번까지 ${dryRun ? '리허설을' : '처리를'} 시작합니다.`, 'info');
+        
+        const result = await window.electronAPI.processSelectedFiles(start, end, { dryRun, confirmedReuploads, company: getRunCompany() });
+        loadUploadLedger();
+        loadInterruptedRun();
         
-        const result = await window.electronAPI.processSelectedFiles(start, end);
+        if (result.validation) {
+            renderValidationReport(result.validation);
+        }
         
         if (result.success) {
             showNotification('작업 완료', result.message, 'success');
+            if (result.dryRun) {
+                showRehearsalSummary(result);
+            } else if (result.manifest) {
+                showUploadManifestSummary(result);
+            }
         } else {
-            showNotification('작업 실패', result.error, 'error');
+            showRunFailure(result);
         }
     } catch (error) {
         console.error('선택된 파일 처리 중 오류:', error);
@@ -371,6 +443,1047 @@ async function executeSelectedFiles() {
     }
 }
 
+// 선택된 범위의 파일 사전 검증 함수 (브라우저 실행 없이 검증 결과만 표시)
+async function validateSelectedFiles() {
+    const start = parseInt(document.getElementById('startFileNumber').value);
+    const end = parseInt(document.getElementById('endFileNumber').value);
+    
+    if (!start || !end || start < 1 || start > end) {
+        alert('올바른 파일 번호를 입력해주세요. (1 이상, 시작 번호 ≤ 끝 번호)');
+        return;
+    }
+    
+    const validateBtn = document.getElementById('validateSelectedBtn');
+    if (validateBtn) {
+        validateBtn.disabled = true;
+        validateBtn.textContent = '검증 중...';
+    }
+    
+    try {
+        const result = await window.electronAPI.validateVoucherFiles(start, end);
+        if (result.success) {
+            renderValidationReport(result.report);
+        } else {
+            alert(`사전 검증 실패: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('사전 검증 중 오류:', error);
+        alert(`사전 검증 중 오류가 발생했습니다: ${error.message}`);
+    } finally {
+        if (validateBtn) {
+            validateBtn.disabled = false;
+            validateBtn.textContent = '사전 검증';
+        }
+    }
+}
+
+// 리허설 모드 체크 여부
+function isDryRunMode() {
+    const checkbox = document.getElementById('dryRunMode');
+    return !!(checkbox && checkbox.checked);
+}
+
+// 실행 시 선택한 업로드 회사 (비어 있으면 undefined - 업로드 설정 또는 앱 설정의 회사 사용)
+function getRunCompany() {
+    const input = document.getElementById('runCompany');
+    const company = input ? input.value.trim().toUpperCase() : '';
+    return company || undefined;
+}
+
+// 업로드 회사 입력란에 앱 설정의 기본 회사 표시
+async function loadDefaultCompany() {
+    const input = document.getElementById('runCompany');
+    if (!input || !window.electronAPI || !window.electronAPI.getAppSettings) return;
+    const result = await window.electronAPI.getAppSettings();
+    if (result.success) {
+        input.placeholder = `기본: ${result.settings.company}`;
+    }
+}
+
+// 리허설 결과 요약 팝업 (파일별 단계 성공/실패, 대체 선택자로 찾은 화면 요소)
+function showRehearsalSummary(result) {
+    const lines = (result.results || []).map(file => {
+        const failedSteps = (file.steps || []).filter(step => !step.success);
+        const fallbackSteps = (file.steps || []).flatMap(step => (step.selectors || [])
+            .filter(selector => selector.fallback)
+            .map(selector => `${step.step} (${selector.name} → ${selector.strategy})`));
+        const fallbackNote = fallbackSteps.length > 0
+            ? `\n   ⚠️ 대체 선택자 사용 - D365 화면 변경 확인 필요: ${fallbackSteps.join(', ')}`
+            : '';
+        if (file.success) {
+            return `✅ ${file.fileName}: ${file.steps.length}단계 모두 통과${fallbackNote}`;
+        }
+        const reason = failedSteps.length > 0
+            ? failedSteps.map(step => `${step.step} (${step.error})`).join(', ')
+            : file.error;
+        return `❌ ${file.fileName}: ${reason}${fallbackNote}`;
+    });
+    
+    showResultDialog(`🧪 리허설 결과 (분개장은 생성되지 않았습니다)
+
+${lines.join('\n')}
+
+📁 스크린샷 및 결과 보고서:
+${result.screenshotDir}`, result.evidence);
+}
+
+// 실행 실패 알림과 오류 유형별 해결 방법 팝업
+function showRunFailure(result) {
+    if (result.cancelled) {
+        showRunCancelled(result);
+        return;
+    }
+    if (result.aborted) {
+        showNotification('작업 중단', result.error, 'warning');
+        return;
+    }
+    showNotification(`작업 실패${result.errorClassLabel ? ` (${result.errorClassLabel})` : ''}`, result.error, 'error');
+    if (result.remediation || (result.evidence && result.evidence.zipPath)) {
+        showResultDialog(`❌ ${result.error}${result.remediation ? `\n\n${formatRemediation(result)}` : ''}`, result.evidence);
+    }
+}
+
+// 취소한 실행 결과 - 완료한 파일과 남은 파일 안내
+function showRunCancelled(result) {
+    if (result.removed) {
+        showNotification('대기열에서 삭제', result.error, 'warning');
+        return;
+    }
+    showNotification('실행 취소', result.error, 'warning');
+    const completedLines = (result.completedItems || []).map(item =>
+        `${['success', 'discrepancy'].includes(item.status) ? '✅' : (item.status === 'dry-run' ? '🧪' : '⏭️')} ${item.fileName}${item.journalNumber ? `: ${item.journalNumber}` : ''}`);
+    const remaining = result.remainingFiles || [];
+    
+    alert(`🛑 실행이 취소되었습니다.${result.environment ? ` (${result.environment} 환경)` : ''}
+
+완료한 파일 (${completedLines.length}개):
+${completedLines.length > 0 ? completedLines.join('\n') : '없음'}
+
+처리하지 않은 파일 (${remaining.length}개):
+${remaining.length > 0 ? remaining.join('\n') : '없음'}${result.manifest ? `
+
+📁 업로드 매니페스트:
+${result.manifest.xlsxPath}` : ''}`);
+}
+
+// 결과/오류 안내 팝업 - 실패 증거 자료(zip)가 있으면 경로를 함께 보여주고 [확인]을 누르면 zip 위치를 엶
+function showResultDialog(message, evidence) {
+    if (!evidence || !evidence.zipPath) {
+        alert(message);
+        return;
+    }
+    
+    const openEvidence = confirm(`${message}
+
+🗂️ 실패 증거 자료 (단계별 스크린샷 · 주소 · DOM · 로그):
+${evidence.zipPath}
+
+[확인]을 누르면 증거 자료 위치를 엽니다.`);
+    if (openEvidence) {
+        openRunEvidence(evidence.zipPath);
+    }
+}
+
+// 증거 자료(zip) 위치를 탐색기에서 열기
+async function openRunEvidence(evidencePath) {
+    const result = await window.electronAPI.openEvidence(evidencePath);
+    if (!result.success) {
+        showNotification('증거 자료 열기 실패', result.error, 'error');
+    }
+}
+
+// 오류 유형별 해결 방법 안내 (실행 전체 오류 또는 실패한 파일의 오류 유형 기준)
+function formatRemediation(result) {
+    // 작업자가 중단한 경우 해결 방법 안내 없음
+    if (result.aborted) return '';
+    
+    const sources = result.remediation ? [result] : (result.results || []).filter(file => file.remediation);
+    if (sources.length === 0) {
+        return `⚠️ 문제 해결 방법:
+1. 네트워크 연결 상태를 확인해주세요
+2. VPN 연결이 필요한지 확인해주세요
+3. 로그인 정보가 올바른지 확인해주세요
+4. 잠시 후 다시 시도해주세요`;
+    }
+    
+    // 같은 오류 유형은 한 번만 안내
+    const byClass = new Map();
+    sources.forEach(source => {
+        if (!byClass.has(source.errorClass)) byClass.set(source.errorClass, source);
+    });
+    return Array.from(byClass.values()).map(source => `⚠️ 문제 해결 방법 (${source.errorClassLabel}):
+${source.remediation.map((step, index) => `${index + 1}. ${step}`).join('\n')}`).join('\n\n');
+}
+
+// 업로드 결과 요약 팝업 (파일별 분개장 번호와 매니페스트 경로)
+function showUploadManifestSummary(result) {
+    const lines = (result.results || []).map(file => {
+        const postingNote = file.posting ? ` · ${file.posting.summary}${file.posting.error ? ` (${file.posting.error})` : ''}` : '';
+        if (file.status === 'success') {
+            const reconciliationNote = file.reconciliation && file.reconciliation.status === 'error' ? ` (대사 실패: ${file.reconciliation.error})` : '';
+            return `✅ ${file.fileName}: ${file.company ? `[${file.company}] ` : ''}${file.journalNumber || '분개장 번호 확인 불가'}${reconciliationNote}${postingNote}`;
+        }
+        if (file.status === 'discrepancy') {
+            return `⚠️ ${file.fileName}: ${file.company ? `[${file.company}] ` : ''}${file.journalNumber} 업로드됨 (불일치 - ${file.reconciliation.diffText})${postingNote}`;
+        }
+        if (file.status === 'skipped' || file.status === 'operator-skipped') {
+            return `⏭️ ${file.fileName}: ${file.error}`;
+        }
+        if (file.status === 'uncertain') {
+            return `❓ ${file.fileName}: ${file.error}`;
+        }
+        return `❌ ${file.fileName}: [${file.errorClassLabel || '오류'}${file.attempts > 1 ? ` · ${file.attempts}회 시도` : ''}] ${file.error}`;
+    });
+    const hasFailures = (result.results || []).some(file => file.status === 'failed');
+    
+    showResultDialog(`📒 업로드 결과 (분개장 번호)${result.environment ? ` - ${result.environment} 환경` : ''}
+
+${lines.join('\n')}
+${hasFailures ? `\n${formatRemediation({ results: (result.results || []).filter(file => file.status === 'failed') })}\n` : ''}
+📁 업로드 매니페스트:
+${result.manifest.xlsxPath}`, result.evidence);
+}
+
+// 작업 폴더의 엑셀 파일 목록을 스캔하여 표로 표시
+async function scanVoucherFolder() {
+    const result = await window.electronAPI.scanVoucherFolder();
+    if (!result.success) {
+        showNotification('폴더 스캔 실패', result.error, 'error');
+        return;
+    }
+    renderFolderScan(result.scan);
+}
+
+// 폴더 스캔 결과 표 (잠금 파일은 선택 불가, 번호 중복 / 번호 없음은 표시만 하고 선택 가능)
+function renderFolderScan(scan) {
+    const panel = document.getElementById('folderScanPanel');
+    const summary = document.getElementById('folderScanSummary');
+    const tbody = document.getElementById('folderScanTableBody');
+    if (!panel || !summary || !tbody) return;
+    
+    const flaggedCount = scan.files.filter(file => file.flags.length > 0).length;
+    summary.textContent = `엑셀 파일 ${scan.files.length}개${flaggedCount > 0 ? ` · 확인 필요 ${flaggedCount}개` : ''}${scan.duplicatePrefixes.length > 0 ? ` · 번호 중복: ${scan.duplicatePrefixes.join(', ')}번` : ''}`;
+    
+    tbody.innerHTML = scan.files.map(file => `<tr class="${file.flags.length > 0 ? 'flagged' : ''}">
+        <td><input type="checkbox" class="scan-file-checkbox" value="${escapeHtml(file.filePath)}" ${file.isLockFile ? 'disabled' : ''} onchange="updateCheckedFilesButton()"></td>
+        <td>${file.prefix !== null ? file.prefix : '-'}</td>
+        <td>${escapeHtml(file.fileName)}</td>
+        <td>${escapeHtml(file.parenthesesText || '-')}</td>
+        <td class="description-preview" data-file-path="${escapeHtml(file.filePath)}">${file.isLockFile ? '-' : '…'}</td>
+        <td>${(file.size / 1024).toFixed(1)} KB</td>
+        <td>${new Date(file.modifiedAt).toLocaleString()}</td>
+        <td>${file.flags.map(flag => `<span class="badge ${flag === 'lockFile' ? 'error' : 'waiting'}">${scan.flagLabels[flag]}</span>`).join(' ') || '-'}</td>
+    </tr>`).join('');
+    
+    panel.classList.remove('hidden');
+    updateCheckedFilesButton();
+    previewDescriptions(false);
+}
+
+// 파일별 설명 템플릿 결과를 스캔 목록에 미리보기 (fromEditor: 저장하지 않은 설정 편집기 내용 사용)
+async function previewDescriptions(fromEditor) {
+    let config = null;
+    if (fromEditor) {
+        try {
+            config = JSON.parse(document.getElementById('voucherConfigEditor').value);
+        } catch (error) {
+            alert(`업로드 설정이 올바른 JSON 형식이 아닙니다: ${error.message}`);
+            return;
+        }
+    }
+    
+    const result = await window.electronAPI.previewDescriptions(config);
+    if (!result.success) {
+        showNotification('설명 미리보기 실패', result.error, 'error');
+        return;
+    }
+    
+    document.querySelectorAll('.description-preview').forEach(cell => {
+        const preview = result.previews.find(item => item.filePath === cell.dataset.filePath);
+        if (!preview) return;
+        cell.title = `템플릿: ${preview.template} · 분개장: ${preview.journalName} · 회사: ${preview.company || getRunCompany() || '설정의 회사'}`;
+        cell.className = `description-preview${preview.error ? ' description-error' : ''}`;
+        cell.textContent = preview.error ? `⚠️ ${preview.error}` : preview.description;
+    });
+    
+    const errorCount = result.previews.filter(preview => preview.error).length;
+    if (fromEditor) {
+        showNotification('설명 미리보기', errorCount > 0 ? `설명을 만들 수 없는 파일 ${errorCount}개` : `${result.previews.length}개 파일 설명 확인`, errorCount > 0 ? 'error' : 'success');
+    }
+}
+
+// 스캔 목록 전체 선택 / 해제 (잠금 파일 제외)
+function toggleAllScannedFiles(checked) {
+    document.querySelectorAll('.scan-file-checkbox:not(:disabled)').forEach(checkbox => {
+        checkbox.checked = checked;
+    });
+    updateCheckedFilesButton();
+}
+
+// 스캔 목록에서 선택한 파일 경로
+function getCheckedFilePaths() {
+    return Array.from(document.querySelectorAll('.scan-file-checkbox:checked')).map(checkbox => checkbox.value);
+}
+
+// 선택한 파일 수에 따라 처리 버튼 상태 갱신
+function updateCheckedFilesButton() {
+    const button = document.getElementById('executeCheckedBtn');
+    if (!button) return;
+    
+    const count = getCheckedFilePaths().length;
+    button.disabled = count === 0;
+    button.textContent = count > 0 ? `선택한 ${count}개 파일 처리` : '선택한 파일 처리';
+}
+
+// 스캔 목록에서 선택한 파일들 처리 (번호가 연속되지 않아도 됨)
+async function executeCheckedFiles() {
+    const filePaths = getCheckedFilePaths();
+    if (filePaths.length === 0) {
+        alert('처리할 파일을 하나 이상 선택해주세요.');
+        return;
+    }
+    
+    const executeBtn = document.getElementById('executeCheckedBtn');
+    if (executeBtn) {
+        executeBtn.disabled = true;
+        executeBtn.textContent = '검증 중...';
+    }
+    
+    try {
+        await processFilePaths(filePaths, executeBtn);
+    } catch (error) {
+        console.error('선택한 파일 처리 중 오류:', error);
+        showNotification('오류 발생', `처리 중 오류가 발생했습니다: ${error.message}`, 'error');
+    } finally {
+        updateCheckedFilesButton();
+    }
+}
+
+// 파일 목록 사전 검증 후 처리하고 결과 표시 (스캔 목록 선택, 내용 미리보기 포함 파일 공용)
+async function processFilePaths(filePaths, executeBtn) {
+    // 브라우저 실행 전 사전 검증
+    const validation = await window.electronAPI.validateVoucherFileList(filePaths);
+    if (!validation.success) {
+        alert(`사전 검증 중 오류가 발생했습니다: ${validation.error}`);
+        return;
+    }
+    
+    renderValidationReport(validation.report);
+    if (validation.report.blocked) {
+        alert('사전 검증에서 오류가 발견되어 실행을 중단합니다.\n검증 결과 표에서 오류 내용을 확인해주세요.');
+        return;
+    }
+    
+    if (executeBtn) {
+        executeBtn.textContent = '처리 중...';
+    }
+    
+    const dryRun = isDryRunMode();
+    const confirmedReuploads = dryRun ? [] : await confirmDuplicateUploads(await window.electronAPI.checkDuplicateUploadsForFiles(filePaths, { company: getRunCompany() }));
+    showNotification('작업 시작', `선택한 파일 ${filePaths.length}개 ${dryRun ? '리허설을' : '처리를'} 시작합니다.`, 'info');
+    
+    const result = await window.electronAPI.processFileList(filePaths, { dryRun, confirmedReuploads, company: getRunCompany() });
+    loadUploadLedger();
+    loadInterruptedRun();
+    
+    if (result.validation) {
+        renderValidationReport(result.validation);
+    }
+    
+    if (result.success) {
+        showNotification('작업 완료', result.message, 'success');
+        if (result.dryRun) {
+            showRehearsalSummary(result);
+        } else if (result.manifest) {
+            showUploadManifestSummary(result);
+        }
+    } else {
+        showRunFailure(result);
+    }
+}
+
+// 폴더 감시 시작 / 종료
+async function toggleFolderWatch(enabled) {
+    const toggle = document.getElementById('watchFolderToggle');
+    const result = enabled
+        ? await window.electronAPI.startFolderWatch({ autoRun: document.getElementById('watchAutoRun').checked })
+        : await window.electronAPI.stopFolderWatch();
+    
+    if (!result.success) {
+        alert(`폴더 감시 시작 실패: ${result.error}`);
+        if (toggle) toggle.checked = false;
+        return;
+    }
+    renderWatchQueue(result.queue);
+}
+
+// 대기열 자동 실행 설정
+async function toggleWatchAutoRun(enabled) {
+    const result = await window.electronAPI.setWatchAutoRun(enabled);
+    renderWatchQueue(result.queue);
+}
+
+// 대기 중인 파일 업로드 승인
+async function approveWatchQueue() {
+    const button = document.getElementById('approveWatchQueueBtn');
+    if (button) button.disabled = true;
+    
+    const result = await window.electronAPI.approveWatchQueue();
+    loadUploadLedger();
+    loadInterruptedRun();
+    if (result.success) {
+        showNotification('대기열 처리 완료', result.message, 'success');
+        if (result.manifest) {
+            showUploadManifestSummary(result);
+        }
+    } else {
+        showNotification('대기열 처리 실패', result.error, 'error');
+    }
+}
+
+// 폴더 감시 상태와 대기열을 화면과 작업 목록 표에 표시
+function renderWatchQueue(queue) {
+    const statusLabels = {
+        queued: { badge: 'waiting', text: '업로드 대기' },
+        running: { badge: 'running', text: '실행 중' },
+        done: { badge: 'done', text: '완료' },
+        skipped: { badge: 'done', text: '건너뜀' },
+        uncertain: { badge: 'error', text: '확인 필요' },
+        failed: { badge: 'error', text: '오류' }
+    };
+    const queuedCount = queue.items.filter(item => item.status === 'queued').length;
+    
+    const toggle = document.getElementById('watchFolderToggle');
+    const autoRun = document.getElementById('watchAutoRun');
+    const approveBtn = document.getElementById('approveWatchQueueBtn');
+    const status = document.getElementById('watchStatus');
+    if (toggle) toggle.checked = queue.watching;
+    if (autoRun) autoRun.checked = queue.autoRun;
+    if (approveBtn) {
+        approveBtn.disabled = queuedCount === 0 || queue.running;
+        approveBtn.textContent = `대기열 승인 (${queuedCount})`;
+    }
+    if (status) {
+        status.textContent = queue.watching
+            ? `감시 중 · 대기 ${queuedCount}개${queue.running ? ' · 업로드 진행 중' : ''}`
+            : (queue.items.length > 0 ? '감시 중지됨' : '');
+    }
+    
+    // 작업 목록 표 맨 위에 대기열 항목 표시
+    const tbody = document.querySelector('#taskTable tbody');
+    if (!tbody) return;
+    tbody.querySelectorAll('tr[data-watch-id]').forEach(row => row.remove());
+    
+    queue.items.slice().reverse().forEach(item => {
+        const label = statusLabels[item.status] || { badge: 'waiting', text: item.status };
+        const row = document.createElement('tr');
+        row.dataset.watchId = item.id;
+        row.innerHTML = `<td data-field="taskName">📥 ${escapeHtml(item.fileName)}</td>
+            <td data-field="status"><span class="badge ${label.badge}">${label.text}</span></td>
+            <td>${new Date(item.completedAt || item.detectedAt).toLocaleString()}</td>
+            <td>-</td>
+            <td>${escapeHtml(item.message || '-')}</td>
+            <td>폴더 감시${queue.autoRun ? ' (자동)' : ' (승인)'}</td>
+            <td class="actions"></td>`;
+        tbody.insertBefore(row, tbody.firstChild);
+    });
+}
+
+// 작업 폴더의 업로드 설정을 편집기에 표시
+async function loadVoucherConfigEditor() {
+    const panel = document.getElementById('voucherConfigPanel');
+    const editor = document.getElementById('voucherConfigEditor');
+    if (!panel || !editor) return;
+    
+    const result = await window.electronAPI.getVoucherConfig();
+    if (!result.success) {
+        showNotification('업로드 설정 오류', result.error, 'error');
+        return;
+    }
+    
+    editor.value = JSON.stringify(result.config, null, 2);
+    panel.classList.remove('hidden');
+}
+
+// 편집기의 업로드 설정을 작업 폴더에 저장
+async function saveVoucherConfigEditor() {
+    const editor = document.getElementById('voucherConfigEditor');
+    if (!editor) return;
+    
+    let config;
+    try {
+        config = JSON.parse(editor.value);
+    } catch (error) {
+        alert(`업로드 설정이 올바른 JSON 형식이 아닙니다: ${error.message}`);
+        return;
+    }
+    
+    const result = await window.electronAPI.saveVoucherConfig(config);
+    if (result.success) {
+        showNotification('업로드 설정 저장', `저장 완료: ${result.path}`, 'success');
+        previewDescriptions(false);
+    } else {
+        alert(`업로드 설정 저장 실패: ${result.error}`);
+    }
+}
+
+// 다음 달 전표를 저장할 폴더 선택
+async function selectGenerationFolder() {
+    const result = await window.electronAPI.selectGenerationFolder();
+    if (!result.success) return;
+    
+    const panel = document.getElementById('monthlyGeneratorPanel');
+    panel.dataset.targetFolder = result.path;
+    document.getElementById('generationFolderDisplay').textContent = result.path;
+}
+
+// 작업 폴더(지난달 전표)로 다음 달 전표 생성 (dryRun이면 저장하지 않고 지난달과의 차이만 표시)
+async function generateMonthlyVouchers(dryRun) {
+    const panel = document.getElementById('monthlyGeneratorPanel');
+    const targetFolder = panel.dataset.targetFolder;
+    if (!targetFolder) {
+        alert('다음 달 전표를 저장할 폴더를 먼저 선택해주세요.');
+        return;
+    }
+    
+    const button = document.getElementById(dryRun ? 'previewGenerationBtn' : 'generateVouchersBtn');
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = dryRun ? '비교 중...' : '생성 중...';
+    
+    try {
+        const result = await window.electronAPI.generateMonthlyVouchers(targetFolder, {
+            dryRun,
+            overwrite: document.getElementById('generationOverwrite').checked,
+            useAsWorkFolder: document.getElementById('generationUseAsWorkFolder').checked
+        });
+        if (!result.success) {
+            alert(`다음 달 전표 생성 실패: ${result.error}`);
+            return;
+        }
+        
+        renderMonthlyGeneration(result);
+        if (dryRun) return;
+        
+        showNotification('다음 달 전표 생성', `${result.generatedCount}개 생성, ${result.skippedCount}개 제외, ${result.failedCount}개 실패`, result.failedCount > 0 ? 'warning' : 'success');
+        // 생성한 폴더가 작업 폴더로 지정되면 파일 목록과 업로드 설정을 새 폴더 기준으로 표시
+        if (result.folderPath === targetFolder) {
+            const folderPathDisplay = document.getElementById('folderPathDisplay');
+            if (folderPathDisplay) folderPathDisplay.textContent = `선택된 폴더: ${result.folderPath}`;
+            await scanVoucherFolder();
+            await loadVoucherConfigEditor();
+        }
+    } catch (error) {
+        console.error('다음 달 전표 생성 중 오류:', error);
+        alert(`다음 달 전표 생성 중 오류가 발생했습니다: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+}
+
+// 파일별 생성 결과와 지난달 대비 변경 셀 표시
+function renderMonthlyGeneration(result) {
+    const summary = document.getElementById('monthlyGeneratorSummary');
+    const list = document.getElementById('monthlyGeneratorList');
+    const statusLabels = {
+        generated: '✅ 생성',
+        previewed: '📝 생성 예정',
+        skipped: '⏭️ 제외(규칙)',
+        exists: '⚠️ 이미 있음',
+        failed: '❌ 실패'
+    };
+    const formatValue = (value) => (value === null || value === undefined || value === '' ? '-' : (typeof value === 'number' ? value.toLocaleString() : escapeHtml(value)));
+    const formatTotals = (totals) => `차변 ${totals.debit.toLocaleString()} / 대변 ${totals.credit.toLocaleString()}`;
+    
+    summary.textContent = `${result.dryRun ? '미리보기' : '생성 결과'}: ${result.generatedCount}개 ${result.dryRun ? '생성 예정' : '생성'}, ${result.skippedCount}개 제외, ${result.failedCount}개 실패`
+        + (result.copiedFiles.length > 0 ? ` · 설정 파일 복사: ${result.copiedFiles.join(', ')}` : '');
+    
+    list.innerHTML = result.files.map(file => {
+        const header = `<strong>${escapeHtml(file.sourceFileName)}</strong>${file.targetFileName && file.targetFileName !== file.sourceFileName ? ` → ${escapeHtml(file.targetFileName)}` : ''} · ${statusLabels[file.status] || file.status}`;
+        if (!file.totals) {
+            return `<details class="monthly-generator-file">
+                <summary>${header}${file.error ? ` <span class="generation-error">${escapeHtml(file.error)}</span>` : ''}</summary>
+            </details>`;
+        }
+        
+        const totalsChanged = file.totals.before.debit !== file.totals.after.debit || file.totals.before.credit !== file.totals.after.credit;
+        const totalsText = totalsChanged
+            ? `${formatTotals(file.totals.before)} → <strong>${formatTotals(file.totals.after)}</strong>`
+            : `${formatTotals(file.totals.after)} (변동 없음)`;
+        const issues = [
+            ...(file.error ? [`<li class="generation-error">${escapeHtml(file.error)}</li>`] : []),
+            ...file.warnings.map(warning => `<li class="generation-warning">${escapeHtml(warning)}</li>`)
+        ].join('');
+        return `<details class="monthly-generator-file">
+            <summary>${header} · ${file.sourcePeriod || '-'} → ${file.targetPeriod || '-'} · ${totalsText} · 변경 셀 ${file.changes.length}개</summary>
+            ${issues ? `<ul>${issues}</ul>` : ''}
+            <table>
+                <thead><tr><th>셀</th><th>열</th><th>종류</th><th>지난달</th><th>다음 달</th></tr></thead>
+                <tbody>${file.changes.map(change => `<tr>
+                    <td>${change.address}</td>
+                    <td>${escapeHtml(change.header || '-')}</td>
+                    <td>${result.changeKinds[change.kind] || change.kind}</td>
+                    <td class="${change.kind === 'amount' ? 'amount' : ''}">${formatValue(change.before)}</td>
+                    <td class="${change.kind === 'amount' ? 'amount' : ''}">${formatValue(change.after)}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        </details>`;
+    }).join('');
+}
+
+// 이미 업로드된 것과 내용이 같은 파일이 있으면 재업로드 여부를 확인
+// 재업로드를 확인한 파일의 내용 해시 목록을 반환 (확인하지 않은 파일은 메인 프로세스에서 건너뜀)
+async function confirmDuplicateUploads(check) {
+    if (!check.success) {
+        showNotification('중복 확인 실패', check.error, 'error');
+        return [];
+    }
+    if (check.duplicates.length === 0) return [];
+    
+    const lines = check.duplicates.map(duplicate => {
+        const previous = duplicate.previousUpload;
+        return `• ${duplicate.fileName}
+   → ${previous.company ? `${previous.company} 회사 ` : ''}분개장 ${previous.journalNumber || '-'} · ${previous.period || '-'} · ${previous.user || '-'} · ${new Date(previous.uploadedAt).toLocaleString()}`;
+    });
+    
+    const reupload = confirm(`⚠️ 이미 업로드된 것과 내용이 같은 파일이 ${check.duplicates.length}개 있습니다.
+
+${lines.join('\n')}
+
+[확인] 위 파일도 다시 업로드합니다.
+[취소] 위 파일은 건너뛰고 나머지만 업로드합니다.`);
+    
+    return reupload ? check.duplicates.map(duplicate => duplicate.contentHash) : [];
+}
+
+// 업로드 원장(이미 업로드된 파일 목록)을 대시보드 표에 표시
+async function loadUploadLedger() {
+    const tbody = document.getElementById('uploadLedgerTableBody');
+    if (!tbody || !window.electronAPI || !window.electronAPI.getUploadLedger) return;
+    
+    try {
+        const result = await window.electronAPI.getUploadLedger();
+        if (!result.success) {
+            showNotification('업로드 원장 조회 실패', result.error, 'error');
+            return;
+        }
+        
+        if (result.entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7">업로드 기록이 없습니다.</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = result.entries.map(entry => `<tr>
+            <td>${new Date(entry.uploadedAt).toLocaleString()}</td>
+            <td>${escapeHtml(entry.fileName)}</td>
+            <td>${escapeHtml(entry.period || '-')}</td>
+            <td>${escapeHtml(entry.user || '-')}</td>
+            <td>${escapeHtml(entry.environment || '-')}</td>
+            <td>${escapeHtml(entry.company || '-')}</td>
+            <td>${escapeHtml(entry.journalNumber || '-')}</td>
+        </tr>`).join('');
+    } catch (error) {
+        console.error('업로드 원장 조회 중 오류:', error);
+    }
+}
+
+// 작업자 확인 요청 표시 (요청이 null이면 패널 숨김)
+function renderOperatorAttention(request) {
+    const panel = document.getElementById('operatorAttentionPanel');
+    if (!panel) return;
+    
+    panel.dataset.requestId = request ? request.id : '';
+    if (!request) {
+        panel.classList.add('hidden');
+        return;
+    }
+    
+    document.getElementById('operatorAttentionSummary').textContent =
+        `${request.fileName ? `${request.fileName} · ` : ''}"${request.step}" 단계에서 자동 처리가 멈췄습니다. (${new Date(request.requestedAt).toLocaleTimeString()})`;
+    document.getElementById('operatorAttentionInstructions').textContent = request.instructions;
+    const screenshot = document.getElementById('operatorAttentionScreenshot');
+    screenshot.src = request.screenshot || '';
+    screenshot.style.display = request.screenshot ? '' : 'none';
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    showNotification('작업자 확인 필요', request.instructions, 'warning');
+}
+
+// 대시보드를 다시 열었을 때 대기 중인 작업자 확인 요청 표시
+async function loadOperatorAttention() {
+    try {
+        const result = await window.electronAPI.getOperatorAttention();
+        if (result.success) renderOperatorAttention(result.request);
+    } catch (error) {
+        console.error('작업자 확인 요청 조회 중 오류:', error);
+    }
+}
+
+// 작업자 확인 요청에 응답 (resume 계속 / skip 파일 건너뛰기 / abort 작업 중단)
+async function respondOperatorAttention(action) {
+    const panel = document.getElementById('operatorAttentionPanel');
+    const requestId = panel.dataset.requestId;
+    if (!requestId) return;
+    if (action === 'abort' && !confirm('작업을 중단하시겠습니까? 남은 파일은 "중단된 배치"에서 이어서 실행할 수 있습니다.')) {
+        return;
+    }
+    
+    const result = await window.electronAPI.respondOperatorAttention(requestId, action);
+    if (!result.success) {
+        showNotification('응답 처리 실패', result.error, 'error');
+    }
+}
+
+// 실행 중인 전표 업로드 표시 (실행이 없으면 패널 숨김)
+function renderActiveRun(runs) {
+    const panel = document.getElementById('activeRunPanel');
+    if (!panel) return;
+    
+    const run = (runs || []).find(entry => entry.kind === 'voucher');
+    if (!run) {
+        panel.classList.add('hidden');
+        return;
+    }
+    
+    document.getElementById('activeRunSummary').textContent =
+        `${run.label} · ${new Date(run.startedAt).toLocaleTimeString()} 시작${run.cancelRequestedAt ? ' · 취소 요청됨 (진행 중인 파일 단계를 마친 뒤 멈춥니다)' : ''}`;
+    const cancelBtn = document.getElementById('cancelRunBtn');
+    cancelBtn.disabled = !!run.cancelRequestedAt;
+    cancelBtn.textContent = run.cancelRequestedAt ? '취소 중...' : '실행 취소';
+    panel.classList.remove('hidden');
+}
+
+// 대시보드를 다시 열었을 때 실행 중인 전표 업로드 표시
+async function loadActiveRun() {
+    try {
+        const result = await window.electronAPI.getActiveRuns();
+        if (result.success) renderActiveRun(result.runs);
+    } catch (error) {
+        console.error('실행 중인 작업 조회 중 오류:', error);
+    }
+}
+
+// 실행 중인 전표 업로드 취소 (다음 안전 지점에서 멈추고 브라우저를 닫음)
+async function cancelActiveRun() {
+    if (!confirm('실행 중인 전표 업로드를 취소하시겠습니까?\n진행 중인 파일 단계를 마친 뒤 멈추며, 남은 파일은 "중단된 배치"에서 이어서 실행할 수 있습니다.')) {
+        return;
+    }
+    
+    const result = await window.electronAPI.cancelAutomation('voucher');
+    if (result.success) {
+        showNotification('취소 요청', result.message, 'info');
+    } else {
+        showNotification('취소 실패', result.error, 'error');
+    }
+}
+
+// 중단된 배치(앱 종료 · 네트워크 끊김 등)와 확인 필요 파일을 이어서 하기 패널에 표시
+async function loadInterruptedRun() {
+    const panel = document.getElementById('resumePanel');
+    if (!panel || !window.electronAPI || !window.electronAPI.getInterruptedRun) return;
+    
+    try {
+        const result = await window.electronAPI.getInterruptedRun();
+        if (!result.success || !result.run) {
+            panel.classList.add('hidden');
+            return;
+        }
+        renderInterruptedRun(result.run);
+    } catch (error) {
+        console.error('중단된 배치 조회 중 오류:', error);
+    }
+}
+
+function renderInterruptedRun(run) {
+    const statusLabels = {
+        pending: '대기',
+        success: '성공',
+        failed: '실패',
+        skipped: '건너뜀',
+        uncertain: '확인 필요'
+    };
+    const panel = document.getElementById('resumePanel');
+    const summary = document.getElementById('resumeSummary');
+    const tbody = document.getElementById('resumeTableBody');
+    const resumeBtn = document.getElementById('resumeRunBtn');
+    
+    const doneCount = run.files.filter(file => ['success', 'failed', 'skipped'].includes(file.status)).length;
+    let summaryText = `${new Date(run.startedAt).toLocaleString()}에 ${run.environment ? `${run.environment} 환경에서 ` : ''}시작한 배치가 ${run.completedAt ? '완료되었지만 확인이 필요한 파일이 있습니다' : '중단되었습니다'}. (처리 ${doneCount}/${run.files.length}개`;
+    if (run.resumeFilePaths.length > 0) {
+        summaryText += ` · 남은 파일 ${run.resumeFilePaths.length}개`;
+    }
+    if (run.uncertainFiles.length > 0) {
+        summaryText += ` · 확인 필요 ${run.uncertainFiles.length}개`;
+    }
+    summary.textContent = `${summaryText})`;
+    
+    tbody.innerHTML = run.files.map(file => {
+        const actions = file.status === 'uncertain'
+            ? `<button data-file-path="${escapeHtml(file.filePath)}" onclick="resolveUncertainFile(this.dataset.filePath, true)">업로드됨 확인</button>
+               <button data-file-path="${escapeHtml(file.filePath)}" onclick="resolveUncertainFile(this.dataset.filePath, false)">업로드 안 됨 (재처리)</button>`
+            : '';
+        return `<tr class="${file.status === 'uncertain' ? 'flagged' : ''}">
+            <td>${escapeHtml(file.fileName)}</td>
+            <td>${statusLabels[file.status] || file.status}</td>
+            <td>${escapeHtml(file.journalNumber || '-')}</td>
+            <td>${escapeHtml(file.error || '')}</td>
+            <td>${actions}</td>
+        </tr>`;
+    }).join('');
+    
+    // 확인 필요 파일이 남아 있으면 중복 업로드를 막기 위해 이어서 실행 불가
+    resumeBtn.disabled = run.resumeFilePaths.length === 0 || run.uncertainFiles.length > 0;
+    panel.classList.remove('hidden');
+}
+
+// 확인 필요 파일의 D365 확인 결과 반영
+async function resolveUncertainFile(filePath, uploaded) {
+    const result = await window.electronAPI.resolveUncertainFile(filePath, uploaded);
+    if (!result.success) {
+        showNotification('확인 결과 반영 실패', result.error, 'error');
+        return;
+    }
+    if (result.run) {
+        renderInterruptedRun(result.run);
+    } else {
+        document.getElementById('resumePanel').classList.add('hidden');
+    }
+}
+
+// 중단된 배치를 남은 파일부터 이어서 실행
+async function resumeInterruptedRun() {
+    const resumeBtn = document.getElementById('resumeRunBtn');
+    resumeBtn.disabled = true;
+    resumeBtn.textContent = '처리 중...';
+    
+    try {
+        showNotification('작업 시작', '중단된 배치를 이어서 처리합니다.', 'info');
+        const result = await window.electronAPI.resumeInterruptedRun({ company: getRunCompany() });
+        loadUploadLedger();
+        
+        if (result.validation) {
+            renderValidationReport(result.validation);
+        }
+        
+        if (result.success) {
+            showNotification('작업 완료', result.message, 'success');
+            if (result.manifest) {
+                showUploadManifestSummary(result);
+            }
+        } else {
+            showRunFailure(result);
+        }
+    } catch (error) {
+        console.error('중단된 배치 이어서 실행 중 오류:', error);
+        showNotification('오류 발생', `처리 중 오류가 발생했습니다: ${error.message}`, 'error');
+    } finally {
+        resumeBtn.textContent = '이어서 실행';
+        loadInterruptedRun();
+    }
+}
+
+// 중단된 배치 기록 삭제 (남은 파일을 이어서 처리하지 않음)
+async function discardInterruptedRun() {
+    if (!confirm('중단된 배치 기록을 삭제하시겠습니까?\n남은 파일은 이어서 처리되지 않으며, 확인 필요 파일은 D365에서 직접 확인해야 합니다.')) {
+        return;
+    }
+    
+    const result = await window.electronAPI.discardInterruptedRun();
+    if (!result.success) {
+        showNotification('기록 삭제 실패', result.error, 'error');
+        return;
+    }
+    document.getElementById('resumePanel').classList.add('hidden');
+}
+
+// HTML 특수문자 이스케이프
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 사전 검증 결과를 파일별 표로 표시
+function renderValidationReport(report) {
+    const container = document.getElementById('validationReport');
+    const summary = document.getElementById('validationSummary');
+    const tbody = document.getElementById('validationTableBody');
+    if (!container || !summary || !tbody) return;
+    
+    const blockedCount = report.files.filter(file => file.blocking).length;
+    let summaryText = report.blocked
+        ? `❌ 실행 차단: ${report.files.length}개 파일 중 ${blockedCount}개 파일에 오류가 있습니다.`
+        : `✅ 검증 통과: ${report.files.length}개 파일 (경고 ${report.warningCount}건)`;
+    if (report.period) {
+        summaryText += ` · 회계기간 ${report.period}`;
+    }
+    if (report.missingNumbers && report.missingNumbers.length > 0) {
+        summaryText += ` · 파일 없음: ${report.missingNumbers.join(', ')}번`;
+    }
+    if (report.ambiguousNumbers && report.ambiguousNumbers.length > 0) {
+        summaryText += ` · 번호 중복으로 차단: ${report.ambiguousNumbers.map(entry => `${entry.fileNumber}번(${entry.fileNames.join(', ')})`).join(', ')} - 파일명을 바꾸거나 폴더 파일 목록에서 직접 선택해주세요.`;
+    }
+    summary.textContent = summaryText;
+    summary.className = `validation-summary ${report.blocked ? 'blocked' : 'passed'}`;
+    
+    tbody.innerHTML = report.files.map(file => {
+        const issues = [
+            ...file.errors.map(message => `<li class="issue-error">${escapeHtml(message)}</li>`),
+            ...file.warnings.map(message => `<li class="issue-warning">${escapeHtml(message)}</li>`)
+        ].join('');
+        return `<tr>
+            <td>${escapeHtml(file.fileName)}</td>
+            <td><span class="badge ${file.blocking ? 'error' : 'done'}">${file.blocking ? '오류' : '통과'}</span></td>
+            <td>${file.periods.join(', ') || '-'}</td>
+            <td>${file.lineCount}</td>
+            <td>${file.totalDebit.toLocaleString()}</td>
+            <td>${file.totalCredit.toLocaleString()}</td>
+            <td>${issues ? `<ul>${issues}</ul>` : '-'}</td>
+        </tr>`;
+    }).join('');
+    
+    container.classList.remove('hidden');
+}
+
+// 선택된 범위 파일의 전표 내용 미리보기 (헤더, 라인, 합계, 사용 계정, 입력될 설명)
+async function previewVoucherFiles() {
+    const start = parseInt(document.getElementById('startFileNumber').value);
+    const end = parseInt(document.getElementById('endFileNumber').value);
+    
+    if (!start || !end || start < 1 || start > end) {
+        alert('올바른 파일 번호를 입력해주세요. (1 이상, 시작 번호 ≤ 끝 번호)');
+        return;
+    }
+    
+    const previewBtn = document.getElementById('previewVoucherBtn');
+    if (previewBtn) {
+        previewBtn.disabled = true;
+        previewBtn.textContent = '읽는 중...';
+    }
+    
+    try {
+        const result = await window.electronAPI.previewVoucherFiles(start, end);
+        if (result.success) {
+            renderVoucherPreview(result, start, end);
+        } else {
+            alert(`내용 미리보기 실패: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('내용 미리보기 중 오류:', error);
+        alert(`내용 미리보기 중 오류가 발생했습니다: ${error.message}`);
+    } finally {
+        if (previewBtn) {
+            previewBtn.disabled = false;
+            previewBtn.textContent = '내용 미리보기';
+        }
+    }
+}
+
+function renderVoucherPreview(result, start, end) {
+    const panel = document.getElementById('voucherPreview');
+    const list = document.getElementById('voucherPreviewList');
+    if (!panel || !list) return;
+    
+    const formatAmount = (amount) => (amount === null || amount === undefined ? '-' : amount.toLocaleString());
+    const formatValues = (values) => (values && values.length > 0 ? escapeHtml(values.join(', ')) : '-');
+    const accountLabel = (item) => `${escapeHtml(item.account !== null && item.account !== undefined ? item.account : '-')}${item.accountName ? ` (${escapeHtml(item.accountName)})` : ''}`;
+    
+    list.innerHTML = result.previews.map(preview => {
+        const checkbox = `<input type="checkbox" class="preview-file-checkbox" value="${escapeHtml(preview.filePath)}" ${preview.error ? 'disabled' : 'checked'} onclick="event.stopPropagation()" onchange="updateVoucherPreviewSummary()">`;
+        if (preview.error) {
+            return `<details class="voucher-preview-file excluded">
+                <summary>${checkbox} <strong>${escapeHtml(preview.fileName)}</strong> <span class="preview-error">⚠️ ${escapeHtml(preview.error)}</span></summary>
+            </details>`;
+        }
+        
+        const description = preview.descriptionError
+            ? `<span class="preview-error">⚠️ ${escapeHtml(preview.descriptionError)}</span>`
+            : escapeHtml(preview.description);
+        const balance = preview.totals.balanced ? '' : ' <span class="preview-error">(차대 불일치)</span>';
+        return `<details class="voucher-preview-file">
+            <summary>${checkbox} <strong>${escapeHtml(preview.fileName)}</strong> · 라인 ${preview.totals.lineCount}개 · 차변 ${formatAmount(preview.totals.debit)} / 대변 ${formatAmount(preview.totals.credit)}${balance} · 설명: ${description}</summary>
+            <dl>
+                <dt>분개장 이름</dt><dd>${escapeHtml(preview.journalName)}</dd>
+                <dt>업로드 회사</dt><dd>${escapeHtml(preview.company || getRunCompany() || '설정의 회사')}</dd>
+                <dt>입력될 설명</dt><dd>${description}</dd>
+                <dt>전표번호</dt><dd>${formatValues(preview.header.voucherNumbers)}</dd>
+                <dt>회계일자</dt><dd>${formatValues(preview.header.accountingDates)}</dd>
+                <dt>증빙일자</dt><dd>${formatValues(preview.header.evidenceDates)}</dd>
+                <dt>지급예정일자</dt><dd>${formatValues(preview.header.dueDates)}</dd>
+                <dt>통화</dt><dd>${formatValues(preview.header.currencies)}</dd>
+                <dt>거래처</dt><dd>${escapeHtml(preview.vendor || '-')}</dd>
+            </dl>
+            <h4>사용 계정</h4>
+            <table>
+                <thead><tr><th>계정유형</th><th>계정</th><th>라인</th><th>차변</th><th>대변</th></tr></thead>
+                <tbody>${preview.accounts.map(item => `<tr>
+                    <td>${escapeHtml(item.accountType || '-')}</td>
+                    <td>${accountLabel(item)}</td>
+                    <td>${item.lineCount}</td>
+                    <td class="amount">${formatAmount(item.debit)}</td>
+                    <td class="amount">${formatAmount(item.credit)}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+            <h4>전표 라인</h4>
+            <table>
+                <thead><tr><th>행</th><th>전표번호</th><th>회계일자</th><th>계정유형</th><th>계정</th><th>차변</th><th>대변</th><th>통화</th><th>적요</th></tr></thead>
+                <tbody>${preview.lines.map(line => `<tr>
+                    <td>${line.rowNumber}</td>
+                    <td>${escapeHtml(line.voucherNo)}</td>
+                    <td>${line.accountingDate || '-'}</td>
+                    <td>${escapeHtml(line.accountType || '-')}</td>
+                    <td>${accountLabel(line)}</td>
+                    <td class="amount">${formatAmount(line.debit)}</td>
+                    <td class="amount">${formatAmount(line.credit)}</td>
+                    <td>${escapeHtml(line.currency || '-')}</td>
+                    <td>${escapeHtml(line.description || '')}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        </details>`;
+    }).join('');
+    
+    // 미리보기한 범위를 기억하여 같은 범위를 처리할 때만 포함/제외 선택 적용
+    panel.dataset.range = `${start}-${end}`;
+    panel.dataset.missingNumbers = (result.missingNumbers || []).join(', ');
+    panel.dataset.ambiguousNumbers = (result.ambiguousNumbers || []).map(entry => entry.fileNumber).join(', ');
+    panel.classList.remove('hidden');
+    updateVoucherPreviewSummary();
+}
+
+// 포함/제외 선택 현황 표시
+function updateVoucherPreviewSummary() {
+    const panel = document.getElementById('voucherPreview');
+    const summary = document.getElementById('voucherPreviewSummary');
+    const checkboxes = Array.from(document.querySelectorAll('.preview-file-checkbox'));
+    checkboxes.forEach(checkbox => {
+        checkbox.closest('.voucher-preview-file').classList.toggle('excluded', !checkbox.checked);
+    });
+    
+    const includedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+    summary.textContent = `파일 ${checkboxes.length}개 중 ${includedCount}개 포함${panel.dataset.missingNumbers ? ` · 파일 없음: ${panel.dataset.missingNumbers}번` : ''}${panel.dataset.ambiguousNumbers ? ` · 번호 중복으로 제외: ${panel.dataset.ambiguousNumbers}번 (폴더 파일 목록에서 직접 선택)` : ''} (체크를 해제한 파일은 "선택된 파일 처리"에서 제외됩니다)`;
+}
+
+// 미리보기 파일 전체 포함 / 제외 (읽을 수 없는 파일 제외)
+function toggleAllPreviewFiles(included) {
+    document.querySelectorAll('.preview-file-checkbox:not(:disabled)').forEach(checkbox => {
+        checkbox.checked = included;
+    });
+    updateVoucherPreviewSummary();
+}
+
+// 같은 범위를 미리보기하고 일부 파일을 제외한 경우 포함된 파일 경로 (제외한 파일이 없으면 null - 범위 그대로 처리)
+function getPreviewIncludedFilePaths(start, end) {
+    const panel = document.getElementById('voucherPreview');
+    if (!panel || panel.classList.contains('hidden') || panel.dataset.range !== `${start}-${end}`) return null;
+    
+    const checkboxes = Array.from(document.querySelectorAll('.preview-file-checkbox'));
+    if (checkboxes.every(checkbox => checkbox.checked)) return null;
+    return checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+}
+
 // 단일 파일 처리 함수
 async function executeSingleFile() {
     try {
@@ -395,14 +1508,27 @@ async function executeSingleFile() {
             executeBtn.textContent = '처리 중...';
         }
         
-        showNotification('작업 시작', `파일 ${number}번 처리를 시작합니다.`, 'info');
+        const dryRun = isDryRunMode();
+        const confirmedReuploads = dryRun ? [] : await confirmDuplicateUploads(await window.electronAPI.checkDuplicateUploads(number, number, { company: getRunCompany() }));
+        showNotification('작업 시작', `파일 ${number}번 ${dryRun ? '리허설을' : '처리를'} 시작합니다.`, 'info');
         
-        const result = await window.electronAPI.processSingleFile(number);
+        const result = await window.electronAPI.processSingleFile(number, { dryRun, confirmedReuploads, company: getRunCompany() });
+        loadUploadLedger();
+        loadInterruptedRun();
+        
+        if (result.validation) {
+            renderValidationReport(result.validation);
+        }
         
         if (result.success) {
             showNotification('작업 완료', result.message, 'success');
+            if (result.dryRun) {
+                showRehearsalSummary(result);
+            } else if (result.manifest) {
+                showUploadManifestSummary(result);
+            }
         } else {
-            showNotification('작업 실패', result.error, 'error');
+            showRunFailure(result);
         }
     } catch (error) {
         console.error('단일 파일 처리 중 오류:', error);
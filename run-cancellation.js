@@ -0,0 +1,144 @@
+/**
+ * 실행 취소 모듈
+ * 대시보드의 취소 버튼으로 실행 중인 자동화(전표 업로드 / 매입송장 처리)를 멈춘다.
+ * 실행마다 종류별로 AbortController를 하나 등록하고, 취소 요청을 받으면 중단 신호를 보낸다.
+ * 자동화는 진행 중인 D365 조작을 끝까지 마친 뒤 다음 안전 지점(파일 사이, 단계 사이, 마지막 확인 버튼 전)에서
+ * 신호를 확인하여 RunCancelledError를 던지고, 완료한 항목까지를 "취소됨"으로 기록한다.
+ * 작업자 확인을 기다리는 중에 취소하면 대기 중인 요청에 작업 중단으로 응답한다.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+const { getLogLevel } = require('./app-settings.js');
+const { respondOperatorAction, getPendingOperatorAction } = require('./operator-attention.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+// 실행 종류 → 화면 표시 이름
+const RUN_KIND_LABELS = {
+  voucher: '전표 업로드',
+  invoice: '매입송장 처리'
+};
+
+// 사용자가 실행을 취소함 (다음 안전 지점에서 발생)
+class RunCancelledError extends Error {
+  constructor(point) {
+    super(point ? `사용자가 실행을 취소했습니다 (${point}에서 중단).` : '사용자가 실행을 취소했습니다.');
+    this.name = 'RunCancelledError';
+    this.point = point || null;
+  }
+}
+
+const cancellationEvents = new EventEmitter();
+
+// 실행 중인 작업 (종류별 하나) - kind → { kind, label, startedAt, cancelRequestedAt, controller }
+const activeRuns = new Map();
+
+// 화면 표시용 실행 목록 (AbortController 제외)
+function getActiveRuns() {
+  return Array.from(activeRuns.values()).map(({ controller, ...run }) => ({ ...run }));
+}
+
+function emitChange() {
+  cancellationEvents.emit('change', getActiveRuns());
+}
+
+/**
+ * 취소할 수 있는 실행 시작
+ * 호출한 쪽에서 이미 중단 신호를 넘겨받은 경우(다중모드 사이클, 작업 대기열 등)는 새로 등록하지 않고 그 신호를 사용한다.
+ * @param {string} kind - 실행 종류 ('voucher' / 'invoice')
+ * @param {string} label - 실행 설명 (화면, 로그 표시용)
+ * @param {AbortSignal} [signal] - 호출한 쪽의 중단 신호
+ * @returns {Object} { signal, finish(): 실행 종료 시 등록 해제 }
+ */
+function beginCancellableRun(kind, label, signal = null) {
+  if (signal) {
+    return { signal, finish: () => {} };
+  }
+
+  const controller = new AbortController();
+  const run = {
+    kind,
+    label,
+    startedAt: new Date().toISOString(),
+    cancelRequestedAt: null,
+    controller
+  };
+  activeRuns.set(kind, run);
+  emitChange();
+
+  return {
+    signal: controller.signal,
+    finish: () => {
+      if (activeRuns.get(kind) !== run) return;
+      activeRuns.delete(kind);
+      emitChange();
+    }
+  };
+}
+
+/**
+ * 실행 취소 요청 (실행은 다음 안전 지점에서 멈춤)
+ * @param {string} kind - 실행 종류 ('voucher' / 'invoice')
+ * @returns {boolean} 취소할 실행이 있었는지
+ */
+function cancelRun(kind) {
+  const run = activeRuns.get(kind);
+  if (!run) return false;
+  if (run.cancelRequestedAt) return true;
+
+  run.cancelRequestedAt = new Date().toISOString();
+  logger.warn(`${RUN_KIND_LABELS[kind] || kind} 실행 취소 요청: ${run.label} - 다음 안전 지점에서 중단합니다.`);
+  run.controller.abort(new RunCancelledError());
+  emitChange();
+
+  // 작업자 확인을 기다리는 중이면 작업 중단으로 응답하여 대기에서 빠져나오게 함
+  const pendingRequest = getPendingOperatorAction();
+  if (pendingRequest) {
+    try {
+      respondOperatorAction(pendingRequest.id, 'abort');
+    } catch (error) {
+      logger.warn(`작업자 확인 요청 해제 실패: ${error.message}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * 안전 지점 - 취소 요청이 있으면 RunCancelledError
+ * @param {AbortSignal} [signal] - 실행의 중단 신호 (없으면 확인하지 않음)
+ * @param {string} [point] - 안전 지점 설명 (로그, 결과 표시용)
+ */
+function throwIfCancelled(signal, point) {
+  if (!signal || !signal.aborted) return;
+  logger.warn(`실행 취소 반영: ${point || '안전 지점'}에서 중단합니다.`);
+  throw new RunCancelledError(point);
+}
+
+// 실행 목록 변경 구독 (시작 / 취소 요청 / 종료)
+function onActiveRunsChange(callback) {
+  cancellationEvents.on('change', callback);
+}
+
+module.exports = {
+  RUN_KIND_LABELS,
+  RunCancelledError,
+  beginCancellableRun,
+  cancelRun,
+  throwIfCancelled,
+  getActiveRuns,
+  onActiveRunsChange
+};
@@ -0,0 +1,237 @@
+/**
+ * 전표 업로드 체크포인트 모듈
+ * 실행 중인 배치의 파일별 처리 결과를 결과가 확정되는 즉시 사용자 데이터 폴더의 voucher-run-checkpoint.json에 저장한다.
+ * 앱이 종료되거나 네트워크가 끊겨 배치가 중단되면 다음 실행 시 결과가 확정되지 않은 첫 파일부터 이어서 처리할 수 있다.
+ * 처리 중이던 파일(마지막 "확인" 버튼 클릭 이후 중단 등)은 업로드 여부를 알 수 없으므로 "확인 필요"로 표시한다.
+ */
+
+const { app } = require('electron');
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const CHECKPOINT_FILE_NAME = 'voucher-run-checkpoint.json';
+
+// 결과가 확정된 상태 (재처리 대상 아님)
+const CONFIRMED_STATUSES = ['success', 'failed', 'skipped'];
+
+// 현재 앱에서 체크포인트를 기록 중인 배치가 있는지 (실행 중인 배치를 중단된 배치로 오인하지 않기 위함)
+let runActive = false;
+
+// 체크포인트 파일 경로 (사용자 데이터 폴더)
+function getCheckpointPath() {
+  return path.join(app.getPath('userData'), CHECKPOINT_FILE_NAME);
+}
+
+// 체크포인트 읽기 (없거나 손상된 경우 null)
+function loadCheckpoint() {
+  const checkpointPath = getCheckpointPath();
+  if (!fs.existsSync(checkpointPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath, 'utf-8'));
+  } catch (error) {
+    logger.error(`체크포인트 읽기 실패: ${error.message}`);
+    return null;
+  }
+}
+
+// 체크포인트 저장 (임시 파일에 쓴 뒤 교체하여 저장 중 종료되어도 손상되지 않도록 함)
+function saveCheckpoint(checkpoint) {
+  const checkpointPath = getCheckpointPath();
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2), 'utf-8');
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * 새 배치의 체크포인트 시작 (완료된 이전 체크포인트는 덮어씀)
+ * 중단된 배치나 확인 필요 파일이 남아 있으면 그 기록이 사라지지 않도록 시작하지 않는다 (이어서 처리하거나 기록을 삭제해야 함).
+ * @param {string} folderPath - 작업 폴더
+ * @param {string[]} filePaths - 처리 순서대로의 파일 경로 목록
+ * @param {Object} [options] - { environment: 실행 환경 이름 (이어서 처리할 때 같은 환경인지 확인) }
+ */
+function beginCheckpoint(folderPath, filePaths, options = {}) {
+  const interruptedRun = getInterruptedRun();
+  if (interruptedRun) {
+    throw new Error(describeInterruptedRun(interruptedRun));
+  }
+
+  const checkpoint = {
+    runId: Date.now().toString(),
+    folderPath,
+    environment: options.environment || null,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    completedAt: null,
+    files: filePaths.map(filePath => ({
+      filePath,
+      fileName: path.basename(filePath),
+      status: 'pending',
+      journalNumber: null,
+      contentHash: null,
+      company: null,
+      period: null,
+      error: null,
+      updatedAt: null
+    }))
+  };
+  saveCheckpoint(checkpoint);
+  runActive = true;
+  logger.info(`체크포인트 시작: 파일 ${filePaths.length}개${options.environment ? ` (환경 ${options.environment})` : ''}`);
+  return checkpoint;
+}
+
+// 중단된 배치를 이어서 기록 (기존 체크포인트 유지)
+function resumeCheckpoint() {
+  const checkpoint = loadCheckpoint();
+  if (!checkpoint) {
+    throw new Error('이어서 처리할 중단된 배치가 없습니다.');
+  }
+
+  checkpoint.completedAt = null;
+  saveCheckpoint(checkpoint);
+  runActive = true;
+  logger.info(`중단된 배치(${checkpoint.startedAt}) 이어서 처리`);
+  return checkpoint;
+}
+
+/**
+ * 파일 처리 상태 기록 (pending / in-progress / success / failed / skipped / uncertain)
+ * @param {string} filePath - 파일 경로
+ * @param {string} status - 처리 상태
+ * @param {Object} [details] - { journalNumber, error, contentHash, company, period }
+ *   (내용 해시 / 회사 / 회계기간은 확인 필요 파일을 업로드됨으로 확인할 때 업로드 원장 기록에 사용)
+ */
+function markCheckpointFile(filePath, status, details = {}) {
+  const checkpoint = loadCheckpoint();
+  if (!checkpoint) return;
+
+  const file = checkpoint.files.find(entry => entry.filePath === filePath);
+  if (!file) return;
+
+  file.status = status;
+  file.journalNumber = details.journalNumber || file.journalNumber;
+  file.contentHash = details.contentHash || file.contentHash || null;
+  file.company = details.company || file.company || null;
+  file.period = details.period || file.period || null;
+  file.error = details.error || null;
+  file.updatedAt = new Date().toISOString();
+  checkpoint.updatedAt = file.updatedAt;
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * 배치 기록 종료
+ * @param {boolean} completed - 모든 파일을 끝까지 처리했으면 true, 중간에 중단되었으면 false (다음 실행 시 이어서 하기 제안)
+ */
+function finishCheckpoint(completed) {
+  runActive = false;
+  const checkpoint = loadCheckpoint();
+  if (!checkpoint || !completed) return;
+
+  checkpoint.completedAt = new Date().toISOString();
+  saveCheckpoint(checkpoint);
+  logger.info('체크포인트 완료 처리');
+}
+
+/**
+ * 중단된 배치 또는 수동 확인이 필요한 파일이 남은 배치 조회
+ * 처리 중(in-progress)으로 남은 파일은 업로드 여부를 알 수 없으므로 "확인 필요"(uncertain)로 바꿔 저장한다.
+ * @returns {Object|null} { ...checkpoint, resumeFilePaths, uncertainFiles }
+ */
+function getInterruptedRun() {
+  const checkpoint = loadCheckpoint();
+  if (!checkpoint || runActive) return null;
+
+  let changed = false;
+  checkpoint.files.forEach(file => {
+    if (file.status === 'in-progress') {
+      file.status = 'uncertain';
+      file.error = '처리 중 중단되어 D365 업로드 여부를 알 수 없습니다. D365에서 직접 확인해주세요.';
+      changed = true;
+    }
+  });
+  if (changed) saveCheckpoint(checkpoint);
+
+  const resumeFilePaths = getResumeFilePaths(checkpoint);
+  const uncertainFiles = checkpoint.files.filter(file => file.status === 'uncertain');
+  if (resumeFilePaths.length === 0 && uncertainFiles.length === 0) return null;
+
+  return { ...checkpoint, resumeFilePaths, uncertainFiles };
+}
+
+// 새 배치를 시작할 수 없는 이유 (중단된 배치 안내)
+function describeInterruptedRun(run) {
+  const uncertainNote = run.uncertainFiles.length > 0
+    ? ` 업로드 여부 확인이 필요한 파일: ${run.uncertainFiles.map(file => file.fileName).join(', ')}.`
+    : '';
+  return `완료되지 않은 이전 배치(${run.startedAt})가 있습니다.${uncertainNote} 중단된 배치를 이어서 처리하거나 기록을 삭제한 뒤 새 배치를 실행해주세요.`;
+}
+
+// 이어서 처리할 파일 목록 - 결과가 확정되지 않은 첫 파일부터 (확인 필요 파일은 수동 확인 전까지 제외)
+function getResumeFilePaths(checkpoint) {
+  const firstOpenIndex = checkpoint.files.findIndex(file => !CONFIRMED_STATUSES.includes(file.status));
+  if (firstOpenIndex < 0) return [];
+
+  return checkpoint.files
+    .slice(firstOpenIndex)
+    .filter(file => file.status === 'pending')
+    .map(file => file.filePath);
+}
+
+/**
+ * 확인 필요 파일의 수동 확인 결과 반영
+ * @param {string} filePath - 파일 경로
+ * @param {boolean} uploaded - D365에 업로드되어 있으면 true (완료 처리), 없으면 false (이어서 하기 대상)
+ */
+function resolveUncertainFile(filePath, uploaded) {
+  const checkpoint = loadCheckpoint();
+  if (!checkpoint) return;
+
+  const file = checkpoint.files.find(entry => entry.filePath === filePath && entry.status === 'uncertain');
+  if (!file) return;
+
+  file.status = uploaded ? 'success' : 'pending';
+  file.error = uploaded ? '사용자가 D365에서 업로드를 확인함' : null;
+  file.updatedAt = new Date().toISOString();
+  saveCheckpoint(checkpoint);
+  logger.info(`확인 필요 파일 처리: ${file.fileName} → ${uploaded ? '업로드됨' : '재처리 대상'}`);
+}
+
+// 중단된 배치 기록 삭제
+function discardCheckpoint() {
+  const checkpointPath = getCheckpointPath();
+  if (fs.existsSync(checkpointPath)) {
+    fs.unlinkSync(checkpointPath);
+    logger.info('체크포인트 삭제');
+  }
+}
+
+module.exports = {
+  beginCheckpoint,
+  resumeCheckpoint,
+  markCheckpointFile,
+  finishCheckpoint,
+  getInterruptedRun,
+  describeInterruptedRun,
+  resolveUncertainFile,
+  discardCheckpoint
+};
@@ -0,0 +1,317 @@
+/**
+ * 실행 증거 자료 모듈
+ * 전표 업로드와 매입송장 처리 실행마다 사용자 데이터 폴더의 run-evidence/<종류>_<시각> 폴더를 만들고
+ * 이름 있는 단계마다 화면 스크린샷, 페이지 주소, 정리한 DOM 스냅샷(스크립트/스타일 제거, 크기 제한)을 저장한다.
+ * 설정에서 트레이스를 켜면 실행 동안의 Puppeteer 트레이스(trace.json)도 함께 기록한다.
+ * 실행이 실패하면 (취소한 실행은 제외) 증거 폴더와 그 실행 동안 rpa.log에 기록된 부분을 zip 파일 하나로 묶는다.
+ * 오래된 증거 폴더는 설정한 개수(evidence.keepRuns)만 남기고 삭제한다.
+ * 증거 자료를 끈 경우 beginEvidenceRun이 null을 돌려주며, 나머지 함수는 null을 받으면 아무 것도 하지 않는다.
+ */
+
+const { app } = require('electron');
+const archiver = require('archiver');
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { getSettings, getActiveEnvironment, getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const EVIDENCE_DIR_NAME = 'run-evidence';
+const EVIDENCE_INDEX_FILE = 'evidence.json';
+const LOG_FILE = 'rpa.log';
+const LOG_SLICE_FILE = 'rpa-log.txt';
+const TRACE_FILE = 'trace.json';
+
+// DOM 스냅샷 최대 크기 (넘으면 뒷부분을 잘라냄)
+const DOM_SNAPSHOT_MAX_BYTES = 300 * 1024;
+// zip에 담을 로그 최대 크기 (넘으면 마지막 부분만)
+const LOG_SLICE_MAX_BYTES = 5 * 1024 * 1024;
+// 스크린샷/DOM 저장 제한 시간 (브라우저 대화상자 등으로 응답이 없을 때 실행이 멈추지 않도록)
+const CAPTURE_TIMEOUT_MS = 10000;
+
+// 증거 폴더 최상위 경로 (사용자 데이터 폴더)
+function getEvidenceRoot() {
+  return path.join(app.getPath('userData'), EVIDENCE_DIR_NAME);
+}
+
+// 제한 시간 안에 끝나지 않으면 오류
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} 제한 시간 ${ms / 1000}초 초과`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 파일명에 쓸 수 없는 문자 제거
+function toSafeName(name) {
+  return String(name).replace(/[\\/:*?"<>|()\s]+/g, '_').slice(0, 80);
+}
+
+// 현재 로그 파일 크기 (실행 시작 이후의 로그만 잘라 담기 위함)
+function getLogSize() {
+  try {
+    return fs.statSync(LOG_FILE).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// 실행 시작 이후의 로그 읽기 (로그 파일이 새로 만들어졌으면 처음부터)
+function readLogSlice(offset) {
+  const size = getLogSize();
+  let start = size >= offset ? offset : 0;
+  if (size - start > LOG_SLICE_MAX_BYTES) start = size - LOG_SLICE_MAX_BYTES;
+  if (size <= start) return '';
+
+  const buffer = Buffer.alloc(size - start);
+  const fd = fs.openSync(LOG_FILE, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer.toString('utf-8');
+}
+
+// DOM 스냅샷 정리 - 스크립트, 스타일, SVG, 주석, 긴 data URI를 제거하고 크기 제한
+function trimDom(html) {
+  let trimmed = html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, '')
+    .replace(/<svg\b[\s\S]*?<\/svg>/gi, '<svg></svg>')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/data:[^"')\s]{200,}/g, 'data:...')
+    .replace(/>\s+</g, '><');
+
+  if (Buffer.byteLength(trimmed, 'utf-8') > DOM_SNAPSHOT_MAX_BYTES) {
+    trimmed = `${Buffer.from(trimmed, 'utf-8').subarray(0, DOM_SNAPSHOT_MAX_BYTES).toString('utf-8')}\n<!-- ${DOM_SNAPSHOT_MAX_BYTES / 1024}KB 이후 생략 -->`;
+  }
+  return trimmed;
+}
+
+// 증거 폴더 목차(evidence.json) 저장
+function writeEvidenceIndex(run) {
+  const { tracePage, logOffset, ...index } = run;
+  fs.writeFileSync(path.join(run.dir, EVIDENCE_INDEX_FILE), JSON.stringify(index, null, 2), 'utf-8');
+}
+
+// 오래된 증거 폴더와 zip 삭제 (최근 keepRuns개만 유지)
+function pruneEvidenceRuns(keepRuns) {
+  const root = getEvidenceRoot();
+  if (!fs.existsSync(root)) return;
+
+  const runDirs = fs.readdirSync(root)
+    .map(name => path.join(root, name))
+    .filter(entryPath => fs.statSync(entryPath).isDirectory())
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+
+  runDirs.slice(keepRuns).forEach(runDir => {
+    try {
+      fs.rmSync(runDir, { recursive: true, force: true });
+      fs.rmSync(`${runDir}.zip`, { force: true });
+    } catch (error) {
+      logger.warn(`오래된 증거 폴더 삭제 실패 (${path.basename(runDir)}): ${error.message}`);
+    }
+  });
+}
+
+/**
+ * 실행 증거 기록 시작
+ * @param {string} kind - 실행 종류 ('voucher' 전표 업로드 / 'invoice' 매입송장)
+ * @param {string} label - 실행 설명 (로그, 목차 표시용)
+ * @returns {Object|null} 증거 실행 정보 { kind, label, dir, ... } (설정에서 끈 경우 null)
+ */
+function beginEvidenceRun(kind, label) {
+  const { evidence } = getSettings();
+  if (!evidence.enabled) return null;
+
+  try {
+    const startedAt = new Date().toISOString();
+    const dir = path.join(getEvidenceRoot(), `${kind}_${startedAt.replace(/[:.]/g, '-')}`);
+    fs.mkdirSync(dir, { recursive: true });
+    pruneEvidenceRuns(evidence.keepRuns);
+
+    const run = {
+      kind,
+      label,
+      environment: getActiveEnvironment().name,
+      dir,
+      startedAt,
+      completedAt: null,
+      success: null,
+      cancelled: false,
+      error: null,
+      trace: evidence.trace ? TRACE_FILE : null,
+      zipPath: null,
+      steps: [],
+      logOffset: getLogSize(),
+      tracePage: null
+    };
+    writeEvidenceIndex(run);
+    logger.info(`실행 증거 폴더: ${dir}`);
+    return run;
+  } catch (error) {
+    logger.error(`실행 증거 폴더 생성 실패 (증거 없이 계속 진행): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Puppeteer 트레이스 기록 시작 (설정에서 트레이스를 켠 경우)
+ * 트레이스는 브라우저에 하나만 기록할 수 있으므로 다른 실행이 기록 중이면 경고만 남긴다.
+ * @param {Object|null} run - beginEvidenceRun 결과
+ * @param {Object} page - Puppeteer 페이지 객체
+ */
+async function startEvidenceTrace(run, page) {
+  if (!run || !run.trace || run.tracePage) return;
+  try {
+    await page.tracing.start({ path: path.join(run.dir, TRACE_FILE), screenshots: true });
+    run.tracePage = page;
+  } catch (error) {
+    run.trace = null;
+    logger.warn(`트레이스 기록을 시작하지 못했습니다 (다른 실행이 기록 중일 수 있음): ${error.message}`);
+  }
+}
+
+// 트레이스 기록 종료
+async function stopEvidenceTrace(run) {
+  if (!run || !run.tracePage) return;
+  const page = run.tracePage;
+  run.tracePage = null;
+  try {
+    await withTimeout(page.tracing.stop(), CAPTURE_TIMEOUT_MS, '트레이스 저장');
+  } catch (error) {
+    run.trace = null;
+    logger.warn(`트레이스 저장 실패: ${error.message}`);
+  }
+}
+
+/**
+ * 단계 증거 저장 - 스크린샷, 페이지 주소, 정리한 DOM 스냅샷
+ * @param {Object|null} run - beginEvidenceRun 결과
+ * @param {Object} page - Puppeteer 페이지 객체
+ * @param {string} stepName - 단계 이름
+ * @param {Object} [details] - { status, error } 단계 결과
+ * @returns {Promise<Object|null>} { index, step, url, screenshot, dom, ... } (파일은 증거 폴더 기준 이름)
+ */
+async function captureStepEvidence(run, page, stepName, details = {}) {
+  if (!run || !page) return null;
+
+  const index = run.steps.length + 1;
+  const baseName = `${String(index).padStart(3, '0')}_${toSafeName(stepName)}`;
+  const entry = {
+    index,
+    step: stepName,
+    status: details.status || null,
+    error: details.error || null,
+    capturedAt: new Date().toISOString(),
+    url: null,
+    screenshot: null,
+    dom: null
+  };
+  run.steps.push(entry);
+
+  try {
+    entry.url = page.url();
+  } catch (error) {
+    entry.urlError = error.message;
+  }
+
+  try {
+    await withTimeout(page.screenshot({ path: path.join(run.dir, `${baseName}.png`) }), CAPTURE_TIMEOUT_MS, '스크린샷');
+    entry.screenshot = `${baseName}.png`;
+  } catch (error) {
+    entry.screenshotError = error.message;
+    logger.warn(`증거 스크린샷 저장 실패 (${stepName}): ${error.message}`);
+  }
+
+  try {
+    const html = await withTimeout(page.content(), CAPTURE_TIMEOUT_MS, 'DOM 스냅샷');
+    fs.writeFileSync(path.join(run.dir, `${baseName}.html`), trimDom(html), 'utf-8');
+    entry.dom = `${baseName}.html`;
+  } catch (error) {
+    entry.domError = error.message;
+    logger.warn(`증거 DOM 스냅샷 저장 실패 (${stepName}): ${error.message}`);
+  }
+
+  try {
+    writeEvidenceIndex(run);
+  } catch (error) {
+    logger.warn(`증거 목차 저장 실패: ${error.message}`);
+  }
+  return entry;
+}
+
+// 폴더를 zip 파일로 묶기
+function zipDirectory(sourceDir, zipPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(zipPath));
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.directory(sourceDir, path.basename(sourceDir));
+    archive.finalize();
+  });
+}
+
+/**
+ * 실행 증거 기록 종료 (실패한 실행은 증거 폴더와 로그 부분을 zip으로 묶음, 사용자가 취소한 실행은 목차에 취소로만 기록)
+ * @param {Object|null} run - beginEvidenceRun 결과
+ * @param {Object} result - { success, cancelled, error }
+ * @returns {Promise<Object|null>} { dir, zipPath } (zipPath는 실패한 실행만)
+ */
+async function finishEvidenceRun(run, result) {
+  if (!run) return null;
+
+  await stopEvidenceTrace(run);
+  run.completedAt = new Date().toISOString();
+  run.success = !!result.success;
+  run.cancelled = !!result.cancelled;
+  run.error = result.error || null;
+
+  try {
+    writeEvidenceIndex(run);
+    if (!run.success && !run.cancelled) {
+      fs.writeFileSync(path.join(run.dir, LOG_SLICE_FILE), readLogSlice(run.logOffset), 'utf-8');
+      run.zipPath = await zipDirectory(run.dir, `${run.dir}.zip`);
+      writeEvidenceIndex(run);
+      logger.info(`실패 증거 자료 zip 저장: ${run.zipPath}`);
+    }
+  } catch (error) {
+    logger.error(`실행 증거 정리 실패: ${error.message}`);
+  }
+
+  return { dir: run.dir, zipPath: run.zipPath };
+}
+
+// 증거 폴더 안의 경로인지 확인 (화면에서 요청한 경로만 열도록)
+function isEvidencePath(targetPath) {
+  const relative = path.relative(getEvidenceRoot(), path.resolve(String(targetPath)));
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = {
+  getEvidenceRoot,
+  beginEvidenceRun,
+  startEvidenceTrace,
+  captureStepEvidence,
+  finishEvidenceRun,
+  isEvidencePath
+};
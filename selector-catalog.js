@@ -0,0 +1,413 @@
+/**
+ * D365 화면 요소 선택자 카탈로그
+ * 자동화가 조작하는 D365 버튼, 메뉴, 입력란을 논리 이름(예: favorites.icon, upload.okButton)으로 정의한다.
+ * 각 항목의 strategies는 위에서부터 차례로 시도하며(selector-resolver.js), D365 화면이 바뀌면 이 파일의 해당 항목만 고친다.
+ * 카탈로그를 고칠 때는 SELECTOR_CATALOG_VERSION을 올려 로그에서 어떤 카탈로그로 실행했는지 알 수 있게 한다.
+ *
+ * 선택 방법(strategy) 형식:
+ *   name      - 로그와 단계 기록에 표시할 방법 이름
+ *   css       - 후보 요소 CSS 선택자 (필수)
+ *   text      - 후보 중 텍스트가 일치하는 요소 (match: exact 일치 / includes 포함, 기본 exact)
+ *   attribute - 후보 중 속성 값이 value와 일치하는 요소 (match 동일)
+ *   closest   - 찾은 요소 대신 클릭할 상위 요소 선택자 (예: 라벨 → 버튼)
+ *   visible   - false면 화면에 보이지 않는 요소도 허용 (기본 true)
+ *   timeout   - 이 방법의 대기 시간(ms) (기본: 첫 번째 방법 10초, 이후 3초)
+ *
+ * css / text / value 안의 {이름}은 호출할 때 options.params로 채운다 (예: 작업에 따라 라벨이 달라지는 메뉴 항목).
+ */
+
+const SELECTOR_CATALOG_VERSION = '1.2.0';
+
+const SELECTORS = {
+  // ===== 대시보드 / 즐겨찾기 =====
+  'favorites.icon': {
+    description: '대시보드 왼쪽 즐겨찾기(별) 아이콘',
+    strategies: [
+      { name: '정확한 선택자', css: 'span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"][data-dyn-image-type="Symbol"]' },
+      { name: '단순 선택자', css: 'span.workspace-image.StarEmpty-symbol[data-dyn-title="즐겨찾기"]' },
+      { name: '클래스 이름', css: '.StarEmpty-symbol' },
+      { name: '제목 속성 검색', css: 'span', attribute: 'data-dyn-title', value: '즐겨찾기' }
+    ]
+  },
+  'favorites.excelUploadMenu': {
+    description: '즐겨찾기 메뉴의 "엑셀 전표 업로드" 항목',
+    strategies: [
+      { name: '정확한 선택자', css: 'div.modulesPane-link.modulesFlyout-isFavorite[data-dyn-selected="false"][role="treeitem"] a.modulesPane-linkText[data-dyn-title="엑셀 전표 업로드"][role="link"]' },
+      { name: '기본 선택자', css: 'div[data-dyn-title="엑셀 전표 업로드"], div.modulesPane-link a[data-dyn-title="엑셀 전표 업로드"], .modulesPane-link a.modulesPane-linkText[data-dyn-title="엑셀 전표 업로드"]' },
+      { name: '메뉴 텍스트 검색', css: 'a.modulesPane-linkText, div.modulesPane-link a, a[role="link"], .modulesFlyout-isFavorite', text: '엑셀 전표 업로드', match: 'includes' }
+    ]
+  },
+  'navigation.searchButton': {
+    description: '상단 탐색 검색(돋보기) 버튼',
+    strategies: [
+      { name: '명령 링 버튼', css: '.button-commandRing.Find-symbol' },
+      { name: '검색 아이콘', css: 'span.Find-symbol' },
+      { name: '심볼 아이콘', css: '[data-dyn-image-type="Symbol"].Find-symbol' },
+      { name: '버튼 컨테이너 아이콘', css: '.button-container .Find-symbol' }
+    ]
+  },
+  'navigation.searchInput': {
+    description: '상단 탐색 검색 입력란',
+    strategies: [
+      { name: 'ID', css: '#NavigationSearchBox' },
+      { name: '검색 상자 입력란', css: '.navigationSearchBox input' },
+      { name: '"검색" 속성', css: 'input[placeholder*="검색"], input[aria-label*="검색"]' },
+      { name: '첫 번째 텍스트 입력란', css: 'input[type="text"]' }
+    ]
+  },
+  'navigation.receivingInquiryResult': {
+    description: '탐색 검색 결과의 "구매 입고내역 조회" 메뉴',
+    strategies: [
+      { name: '검색 상자 결과', css: '.navigationSearchBox *', text: '구매 입고내역 조회', match: 'includes' },
+      { name: '검색 결과 목록', css: '.search-results *, .navigation-search-results *', text: '구매 입고내역 조회', match: 'includes' },
+      { name: '탐색 검색 바인딩', css: '[data-dyn-bind*="NavigationSearch"] *', text: '구매 입고내역 조회', match: 'includes' }
+    ]
+  },
+  'navigation.pendingVendorInvoiceResult': {
+    description: '탐색 검색 결과의 "대기중인 공급사송장" 메뉴',
+    strategies: [
+      { name: '검색 상자 결과', css: '.navigationSearchBox *', text: '대기중인 공급사송장', match: 'includes' },
+      { name: '검색 결과 목록', css: '.search-results *, .navigation-search-results *', text: '대기중인 공급사송장', match: 'includes' },
+      { name: '탐색 검색 바인딩', css: '[data-dyn-bind*="NavigationSearch"] *', text: '대기중인 공급사송장', match: 'includes' }
+    ]
+  },
+  'navigation.userButton': {
+    description: '상단 오른쪽 사용자(UserBtn) 버튼',
+    strategies: [
+      { name: 'ID', css: 'button#UserBtn' }
+    ]
+  },
+
+  // ===== 엑셀 전표 업로드 대화상자 =====
+  'upload.journalLookupButton': {
+    description: '분개장 이름 조회(오픈) 버튼',
+    strategies: [
+      { name: '제목 속성', css: '.lookupButton[title="오픈"]' },
+      { name: '조회 툴팁 바인딩', css: '.lookupButton', attribute: 'data-dyn-bind', value: 'Input_LookupTooltip', match: 'includes' }
+    ]
+  },
+  'upload.descriptionInput': {
+    description: '분개장 설명 입력란',
+    strategies: [
+      { name: '정확한 ID', css: '#kpc_exceluploadforledgerjournal_2_FormStringControl_Txt_input' },
+      { name: '컨트롤 ID 패턴', css: 'input[id*="FormStringControl_Txt_input"]', timeout: 3000 },
+      { name: '폼 ID 패턴', css: 'input[id*="kpc_exceluploadforledgerjournal"][id*="Txt_input"]', timeout: 3000 },
+      { name: '텍스트 상자 클래스', css: 'input.textbox.field.displayoption[role="textbox"], input.textbox.field.displayoption, input.textbox[role="textbox"], input[class*="textbox"][class*="field"]' },
+      { name: '설명 라벨', css: 'input[type="text"], input:not([type]), textarea', attribute: 'aria-label', value: '설명', match: 'includes' },
+      { name: '설명 제목', css: 'input[type="text"], input:not([type]), textarea', attribute: 'title', value: '설명', match: 'includes' }
+    ]
+  },
+  'upload.uploadButton': {
+    description: '"업로드" 버튼',
+    strategies: [
+      { name: 'ID', css: '#kpc_exceluploadforledgerjournal_2_UploadButton_label' },
+      { name: '버튼 라벨 텍스트', css: 'span.button-label, span[id*="UploadButton_label"]', text: '업로드' },
+      { name: '버튼 텍스트 검색', css: 'button, div.button-container, [role="button"]', text: '업로드', match: 'includes' }
+    ]
+  },
+  'upload.browseButton': {
+    description: '파일 업로드 대화상자의 "Browse" 버튼',
+    strategies: [
+      { name: 'ID', css: '#Dialog_4_UploadBrowseButton' },
+      { name: 'name 속성', css: 'button[name="UploadBrowseButton"]' }
+    ]
+  },
+  'upload.fileInput': {
+    description: '파일 업로드 대화상자의 파일 입력 필드 (화면에 보이지 않음)',
+    strategies: [
+      { name: '파일 입력', css: 'input[type="file"]', visible: false }
+    ]
+  },
+  'upload.fileDialogOkButton': {
+    description: '파일 업로드 대화상자의 최종 "확인" 버튼',
+    strategies: [
+      { name: 'ID', css: '#Dialog_4_OkButton' },
+      { name: 'name 속성', css: 'button[name="OkButton"]', timeout: 5000 },
+      { name: '라벨 ID', css: '#Dialog_4_OkButton_label' },
+      { name: '기본 버튼 라벨', css: 'button.dynamicsButton.button-isDefault .button-label', text: '확인', closest: 'button' },
+      { name: '버튼 텍스트', css: 'button, span.button-label', text: '확인' }
+    ]
+  },
+  'upload.okButton': {
+    description: '엑셀 전표 업로드 화면의 마지막 "확인" 버튼 (누르면 분개장 생성)',
+    strategies: [
+      { name: 'ID', css: '#kpc_exceluploadforledgerjournal_2_OKButton' },
+      { name: 'name 속성', css: 'button[name="OKButton"][id*="kpc_exceluploadforledgerjournal"]', timeout: 5000 },
+      { name: '라벨 ID', css: '#kpc_exceluploadforledgerjournal_2_OKButton_label' },
+      { name: '폼 ID 패턴', css: 'button[id*="kpc_exceluploadforledgerjournal"][id*="OKButton"]' },
+      { name: '버튼 라벨 텍스트', css: 'button.dynamicsButton .button-label', text: '확인', closest: 'button' },
+      { name: '영문 버튼 라벨', css: 'button.dynamicsButton .button-label', text: 'OK', closest: 'button' }
+    ]
+  },
+  'upload.cancelButton': {
+    description: '엑셀 전표 업로드 화면의 "취소" 버튼 (리허설 모드)',
+    strategies: [
+      { name: 'ID', css: '#kpc_exceluploadforledgerjournal_2_CancelButton' },
+      { name: '폼 name 속성', css: 'button[name="CancelButton"][id*="kpc_exceluploadforledgerjournal"]' },
+      { name: '라벨 ID', css: '#kpc_exceluploadforledgerjournal_2_CancelButton_label' }
+    ]
+  },
+
+  // ===== 분개장 라인 / 유효성 검사 / 전기 =====
+  'journal.linesButton': {
+    description: '분개장 목록의 "라인" 버튼',
+    strategies: [
+      { name: '컨트롤 이름', css: 'button[data-dyn-controlname="Lines"], button[data-dyn-controlname="JournalLines"]' },
+      { name: '버튼 라벨 텍스트', css: 'button .button-label', text: '라인', closest: 'button' },
+      { name: '영문 버튼 라벨', css: 'button .button-label', text: 'Lines', closest: 'button' }
+    ]
+  },
+  'journal.validateButton': {
+    description: '분개장 라인 화면의 "유효성 검사" 버튼',
+    strategies: [
+      { name: '컨트롤 이름', css: 'button[data-dyn-controlname="Validate"], button[data-dyn-controlname="ValidateJournal"]' },
+      { name: '버튼 라벨 텍스트', css: 'button .button-label', text: '유효성 검사', closest: 'button' },
+      { name: '영문 버튼 라벨', css: 'button .button-label', text: 'Validate', closest: 'button' }
+    ]
+  },
+  'journal.postButton': {
+    description: '분개장 라인 화면의 "전기" 버튼',
+    strategies: [
+      { name: '컨트롤 이름', css: 'button[data-dyn-controlname="Post"], button[data-dyn-controlname="PostJournal"]' },
+      { name: '버튼 라벨 텍스트', css: 'button .button-label', text: '전기', closest: 'button' },
+      { name: '영문 버튼 라벨', css: 'button .button-label', text: 'Post', closest: 'button' }
+    ]
+  },
+  'journal.actionMenuItem': {
+    description: '유효성 검사 / 전기 메뉴 버튼을 누르면 열리는 같은 이름의 하위 메뉴 항목 (params: label, englishLabel)',
+    strategies: [
+      { name: '메뉴 항목 라벨', css: '.flyout-menuItem .button-label, [role="menuitem"] .button-label', text: '{label}', closest: '.flyout-menuItem, [role="menuitem"]' },
+      { name: '메뉴 항목 텍스트', css: '.flyout-menuItem, [role="menuitem"]', text: '{label}' },
+      { name: '영문 메뉴 항목 라벨', css: '.flyout-menuItem .button-label, [role="menuitem"] .button-label', text: '{englishLabel}', closest: '.flyout-menuItem, [role="menuitem"]' },
+      { name: '영문 메뉴 항목 텍스트', css: '.flyout-menuItem, [role="menuitem"]', text: '{englishLabel}' }
+    ]
+  },
+
+  // ===== 구매 입고내역 조회 (EZVoucher2) =====
+  'receivingInquiry.fromDateInput': {
+    description: '구매 입고내역 조회 FromDate 입력란',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="FromDate"]' },
+      { name: 'ID 패턴', css: 'input[id*="FromDate_input"]' },
+      { name: '라벨 연결', css: 'input[aria-labelledby*="FromDate_label"]' }
+    ]
+  },
+  'receivingInquiry.toDateInput': {
+    description: '구매 입고내역 조회 ToDate 입력란',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="ToDate"]' },
+      { name: 'ID 패턴', css: 'input[id*="ToDate_input"]' },
+      { name: '라벨 연결', css: 'input[aria-labelledby*="ToDate_label"]' }
+    ]
+  },
+  'receivingInquiry.inquiryButton': {
+    description: '구매 입고내역 조회 "Inquiry" 버튼',
+    strategies: [
+      { name: '버튼 라벨 텍스트', css: '.button-container .button-label, .button-container span[id*="label"]', text: 'Inquiry', match: 'includes', closest: '.button-container' },
+      { name: '라벨 ID', css: 'div.button-container span[id*="Inquiry_label"], [id*="Inquiry_label"]', closest: '.button-container' },
+      { name: '라벨 for 속성', css: 'span[for*="Inquiry"]', closest: '.button-container' },
+      { name: 'ID 패턴', css: '[id*="Inquiry"]', closest: '.button-container, button, [role="button"]' }
+    ]
+  },
+  'receivingInquiry.purchIdHeader': {
+    description: '조회 결과 그리드의 "구매주문" 열 머리글 (우클릭하여 내보내기 메뉴 열기)',
+    strategies: [
+      { name: '열 이름', css: 'div[data-dyn-columnname="NPS_VendPackingSlipSumReportTemp_PurchId"]' },
+      { name: '컨트롤 이름', css: 'div[data-dyn-controlname="NPS_VendPackingSlipSumReportTemp_PurchId"]' },
+      { name: '머리글 열 이름 패턴', css: 'div.dyn-headerCell[data-dyn-columnname*="PurchId"]' },
+      { name: '머리글 라벨 제목', css: 'div.dyn-headerCellLabel[title="구매주문"]' },
+      { name: '열 이름 패턴', css: '[data-dyn-columnname*="PurchId"]' },
+      { name: '머리글 텍스트', css: 'th, .dyn-headerCell, [role="columnheader"]', text: '구매주문', match: 'includes' },
+      { name: '제목 속성', css: 'div[title="구매주문"]' }
+    ]
+  },
+  'receivingInquiry.exportAllRowsMenu': {
+    description: '열 머리글 컨텍스트 메뉴의 "모든 행 내보내기" 항목',
+    strategies: [
+      { name: '버튼 라벨 텍스트', css: '.button-container .button-label', text: '모든 행 내보내기', match: 'includes', closest: '.button-container' },
+      { name: '라벨 텍스트', css: '.button-label', text: '모든 행 내보내기', match: 'includes' },
+      { name: '"내보내기" 텍스트', css: 'span, button, [role="button"], [role="menuitem"]', text: '내보내기', match: 'includes', closest: '.button-container, button, [role="button"], [role="menuitem"]' },
+      { name: 'Export 텍스트', css: 'span, button, [role="button"], [role="menuitem"]', text: 'Export', match: 'includes', closest: '.button-container, button, [role="button"], [role="menuitem"]' }
+    ]
+  },
+  'receivingInquiry.downloadButton': {
+    description: '엑셀 내보내기 대화상자의 "다운로드" 버튼',
+    strategies: [
+      { name: '"다운로드" 텍스트', css: 'button, .button-label, span, [role="button"]', text: '다운로드', match: 'includes', closest: 'button, [role="button"], .button-container' },
+      { name: 'Download 텍스트', css: 'button, .button-label, span, [role="button"]', text: 'Download', match: 'includes', closest: 'button, [role="button"], .button-container' },
+      { name: 'DownloadButton 속성', css: '[name*="DownloadButton"], [id*="DownloadButton"], [data-dyn-controlname*="Download"]', closest: 'button' },
+      { name: '다운로드 아이콘', css: '.Download-symbol, [class*="download"], [class*="Download"]', closest: 'button, [role="button"]' }
+    ]
+  },
+
+  // ===== 대기중인 공급사송장 (EZVoucher2) =====
+  'pendingInvoice.purchIdFilterInput': {
+    description: '제품 입고 선택 대화상자의 "구매주문" 열 필터 입력란',
+    strategies: [
+      { name: '열 머리글 필터 팝업', css: '.columnHeader-popup input[role="combobox"], .columnHeader-popup input.textbox.field, .columnHeader-popup input[type="text"]' },
+      { name: '필터 팝업 콤보상자', css: '[class*="popup"] input[role="combobox"]:not([disabled]), [class*="filter"] input[role="combobox"]:not([disabled]), .dyn-popup input[role="combobox"]:not([disabled])' },
+      { name: '필터 이름 입력란', css: '[class*="popup"] input[name*="Filter"]:not([disabled]), [class*="popup"] input[class*="filter"]:not([disabled]), [class*="popup"] input[class*="search"]:not([disabled])' }
+    ]
+  },
+  'pendingInvoice.quickFilterInput': {
+    description: '대기중인 공급사송장 목록의 빠른 필터 입력란',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="QuickFilterControl_Input"]' },
+      { name: 'ID 패턴', css: 'input[id*="QuickFilterControl_Input_input"]' },
+      { name: '"필터" 레이블', css: 'input[aria-label="필터"]' },
+      { name: '빠른 필터 컨트롤', css: 'input[id*="QuickFilterControl"], input[name*="QuickFilter"], input[aria-label*="필터"]' }
+    ]
+  },
+
+  // ===== 구매 송장 처리 (EZVoucher2) =====
+  'invoice.saveButton': {
+    description: '공급사송장 편집 화면의 "저장" 버튼',
+    strategies: [
+      { name: 'ID', css: 'span#VendEditInvoice_5_SystemDefinedSaveButton_label', text: '저장', match: 'includes' },
+      { name: 'ID 패턴', css: 'span[id*="SystemDefinedSaveButton_label"]', text: '저장', match: 'includes' },
+      { name: '라벨 for 속성', css: 'span.button-label[for*="SystemDefinedSaveButton"]', text: '저장', match: 'includes' },
+      { name: '버튼 ID', css: 'button#VendEditInvoice_5_SystemDefinedSaveButton', text: '저장', match: 'includes' },
+      { name: '버튼 라벨 텍스트', css: 'span.button-label, span[id*="SystemDefinedSaveButton"], button[id*="SystemDefinedSaveButton"]', text: '저장' }
+    ]
+  },
+  'invoice.closeWindowButton': {
+    description: '새 창(세금계산서 조회 결과 등)의 "창 닫기" 버튼',
+    strategies: [
+      { name: '닫기 컨트롤 라벨', css: 'span[data-dyn-bind*="FormButtonControlClose"], #NPS_VATInvoiceResultList4UserPo_7_FormButtonControlClose_label, span[id*="FormButtonControlClose_label"], span.button-label[for*="FormButtonControlClose"]' },
+      { name: '"닫기" 속성', css: 'button[aria-label*="닫기"], button[title*="닫기"], span[aria-label*="닫기"], span[title*="닫기"], [data-dyn-bind*="닫기"]' },
+      { name: 'Close 버튼', css: 'button[aria-label*="Close"], button[title*="Close"], .close-button, .btn-close, [role="button"][aria-label*="Close"]' },
+      { name: '"창 닫기" 텍스트', css: 'button, [role="button"], span.button-label, label', text: '창 닫기', match: 'includes', closest: 'button, [role="button"], .button-container, span[for], label[for]' },
+      { name: '닫기 컨트롤 ID', css: '[id*="FormButtonControlClose"]', visible: false }
+    ]
+  },
+  'invoice.calendarButton': {
+    description: '송장 입력 화면의 송장일 달력(Open) 버튼',
+    strategies: [
+      { name: '정확한 선택자', css: 'div.dyn-container.dyn-date-picker-button[role="button"][title="Open"]' },
+      { name: '날짜 선택 버튼', css: 'div.dyn-date-picker-button[role="button"], div[class*="dyn-date-picker-button"], .dyn-date-picker-button' },
+      { name: '"Open" 속성', css: 'div[title="Open"][role="button"], button[title="Open"], div[role="button"][aria-label="Open"], div.button[title="Open"]' },
+      { name: '날짜 / 달력 클래스', css: 'div[class*="date-picker"][role="button"], div[class*="calendar"][role="button"]' }
+    ]
+  },
+  'invoice.invoiceDateInput': {
+    description: '송장 입력 화면의 송장일 입력란 (달력 버튼 왼쪽)',
+    strategies: [
+      { name: 'ID 패턴', css: 'input[id*="PurchParmTable_TransDate_input"]' },
+      { name: '거래일 ID 패턴', css: 'input[id*="TransDate_input"]' }
+    ]
+  },
+  'invoice.summaryPurchSetupButton': {
+    description: '송장 입력 화면의 "송장 통합" 드롭 대화상자 버튼',
+    strategies: [
+      { name: '컨트롤 이름', css: 'button[data-dyn-controlname="summaryPurchSetup"]' },
+      { name: '드롭 대화상자 버튼', css: 'button[data-dyn-role="DropDialogButton"][data-dyn-controlname="summaryPurchSetup"], button.dropDialogButton[data-dyn-controlname="summaryPurchSetup"]' },
+      { name: 'ID 패턴', css: 'button[id*="summaryPurchSetup"], #VendEditInvoice_5_summaryPurchSetup' },
+      { name: '라벨 ID', css: 'span.button-label.button-label-dropDown[id*="summaryPurchSetup_label"], span[id*="summaryPurchSetup_label"]', closest: 'button' },
+      { name: '"송장 통합" 텍스트', css: 'button, span.button-label', text: '송장 통합', match: 'includes', closest: 'button' }
+    ]
+  },
+  'invoice.sumByInput': {
+    description: '"송장 통합" 대화상자의 통합 기준(sumBy) 콤보상자',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="sumBy"]' },
+      { name: '컨트롤 이름', css: 'input[data-dyn-controlname="sumBy"]' },
+      { name: 'ID 패턴', css: 'input[id$="_sumBy_input"], input[id*="sumBy"]' },
+      { name: '"송장 계정" 제목', css: 'input[title="송장 계정"]' },
+      { name: '콤보상자', css: 'input[class*="textbox"][role="combobox"], input[type="text"][role="combobox"]' }
+    ]
+  },
+  'invoice.sumByInvoiceAccountOption': {
+    description: '통합 기준 목록의 "송장 계정" 항목',
+    strategies: [
+      { name: '목록 항목 텍스트', css: 'li[role="option"], li[data-dyn-index="1"], li[id*="sumBy_list_item"], li[id*="list_item1"]', text: '송장 계정', match: 'includes' },
+      { name: '옵션 텍스트', css: 'li, option, div[role="option"]', text: '송장 계정', match: 'includes' },
+      { name: '붙여 쓴 옵션 텍스트', css: 'li, option, div[role="option"]', text: '송장계정', match: 'includes' }
+    ]
+  },
+  'invoice.reArrangeButton': {
+    description: '"송장 통합" 대화상자의 "연결" 버튼',
+    strategies: [
+      { name: 'ID', css: '[id="110_9_buttonReArrange"]' },
+      { name: 'ID 패턴', css: 'button[id*="buttonReArrange"]' },
+      { name: '컨트롤 이름', css: 'button[data-dyn-controlname*="buttonReArrange"]' },
+      { name: '라벨 ID', css: 'span[id*="buttonReArrange_label"], span.button-label[for*="buttonReArrange"]', closest: 'button' },
+      { name: '"연결" 텍스트', css: 'button, span.button-label', text: '연결', closest: 'button' },
+      { name: '"재배치" 텍스트', css: 'button, span.button-label', text: '재배치', closest: 'button' }
+    ]
+  },
+  'invoice.invoiceNumberInput': {
+    description: '송장 입력 그리드의 송장 번호 링크 입력란 (누르면 공급사송장 편집 창 열림)',
+    strategies: [
+      { name: 'ID', css: 'input#PurchParmTable_gridParmTableNum_474_0_0_input' },
+      { name: 'ID 패턴', css: 'input[id*="PurchParmTable_gridParmTableNum"][id*="_input"], input[id*="gridParmTableNum"][id*="_input"]' },
+      { name: '"송장 번호" 레이블', css: 'input[aria-label="송장 번호"]' },
+      { name: '하이퍼링크 필드', css: 'input[class*="dyn-field"][class*="dyn-hyperlink"]' },
+      { name: '그리드 셀 입력란', css: 'div[data-dyn-controlname="PurchParmTable_gridParmTableNum"] input, div[id*="PurchParmTable_gridParmTableNum"] input' }
+    ]
+  },
+  'invoice.vendorInvoiceCaption': {
+    description: '송장 입력 화면의 "공급사송장" 양식 캡션 (아래쪽 송장 번호 추출 기준)',
+    strategies: [
+      { name: '양식 캡션 링크', css: 'span.formCaption.link-content-validLink[role="link"]', text: '공급사송장', match: 'includes' }
+    ]
+  },
+  'invoice.descriptionInput': {
+    description: '공급사송장 편집 창의 송장 설명(InvoiceDetails_Description) 입력란',
+    strategies: [
+      { name: 'ID', css: 'input#VendEditInvoice_5_InvoiceDetails_Description_input' },
+      { name: 'name 속성', css: 'input[name="InvoiceDetails_Description"]' },
+      { name: 'ID 패턴', css: 'input[id*="InvoiceDetails_Description_input"]' },
+      { name: '설명 ID 패턴', css: 'input[id*="Description_input"]' },
+      { name: '라벨 연결', css: 'input[aria-labelledby*="InvoiceDetails_Description_label"]' },
+      { name: '설명 바인딩 / 속성', css: 'input[data-dyn-bind*="InvoiceDetails_Description"], input[placeholder*="Description"], input[aria-label*="Description"], div[data-dyn-controlname*="Description"] input, textarea[name*="Description"], textarea[id*="Description"]' },
+      { name: '텍스트 상자 클래스', css: 'input[class*="textbox"][class*="field"], input[class*="textbox"]' },
+      { name: '255자 텍스트 입력란', css: 'input[type="text"][maxlength="255"]' },
+      { name: '첫 번째 입력란', css: 'input[type="text"], input[class*="field"], input' }
+    ]
+  },
+  'invoice.fixedDueDateInput': {
+    description: '공급사송장 편집 창의 고정 만기일(FixedDueDate) 입력란',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="PurchParmTable_FixedDueDate"]' },
+      { name: 'ID 패턴', css: 'input[id*="PurchParmTable_FixedDueDate_input"]' },
+      { name: 'FixedDueDate ID 패턴', css: 'input[id*="FixedDueDate"], input[name*="FixedDueDate"]' },
+      { name: '날짜 선택 콤보상자', css: 'input.textbox.field[role="combobox"][aria-haspopup="dialog"], input[aria-controls="ui-datepicker-div"], input[role="combobox"][aria-haspopup="dialog"]' },
+      { name: '날짜 입력란', css: 'input[class*="date"], input[placeholder*="날짜"], input[placeholder*="date"]' },
+      { name: '텍스트 상자', css: 'input.textbox.field, input[class*="textbox"], input[type="text"][class*="field"]' }
+    ]
+  },
+  'invoice.bizRegNumInput': {
+    description: '공급사송장 편집 창의 사업자등록번호(KVBizRegNum) 입력란',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="VendInvoiceInfoTable_KVBizRegNum_Line"]' },
+      { name: 'ID 패턴', css: 'input[id*="VendInvoiceInfoTable_KVBizRegNum_Line_input"], input[id*="KVBizRegNum_Line_input"]' },
+      { name: '라벨 연결', css: 'input[aria-labelledby*="KVBizRegNum_Line_label"]' },
+      { name: '바인딩', css: 'input[data-dyn-bind*="VendInvoiceInfoTable_KVBizRegNum"]' },
+      { name: 'name 패턴', css: 'input[name*="KVBizRegNum"]' }
+    ]
+  },
+  'invoice.tenderIdInput': {
+    description: '공급사송장 편집 창의 입찰 ID(KVTenderId) 입력란',
+    strategies: [
+      { name: 'name 속성', css: 'input[name="VendInvoiceInfoTable_KVTenderId_Line"]' },
+      { name: 'ID 패턴', css: 'input[id*="VendInvoiceInfoTable_KVTenderId_Line_input"], input[id*="KVTenderId_Line_input"]' },
+      { name: '라벨 연결', css: 'input[aria-labelledby*="KVTenderId_Line_label"]' },
+      { name: '바인딩', css: 'input[data-dyn-bind*="VendInvoiceInfoTable_KVTenderId"]' },
+      { name: 'name 패턴', css: 'input[name*="KVTenderId"]' }
+    ]
+  },
+  'invoice.commandRingCloseButton': {
+    description: '공급사송장 편집 창의 UserBtn 아래쪽 닫기(Cancel) 버튼 - 위치 조건은 호출하는 쪽에서 확인',
+    strategies: [
+      { name: '명령 링 닫기 아이콘', css: '[class*="commandRing"][class*="Cancel-symbol"]' },
+      { name: '명령 링 클래스', css: '.commandRing.Cancel-symbol' },
+      { name: '명령 링 버튼', css: 'button[class*="commandRing"][class*="Cancel-symbol"], div[class*="commandRing"][class*="Cancel-symbol"]' },
+      { name: '닫기 아이콘', css: '[class*="Cancel-symbol"]' }
+    ]
+  }
+};
+
+module.exports = {
+  SELECTOR_CATALOG_VERSION,
+  SELECTORS
+};
@@ -0,0 +1,177 @@
+/**
+ * D365 화면 요소 선택자 해석 모듈
+ * selector-catalog.js의 논리 이름으로 요소를 찾는다. 등록된 선택 방법을 순서대로 시도하고
+ * 어느 방법으로 찾았는지(대체 방법 사용 여부 포함)를 돌려주어 단계 기록과 로그에 남긴다.
+ * 모든 방법이 실패하면 SelectorNotFoundError(시도한 방법 목록 포함)를 던진다.
+ */
+
+const winston = require('winston');
+const { SELECTOR_CATALOG_VERSION, SELECTORS } = require('./selector-catalog.js');
+const { SelectorNotFoundError } = require('./upload-errors.js');
+const { getSettings, getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+// 대체 방법의 기본 대기 시간 (첫 번째 방법은 화면 로딩을 기다리므로 설정의 화면 요소 대기 시간 사용)
+const FALLBACK_STRATEGY_TIMEOUT = 3000;
+
+// 카탈로그 항목 조회
+function getSelectorEntry(name) {
+  const entry = SELECTORS[name];
+  if (!entry) {
+    throw new Error(`선택자 카탈로그(v${SELECTOR_CATALOG_VERSION})에 "${name}" 항목이 없습니다.`);
+  }
+  return entry;
+}
+
+// 선택 방법의 {이름} 자리를 호출할 때 받은 값으로 채움 (값이 없으면 그대로 둠)
+function fillStrategyParams(strategy, params) {
+  if (!params) return strategy;
+  const fill = value => (typeof value === 'string'
+    ? value.replace(/\{(\w+)\}/g, (placeholder, key) => (params[key] !== undefined ? String(params[key]) : placeholder))
+    : value);
+  return { ...strategy, css: fill(strategy.css), text: fill(strategy.text), value: fill(strategy.value) };
+}
+
+// 브라우저에서 실행: 선택 방법 조건에 맞는 첫 요소 반환 (없으면 null)
+function matchStrategyInPage(strategy) {
+  const matches = (actual, expected, mode) => {
+    const normalized = (actual || '').trim();
+    return mode === 'includes' ? normalized.includes(expected) : normalized === expected;
+  };
+  const isVisible = element => {
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+  };
+
+  const candidates = Array.from(document.querySelectorAll(strategy.css));
+  for (const candidate of candidates) {
+    if (strategy.text !== undefined && !matches(candidate.textContent, strategy.text, strategy.match)) continue;
+    if (strategy.attribute && !matches(candidate.getAttribute(strategy.attribute), strategy.value, strategy.match)) continue;
+
+    const element = strategy.closest ? candidate.closest(strategy.closest) || candidate : candidate;
+    if (strategy.visible !== false && !isVisible(element)) continue;
+    return element;
+  }
+  return null;
+}
+
+// 선택 방법 하나로 요소 대기 (시간 초과 시 null)
+async function waitForStrategy(page, strategy, timeout) {
+  try {
+    const handle = await page.waitForFunction(matchStrategyInPage, { timeout, polling: 250 }, strategy);
+    const element = handle.asElement();
+    if (!element) {
+      await handle.dispose();
+      return null;
+    }
+    return element;
+  } catch (error) {
+    if (error.name === 'TimeoutError') return null;
+    throw error;
+  }
+}
+
+/**
+ * 카탈로그 논리 이름으로 요소 찾기
+ * @param {Page} page - puppeteer 페이지
+ * @param {string} name - 카탈로그 논리 이름 (예: 'upload.okButton')
+ * @param {Object} [options] - { timeout: 모든 방법에 적용할 대기 시간(ms), params: 선택 방법의 {이름} 자리에 채울 값 }
+ * @returns {Promise<Object>} { element, name, strategyIndex, strategyName, fallback }
+ */
+async function resolveElement(page, name, options = {}) {
+  const { strategies, description } = getSelectorEntry(name);
+  const tried = [];
+
+  for (let i = 0; i < strategies.length; i++) {
+    const strategy = fillStrategyParams(strategies[i], options.params);
+    const timeout = options.timeout || strategy.timeout || (i === 0 ? getSettings().timeouts.elementMs : FALLBACK_STRATEGY_TIMEOUT);
+    const element = await waitForStrategy(page, strategy, timeout);
+
+    if (element) {
+      if (i === 0) {
+        logger.info(`요소 찾음: ${name} (${strategy.name})`);
+      } else {
+        logger.warn(`요소 찾음: ${name} - 대체 방법 ${i + 1}번째 "${strategy.name}" 사용 (앞선 방법 실패: ${tried.join(', ')})`);
+      }
+      return { element, name, strategyIndex: i, strategyName: strategy.name, fallback: i > 0 };
+    }
+    tried.push(strategy.name);
+  }
+
+  throw new SelectorNotFoundError(`${description}을(를) 찾을 수 없습니다. (선택자 ${name}, 시도: ${tried.join(', ')})`, {
+    details: { name, catalogVersion: SELECTOR_CATALOG_VERSION, tried }
+  });
+}
+
+// 요소 찾기 - 찾지 못하면 오류 대신 null (있을 수도 있는 버튼 확인용)
+async function findElement(page, name, options = {}) {
+  try {
+    return await resolveElement(page, name, options);
+  } catch (error) {
+    if (error instanceof SelectorNotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * 요소를 찾아 클릭 (puppeteer 클릭이 가려진 요소 등으로 실패하면 브라우저 내 클릭으로 재시도)
+ * @returns {Promise<Object>} resolveElement 결과 (element는 정리됨)
+ */
+async function clickElement(page, name, options = {}) {
+  const resolved = await resolveElement(page, name, options);
+  try {
+    await resolved.element.click();
+  } catch (clickError) {
+    logger.warn(`${name} 클릭 실패, 브라우저 내 클릭으로 재시도: ${clickError.message}`);
+    await resolved.element.evaluate(element => element.click());
+  }
+  await resolved.element.dispose();
+  return { ...resolved, element: null };
+}
+
+/**
+ * 입력란을 찾아 기존 값을 지우고 텍스트 입력
+ * @returns {Promise<Object>} resolveElement 결과 (element는 정리됨)
+ */
+async function typeIntoElement(page, name, text, options = {}) {
+  const resolved = await resolveElement(page, name, options);
+  await resolved.element.click({ clickCount: 3 });
+  await page.keyboard.press('Backspace');
+  await resolved.element.type(text, { delay: options.delay || 0 });
+  await resolved.element.dispose();
+  return { ...resolved, element: null };
+}
+
+// 단계 기록에 남길 선택 결과 요약 { name, strategy, fallback }
+function describeResolution(resolved) {
+  return {
+    name: resolved.name,
+    strategy: resolved.strategyName,
+    fallback: resolved.fallback
+  };
+}
+
+module.exports = {
+  SELECTOR_CATALOG_VERSION,
+  getSelectorEntry,
+  resolveElement,
+  findElement,
+  clickElement,
+  typeIntoElement,
+  describeResolution
+};
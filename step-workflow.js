@@ -0,0 +1,279 @@
+/**
+ * 단계 워크플로 실행 모듈
+ * 업무 절차를 이름 있는 단계 목록으로 정의하고 순서대로 실행한다. 각 단계는 필요한 입력값, 만들어 내는 출력값,
+ * 제한 시간, 재시도 정책을 선언하며, 실행 중 단계 시작/완료/재시도/실패/건너뜀 진행 이벤트를 보낸다.
+ * 단계가 실패하면 어느 단계가 어떤 입력값으로 실패했는지 담은 WorkflowStepError를 던진다.
+ * startAt / stopAfter로 원하는 단계부터 시작하거나 원하는 단계까지만 실행할 수 있다 (건너뛴 단계의 출력값은 data로 넘긴다).
+ * afterStep을 지정하면 단계가 끝날 때마다(완료/실패) 기다려 호출한다 (단계별 증거 자료 저장 등).
+ * signal(AbortSignal)을 지정하면 단계 시작 전과 재시도 전에 확인하여, 취소되었으면 실행 중인 단계를 마친 뒤
+ * 지금까지의 단계별 결과를 담은 RunCancelledError를 던진다.
+ * 단계의 한 번 실행(시도)마다 중단 신호를 넘기며, 제한 시간이 지나면 그 신호로 중단을 알린다. 재시도할 단계는
+ * 이전 시도가 실제로 멈춘 뒤에 다시 실행하고, 정해진 시간 안에 멈추지 않으면 두 시도가 겹치지 않도록 재시도하지 않는다.
+ *
+ * 단계(step) 형식:
+ *   id        - 단계 식별자 (예: 'login')
+ *   number    - 화면 표시용 단계 번호 (1부터)
+ *   name      - 단계 이름 (로그, 결과 메시지, 화면 표시용)
+ *   inputs    - 실행 전에 data에 있어야 하는 값 이름 목록
+ *   outputs   - 실행 후에 data에 있어야 하는 값 이름 목록 (run이 돌려준 객체는 data에 합쳐짐)
+ *   timeoutMs - 한 번 실행의 제한 시간 (없으면 제한 없음)
+ *   retry     - { maxRetries, backoffMs, backoffFactor } (기본: 재시도 없음)
+ *   always    - true면 startAt 이전 단계여도 실행 (접속/로그인처럼 모든 단계의 전제가 되는 단계)
+ *   run(data, { signal }) - 단계 실행 함수 (signal: 이 시도의 중단 신호, 재시도하는 단계는 throwIfStepAborted로 확인)
+ */
+
+const winston = require('winston');
+const { getRetryDelay } = require('./upload-errors.js');
+const { getLogLevel } = require('./app-settings.js');
+const { RunCancelledError } = require('./run-cancellation.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 제한 시간이 지난 시도가 중단 신호를 보고 멈출 때까지 기다리는 최대 시간 (넘으면 재시도하지 않음)
+const ABORT_GRACE_MS = 30000;
+
+// 단계 실패 - 실패한 단계와 그 단계에 들어간 입력값, 지금까지의 단계별 결과를 포함
+class WorkflowStepError extends Error {
+  constructor(step, cause, details = {}) {
+    super(`${step.number}단계(${step.name}) 실패: ${cause.message}`);
+    this.name = 'WorkflowStepError';
+    this.stepId = step.id;
+    this.stepNumber = step.number;
+    this.stepName = step.name;
+    this.inputs = details.inputs || {};
+    this.attempts = details.attempts || 0;
+    this.timedOut = details.timedOut || false;
+    this.stepResults = details.stepResults || [];
+    this.cause = cause;
+  }
+}
+
+// 단계 번호 또는 id로 단계 위치 찾기
+function findStepIndex(steps, stepRef) {
+  const index = steps.findIndex(step => step.id === stepRef || step.number === Number(stepRef));
+  if (index === -1) {
+    throw new Error(`알 수 없는 단계: ${stepRef} (사용 가능: ${steps.map(step => `${step.number}/${step.id}`).join(', ')})`);
+  }
+  return index;
+}
+
+// 결과와 로그에 남길 값 요약 (브라우저 페이지 같은 객체는 종류만 표시)
+function summarizeValue(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return value.length > 200 ? `${value.slice(0, 200)}...` : value;
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return `[배열 ${value.length}개]`;
+  if (value.constructor && value.constructor !== Object) return `[${value.constructor.name}]`;
+  return JSON.parse(JSON.stringify(value));
+}
+
+// 단계 입력값 요약
+function snapshotInputs(step, data) {
+  const inputs = {};
+  (step.inputs || []).forEach(name => {
+    inputs[name] = summarizeValue(data[name]);
+  });
+  return inputs;
+}
+
+// data에 없는 값 이름 목록
+function findMissing(names, data) {
+  return (names || []).filter(name => data[name] === undefined || data[name] === null || data[name] === '');
+}
+
+/**
+ * 단계 시도가 중단되었으면 멈춤 (단계 실행 함수 안의 안전 지점에서 호출)
+ * @param {AbortSignal} [signal] - run()에 넘어온 시도 중단 신호
+ * @throws {Error} 중단 사유 (제한 시간 초과 오류)
+ */
+function throwIfStepAborted(signal) {
+  if (signal && signal.aborted) throw signal.reason;
+}
+
+// 제한 시간 안에 단계 실행 (시간이 지나면 시도를 중단하고 timedOut 표시된 오류)
+// waitForStopMs를 지정하면 중단한 시도가 멈출 때까지 그 시간만큼 기다리고, 멈추지 않으면 오류에 stillRunning 표시
+async function runWithTimeout(step, data, waitForStopMs = 0) {
+  const controller = new AbortController();
+  const running = Promise.resolve().then(() => step.run(data, { signal: controller.signal }));
+  if (!step.timeoutMs) return running;
+
+  const timedOut = Symbol('timedOut');
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(timedOut), step.timeoutMs);
+  });
+  const outcome = await Promise.race([running, timeout]).finally(() => clearTimeout(timer));
+  if (outcome !== timedOut) return outcome;
+
+  const error = new Error(`제한 시간 ${Math.round(step.timeoutMs / 1000)}초를 넘었습니다.`);
+  error.timedOut = true;
+  controller.abort(error);
+
+  if (waitForStopMs > 0) {
+    let stopTimer;
+    const stopped = await Promise.race([
+      running.then(() => true, () => true),
+      new Promise(resolve => { stopTimer = setTimeout(() => resolve(false), waitForStopMs); })
+    ]).finally(() => clearTimeout(stopTimer));
+    error.stillRunning = !stopped;
+  }
+  throw error;
+}
+
+// 화면/결과용 단계 정보
+function describeStep(step) {
+  return { id: step.id, number: step.number, name: step.name };
+}
+
+/**
+ * 단계 목록 실행
+ * @param {Array} steps - 단계 정의 목록 (실행 순서대로)
+ * @param {Object} [options] - { data: 초기 입력값, startAt, stopAfter: 단계 번호 또는 id, onProgress(event),
+ *   afterStep({ step, status: 'completed' | 'failed', error, data }): 단계 종료 처리 (오류는 기록만 하고 무시),
+ *   signal: 실행 취소 신호 }
+ * @returns {Promise<Object>} { data, stepResults, completedSteps }
+ * @throws {WorkflowStepError} 단계가 실패한 경우
+ * @throws {RunCancelledError} 실행이 취소된 경우 (error.stepResults에 단계별 결과)
+ */
+async function runWorkflow(steps, options = {}) {
+  const startIndex = options.startAt !== undefined && options.startAt !== null ? findStepIndex(steps, options.startAt) : 0;
+  const stopIndex = options.stopAfter !== undefined && options.stopAfter !== null ? findStepIndex(steps, options.stopAfter) : steps.length - 1;
+  if (stopIndex < startIndex) {
+    throw new Error(`종료 단계(${steps[stopIndex].number}단계)가 시작 단계(${steps[startIndex].number}단계)보다 앞에 있습니다.`);
+  }
+
+  const data = { ...(options.data || {}) };
+  const stepResults = steps.map(step => ({ ...describeStep(step), status: 'pending', attempts: 0 }));
+  const emit = (event) => {
+    if (!options.onProgress) return;
+    try {
+      options.onProgress(event);
+    } catch (callbackError) {
+      logger.warn(`진행 이벤트 처리 중 오류 (무시): ${callbackError.message}`);
+    }
+  };
+  const finishStep = async (step, status, error) => {
+    if (!options.afterStep) return;
+    try {
+      await options.afterStep({ step: describeStep(step), status, error: error ? error.message : null, data });
+    } catch (callbackError) {
+      logger.warn(`${step.number}단계 종료 처리 중 오류 (무시): ${callbackError.message}`);
+    }
+  };
+  // 취소되었으면 아직 실행하지 않은 단계를 미실행으로 표시하고 중단
+  const throwIfCancelled = (index, point) => {
+    if (!options.signal || !options.signal.aborted) return;
+    stepResults.slice(index).forEach(result => { result.status = 'not-run'; });
+    logger.warn(`실행 취소: ${point}에서 중단합니다.`);
+    const cancelledError = new RunCancelledError(point);
+    cancelledError.stepResults = stepResults;
+    emit({ type: 'cancel', step: describeStep(steps[index]) });
+    throw cancelledError;
+  };
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const stepResult = stepResults[i];
+
+    if (i > stopIndex || (i < startIndex && !step.always)) {
+      stepResult.status = 'skipped';
+      emit({ type: 'skip', step: describeStep(step) });
+      continue;
+    }
+
+    const policy = { maxRetries: 0, backoffMs: 0, ...(step.retry || {}) };
+    const startedAt = Date.now();
+    let lastError = null;
+
+    const missingInputs = findMissing(step.inputs, data);
+    if (missingInputs.length > 0) {
+      lastError = new Error(`입력값 없음: ${missingInputs.join(', ')}`);
+    } else {
+      for (let attempt = 1; attempt <= policy.maxRetries + 1; attempt++) {
+        throwIfCancelled(i, `${step.number}단계(${step.name}) ${attempt > 1 ? '재시도' : '시작'} 전`);
+        stepResult.attempts = attempt;
+        logger.info(`▶ ${step.number}단계(${step.name}) 시작${attempt > 1 ? ` - 재시도 ${attempt - 1}/${policy.maxRetries}` : ''}`);
+        emit({ type: 'start', step: describeStep(step), attempt });
+
+        try {
+          const outputs = await runWithTimeout(step, data, attempt <= policy.maxRetries ? ABORT_GRACE_MS : 0);
+          Object.assign(data, outputs || {});
+
+          const missingOutputs = findMissing(step.outputs, data);
+          if (missingOutputs.length > 0) {
+            throw new Error(`출력값 없음: ${missingOutputs.join(', ')}`);
+          }
+          lastError = null;
+          break;
+        } catch (error) {
+          lastError = error;
+          logger.error(`${step.number}단계(${step.name}) 시도 ${attempt} 실패: ${error.message}`);
+
+          if (error.stillRunning) {
+            logger.error(`${step.number}단계(${step.name})가 중단 요청 후에도 멈추지 않아 재시도하지 않습니다.`);
+            break;
+          }
+          if (attempt <= policy.maxRetries) {
+            const waitMs = getRetryDelay({ backoffFactor: 1, ...policy }, attempt);
+            logger.info(`${Math.round(waitMs / 1000)}초 후 ${step.number}단계를 재시도합니다.`);
+            emit({ type: 'retry', step: describeStep(step), attempt, error: error.message, waitMs });
+            await delay(waitMs);
+          }
+        }
+      }
+    }
+
+    stepResult.durationMs = Date.now() - startedAt;
+
+    if (lastError) {
+      stepResult.status = 'failed';
+      stepResult.error = lastError.message;
+      stepResult.inputs = snapshotInputs(step, data);
+      stepResults.slice(i + 1).forEach(result => { result.status = 'not-run'; });
+      emit({ type: 'fail', step: describeStep(step), attempt: stepResult.attempts, error: lastError.message, inputs: stepResult.inputs });
+      await finishStep(step, 'failed', lastError);
+
+      throw new WorkflowStepError(step, lastError, {
+        inputs: stepResult.inputs,
+        attempts: stepResult.attempts,
+        timedOut: lastError.timedOut === true,
+        stepResults
+      });
+    }
+
+    stepResult.status = 'completed';
+    logger.info(`✅ ${step.number}단계(${step.name}) 완료 (${Math.round(stepResult.durationMs / 1000)}초)`);
+    emit({ type: 'complete', step: describeStep(step), attempt: stepResult.attempts, durationMs: stepResult.durationMs });
+    await finishStep(step, 'completed');
+  }
+
+  return {
+    data,
+    stepResults,
+    completedSteps: stepResults.filter(result => result.status === 'completed').length
+  };
+}
+
+module.exports = {
+  WorkflowStepError,
+  runWorkflow,
+  throwIfStepAborted,
+  findStepIndex,
+  summarizeValue
+};
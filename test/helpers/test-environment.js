@@ -0,0 +1,118 @@
+/**
+ * 종단 간 테스트 환경 준비
+ * 임시 폴더(사용자 데이터, 다운로드, 전표 폴더)를 만들고 모의 D365 서버를 실행한 뒤,
+ * 앱 모듈이 쓰는 electron API(app.getPath, ipcMain, dialog)를 임시 폴더를 가리키는 대역으로 바꾼다.
+ * 앱 모듈은 처음 불러올 때 설정과 로그 수준을 읽으므로 반드시 setupTestEnvironment() 다음에 require 한다.
+ *
+ * 브라우저는 puppeteer가 설치 시 내려받은 브라우저를 사용하므로 PC에 Chrome이 없는 CI에서도 실행된다.
+ * 다른 브라우저로 실행하려면 PUPPETEER_EXECUTABLE_PATH로 실행 파일을 지정한다.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockD365Server } = require('../mock-d365/server.js');
+
+// 모의 ADFS에서 허용하는 테스트 계정
+const MOCK_CREDENTIALS = { username: 'rpa.tester@nepes.co.kr', password: 'mock-password' };
+
+// electron 모듈 대신 사용할 대역 (메인 프로세스 API 중 앱 모듈이 쓰는 부분만)
+function installFakeElectron({ userDataDir, selectedFolder }) {
+  const handlers = new Map();
+  const fakeElectron = {
+    app: {
+      getPath: () => userDataDir,
+      getVersion: () => '0.0.0-test',
+      isPackaged: false
+    },
+    ipcMain: {
+      handle: (channel, handler) => handlers.set(channel, handler),
+      on: () => {},
+      removeHandler: (channel) => handlers.delete(channel)
+    },
+    dialog: {
+      // 폴더 선택 대화상자는 테스트 전표 폴더를 선택한 것으로 처리
+      showOpenDialog: async () => ({ canceled: false, filePaths: [selectedFolder] }),
+      showMessageBox: async () => ({ response: 0 })
+    },
+    shell: {
+      openPath: async () => '',
+      showItemInFolder: () => {}
+    },
+    BrowserWindow: {
+      getAllWindows: () => []
+    }
+  };
+
+  const electronPath = require.resolve('electron');
+  require.cache[electronPath] = { id: electronPath, filename: electronPath, loaded: true, exports: fakeElectron };
+
+  // 렌더러의 ipcRenderer.invoke와 같은 방식으로 등록된 IPC 핸들러 호출
+  return {
+    invoke: async (channel, ...args) => {
+      const handler = handlers.get(channel);
+      if (!handler) throw new Error(`등록되지 않은 IPC 채널: ${channel}`);
+      return handler({ sender: null }, ...args);
+    }
+  };
+}
+
+/**
+ * 테스트 환경 준비
+ * @param {Object} [options] - { receivingRows: 모의 서버의 구매 입고내역 조회 결과 }
+ * @returns {Promise<Object>} { rootDir, userDataDir, downloadDir, voucherDir, server, ipc, credentials, cleanup() }
+ */
+async function setupTestEnvironment(options = {}) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ezvoucher-e2e-'));
+  const userDataDir = path.join(rootDir, 'userData');
+  const downloadDir = path.join(rootDir, 'downloads');
+  const voucherDir = path.join(rootDir, 'vouchers');
+  [userDataDir, downloadDir, voucherDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+  const server = await startMockD365Server({ credentials: MOCK_CREDENTIALS, receivingRows: options.receivingRows });
+
+  // 모의 서버를 테스트(TEST) 환경으로 지정, puppeteer 기본 브라우저를 화면 표시 없이 실행, 고정 대기 시간 최소 배율
+  const settings = {
+    activeEnvironment: 'TEST',
+    environments: {
+      TEST: { d365BaseUrl: server.url, company: 'K02', loginDomain: 'nepes.co.kr' }
+    },
+    downloadDir,
+    headless: true,
+    browserChannel: '',
+    timeouts: { navigationMs: 30000, loginMs: 10000, elementMs: 10000, delayScale: 0.5 },
+    evidence: { enabled: true, trace: false, keepRuns: 5 },
+    logLevel: 'warn'
+  };
+  fs.writeFileSync(path.join(userDataDir, 'app-settings.json'), JSON.stringify(settings, null, 2));
+
+  const ipc = installFakeElectron({ userDataDir, selectedFolder: voucherDir });
+
+  // 모듈별 rpa.log가 저장소 폴더에 쌓이지 않도록 임시 폴더에서 실행
+  const originalCwd = process.cwd();
+  process.chdir(rootDir);
+
+  // 자동화가 작업자 확인을 요청하면 테스트가 멈추지 않도록 작업 중단으로 응답
+  const { onOperatorAttentionChange, respondOperatorAction } = require('../../operator-attention.js');
+  const operatorRequests = [];
+  onOperatorAttentionChange(request => {
+    if (!request) return;
+    operatorRequests.push(request);
+    respondOperatorAction(request.id, 'abort');
+  });
+
+  const cleanup = async () => {
+    const { closeSession } = require('../../d365-session.js');
+    await closeSession();
+    await server.close();
+    process.chdir(originalCwd);
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  };
+
+  return { rootDir, userDataDir, downloadDir, voucherDir, server, ipc, operatorRequests, credentials: MOCK_CREDENTIALS, cleanup };
+}
+
+module.exports = {
+  MOCK_CREDENTIALS,
+  setupTestEnvironment
+};
@@ -0,0 +1,64 @@
+/**
+ * 매입송장 처리 단계 종단 간 테스트 (모의 D365)
+ * 1~2단계(로그인, 구매 입고내역 조회 및 다운로드)와 4~5단계(대기중인 공급사송장, 송장 입력)를 모의 D365에서 실행한다.
+ * 3단계(엑셀 매크로)는 Windows Excel이 필요하므로 건너뛰고, 4단계는 2단계에서 내려받은 파일을 그대로 읽는다.
+ */
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupTestEnvironment } = require('./helpers/test-environment.js');
+const { DEFAULT_RECEIVING_ROWS } = require('./mock-d365/server.js');
+
+describe('매입송장 처리 단계 (모의 D365)', { timeout: 600000 }, () => {
+  let env;
+  let invoiceModule;
+
+  before(async () => {
+    env = await setupTestEnvironment();
+    invoiceModule = require('../EZVoucher2.js');
+    invoiceModule.setCredentials(env.credentials.username, env.credentials.password);
+    invoiceModule.setSelectedDateRange({ year: 2025, month: 5, fromDate: '5/1/2025', toDate: '5/31/2025' });
+  });
+
+  after(async () => {
+    if (env) await env.cleanup();
+  });
+
+  it('로그인 후 구매 입고내역을 조회하여 엑셀로 내려받는다', async () => {
+    const result = await invoiceModule.connectToD365(env.credentials, { stopAfter: 'receivingInquiry' });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.company, 'K02');
+
+    assert.equal(env.server.state.logins.length, 1);
+    assert.deepEqual(env.server.state.receivingInquiries.map(({ company, from, to }) => ({ company, from, to })),
+      [{ company: 'K02', from: '5/1/2025', to: '5/31/2025' }]);
+
+    const downloads = fs.readdirSync(env.downloadDir).filter(name => name.endsWith('.xlsx'));
+    assert.equal(downloads.length, 1);
+    assert.equal(env.server.state.downloads.length, 1);
+  });
+
+  it('A열 그룹의 구매주문으로 송장을 만들고 엑셀 값을 입력해 저장한다', async () => {
+    invoiceModule.setValueA(1);
+    const result = await invoiceModule.connectToD365(env.credentials, { startAt: 'pendingVendorInvoice', stopAfter: 'invoiceEntry' });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.stepResults.filter(step => step.status === 'completed').map(step => step.id),
+      ['pendingVendorInvoice', 'invoiceEntry']);
+    assert.equal(env.operatorRequests.length, 0);
+
+    const groupRows = DEFAULT_RECEIVING_ROWS.filter(row => row.group === 1);
+    const [pending] = env.server.state.pendingInvoices;
+    assert.deepEqual([...pending.purchIds].sort(), groupRows.map(row => row.purchId).sort());
+    assert.equal(pending.invoiceDate, '5/31/2025');
+    assert.equal(pending.sumBy, '송장 계정');
+
+    assert.equal(env.server.state.invoices.length, 1);
+    const [invoice] = env.server.state.invoices;
+    assert.equal(invoice.pendingId, pending.pendingId);
+    assert.equal(invoice.description, groupRows[0].invoiceDescription);
+    assert.equal(invoice.fixedDueDate, '6/30/2025');
+    assert.equal(invoice.bizRegNum, '4138601441');
+    assert.equal(invoice.tenderId, '11');
+  });
+});
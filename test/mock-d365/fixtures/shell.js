@@ -0,0 +1,132 @@
+/**
+ * 모의 D365 공통 화면 스크립트
+ * 모든 화면 앞에 상단 탐색 막대(검색 버튼, 탐색 검색창, 사용자 버튼)와 왼쪽 즐겨찾기 창을 넣고,
+ * 화면 스크립트가 쓰는 공통 함수(window.mockD365)를 제공한다.
+ * 자동화는 문서의 첫 번째 텍스트 입력란을 탐색 검색창으로 사용하므로 탐색 막대를 body 맨 앞에 넣는다.
+ */
+(function () {
+  const params = new URLSearchParams(location.search);
+  const company = (params.get('cmp') || 'K02').toUpperCase();
+
+  // 탐색 검색창에서 찾을 수 있는 메뉴 (mi: 화면 이름)
+  const MENU_ITEMS = [
+    { label: '구매 입고내역 조회(N)', mi: 'NPS_VendPackingSlipSumReport' },
+    { label: '대기중인 공급사송장', mi: 'VendInvoicePendingList' },
+    { label: '엑셀 전표 업로드', mi: 'kpc_exceluploadforledgerjournal' },
+    { label: '일반 분개장', mi: 'LedgerJournalTable' }
+  ];
+
+  // 같은 회사의 다른 화면 주소
+  function pageUrl(mi, extra) {
+    const query = new URLSearchParams({ cmp: company, mi: mi, ...(extra || {}) });
+    return `/namespaces/AXSF/?${query.toString()}`;
+  }
+
+  function navigate(mi, extra) {
+    location.href = pageUrl(mi, extra);
+  }
+
+  // 모의 서버 API 호출 (오류 응답은 error 메시지로 예외)
+  async function api(apiPath, options) {
+    const separator = apiPath.includes('?') ? '&' : '?';
+    const response = await fetch(`/mock/api/${apiPath}${separator}cmp=${company}`, {
+      method: (options && options.method) || 'GET',
+      headers: (options && options.headers) || { 'Content-Type': 'application/json' },
+      body: options && options.body !== undefined
+        ? (typeof options.body === 'string' || options.body instanceof Blob ? options.body : JSON.stringify(options.body))
+        : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `요청 실패 (${response.status})`);
+    return data;
+  }
+
+  // 화면 위쪽 메시지 바에 메시지 추가
+  function showMessage(text, isError) {
+    const bar = document.getElementById('mockMessageBar');
+    if (!bar) return;
+    const message = document.createElement('div');
+    message.className = `messageBar-message${isError ? ' mock-error' : ''}`;
+    message.textContent = text;
+    bar.appendChild(message);
+  }
+
+  // ===== 상단 탐색 막대 =====
+  const navbar = document.createElement('div');
+  navbar.className = 'mock-navbar';
+  navbar.innerHTML = `
+    <div class="navigationSearchBox">
+      <input type="text" id="NavigationSearchBox" aria-label="검색할 페이지 이름" placeholder="기능 검색" autocomplete="off" style="display:none">
+      <div class="mock-search-results" style="display:none"></div>
+    </div>
+    <span class="mock-brand">Finance and Operations (모의)</span>
+    <span class="mock-spacer"></span>
+    <span class="button-commandRing Find-symbol" data-dyn-image-type="Symbol" role="button" title="검색"></span>
+    <span class="mock-company">${company}</span>
+    <button type="button" id="UserBtn">사용자</button>
+  `;
+
+  const searchInput = navbar.querySelector('#NavigationSearchBox');
+  const searchResults = navbar.querySelector('.mock-search-results');
+  searchResults.innerHTML = MENU_ITEMS
+    .map(item => `<div data-menu-item="${item.mi}" style="display:none">${item.label}</div>`)
+    .join('');
+
+  // 검색어가 포함된 메뉴만 표시
+  function filterMenu() {
+    const term = searchInput.value.trim();
+    let visibleCount = 0;
+    searchResults.querySelectorAll('[data-menu-item]').forEach(item => {
+      const visible = term !== '' && item.textContent.includes(term);
+      item.style.display = visible ? '' : 'none';
+      if (visible) visibleCount++;
+    });
+    searchResults.style.display = visibleCount > 0 ? '' : 'none';
+  }
+
+  function firstVisibleMenu() {
+    return Array.from(searchResults.querySelectorAll('[data-menu-item]')).find(item => item.style.display !== 'none');
+  }
+
+  navbar.querySelector('.Find-symbol').addEventListener('click', () => {
+    searchInput.style.display = '';
+    searchInput.focus();
+  });
+  searchInput.addEventListener('input', filterMenu);
+  searchInput.addEventListener('keydown', event => {
+    if (event.key !== 'Enter') return;
+    const item = firstVisibleMenu();
+    if (item) navigate(item.getAttribute('data-menu-item'));
+  });
+  // 결과 목록 어디를 눌러도 누른 항목(없으면 첫 번째 항목)으로 이동
+  searchResults.addEventListener('click', event => {
+    const item = event.target.closest('[data-menu-item]') || firstVisibleMenu();
+    if (item) navigate(item.getAttribute('data-menu-item'));
+  });
+
+  // ===== 왼쪽 탐색 창 (즐겨찾기) =====
+  const navpane = document.createElement('div');
+  navpane.className = 'mock-navpane';
+  navpane.innerHTML = `
+    <span class="workspace-image StarEmpty-symbol" data-dyn-title="즐겨찾기" data-dyn-image-type="Symbol" role="button"></span>
+    <div class="mock-favorites" style="display:none">
+      <div class="mock-favorites-title">즐겨찾기</div>
+      <div class="modulesPane-link modulesFlyout-isFavorite" data-dyn-selected="false" role="treeitem">
+        <a class="modulesPane-linkText" data-dyn-title="엑셀 전표 업로드" role="link">엑셀 전표 업로드</a>
+      </div>
+    </div>
+  `;
+
+  const favorites = navpane.querySelector('.mock-favorites');
+  navpane.querySelector('.StarEmpty-symbol').addEventListener('click', () => {
+    favorites.style.display = favorites.style.display === 'none' ? '' : 'none';
+  });
+  navpane.querySelector('.modulesPane-linkText').addEventListener('click', () => {
+    navigate('kpc_exceluploadforledgerjournal');
+  });
+
+  document.body.prepend(navpane);
+  document.body.prepend(navbar);
+
+  window.mockD365 = { company, params, pageUrl, navigate, api, showMessage };
+})();
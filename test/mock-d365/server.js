@@ -0,0 +1,412 @@
+/**
+ * 모의 D365 서버 (오프라인 테스트용)
+ * 실제 D365(d365.nepes.co.kr)와 ADFS 없이 전표 업로드와 매입송장 자동화를 실행해 볼 수 있도록
+ * 자동화가 조작하는 화면(ADFS 로그인, 즐겨찾기 메뉴, 엑셀 전표 업로드 대화상자, 탐색 검색창,
+ * 구매 입고내역 조회 그리드와 내보내기, 대기중인 공급사송장, 공급사송장 편집 화면과 저장 버튼)을
+ * fixtures 폴더의 정적 HTML로 제공하고, 화면에서 생성/저장한 분개장과 송장을 메모리에 기록한다.
+ *
+ * 단독 실행: node test/mock-d365/server.js [--port 8365]
+ *   설정 화면에서 TEST 환경의 D365 주소를 http://127.0.0.1:8365 로 지정하면 앱에서 바로 사용할 수 있다.
+ * 기록 확인: GET /mock/state (생성된 분개장, 조회/다운로드, 저장된 송장 목록)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildReceivingWorkbook, readVoucherLines } = require('./workbooks.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const AUTH_COOKIE = 'MockD365Auth';
+const DEFAULT_PORT = 8365;
+
+// D365 메뉴 항목(mi 주소 파라미터)별 화면 파일
+const PAGES = {
+  DefaultDashboard: 'dashboard.html',
+  kpc_exceluploadforledgerjournal: 'excel-upload.html',
+  LedgerJournalTable: 'ledger-journal.html',
+  NPS_VendPackingSlipSumReport: 'receiving-inquiry.html',
+  VendInvoicePendingList: 'pending-vendor-invoice.html',
+  VendEditInvoice: 'vend-edit-invoice.html'
+};
+
+// 엑셀 전표 업로드 화면의 분개장 이름 조회 목록
+const DEFAULT_JOURNAL_NAMES = ['일반전표(ARK)', '리스전표(ARK)', '역분개전표(ARK)', '일반전표(K02)'];
+
+// 구매 입고내역 조회 결과 기본 데이터 (그룹번호 = 매입송장 화면의 A열 값)
+const DEFAULT_RECEIVING_ROWS = [
+  {
+    group: 1, purchId: 'K02PO20250520008', vendorAccount: 'V300004650', vendorName: '(주)케이엠씨', amount: 880000,
+    invoiceNumber: '250522_V300004650_01', dueDate: '2025-06-30', invoiceDescription: '5월 서비스대표품 소모품(기타)_(주)케이엠씨', taxInvoiceDate: '2025-05-31'
+  },
+  {
+    group: 1, purchId: 'K02PO20250521003', vendorAccount: 'V300004650', vendorName: '(주)케이엠씨', amount: 520000,
+    invoiceNumber: '250522_V300004650_01', dueDate: '2025-06-30', invoiceDescription: '5월 서비스대표품 소모품(기타)_(주)케이엠씨', taxInvoiceDate: '2025-05-31'
+  },
+  {
+    group: 2, purchId: 'K02PO20250523011', vendorAccount: 'V300005076', vendorName: '(주)피엠텍', amount: 1250000,
+    invoiceNumber: '250523_V300005076_01', dueDate: '2025-07-10', invoiceDescription: '5월 설비 부품_(주)피엠텍', taxInvoiceDate: '2025-05-30'
+  }
+];
+
+// 요청 본문 읽기
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const body = await readBody(req);
+  return body.length > 0 ? JSON.parse(body.toString('utf-8')) : {};
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+function sendFixture(res, fileName) {
+  const filePath = path.join(FIXTURES_DIR, fileName);
+  const contentType = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+  }[path.extname(fileName)];
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`모의 화면 파일이 없습니다: ${fileName}`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(content);
+  });
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+function readCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const [name, ...value] = part.trim().split('=');
+    if (name) cookies[name] = value.join('=');
+  });
+  return cookies;
+}
+
+// 금액 합계 (소수점 둘째 자리 반올림)
+function sumAmounts(lines, key) {
+  return Math.round(lines.reduce((total, line) => total + line[key], 0) * 100) / 100;
+}
+
+/**
+ * 모의 D365 서버 시작
+ * @param {Object} [options] - {
+ *   port: 포트 (기본 0 - 사용 가능한 포트),
+ *   credentials: { username, password } 지정 시 이 계정만 로그인 허용 (기본: 비어 있지 않은 모든 계정),
+ *   journalNames: 분개장 이름 조회 목록,
+ *   receivingRows: 구매 입고내역 조회 결과 (DEFAULT_RECEIVING_ROWS 형식)
+ * }
+ * @returns {Promise<Object>} { url, port, state, close() }
+ */
+function startMockD365Server(options = {}) {
+  const journalNames = options.journalNames || DEFAULT_JOURNAL_NAMES;
+  const receivingRows = options.receivingRows || DEFAULT_RECEIVING_ROWS;
+  const sessions = new Set();
+  const uploads = new Map();
+
+  // 테스트에서 확인하는 기록
+  const state = {
+    logins: [],
+    journals: [],
+    receivingInquiries: [],
+    downloads: [],
+    pendingInvoices: [],
+    invoices: []
+  };
+
+  const findJournal = (journalNumber) => state.journals.find(journal => journal.journalNumber === journalNumber);
+  const findPendingInvoice = (pendingId) => state.pendingInvoices.find(pending => pending.pendingId === pendingId);
+
+  // ADFS 로그인 처리 (성공 시 세션 쿠키 발급 후 원래 주소로 이동)
+  async function handleAdfsLogin(req, res, url) {
+    const form = new URLSearchParams((await readBody(req)).toString('utf-8'));
+    const username = form.get('UserName') || '';
+    const password = form.get('Password') || '';
+    const returnUrl = url.searchParams.get('returnUrl') || '/namespaces/AXSF/?mi=DefaultDashboard';
+    const expected = options.credentials;
+    const accepted = username !== '' && password !== '' &&
+      (!expected || (expected.username === username && expected.password === password));
+
+    state.logins.push({ username, success: accepted, at: new Date().toISOString() });
+    if (!accepted) {
+      redirect(res, `/adfs/ls/?returnUrl=${encodeURIComponent(returnUrl)}&error=1`);
+      return;
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions.add(token);
+    redirect(res, returnUrl.startsWith('/') ? returnUrl : '/namespaces/AXSF/?mi=DefaultDashboard', {
+      'Set-Cookie': `${AUTH_COOKIE}=${token}; Path=/; HttpOnly`
+    });
+  }
+
+  // 엑셀 전표 업로드 화면의 마지막 "확인" - 업로드된 파일로 분개장 생성
+  async function createJournal(req, res, company) {
+    const { journalName, description, uploadId } = await readJson(req);
+    const upload = uploads.get(uploadId);
+    if (!journalNames.includes(journalName)) {
+      sendJson(res, 400, { error: `분개장 이름 "${journalName || ''}"이(가) 유효하지 않습니다.` });
+      return;
+    }
+    if (!description) {
+      sendJson(res, 400, { error: '설명을 입력해야 합니다. 분개장 생성 오류' });
+      return;
+    }
+    if (!upload) {
+      sendJson(res, 400, { error: '업로드할 파일이 선택되지 않았습니다. 분개장 생성 오류' });
+      return;
+    }
+
+    let lines;
+    try {
+      lines = await readVoucherLines(upload.buffer);
+    } catch (error) {
+      sendJson(res, 400, { error: `엑셀 파일 읽기 오류: ${error.message}` });
+      return;
+    }
+
+    const journal = {
+      journalNumber: `GJ-${String(state.journals.length + 1).padStart(6, '0')}`,
+      company,
+      journalName,
+      description,
+      fileName: upload.fileName,
+      lines,
+      totalDebit: sumAmounts(lines, 'debit'),
+      totalCredit: sumAmounts(lines, 'credit'),
+      validated: false,
+      posted: false,
+      createdAt: new Date().toISOString()
+    };
+    state.journals.push(journal);
+    sendJson(res, 200, { journalNumber: journal.journalNumber });
+  }
+
+  // 분개장 유효성 검사 / 전기
+  function runJournalAction(res, journal, action) {
+    if (!journal) {
+      sendJson(res, 404, { error: '분개장을 찾을 수 없습니다.' });
+      return;
+    }
+    if (action === 'validate') {
+      journal.validated = true;
+      sendJson(res, 200, { message: `분개장 ${journal.journalNumber} 유효성 검사를 완료했습니다. 라인 ${journal.lines.length}개` });
+      return;
+    }
+    journal.posted = true;
+    sendJson(res, 200, { message: `분개장 ${journal.journalNumber}이(가) 전기되었습니다.` });
+  }
+
+  // 구매 입고내역 조회 조건 기록 후 결과 행 반환
+  function queryReceiving(res, url, company) {
+    const inquiry = { company, fromDate: url.searchParams.get('from'), toDate: url.searchParams.get('to'), at: new Date().toISOString() };
+    state.receivingInquiries.push(inquiry);
+    sendJson(res, 200, { rows: receivingRows });
+  }
+
+  // 구매 입고내역 "모든 행 내보내기" 다운로드 (실제 D365처럼 첨부 파일로 전송)
+  function exportReceiving(res) {
+    const fileName = '구매 입고내역 조회(N).xlsx';
+    state.downloads.push({ fileName, rowCount: receivingRows.length, at: new Date().toISOString() });
+    res.writeHead(200, {
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="receiving-export.xlsx"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    });
+    res.end(buildReceivingWorkbook(receivingRows));
+  }
+
+  // 대기중인 공급사송장 - 선택한 제품 입고로 송장 만들기 (Alt+Enter)
+  async function createPendingInvoice(req, res, company) {
+    const { purchIds } = await readJson(req);
+    const rows = receivingRows.filter(row => (purchIds || []).includes(row.purchId));
+    if (rows.length === 0) {
+      sendJson(res, 400, { error: '선택한 제품 입고가 없습니다.' });
+      return;
+    }
+
+    const pending = {
+      pendingId: String(state.pendingInvoices.length + 1),
+      company,
+      purchIds: rows.map(row => row.purchId),
+      invoiceNumber: rows[0].invoiceNumber,
+      vendorAccount: rows[0].vendorAccount,
+      vendorName: rows[0].vendorName,
+      invoiceDate: null,
+      sumBy: null,
+      createdAt: new Date().toISOString()
+    };
+    state.pendingInvoices.push(pending);
+    sendJson(res, 200, pending);
+  }
+
+  // 송장 머리글 값 변경 (송장 일자, 송장 통합 기준)
+  async function updatePendingInvoice(req, res, pending) {
+    if (!pending) {
+      sendJson(res, 404, { error: '송장을 찾을 수 없습니다.' });
+      return;
+    }
+    const changes = await readJson(req);
+    ['invoiceDate', 'sumBy'].forEach(field => {
+      if (changes[field] !== undefined) pending[field] = changes[field];
+    });
+    sendJson(res, 200, pending);
+  }
+
+  // 공급사송장 편집 화면의 "저장"
+  async function saveInvoice(req, res) {
+    const fields = await readJson(req);
+    const pending = findPendingInvoice(fields.pendingId);
+    if (!pending) {
+      sendJson(res, 400, { error: '저장할 송장을 찾을 수 없습니다.' });
+      return;
+    }
+
+    const invoice = {
+      ...pending,
+      description: fields.description,
+      fixedDueDate: fields.fixedDueDate,
+      bizRegNum: fields.bizRegNum,
+      tenderId: fields.tenderId,
+      savedAt: new Date().toISOString()
+    };
+    const index = state.invoices.findIndex(saved => saved.pendingId === pending.pendingId);
+    if (index >= 0) state.invoices[index] = invoice;
+    else state.invoices.push(invoice);
+    sendJson(res, 200, { message: `송장 ${pending.invoiceNumber}이(가) 저장되었습니다.` });
+  }
+
+  async function handleApi(req, res, url, segments) {
+    const [resource, id, action] = segments;
+    const company = (url.searchParams.get('cmp') || '').toUpperCase();
+
+    if (resource === 'uploads' && req.method === 'POST') {
+      const uploadId = crypto.randomBytes(8).toString('hex');
+      uploads.set(uploadId, { fileName: decodeURIComponent(req.headers['x-file-name'] || ''), buffer: await readBody(req) });
+      sendJson(res, 200, { uploadId });
+      return;
+    }
+    if (resource === 'journal-names') return sendJson(res, 200, { names: journalNames });
+    if (resource === 'journals' && !id && req.method === 'POST') return createJournal(req, res, company);
+    if (resource === 'journals' && id && !action) {
+      const journal = findJournal(id);
+      return journal ? sendJson(res, 200, journal) : sendJson(res, 404, { error: '분개장을 찾을 수 없습니다.' });
+    }
+    if (resource === 'journals' && ['validate', 'post'].includes(action) && req.method === 'POST') {
+      return runJournalAction(res, findJournal(id), action);
+    }
+    if (resource === 'receiving' && !id) return queryReceiving(res, url, company);
+    if (resource === 'receiving' && id === 'export') return exportReceiving(res);
+    if (resource === 'packing-slips') return sendJson(res, 200, { rows: receivingRows });
+    if (resource === 'pending-invoices' && !id && req.method === 'POST') return createPendingInvoice(req, res, company);
+    if (resource === 'pending-invoices' && id) {
+      const pending = findPendingInvoice(id);
+      if (req.method === 'POST') return updatePendingInvoice(req, res, pending);
+      return pending ? sendJson(res, 200, pending) : sendJson(res, 404, { error: '송장을 찾을 수 없습니다.' });
+    }
+    if (resource === 'invoices' && req.method === 'POST') return saveInvoice(req, res);
+
+    sendJson(res, 404, { error: `알 수 없는 요청: ${req.method} ${url.pathname}` });
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    // ADFS 로그인 화면
+    if (url.pathname === '/adfs/ls/') {
+      if (req.method === 'POST') return handleAdfsLogin(req, res, url);
+      return sendFixture(res, 'adfs-login.html');
+    }
+
+    // 테스트 확인용 기록 (로그인 불필요)
+    if (url.pathname === '/mock/state') {
+      return sendJson(res, 200, state);
+    }
+
+    // 화면 공통 스크립트/스타일
+    if (segments[0] === 'mock' && segments[1] === 'static' && segments.length === 3) {
+      return sendFixture(res, path.basename(segments[2]));
+    }
+
+    // 이하 로그인 필요 - 세션이 없으면 ADFS 로그인 화면으로 이동
+    const authenticated = sessions.has(readCookies(req)[AUTH_COOKIE]);
+
+    if (segments[0] === 'mock' && segments[1] === 'api') {
+      if (!authenticated) return sendJson(res, 401, { error: '로그인이 필요합니다.' });
+      return handleApi(req, res, url, segments.slice(2));
+    }
+
+    if (url.pathname === '/namespaces/AXSF/') {
+      if (!authenticated) return redirect(res, `/adfs/ls/?returnUrl=${encodeURIComponent(req.url)}`);
+      const page = PAGES[url.searchParams.get('mi') || 'DefaultDashboard'];
+      return page ? sendFixture(res, page) : sendFixture(res, 'dashboard.html');
+    }
+
+    if (url.pathname === '/') return redirect(res, '/namespaces/AXSF/?mi=DefaultDashboard');
+
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not Found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+      else res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, options.host || '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        port,
+        state,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_NAMES,
+  DEFAULT_RECEIVING_ROWS,
+  startMockD365Server
+};
+
+// 단독 실행
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex >= 0 ? parseInt(process.argv[portIndex + 1]) : DEFAULT_PORT;
+
+  startMockD365Server({ port }).then(({ url }) => {
+    console.log(`모의 D365 서버 실행 중: ${url}`);
+    console.log(`설정 화면에서 TEST 환경의 D365 주소를 ${url} 로 지정하세요. (종료: Ctrl+C)`);
+  }).catch(error => {
+    console.error(`모의 D365 서버 시작 실패: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * 모의 D365 테스트용 엑셀 파일 모듈
+ * 테스트가 쓰는 엑셀 파일(ARK 전표업로드 파일, 구매 입고내역 조회(N) 내보내기 파일)을 실제 파일과 같은 형식으로 만들고,
+ * 모의 서버가 업로드된 전표 파일에서 분개장 라인을 읽는다.
+ */
+
+const ExcelJS = require('exceljs');
+const xlsx = require('xlsx');
+
+// 전표업로드 파일 시트와 헤더 (voucher-validator.js 필수 컬럼 포함)
+const VOUCHER_SHEET_NAME = '전표템플릿';
+const VOUCHER_COLUMNS = ['전표번호', '회계일자', '증빙일자', '계정유형', '회계계정', '차변 금액', '대변 금액', '통화', '적요'];
+
+// 구매 입고내역 조회(N) 내보내기 컬럼 (A~AV, 48개) - 매입송장 4단계는 A(0), B(1), I(8), AT(45), AU(46), AV(47)열을 읽음
+const RECEIVING_COLUMNS = [
+  '그룹번호', '구매주문', '로트 ID', '라인 번호', '발주 일자', '납품 일자', '입고 일자', '입고 시간', '주문 계정', '구매처명',
+  '구매주문 상태', '구매요청번호', '구매 요청', '구매요청자', '품목', '품목명', '디스크립션', '품목 그룹', '품목그룹명', '추적차원명',
+  '시스템릴리즈', '사이트', '창고', '창고명', '구매자 그룹', '구매자그룹명', '발주수량', '입고 수량', '단위', '통화',
+  '단가', '입고금액(통화)', '입고금액', '코스트센터', '부서', '투자오더', '국첵과제', '손익센터', '프로젝트', '절감 내용',
+  '절감금액(통화)', '절감금액', '발주형태', '송장번호', '송장여부', '만기일', '송장 설명', '세금계산서일자'
+];
+
+// 날짜 문자열(YYYY-MM-DD)을 엑셀 날짜 일련번호로 변환 (내보내기 파일은 날짜를 일련번호로 저장)
+function toExcelSerial(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * 전표업로드 엑셀 파일 만들기
+ * @param {string} filePath - 저장할 경로 (파일명은 "번호.(설명).xlsx" 형식)
+ * @param {Object[]} lines - { voucherNo, date: 'YYYY-MM-DD', accountType, account, debit, credit, currency, description }
+ */
+async function writeVoucherWorkbook(filePath, lines) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(VOUCHER_SHEET_NAME);
+  sheet.addRow(['ARK 전표업로드']);
+  sheet.addRow(VOUCHER_COLUMNS);
+  lines.forEach(line => {
+    const date = new Date(`${line.date}T00:00:00Z`);
+    sheet.addRow([
+      line.voucherNo,
+      date,
+      date,
+      line.accountType || '원장',
+      line.account,
+      line.debit || 0,
+      line.credit || 0,
+      line.currency || 'KRW',
+      line.description || ''
+    ]);
+  });
+  await workbook.xlsx.writeFile(filePath);
+}
+
+// 셀 값을 문자열/숫자로 (수식 셀은 결과 값)
+function plainValue(value) {
+  if (value && typeof value === 'object' && 'result' in value) return value.result;
+  return value;
+}
+
+/**
+ * 업로드된 전표 파일에서 분개장 라인 읽기 (모의 서버의 분개장 생성용)
+ * @param {Buffer} buffer - 엑셀 파일 내용
+ * @returns {Promise<Object[]>} { account, debit, credit, description }
+ */
+async function readVoucherLines(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.getWorksheet(VOUCHER_SHEET_NAME) || workbook.worksheets[0];
+  if (!sheet) throw new Error('워크북에 시트가 없습니다.');
+
+  // 헤더 행 찾기 ("전표번호" 셀이 있는 행)
+  let headerRow = null;
+  const columns = {};
+  sheet.eachRow((row, rowNumber) => {
+    if (headerRow) return;
+    row.eachCell((cell) => {
+      if (String(plainValue(cell.value) || '').trim() === '전표번호') headerRow = rowNumber;
+    });
+    if (headerRow === rowNumber) {
+      row.eachCell((cell, colNumber) => {
+        columns[String(plainValue(cell.value) || '').trim()] = colNumber;
+      });
+    }
+  });
+  if (!headerRow) throw new Error('헤더 행("전표번호")을 찾을 수 없습니다.');
+
+  const lines = [];
+  for (let rowNumber = headerRow + 1; rowNumber <= sheet.rowCount; rowNumber++) {
+    const row = sheet.getRow(rowNumber);
+    const cellOf = (name) => (columns[name] ? plainValue(row.getCell(columns[name]).value) : null);
+    if (cellOf('전표번호') === null || cellOf('전표번호') === '') continue;
+
+    lines.push({
+      account: String(cellOf('회계계정')),
+      debit: Number(cellOf('차변 금액')) || 0,
+      credit: Number(cellOf('대변 금액')) || 0,
+      description: cellOf('적요') || ''
+    });
+  }
+  return lines;
+}
+
+/**
+ * 구매 입고내역 조회(N) 내보내기 엑셀 만들기
+ * @param {Object[]} rows - { group, purchId, lotId, vendorAccount, vendorName, amount, invoiceNumber, dueDate, invoiceDescription, taxInvoiceDate }
+ * @returns {Buffer} xlsx 파일 내용
+ */
+function buildReceivingWorkbook(rows) {
+  const data = [RECEIVING_COLUMNS];
+  rows.forEach((row, index) => {
+    const values = new Array(RECEIVING_COLUMNS.length).fill(null);
+    values[0] = row.group;
+    values[1] = row.purchId;
+    values[2] = row.lotId || `K02LOT${String(index + 1).padStart(9, '0')}`;
+    values[3] = row.lineNumber || 1;
+    values[8] = row.vendorAccount;
+    values[9] = row.vendorName;
+    values[10] = 'Received';
+    values[27] = 1;
+    values[29] = 'KRW';
+    values[32] = row.amount;
+    values[43] = row.invoiceNumber;
+    values[44] = 'N';
+    values[45] = toExcelSerial(row.dueDate);
+    values[46] = row.invoiceDescription;
+    values[47] = toExcelSerial(row.taxInvoiceDate);
+    data.push(values);
+  });
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(data), 'Sheet1');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  RECEIVING_COLUMNS,
+  toExcelSerial,
+  writeVoucherWorkbook,
+  readVoucherLines,
+  buildReceivingWorkbook
+};
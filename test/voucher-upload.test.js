@@ -0,0 +1,103 @@
+/**
+ * 엑셀 전표 업로드 종단 간 테스트 (모의 D365)
+ * 렌더러와 같은 IPC 채널(select-folder → process-selected-files)로 processAllFiles를 실행하여
+ * ADFS 로그인, 즐겨찾기 메뉴, 엑셀 전표 업로드 대화상자, 분개장 라인 대사, 유효성 검사/전기까지 확인한다.
+ * 대사 / 전기 / 원장 확인은 업로드 결과를 쓰므로 업로드 테스트의 하위 테스트로 실행한다 (업로드가 실패하면 함께 실패).
+ */
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnvironment } = require('./helpers/test-environment.js');
+const { writeVoucherWorkbook } = require('./mock-d365/workbooks.js');
+
+describe('엑셀 전표 업로드 (모의 D365)', { timeout: 600000 }, () => {
+  let env;
+
+  before(async () => {
+    env = await setupTestEnvironment();
+
+    // 1번: 기본 설정 (업로드 후 대사만), 2번: 유효성 검사 후 전기 권한이 있는 규칙
+    await writeVoucherWorkbook(path.join(env.voucherDir, '1.(5월 소모품비).xlsx'), [
+      { voucherNo: 1, date: '2025-05-31', account: '53010101', debit: 150000, description: '5월 소모품 구입' },
+      { voucherNo: 1, date: '2025-05-31', account: '25310101', credit: 150000, description: '5월 소모품 구입' }
+    ]);
+    await writeVoucherWorkbook(path.join(env.voucherDir, '2.(5월 지급수수료).xlsx'), [
+      { voucherNo: 1, date: '2025-05-31', account: '53110101', debit: 1250000.5, description: '5월 지급수수료' },
+      { voucherNo: 1, date: '2025-05-31', account: '25310101', credit: 1250000.5, description: '5월 지급수수료' }
+    ]);
+    fs.writeFileSync(path.join(env.voucherDir, 'voucher-upload-config.json'), JSON.stringify({
+      default: { journalName: '일반전표(ARK)' },
+      rules: [{ fileNumbers: [2], postingMode: 'validate-post', allowPosting: true }]
+    }, null, 2));
+
+    const ezVoucher = require('../EZVoucher.js');
+    ezVoucher.setCredentials(env.credentials.username, env.credentials.password);
+
+    const folder = await env.ipc.invoke('select-folder');
+    assert.equal(folder.success, true);
+  });
+
+  after(async () => {
+    if (env) await env.cleanup();
+  });
+
+  it('열린 회계기간이 아닌 전표는 사전 검증에서 차단하고 브라우저를 실행하지 않는다', async () => {
+    const validation = await env.ipc.invoke('validate-voucher-files', 1, 2, { openPeriod: '2025-06' });
+    assert.equal(validation.success, true, validation.error);
+    assert.equal(validation.report.blocked, true);
+    validation.report.files.forEach(report => {
+      assert.equal(report.blocking, true);
+      assert.ok(report.errors.some(error => error.includes('열린 회계기간(2025-06)')), report.errors.join(' / '));
+    });
+
+    const result = await env.ipc.invoke('process-selected-files', 1, 2, { openPeriod: '2025-06' });
+    assert.equal(result.success, false);
+    assert.equal(result.blocked, true);
+    assert.equal(env.server.state.logins.length, 0);
+    assert.equal(env.server.state.journals.length, 0);
+  });
+
+  it('범위의 파일을 모두 업로드하여 분개장을 만든다', async (t) => {
+    const result = await env.ipc.invoke('process-selected-files', 1, 2);
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.successCount, 2);
+    assert.equal(result.failCount, 0);
+    assert.equal(env.operatorRequests.length, 0);
+
+    const journals = env.server.state.journals;
+    assert.equal(journals.length, 2);
+    assert.deepEqual(journals.map(journal => journal.description), ['5월 소모품비', '5월 지급수수료']);
+    journals.forEach(journal => {
+      assert.equal(journal.company, 'K02');
+      assert.equal(journal.journalName, '일반전표(ARK)');
+    });
+    assert.deepEqual(result.results.map(file => file.journalNumber), journals.map(journal => journal.journalNumber));
+
+    await t.test('만든 분개장 라인을 원본 엑셀과 대사한다', () => {
+      result.results.forEach(file => {
+        assert.equal(file.reconciliation.status, 'matched', JSON.stringify(file.reconciliation));
+      });
+    });
+
+    await t.test('전기 권한이 있는 규칙의 파일만 유효성 검사 후 전기한다', () => {
+      const [first, second] = result.results;
+      assert.equal(first.posting, null);
+      assert.equal(second.posting.status, 'posted');
+
+      const [firstJournal, secondJournal] = env.server.state.journals;
+      assert.equal(firstJournal.posted, false);
+      assert.equal(secondJournal.validated, true);
+      assert.equal(secondJournal.posted, true);
+    });
+
+    await t.test('업로드한 파일을 원장에 기록하여 중복 업로드로 알린다', async () => {
+      const check = await env.ipc.invoke('check-duplicate-uploads', 1, 2);
+      assert.equal(check.success, true);
+      assert.deepEqual(check.duplicates.map(duplicate => duplicate.previousUpload.journalNumber),
+        env.server.state.journals.map(journal => journal.journalNumber));
+    });
+  });
+});
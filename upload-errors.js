@@ -0,0 +1,255 @@
+/**
+ * 전표 업로드 오류 분류 모듈
+ * 업로드 중 발생한 오류를 네트워크/VPN, 인증, 화면 요소 없음, D365 검증 메시지, 파일 문제로 분류하고
+ * 유형별 재시도 정책(재시도 횟수, 대기 시간, 재시도 전 페이지 복구 방법)과 화면에 표시할 해결 방법을 제공한다.
+ *
+ * 재시도 정책은 작업 폴더의 voucher-upload-config.json "retryPolicies"로 유형별로 덮어쓸 수 있다.
+ * 예: { "retryPolicies": { "network": { "maxRetries": 3, "backoffMs": 20000 } } }
+ */
+
+// 업로드 오류 기본 클래스 (분류되지 않은 오류는 unknown)
+class VoucherUploadError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.errorClass = 'unknown';
+    this.details = options.details || {};
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+// D365 접속 실패, 연결 끊김, 페이지 로드 시간 초과 (VPN 미연결 포함)
+class NetworkError extends VoucherUploadError {
+  constructor(message, options) {
+    super(message, options);
+    this.errorClass = 'network';
+  }
+}
+
+// ADFS 로그인 실패, 세션 만료
+class AuthenticationError extends VoucherUploadError {
+  constructor(message, options) {
+    super(message, options);
+    this.errorClass = 'auth';
+  }
+}
+
+// D365 화면에서 버튼, 메뉴, 입력란을 찾지 못함
+class SelectorNotFoundError extends VoucherUploadError {
+  constructor(message, options) {
+    super(message, options);
+    this.errorClass = 'selector';
+  }
+}
+
+// D365가 업로드한 전표를 오류 메시지와 함께 거부함
+class D365ValidationError extends VoucherUploadError {
+  constructor(message, options) {
+    super(message, options);
+    this.errorClass = 'd365-validation';
+  }
+}
+
+// 엑셀 파일 없음, 잠김, 파일명 형식 오류
+class VoucherFileError extends VoucherUploadError {
+  constructor(message, options) {
+    super(message, options);
+    this.errorClass = 'file';
+  }
+}
+
+const ERROR_TYPES = {
+  network: NetworkError,
+  auth: AuthenticationError,
+  selector: SelectorNotFoundError,
+  'd365-validation': D365ValidationError,
+  file: VoucherFileError,
+  unknown: VoucherUploadError
+};
+
+// 오류 유형별 화면 표시 라벨과 해결 방법
+const ERROR_CLASS_INFO = {
+  network: {
+    label: '네트워크/VPN',
+    remediation: [
+      '사내망 또는 VPN 연결 상태를 확인해주세요',
+      '브라우저에서 D365 사이트(설정 화면의 D365 주소)가 열리는지 확인해주세요',
+      '연결이 복구되면 중단된 배치를 이어서 실행해주세요'
+    ]
+  },
+  auth: {
+    label: '로그인/인증',
+    remediation: [
+      '로그인 아이디와 비밀번호가 올바른지 확인해주세요',
+      '비밀번호 만료 또는 계정 잠금 여부를 확인해주세요',
+      'ADFS 로그인 화면에서 추가 인증이 필요한지 확인해주세요'
+    ]
+  },
+  selector: {
+    label: '화면 요소 없음',
+    remediation: [
+      'D365 화면 로딩이 지연되었거나 화면 구성이 바뀌었을 수 있습니다',
+      '리허설 모드로 실행하여 실패한 단계의 스크린샷을 확인해주세요',
+      'D365 즐겨찾기에 "엑셀 전표 업로드" 메뉴가 있는지 확인해주세요'
+    ]
+  },
+  'd365-validation': {
+    label: 'D365 검증 오류',
+    remediation: [
+      'D365가 전표 내용을 거부했습니다. D365 메시지를 확인해주세요',
+      '계정 코드, 재무 차원, 회계기간이 올바른지 엑셀 파일을 수정해주세요',
+      '수정한 파일만 다시 업로드해주세요'
+    ]
+  },
+  file: {
+    label: '파일 문제',
+    remediation: [
+      '엑셀 파일이 다른 프로그램에서 열려 있으면 닫아주세요',
+      '파일이 이동되거나 삭제되지 않았는지 확인해주세요',
+      '파일명에 괄호 안 설명 텍스트가 있는지 확인해주세요'
+    ]
+  },
+  unknown: {
+    label: '기타 오류',
+    remediation: [
+      '네트워크 연결 상태를 확인해주세요',
+      '로그인 정보가 올바른지 확인해주세요',
+      '잠시 후 다시 시도해주세요'
+    ]
+  }
+};
+
+// 재시도 전 페이지 복구 방법: reload 새로고침 / relogin 대시보드 재접속 후 필요 시 로그인 / fresh-page 새 탭에서 다시 접속 / none 복구 없음
+const RECOVERY_METHODS = ['none', 'reload', 'relogin', 'fresh-page'];
+
+// 오류 유형별 기본 재시도 정책 (maxRetries 0은 재시도하지 않음)
+const DEFAULT_RETRY_POLICIES = {
+  network: { maxRetries: 2, backoffMs: 10000, backoffFactor: 2, recovery: 'fresh-page' },
+  auth: { maxRetries: 1, backoffMs: 5000, backoffFactor: 1, recovery: 'relogin' },
+  selector: { maxRetries: 1, backoffMs: 5000, backoffFactor: 1, recovery: 'reload' },
+  'd365-validation': { maxRetries: 0, backoffMs: 0, backoffFactor: 1, recovery: 'none' },
+  file: { maxRetries: 0, backoffMs: 0, backoffFactor: 1, recovery: 'none' },
+  unknown: { maxRetries: 1, backoffMs: 5000, backoffFactor: 1, recovery: 'reload' }
+};
+
+// 분류되지 않은 오류(puppeteer, Node.js 오류)의 메시지로 유형 추정
+const NETWORK_PATTERN = /net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|Navigation timeout|Target closed|Session closed|Protocol error|detached Frame|Execution context was destroyed|네트워크/i;
+const AUTH_PATTERN = /login\.microsoftonline|adfs|로그인|인증|비밀번호|password/i;
+const SELECTOR_PATTERN = /waiting for selector|failed to find|No element found|No node found|찾을 수 없|찾지 못/i;
+const FILE_ERROR_CODES = ['ENOENT', 'EBUSY', 'EACCES', 'EPERM'];
+
+// D365 메시지 바에 표시되는 오류 메시지 판별
+const D365_ERROR_PATTERN = /오류|실패|유효하지 않|올바르지 않|error|failed|invalid/i;
+
+/**
+ * 오류 유형 판별
+ * @param {Error} error - 발생한 오류
+ * @returns {string} network / auth / selector / d365-validation / file / unknown
+ */
+function classifyError(error) {
+  if (error instanceof VoucherUploadError) return error.errorClass;
+
+  const message = (error && error.message) || '';
+  if (error && FILE_ERROR_CODES.includes(error.code)) return 'file';
+  if (NETWORK_PATTERN.test(message)) return 'network';
+  if (AUTH_PATTERN.test(message)) return 'auth';
+  if (SELECTOR_PATTERN.test(message)) return 'selector';
+  return 'unknown';
+}
+
+/**
+ * 오류를 유형별 업로드 오류 클래스로 변환 (단계 기록 등 오류에 붙은 정보는 유지)
+ * @param {Error} error - 발생한 오류
+ * @param {string} [fallbackClass] - 메시지로 유형을 알 수 없을 때 사용할 유형
+ * @returns {VoucherUploadError}
+ */
+function toUploadError(error, fallbackClass = 'unknown') {
+  if (error instanceof VoucherUploadError) return error;
+
+  let errorClass = classifyError(error);
+  if (errorClass === 'unknown') errorClass = fallbackClass;
+
+  const ErrorType = ERROR_TYPES[errorClass] || VoucherUploadError;
+  const uploadError = new ErrorType(error.message, { cause: error });
+  ['steps', 'finalSubmitAttempted'].forEach(key => {
+    if (error[key] !== undefined) uploadError[key] = error[key];
+  });
+  return uploadError;
+}
+
+/**
+ * 오류 유형에 적용할 재시도 정책
+ * @param {string} errorClass - 오류 유형
+ * @param {Object} [overrides] - 설정 파일의 retryPolicies
+ * @returns {Object} { maxRetries, backoffMs, backoffFactor, recovery }
+ */
+function getRetryPolicy(errorClass, overrides = {}) {
+  const defaults = DEFAULT_RETRY_POLICIES[errorClass] || DEFAULT_RETRY_POLICIES.unknown;
+  return { ...defaults, ...(overrides[errorClass] || {}) };
+}
+
+// n번째 재시도 전 대기 시간 (backoffFactor 배수로 증가)
+function getRetryDelay(policy, attempt) {
+  return Math.round(policy.backoffMs * Math.pow(policy.backoffFactor || 1, attempt - 1));
+}
+
+// 재시도 정책 설정 형식 검사 - 오류 메시지 목록 반환
+function checkRetryPolicies(retryPolicies) {
+  if (!retryPolicies || typeof retryPolicies !== 'object' || Array.isArray(retryPolicies)) {
+    return ['"retryPolicies"는 오류 유형별 정책 객체여야 합니다.'];
+  }
+
+  const errors = [];
+  Object.entries(retryPolicies).forEach(([errorClass, policy]) => {
+    if (!DEFAULT_RETRY_POLICIES[errorClass]) {
+      errors.push(`retryPolicies: 알 수 없는 오류 유형 "${errorClass}" (사용 가능: ${Object.keys(DEFAULT_RETRY_POLICIES).join(', ')})`);
+      return;
+    }
+    ['maxRetries', 'backoffMs', 'backoffFactor'].forEach(key => {
+      if (policy[key] !== undefined && (typeof policy[key] !== 'number' || policy[key] < 0)) {
+        errors.push(`retryPolicies.${errorClass}.${key}는 0 이상의 숫자여야 합니다.`);
+      }
+    });
+    if (policy.recovery !== undefined && !RECOVERY_METHODS.includes(policy.recovery)) {
+      errors.push(`retryPolicies.${errorClass}.recovery는 ${RECOVERY_METHODS.join(' / ')} 중 하나여야 합니다.`);
+    }
+  });
+  return errors;
+}
+
+// D365 메시지 중 오류 메시지만 추출
+function findD365ErrorMessages(messages) {
+  return (messages || []).filter(message => D365_ERROR_PATTERN.test(message));
+}
+
+/**
+ * 결과와 화면 표시에 사용할 오류 유형 정보
+ * @param {Error} error - 발생한 오류
+ * @returns {Object} { errorClass, errorClassLabel, remediation }
+ */
+function describeError(error) {
+  const errorClass = classifyError(error);
+  const info = ERROR_CLASS_INFO[errorClass] || ERROR_CLASS_INFO.unknown;
+  return {
+    errorClass,
+    errorClassLabel: info.label,
+    remediation: info.remediation
+  };
+}
+
+module.exports = {
+  VoucherUploadError,
+  NetworkError,
+  AuthenticationError,
+  SelectorNotFoundError,
+  D365ValidationError,
+  VoucherFileError,
+  DEFAULT_RETRY_POLICIES,
+  classifyError,
+  toUploadError,
+  getRetryPolicy,
+  getRetryDelay,
+  checkRetryPolicies,
+  findD365ErrorMessages,
+  describeError
+};
@@ -0,0 +1,120 @@
+/**
+ * 전표 업로드 원장 모듈
+ * 업로드에 성공한 파일의 내용 해시(SHA-256)를 기간, 사용자, 회사, 환경, 분개장 번호와 함께 기록하여
+ * 같은 환경의 같은 회사에 같은 내용의 파일이 두 번 업로드되는 것을 막는다 (테스트 환경 리허설 후 운영 업로드, 다른 회사 업로드는 허용).
+ * 환경 기록이 없는 예전 기록은 기본 환경(운영)에서 업로드된 것으로 본다.
+ * 원장은 사용자 데이터 폴더의 upload-ledger.json 파일에 저장된다.
+ */
+
+const { app } = require('electron');
+const crypto = require('crypto');
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SETTINGS, getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const LEDGER_FILE_NAME = 'upload-ledger.json';
+
+// 원장 파일 경로 (사용자 데이터 폴더)
+function getLedgerPath() {
+  return path.join(app.getPath('userData'), LEDGER_FILE_NAME);
+}
+
+// 원장 전체 읽기 (파일이 없으면 빈 목록)
+// 손상된 원장을 빈 목록으로 보면 중복 확인 없이 업로드되고 다음 기록이 원장을 덮어쓰므로 오류를 던져 업로드를 막음
+function loadLedger() {
+  const ledgerPath = getLedgerPath();
+  if (!fs.existsSync(ledgerPath)) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(ledgerPath, 'utf-8'));
+  } catch (error) {
+    logger.error(`업로드 원장 읽기 실패: ${error.message}`);
+    throw new Error(`업로드 원장을 읽을 수 없어 중복 업로드를 확인할 수 없습니다 (${ledgerPath}: ${error.message}). 원장 파일을 복구한 뒤 다시 실행해주세요.`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`업로드 원장 형식이 올바르지 않아 중복 업로드를 확인할 수 없습니다 (${ledgerPath}). 원장 파일을 복구한 뒤 다시 실행해주세요.`);
+  }
+  return entries;
+}
+
+// 원장 전체 저장 (임시 파일에 쓴 뒤 교체하여 저장 중 종료되어도 손상되지 않도록 함)
+function saveLedger(entries) {
+  const ledgerPath = getLedgerPath();
+  const tempPath = `${ledgerPath}.tmp`;
+  fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2), 'utf-8');
+  fs.renameSync(tempPath, ledgerPath);
+}
+
+/**
+ * 파일 내용의 SHA-256 해시 계산
+ * @param {string} filePath - 파일 경로
+ * @returns {string} 16진수 해시 문자열
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * 같은 환경, 같은 회사에 같은 내용으로 이미 업로드된 기록 찾기 (가장 최근 기록)
+ * 회사 기록이 없는 예전 기록은 어느 회사에 업로드된 것인지 알 수 없으므로 모든 회사에 대해 중복으로 본다.
+ * @param {string} contentHash - 파일 내용 해시
+ * @param {string} environment - 업로드할 환경 이름
+ * @param {string} company - 업로드할 D365 회사
+ * @returns {Object|null} 원장 기록
+ */
+function findUpload(contentHash, environment, company) {
+  const matches = loadLedger().filter(entry =>
+    entry.contentHash === contentHash &&
+    (entry.environment || DEFAULT_SETTINGS.activeEnvironment) === environment &&
+    (!entry.company || entry.company === company)
+  );
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * 업로드 성공 기록 추가
+ * @param {Object} entry - { contentHash, fileName, filePath, period, user, company, environment, journalNumber }
+ */
+function recordUpload(entry) {
+  const entries = loadLedger();
+  const record = {
+    ...entry,
+    uploadedAt: new Date().toISOString()
+  };
+  entries.push(record);
+  saveLedger(entries);
+  logger.info(`업로드 원장 기록: ${entry.fileName} (환경 ${entry.environment || '-'}, 회사 ${entry.company || '-'}, 분개장 ${entry.journalNumber || '-'}, 기간 ${entry.period || '-'})`);
+  return record;
+}
+
+/**
+ * 원장 전체 조회 (최근 업로드 순)
+ */
+function getLedgerEntries() {
+  return loadLedger().slice().reverse();
+}
+
+module.exports = {
+  hashFile,
+  findUpload,
+  recordUpload,
+  getLedgerEntries
+};
@@ -0,0 +1,276 @@
+/**
+ * 전표 업로드 설정 모듈
+ * 작업 폴더의 voucher-upload-config.json 파일로 전표 파일(번호 또는 파일명 패턴)별
+ * 분개장 이름, 설명 템플릿, 업로드 옵션, 업로드 후 유효성 검사/전기 여부, 업로드할 D365 회사를 지정한다.
+ * 전기(validate-post)는 같은 규칙 또는 기본값에 "allowPosting": true 권한이 있어야 실행된다.
+ * 회사(company)를 지정하지 않은 파일은 실행 시 선택한 회사(없으면 앱 설정의 회사)에 업로드된다.
+ * 설정 파일이 없으면 기본값(일반전표(ARK), 파일명 괄호 안 텍스트)으로 동작한다.
+ *
+ * 설정 파일 예시:
+ * {
+ *   "default": { "journalName": "일반전표(ARK)", "descriptionTemplate": "{parentheses}" },
+ *   "rules": [
+ *     { "fileNumbers": [14], "journalName": "리스전표(ARK)" },
+ *     { "pattern": "역분개|환입", "journalName": "역분개전표(ARK)", "descriptionTemplate": "{parentheses} 역분개" },
+ *     { "pattern": "임차료", "descriptionTemplate": "{yyyy}.{mm} 임차료_{vendor}" },
+ *     { "fileNumbers": [7], "postingMode": "validate-post", "allowPosting": true },
+ *     { "pattern": "임차료", "uploadOptions": { "fields": { "전기 일자": "2025-05-31" } } },
+ *     { "pattern": "_K03_", "company": "K03" }
+ *   ],
+ *   "retryPolicies": { "network": { "maxRetries": 3, "backoffMs": 20000 } }
+ * }
+ */
+
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { checkRetryPolicies } = require('./upload-errors.js');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const CONFIG_FILE_NAME = 'voucher-upload-config.json';
+
+// 설명 템플릿 토큰: {이름} 또는 {cell:시트!셀}
+const TOKEN_PATTERN = /\{([^{}]+)\}/g;
+const CELL_TOKEN_PREFIX = 'cell:';
+
+// 설정 파일이 없거나 규칙에 값이 없을 때 사용하는 기본값 (기존 동작과 동일)
+const DEFAULT_FILE_CONFIG = {
+  journalName: '일반전표(ARK)',
+  descriptionTemplate: '{parentheses}',
+  uploadOptions: {},
+  postingMode: 'none',
+  allowPosting: false,
+  company: null
+};
+
+// 업로드 후 처리: none 없음 / validate 유효성 검사 / validate-post 유효성 검사 후 전기
+const POSTING_MODES = ['none', 'validate', 'validate-post'];
+
+// 작업 폴더의 설정 파일 경로
+function getConfigPath(folderPath) {
+  return path.join(folderPath, CONFIG_FILE_NAME);
+}
+
+/**
+ * 작업 폴더의 업로드 설정 읽기
+ * @param {string} folderPath - 전표 파일이 있는 작업 폴더
+ * @returns {Object} { default, rules, retryPolicies }
+ */
+function loadVoucherConfig(folderPath) {
+  const configPath = getConfigPath(folderPath);
+  if (!fs.existsSync(configPath)) {
+    return { default: { ...DEFAULT_FILE_CONFIG }, rules: [], retryPolicies: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`업로드 설정 파일(${CONFIG_FILE_NAME})을 읽을 수 없습니다: ${error.message}`);
+  }
+
+  try {
+    return parseVoucherConfig(config);
+  } catch (error) {
+    throw new Error(`업로드 설정 파일(${CONFIG_FILE_NAME}) 오류: ${error.message}`);
+  }
+}
+
+/**
+ * 업로드 설정 검사 후 기본값 적용 (저장하지 않은 편집 내용 미리보기에도 사용)
+ * @param {Object} config - 설정 파일 내용
+ * @returns {Object} { default, rules, retryPolicies }
+ */
+function parseVoucherConfig(config) {
+  const errors = checkVoucherConfig(config);
+  if (errors.length > 0) {
+    throw new Error(errors.join(' / '));
+  }
+
+  return {
+    default: { ...DEFAULT_FILE_CONFIG, ...(config.default || {}) },
+    rules: config.rules || [],
+    retryPolicies: config.retryPolicies || {}
+  };
+}
+
+/**
+ * 업로드 설정 저장 (형식 오류가 있으면 저장하지 않음)
+ * @param {string} folderPath - 작업 폴더
+ * @param {Object} config - { default, rules, retryPolicies }
+ */
+function saveVoucherConfig(folderPath, config) {
+  const errors = checkVoucherConfig(config);
+  if (errors.length > 0) {
+    throw new Error(errors.join(' / '));
+  }
+
+  const configPath = getConfigPath(folderPath);
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf-8');
+  logger.info(`업로드 설정 저장 완료: ${configPath}`);
+  return configPath;
+}
+
+// 설정 형식 검사 - 오류 메시지 목록 반환
+function checkVoucherConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['설정은 JSON 객체여야 합니다.'];
+  }
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    errors.push('"rules"는 배열이어야 합니다.');
+    return errors;
+  }
+
+  const checkPostingSettings = (settings, label) => {
+    if (settings.postingMode !== undefined && !POSTING_MODES.includes(settings.postingMode)) {
+      errors.push(`${label}: "postingMode"는 ${POSTING_MODES.join(' / ')} 중 하나여야 합니다.`);
+    }
+    if (settings.allowPosting !== undefined && typeof settings.allowPosting !== 'boolean') {
+      errors.push(`${label}: "allowPosting"은 true 또는 false여야 합니다.`);
+    }
+  };
+  const checkCompany = (settings, label) => {
+    if (settings.company !== undefined && settings.company !== null && !/^[A-Za-z0-9]{1,10}$/.test(String(settings.company))) {
+      errors.push(`${label}: "company"는 D365 회사 코드여야 합니다 (예: K02).`);
+    }
+  };
+  if (config.default) {
+    checkPostingSettings(config.default, '기본값');
+    checkCompany(config.default, '기본값');
+  }
+
+  (config.rules || []).forEach((rule, index) => {
+    const label = `규칙 ${index + 1}`;
+    if (!rule.fileNumbers && !rule.pattern) {
+      errors.push(`${label}: "fileNumbers" 또는 "pattern" 중 하나가 필요합니다.`);
+    }
+    checkPostingSettings(rule, label);
+    checkCompany(rule, label);
+    if (rule.fileNumbers && !Array.isArray(rule.fileNumbers)) {
+      errors.push(`${label}: "fileNumbers"는 숫자 배열이어야 합니다.`);
+    }
+    if (rule.pattern) {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        errors.push(`${label}: 파일명 패턴이 올바르지 않습니다 (${error.message})`);
+      }
+    }
+  });
+
+  if (config.retryPolicies !== undefined) {
+    errors.push(...checkRetryPolicies(config.retryPolicies));
+  }
+
+  return errors;
+}
+
+/**
+ * 파일 번호 또는 파일명 패턴이 일치하는 첫 번째 규칙의 순번
+ * @param {Object[]} rules - fileNumbers 또는 pattern이 있는 규칙 목록
+ * @param {number|null} fileNumber - 파일 번호 (번호 없는 파일은 null)
+ * @param {string} fileName - 파일명
+ * @returns {number} 규칙 순번 (일치하는 규칙이 없으면 -1)
+ */
+function findMatchingRule(rules, fileNumber, fileName) {
+  return rules.findIndex(rule => {
+    if (fileNumber !== null && Array.isArray(rule.fileNumbers) && rule.fileNumbers.map(Number).includes(Number(fileNumber))) {
+      return true;
+    }
+    return !!rule.pattern && new RegExp(rule.pattern, 'i').test(fileName);
+  });
+}
+
+/**
+ * 전표 파일에 적용할 설정 결정 (첫 번째로 일치하는 규칙을 기본값 위에 덮어씀)
+ * @param {Object} config - loadVoucherConfig 결과
+ * @param {number|null} fileNumber - 파일 번호 (번호 없는 파일은 null)
+ * @param {string} fileName - 파일명
+ * @returns {Object} { journalName, descriptionTemplate, uploadOptions, postingMode, allowPosting, company, ruleIndex }
+ */
+function resolveFileConfig(config, fileNumber, fileName) {
+  const ruleIndex = findMatchingRule(config.rules, fileNumber, fileName);
+
+  const rule = ruleIndex >= 0 ? config.rules[ruleIndex] : {};
+  return {
+    journalName: rule.journalName || config.default.journalName,
+    descriptionTemplate: rule.descriptionTemplate || config.default.descriptionTemplate,
+    uploadOptions: { ...(config.default.uploadOptions || {}), ...(rule.uploadOptions || {}) },
+    postingMode: rule.postingMode || config.default.postingMode,
+    allowPosting: rule.allowPosting !== undefined ? rule.allowPosting : config.default.allowPosting,
+    company: rule.company ? String(rule.company).toUpperCase() : (config.default.company ? String(config.default.company).toUpperCase() : null),
+    ruleIndex
+  };
+}
+
+// 설명 템플릿에 사용된 {cell:시트!셀} 토큰의 셀 참조 목록
+function getTemplateCellRefs(template) {
+  const cellRefs = [];
+  template.replace(TOKEN_PATTERN, (token, name) => {
+    if (name.startsWith(CELL_TOKEN_PREFIX)) {
+      const cellRef = name.slice(CELL_TOKEN_PREFIX.length).trim();
+      if (!cellRefs.includes(cellRef)) cellRefs.push(cellRef);
+    }
+    return token;
+  });
+  return cellRefs;
+}
+
+/**
+ * 설명 템플릿의 토큰을 값으로 치환
+ * 지원 토큰: {parentheses} 파일명 괄호 안 텍스트, {fileName} 확장자 제외 파일명, {fileNumber} 파일 번호,
+ * {yyyy} {mm} 회계기간 연도/월, {vendor} 파일명의 거래처명, {cell:Sheet1!B2} 워크북 셀 값
+ * @param {string} template - 설명 템플릿
+ * @param {Object} context - { parentheses, fileName, fileNumber, yyyy, mm, vendor, cells: { "Sheet1!B2": 값 } }
+ */
+function renderDescription(template, context) {
+  return template.replace(TOKEN_PATTERN, (token, name) => {
+    let value;
+    if (name.startsWith(CELL_TOKEN_PREFIX)) {
+      const cellRef = name.slice(CELL_TOKEN_PREFIX.length).trim();
+      if (!context.cells || !(cellRef in context.cells)) {
+        throw new Error(`설명 템플릿의 셀 값을 읽지 못했습니다: ${token}`);
+      }
+      value = context.cells[cellRef];
+    } else {
+      if (name === 'cells' || !(name in context)) {
+        throw new Error(`설명 템플릿에 알 수 없는 토큰이 있습니다: ${token}`);
+      }
+      value = context[name];
+    }
+    if (value === null || value === undefined || String(value).trim() === '') {
+      throw new Error(`설명 템플릿 토큰 ${token}의 값이 비어 있습니다.`);
+    }
+    return String(value).trim();
+  }).trim();
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  DEFAULT_FILE_CONFIG,
+  POSTING_MODES,
+  loadVoucherConfig,
+  saveVoucherConfig,
+  parseVoucherConfig,
+  findMatchingRule,
+  resolveFileConfig,
+  getTemplateCellRefs,
+  renderDescription
+};
@@ -0,0 +1,708 @@
+/**
+ * 월 반복 전표 생성 모듈
+ * 지난달 작업 폴더의 ARK 전표업로드 파일을 양식으로 삼아 다음 달 전표 파일을 같은 번호와 파일명으로 만든다.
+ * 지난달 폴더의 voucher-recurring-rules.json으로 파일(번호 또는 파일명 패턴)별 날짜 이동, 금액 변경, 적요 치환을 지정하며
+ * 수식 셀(증빙일자 = 회계일자, 합계 등)은 바뀐 값으로 다시 계산한다. 생성 전후 셀 차이를 파일별로 보고한다.
+ *
+ * 규칙 파일 예시:
+ * {
+ *   "default": { "dateShiftMonths": 1, "shiftMonthText": true },
+ *   "rules": [
+ *     { "fileNumbers": [11], "amounts": { "R6": 1250000, "S9": 1250000 } },
+ *     { "pattern": "리스자산", "descriptionReplace": [{ "from": "서울사무소(4층)", "to": "서울사무소(5층)" }] },
+ *     { "fileNumbers": [15, 16], "skip": true }
+ *   ]
+ * }
+ */
+
+const ExcelJS = require('exceljs');
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { VOUCHER_SHEET_NAME, getCellValue, findHeaderRow } = require('./voucher-validator.js');
+const { CONFIG_FILE_NAME, findMatchingRule } = require('./voucher-config.js');
+const { scanVoucherFolder } = require('./voucher-scanner.js');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+const RULES_FILE_NAME = 'voucher-recurring-rules.json';
+
+// 규칙 파일이 없거나 규칙에 값이 없을 때 사용하는 기본값: 한 달 뒤로 이동, 금액은 지난달 그대로
+const DEFAULT_RECURRING_RULE = {
+  dateShiftMonths: 1,
+  shiftMonthText: true,
+  amounts: {},
+  descriptionReplace: [],
+  skip: false
+};
+
+// 금액 변경 대상 셀 주소 (전표 시트 기준, 예: R7)
+const CELL_ADDRESS_PATTERN = /^\$?([A-Z]{1,3})\$?(\d+)$/;
+
+// 적요/파일명의 월 표기: "4월", "2025년 4월", "25년 05월"
+const MONTH_TEXT_PATTERN = /(?<!\d)(?:(\d{4}|\d{2})년(\s*))?(\d{1,2})월/g;
+
+// 수식 토큰: 함수 이름, 셀 범위, 셀 참조, 숫자, 연산자
+const FORMULA_TOKEN_PATTERN = /\s*(?:([A-Z][A-Z0-9.]*)\(|(\$?[A-Z]{1,3}\$?\d+:\$?[A-Z]{1,3}\$?\d+)|(\$?[A-Z]{1,3}\$?\d+)|(\d+(?:\.\d+)?)|([-+*/(),]))/y;
+
+// 차이 보고서의 셀 종류 (헤더 텍스트 기준)
+const CHANGE_KINDS = {
+  date: '날짜',
+  amount: '금액',
+  description: '적요',
+  other: '기타'
+};
+
+// 작업 폴더의 규칙 파일 경로
+function getRulesPath(folderPath) {
+  return path.join(folderPath, RULES_FILE_NAME);
+}
+
+/**
+ * 지난달 작업 폴더의 반복 전표 규칙 읽기
+ * @param {string} folderPath - 양식으로 사용할 지난달 작업 폴더
+ * @returns {Object} { default, rules }
+ */
+function loadRecurringRules(folderPath) {
+  const rulesPath = getRulesPath(folderPath);
+  if (!fs.existsSync(rulesPath)) {
+    return { default: { ...DEFAULT_RECURRING_RULE }, rules: [] };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`반복 전표 규칙 파일(${RULES_FILE_NAME})을 읽을 수 없습니다: ${error.message}`);
+  }
+
+  const errors = checkRecurringRules(config);
+  if (errors.length > 0) {
+    throw new Error(`반복 전표 규칙 파일(${RULES_FILE_NAME}) 오류: ${errors.join(' / ')}`);
+  }
+
+  return {
+    default: { ...DEFAULT_RECURRING_RULE, ...(config.default || {}) },
+    rules: config.rules || []
+  };
+}
+
+// 규칙 형식 검사 - 오류 메시지 목록 반환
+function checkRecurringRules(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['규칙은 JSON 객체여야 합니다.'];
+  }
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    return ['"rules"는 배열이어야 합니다.'];
+  }
+
+  const errors = [];
+  const checkSettings = (settings, label) => {
+    if (settings.dateShiftMonths !== undefined && !Number.isInteger(settings.dateShiftMonths)) {
+      errors.push(`${label}: "dateShiftMonths"는 정수(개월 수)여야 합니다.`);
+    }
+    ['shiftMonthText', 'skip'].forEach(key => {
+      if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+        errors.push(`${label}: "${key}"는 true 또는 false여야 합니다.`);
+      }
+    });
+    if (settings.amounts !== undefined) {
+      if (!settings.amounts || typeof settings.amounts !== 'object' || Array.isArray(settings.amounts)) {
+        errors.push(`${label}: "amounts"는 { "셀 주소": 금액 } 객체여야 합니다.`);
+      } else {
+        Object.entries(settings.amounts).forEach(([address, amount]) => {
+          if (!CELL_ADDRESS_PATTERN.test(address)) {
+            errors.push(`${label}: 금액 셀 주소가 올바르지 않습니다: ${address} (예: R7)`);
+          }
+          if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+            errors.push(`${label}: ${address} 금액은 숫자여야 합니다.`);
+          }
+        });
+      }
+    }
+    if (settings.descriptionReplace !== undefined) {
+      if (!Array.isArray(settings.descriptionReplace)) {
+        errors.push(`${label}: "descriptionReplace"는 [{ "from", "to" }] 배열이어야 합니다.`);
+      } else {
+        settings.descriptionReplace.forEach((replacement, index) => {
+          if (!replacement || typeof replacement.from !== 'string' || replacement.from === '' || typeof replacement.to !== 'string') {
+            errors.push(`${label}: descriptionReplace ${index + 1}번째 항목에 "from"(빈 값 불가)과 "to" 문자열이 필요합니다.`);
+          }
+        });
+      }
+    }
+  };
+  if (config.default) checkSettings(config.default, '기본값');
+
+  (config.rules || []).forEach((rule, index) => {
+    const label = `규칙 ${index + 1}`;
+    if (!rule.fileNumbers && !rule.pattern) {
+      errors.push(`${label}: "fileNumbers" 또는 "pattern" 중 하나가 필요합니다.`);
+    }
+    if (rule.fileNumbers && !Array.isArray(rule.fileNumbers)) {
+      errors.push(`${label}: "fileNumbers"는 숫자 배열이어야 합니다.`);
+    }
+    if (rule.pattern) {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        errors.push(`${label}: 파일명 패턴이 올바르지 않습니다 (${error.message})`);
+      }
+    }
+    checkSettings(rule, label);
+  });
+
+  return errors;
+}
+
+/**
+ * 전표 파일에 적용할 반복 규칙 결정 (첫 번째로 일치하는 규칙을 기본값 위에 덮어씀)
+ * @param {Object} config - loadRecurringRules 결과
+ * @param {number|null} fileNumber - 파일 번호
+ * @param {string} fileName - 파일명
+ * @returns {Object} { dateShiftMonths, shiftMonthText, amounts, descriptionReplace, skip, ruleIndex }
+ */
+function resolveRecurringRule(config, fileNumber, fileName) {
+  const ruleIndex = findMatchingRule(config.rules, fileNumber, fileName);
+  const rule = ruleIndex >= 0 ? config.rules[ruleIndex] : {};
+  const pick = (key) => (rule[key] !== undefined ? rule[key] : config.default[key]);
+
+  return {
+    dateShiftMonths: pick('dateShiftMonths'),
+    shiftMonthText: pick('shiftMonthText'),
+    amounts: { ...(config.default.amounts || {}), ...(rule.amounts || {}) },
+    descriptionReplace: [...(config.default.descriptionReplace || []), ...(rule.descriptionReplace || [])],
+    skip: pick('skip'),
+    ruleIndex
+  };
+}
+
+// 해당 월의 마지막 날 (UTC)
+function lastDayOfMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * 날짜를 개월 수만큼 이동 (말일은 이동한 달의 말일로, 그 외는 이동한 달의 일수를 넘지 않도록)
+ * 예: 2025-05-31 → 2025-06-30, 2025-05-25 → 2025-06-25
+ */
+function shiftDate(date, months) {
+  const year = date.getUTCFullYear();
+  const monthIndex = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const target = new Date(Date.UTC(year, monthIndex + months, 1));
+  const targetLastDay = lastDayOfMonth(target.getUTCFullYear(), target.getUTCMonth());
+  const isMonthEnd = day === lastDayOfMonth(year, monthIndex);
+  target.setUTCDate(isMonthEnd ? targetLastDay : Math.min(day, targetLastDay));
+  return target;
+}
+
+/**
+ * 텍스트의 월 표기를 개월 수만큼 이동 ("4월" → "5월", "2025년 12월" → "2026년 1월", "25년 05월" → "25년 06월")
+ * 연도가 없는 월 표기는 12월 다음을 1월로 넘긴다.
+ */
+function shiftMonthText(text, months) {
+  return text.replace(MONTH_TEXT_PATTERN, (match, yearText, spacing, monthText) => {
+    const month = parseInt(monthText, 10);
+    if (month < 1 || month > 12) return match;
+
+    const shifted = month - 1 + months;
+    const newMonth = ((shifted % 12) + 12) % 12 + 1;
+    const monthPart = monthText.length === 2 ? String(newMonth).padStart(2, '0') : String(newMonth);
+    if (!yearText) return `${monthPart}월`;
+
+    const newYear = parseInt(yearText, 10) + Math.floor(shifted / 12);
+    const yearPart = yearText.length === 2 ? String(newYear % 100).padStart(2, '0') : String(newYear);
+    return `${yearPart}년${spacing}${monthPart}월`;
+  });
+}
+
+// 적요/파일명 텍스트에 월 이동과 치환 목록 적용
+function applyTextRules(text, rule) {
+  let result = rule.shiftMonthText ? shiftMonthText(text, rule.dateShiftMonths) : text;
+  rule.descriptionReplace.forEach(({ from, to }) => {
+    result = result.split(from).join(to);
+  });
+  return result;
+}
+
+// 열 문자 → 열 번호 (A → 1, AA → 27)
+function columnToNumber(column) {
+  return column.split('').reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+// 열 번호 → 열 문자
+function numberToColumn(number) {
+  let column = '';
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    column = String.fromCharCode(65 + remainder) + column;
+    number = Math.floor((number - 1) / 26);
+  }
+  return column;
+}
+
+// 셀 범위(R7:R8)를 셀 주소 목록으로 펼침
+function expandRange(range) {
+  const [start, end] = range.replace(/\$/g, '').split(':').map(address => address.match(CELL_ADDRESS_PATTERN));
+  const [startColumn, endColumn] = [columnToNumber(start[1]), columnToNumber(end[1])].sort((a, b) => a - b);
+  const [startRow, endRow] = [parseInt(start[2], 10), parseInt(end[2], 10)].sort((a, b) => a - b);
+
+  const addresses = [];
+  for (let row = startRow; row <= endRow; row++) {
+    for (let column = startColumn; column <= endColumn; column++) {
+      addresses.push(`${numberToColumn(column)}${row}`);
+    }
+  }
+  return addresses;
+}
+
+// 수식 문자열을 토큰 목록으로 분리 (지원하지 않는 문자가 있으면 오류)
+function tokenizeFormula(formula) {
+  const tokens = [];
+  const text = formula.trim();
+  FORMULA_TOKEN_PATTERN.lastIndex = 0;
+  while (FORMULA_TOKEN_PATTERN.lastIndex < text.length) {
+    const start = FORMULA_TOKEN_PATTERN.lastIndex;
+    const match = FORMULA_TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`지원하지 않는 수식입니다: ${formula} (${start + 1}번째 문자)`);
+    }
+    if (match[1]) tokens.push({ type: 'function', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'range', value: match[2].replace(/\$/g, '') });
+    else if (match[3]) tokens.push({ type: 'ref', value: match[3].replace(/\$/g, '') });
+    else if (match[4]) tokens.push({ type: 'number', value: Number(match[4]) });
+    else tokens.push({ type: 'operator', value: match[5] });
+  }
+  return tokens;
+}
+
+// 산술 연산용 숫자 변환 (빈 셀은 0, 날짜 등은 지원하지 않음)
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  throw new Error(`숫자가 아닌 값은 계산할 수 없습니다: ${value instanceof Date ? value.toISOString().slice(0, 10) : value}`);
+}
+
+/**
+ * 전표 양식에서 사용하는 수식 계산: 셀 참조, SUM(범위/목록), 단항 부호, 사칙연산, 괄호
+ * @param {string} formula - "=" 없는 수식 (예: -SUM(R7:R8))
+ * @param {Function} getValue - 셀 주소 → 값
+ * @returns {*} 계산 결과 (단일 셀 참조는 날짜/문자열 그대로)
+ */
+function evaluateFormula(formula, getValue) {
+  const tokens = tokenizeFormula(formula);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (token, ...values) => !!token && token.type === 'operator' && values.includes(token.value);
+  const expect = (value) => {
+    const token = tokens[position++];
+    if (!isOperator(token, value)) throw new Error(`수식 형식이 올바르지 않습니다: ${formula}`);
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOperator(peek(), '+', '-')) {
+      const operator = tokens[position++].value;
+      const right = toNumber(parseTerm());
+      value = operator === '+' ? toNumber(value) + right : toNumber(value) - right;
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseFactor();
+    while (isOperator(peek(), '*', '/')) {
+      const operator = tokens[position++].value;
+      const right = toNumber(parseFactor());
+      if (operator === '/' && right === 0) throw new Error(`0으로 나누는 수식입니다: ${formula}`);
+      value = operator === '*' ? toNumber(value) * right : toNumber(value) / right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let total = 0;
+    if (isOperator(peek(), ')')) {
+      position++;
+      return total;
+    }
+    do {
+      const token = peek();
+      if (token && token.type === 'range') {
+        position++;
+        // SUM은 범위 안의 문자열/빈 셀을 무시
+        total += expandRange(token.value).reduce((sum, address) => {
+          const value = getValue(address);
+          return typeof value === 'number' ? sum + value : sum;
+        }, 0);
+      } else {
+        total += toNumber(parseExpression());
+      }
+    } while (isOperator(peek(), ',') && ++position);
+    expect(')');
+    return total;
+  };
+
+  const parseFactor = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error(`수식 형식이 올바르지 않습니다: ${formula}`);
+    if (isOperator(token, '-', '+')) {
+      const value = toNumber(parseFactor());
+      return token.value === '-' ? -value : value;
+    }
+    if (isOperator(token, '(')) {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (token.type === 'number') return token.value;
+    if (token.type === 'ref') return getValue(token.value);
+    if (token.type === 'function' && token.value === 'SUM') return parseSum();
+    if (token.type === 'function') throw new Error(`지원하지 않는 함수입니다: ${token.value}`);
+    throw new Error(`지원하지 않는 수식입니다: ${formula}`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) throw new Error(`수식 형식이 올바르지 않습니다: ${formula}`);
+  return result;
+}
+
+/**
+ * 전표 시트의 모든 수식 셀 결과를 현재 값으로 다시 계산하여 저장
+ * 계산할 수 없는 수식(다른 시트 참조, 지원하지 않는 함수)은 기존 결과를 유지하고 경고로 반환한다.
+ * @returns {string[]} 경고 메시지 목록
+ */
+function recalculateSheet(sheet) {
+  const results = new Map();
+  const evaluating = new Set();
+  const warnings = [];
+
+  const getValue = (address) => {
+    const cell = sheet.getCell(address);
+    return cell.formula ? evaluateCell(cell) : getCellValue(cell.value);
+  };
+
+  const evaluateCell = (cell) => {
+    if (results.has(cell.address)) return results.get(cell.address);
+    if (evaluating.has(cell.address)) throw new Error(`순환 참조입니다: ${cell.address}`);
+
+    evaluating.add(cell.address);
+    try {
+      const result = evaluateFormula(cell.formula, getValue);
+      results.set(cell.address, result);
+      return result;
+    } finally {
+      evaluating.delete(cell.address);
+    }
+  };
+
+  sheet.eachRow(row => {
+    row.eachCell(cell => {
+      if (!cell.formula) return;
+      try {
+        const result = evaluateCell(cell);
+        // 빈 셀 참조는 기존 결과(엑셀이 계산해 둔 0 또는 빈 값)를 유지
+        if (result !== null && result !== undefined) {
+          cell.value = { ...cell.value, result };
+        }
+      } catch (error) {
+        warnings.push(`${cell.address} 수식을 다시 계산하지 못해 기존 값을 유지했습니다 (${error.message})`);
+      }
+    });
+  });
+  return warnings;
+}
+
+// 헤더 텍스트로 셀 종류 판별
+function getChangeKind(header) {
+  if (!header) return 'other';
+  if (header.includes('일자')) return 'date';
+  if (header.includes('금액')) return 'amount';
+  if (header === '적요') return 'description';
+  return 'other';
+}
+
+// 차이 비교용 셀 값 (날짜는 YYYY-MM-DD)
+function toComparableValue(value) {
+  const raw = getCellValue(value);
+  // 날짜 서식 셀에 날짜가 아닌 수식 결과가 있으면 읽을 때 잘못된 날짜가 됨
+  if (raw instanceof Date) return isNaN(raw.getTime()) ? null : raw.toISOString().slice(0, 10);
+  return raw === undefined ? null : raw;
+}
+
+// 헤더 다음 행부터 시트의 모든 셀 값 기록 (셀 주소 → 비교용 값)
+function snapshotSheet(sheet, headerRow) {
+  const snapshot = new Map();
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= headerRow) return;
+    row.eachCell(cell => {
+      snapshot.set(cell.address, toComparableValue(cell.value));
+    });
+  });
+  return snapshot;
+}
+
+// 전표 라인(전표번호가 있는 행)의 차변/대변 합계
+function sumAmounts(snapshot, lineRows, columns) {
+  const amountOf = (column, rowNumber) => {
+    const value = column ? snapshot.get(`${numberToColumn(column)}${rowNumber}`) : null;
+    return typeof value === 'number' ? value : 0;
+  };
+  const totals = lineRows.reduce((sum, rowNumber) => ({
+    debit: sum.debit + amountOf(columns['차변 금액'], rowNumber),
+    credit: sum.credit + amountOf(columns['대변 금액'], rowNumber)
+  }), { debit: 0, credit: 0 });
+  return {
+    debit: Math.round(totals.debit * 100) / 100,
+    credit: Math.round(totals.credit * 100) / 100
+  };
+}
+
+// 전표 라인의 가장 이른 회계기간 (YYYY-MM)
+function getPeriod(snapshot, lineRows, columns) {
+  if (!columns['회계일자']) return null;
+  const periods = lineRows
+    .map(rowNumber => snapshot.get(`${numberToColumn(columns['회계일자'])}${rowNumber}`))
+    .filter(value => typeof value === 'string' && /^\d{4}-\d{2}/.test(value))
+    .map(value => value.slice(0, 7))
+    .sort();
+  return periods.length > 0 ? periods[0] : null;
+}
+
+/**
+ * 지난달 전표 파일 하나로 다음 달 전표 워크북 생성
+ * @param {string} sourcePath - 지난달 전표 파일
+ * @param {Object} rule - resolveRecurringRule 결과
+ * @returns {Promise<Object>} { workbook, targetFileName, sourcePeriod, targetPeriod, changes, totals, warnings }
+ */
+async function buildNextMonthWorkbook(sourcePath, rule) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(sourcePath);
+
+  const sheet = workbook.getWorksheet(VOUCHER_SHEET_NAME);
+  if (!sheet) {
+    throw new Error(`"${VOUCHER_SHEET_NAME}" 시트가 없습니다.`);
+  }
+  const { headerRow, columns } = findHeaderRow(sheet);
+  if (!headerRow) {
+    throw new Error(`"${VOUCHER_SHEET_NAME}" 시트에서 헤더 행("전표번호")을 찾을 수 없습니다.`);
+  }
+
+  // 열 번호 → 헤더 텍스트 (같은 이름의 헤더가 여러 번 나와도 모두 표시)
+  const headers = {};
+  sheet.getRow(headerRow).eachCell((cell, colNumber) => {
+    const text = getCellValue(cell.value);
+    if (typeof text === 'string') headers[colNumber] = text.trim();
+  });
+
+  const lineRows = [];
+  for (let rowNumber = headerRow + 1; rowNumber <= sheet.rowCount; rowNumber++) {
+    const voucherNo = sheet.getRow(rowNumber).getCell(columns['전표번호']).value;
+    if (voucherNo !== null && voucherNo !== undefined && voucherNo !== '') lineRows.push(rowNumber);
+  }
+
+  const before = snapshotSheet(sheet, headerRow);
+  const warnings = [];
+
+  // 1. 날짜 이동 (직접 입력된 날짜만 - 수식 날짜는 재계산으로 따라감)
+  const dateColumns = Object.keys(headers).map(Number).filter(colNumber => headers[colNumber].includes('일자'));
+  lineRows.forEach(rowNumber => {
+    dateColumns.forEach(colNumber => {
+      const cell = sheet.getRow(rowNumber).getCell(colNumber);
+      if (cell.value instanceof Date) {
+        cell.value = shiftDate(cell.value, rule.dateShiftMonths);
+      }
+    });
+  });
+
+  // 2. 적요 월 표기 이동 / 치환 (직접 입력된 문자열만)
+  if (columns['적요']) {
+    lineRows.forEach(rowNumber => {
+      const cell = sheet.getRow(rowNumber).getCell(columns['적요']);
+      if (typeof cell.value === 'string') {
+        cell.value = applyTextRules(cell.value, rule);
+      }
+    });
+  }
+
+  // 3. 변동 금액 입력
+  Object.entries(rule.amounts).forEach(([address, amount]) => {
+    const cell = sheet.getCell(address.replace(/\$/g, ''));
+    if (cell.row <= headerRow) {
+      warnings.push(`${cell.address} 셀은 전표 라인이 아니어서 금액을 바꾸지 않았습니다.`);
+      return;
+    }
+    if (cell.formula) {
+      warnings.push(`${cell.address} 수식 셀을 입력한 금액으로 바꿨습니다 (기존 수식: =${cell.formula})`);
+    }
+    cell.value = amount;
+  });
+
+  // 4. 수식 결과 재계산 (엑셀에서 열 때도 다시 계산)
+  warnings.push(...recalculateSheet(sheet));
+  workbook.calcProperties = { ...(workbook.calcProperties || {}), fullCalcOnLoad: true };
+
+  const after = snapshotSheet(sheet, headerRow);
+  const changes = [];
+  after.forEach((value, address) => {
+    const previous = before.has(address) ? before.get(address) : null;
+    if (previous === value) return;
+    const cell = sheet.getCell(address);
+    const header = headers[cell.col] || null;
+    const kind = getChangeKind(header);
+    // 날짜/금액/적요가 아닌 열은 직접 바꾼 셀만 표시 (다른 셀을 그대로 옮겨 적는 수식 열 제외)
+    if (kind === 'other' && cell.formula) return;
+    changes.push({
+      address,
+      rowNumber: cell.row,
+      header,
+      kind,
+      before: previous,
+      after: value
+    });
+  });
+
+  return {
+    workbook,
+    targetFileName: rule.shiftMonthText ? shiftMonthText(path.basename(sourcePath), rule.dateShiftMonths) : path.basename(sourcePath),
+    sourcePeriod: getPeriod(before, lineRows, columns),
+    targetPeriod: getPeriod(after, lineRows, columns),
+    lineCount: lineRows.length,
+    changes,
+    totals: {
+      before: sumAmounts(before, lineRows, columns),
+      after: sumAmounts(after, lineRows, columns)
+    },
+    warnings
+  };
+}
+
+/**
+ * 지난달 작업 폴더의 번호 붙은 전표 파일로 다음 달 전표 파일 생성
+ * @param {string} sourceFolder - 지난달 작업 폴더 (규칙 파일 위치)
+ * @param {string} targetFolder - 다음 달 전표를 저장할 업로드 폴더
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - true면 파일을 저장하지 않고 차이만 보고
+ * @param {boolean} [options.overwrite] - true면 대상 폴더의 같은 이름 파일을 덮어씀
+ * @returns {Promise<Object>} { sourceFolder, targetFolder, dryRun, files, generatedCount, skippedCount, failedCount, copiedFiles, generatedAt }
+ */
+async function generateMonthlyVouchers(sourceFolder, targetFolder, options = {}) {
+  const dryRun = !!options.dryRun;
+  if (path.resolve(sourceFolder) === path.resolve(targetFolder)) {
+    throw new Error('다음 달 전표는 지난달 작업 폴더와 다른 폴더에 만들어야 합니다.');
+  }
+
+  const rulesConfig = loadRecurringRules(sourceFolder);
+  const sourceFiles = scanVoucherFolder(sourceFolder).files.filter(file => !file.isLockFile && file.prefix !== null);
+  logger.info(`반복 전표 ${dryRun ? '미리보기' : '생성'} 시작: ${sourceFiles.length}개 파일 (${sourceFolder} → ${targetFolder})`);
+
+  if (!dryRun) fs.mkdirSync(targetFolder, { recursive: true });
+
+  const files = [];
+  for (const sourceFile of sourceFiles) {
+    const rule = resolveRecurringRule(rulesConfig, sourceFile.prefix, sourceFile.fileName);
+    const result = {
+      fileNumber: sourceFile.prefix,
+      sourceFileName: sourceFile.fileName,
+      targetFileName: null,
+      targetPath: null,
+      status: 'skipped',
+      ruleIndex: rule.ruleIndex,
+      sourcePeriod: null,
+      targetPeriod: null,
+      lineCount: 0,
+      changes: [],
+      totals: null,
+      warnings: [],
+      error: null
+    };
+    files.push(result);
+    if (rule.skip) continue;
+
+    try {
+      const generated = await buildNextMonthWorkbook(sourceFile.filePath, rule);
+      Object.assign(result, {
+        targetFileName: generated.targetFileName,
+        targetPath: path.join(targetFolder, generated.targetFileName),
+        sourcePeriod: generated.sourcePeriod,
+        targetPeriod: generated.targetPeriod,
+        lineCount: generated.lineCount,
+        changes: generated.changes,
+        totals: generated.totals,
+        warnings: generated.warnings
+      });
+
+      if (fs.existsSync(result.targetPath) && !options.overwrite) {
+        result.status = 'exists';
+        result.error = '대상 폴더에 같은 이름의 파일이 이미 있습니다.';
+      } else if (dryRun) {
+        result.status = 'previewed';
+      } else {
+        await generated.workbook.xlsx.writeFile(result.targetPath);
+        result.status = 'generated';
+        logger.info(`반복 전표 생성: ${result.targetFileName} (변경 셀 ${result.changes.length}개)`);
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      logger.error(`반복 전표 생성 실패: ${sourceFile.fileName} - ${error.message}`);
+    }
+  }
+
+  // 다음 달 폴더에서도 같은 업로드 설정과 반복 규칙을 쓰도록 없으면 복사
+  const copiedFiles = [];
+  if (!dryRun) {
+    [CONFIG_FILE_NAME, RULES_FILE_NAME].forEach(fileName => {
+      const sourcePath = path.join(sourceFolder, fileName);
+      const targetPath = path.join(targetFolder, fileName);
+      if (fs.existsSync(sourcePath) && !fs.existsSync(targetPath)) {
+        fs.copyFileSync(sourcePath, targetPath);
+        copiedFiles.push(fileName);
+      }
+    });
+  }
+
+  const countOf = (...statuses) => files.filter(file => statuses.includes(file.status)).length;
+  const summary = {
+    sourceFolder,
+    targetFolder,
+    dryRun,
+    files,
+    generatedCount: countOf('generated', 'previewed'),
+    skippedCount: countOf('skipped'),
+    failedCount: countOf('failed', 'exists'),
+    copiedFiles,
+    changeKinds: CHANGE_KINDS,
+    generatedAt: new Date().toISOString()
+  };
+  logger.info(`반복 전표 ${dryRun ? '미리보기' : '생성'} 완료: ${summary.generatedCount}개 생성, ${summary.skippedCount}개 제외, ${summary.failedCount}개 실패`);
+  return summary;
+}
+
+module.exports = {
+  RULES_FILE_NAME,
+  DEFAULT_RECURRING_RULE,
+  loadRecurringRules,
+  checkRecurringRules,
+  resolveRecurringRule,
+  shiftDate,
+  shiftMonthText,
+  evaluateFormula,
+  generateMonthlyVouchers
+};
@@ -0,0 +1,152 @@
+/**
+ * 전표 업로드 실행 결과(매니페스트) 저장 모듈
+ * 실행 상태(완료 / 실패 / 취소됨)와 실행 환경, 파일별 업로드 회사, 분개장 번호, D365 메시지, 처리 상태와 소요 시간을 JSON과 엑셀 파일로 남긴다.
+ * 매니페스트는 원본 폴더 옆(상위 폴더)에 "<폴더명>_upload-manifest_<시각>" 이름으로 저장된다.
+ */
+
+const ExcelJS = require('exceljs');
+const winston = require('winston');
+const fs = require('fs');
+const path = require('path');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+// 상태 코드 → 엑셀 표시용 한글 라벨
+const STATUS_LABELS = {
+  success: '성공',
+  discrepancy: '업로드됨 (불일치)',
+  failed: '실패',
+  skipped: '중복 건너뜀',
+  'operator-skipped': '작업자 건너뜀',
+  uncertain: '확인 필요',
+  'dry-run': '리허설'
+};
+
+// 엑셀 매니페스트 컬럼 정의
+const MANIFEST_COLUMNS = [
+  { header: '파일 번호', key: 'fileNumber', width: 10 },
+  { header: '파일명', key: 'fileName', width: 50 },
+  { header: '환경', key: 'environment', width: 8 },
+  { header: '회사', key: 'company', width: 8 },
+  { header: '분개장 이름', key: 'journalName', width: 18 },
+  { header: '설명', key: 'description', width: 20 },
+  { header: '분개장 번호', key: 'journalNumber', width: 18 },
+  { header: '상태', key: 'status', width: 10 },
+  { header: '소요 시간(초)', key: 'durationSeconds', width: 14 },
+  { header: 'D365 메시지', key: 'message', width: 60 },
+  { header: '대사 결과', key: 'reconciliationText', width: 60 },
+  { header: '검증/전기 결과', key: 'postingText', width: 40 },
+  { header: '전기 여부', key: 'postedText', width: 10 },
+  { header: '오류 유형', key: 'errorClassLabel', width: 16 },
+  { header: '시도 횟수', key: 'attempts', width: 10 },
+  { header: '오류', key: 'error', width: 60 }
+];
+
+/**
+ * 실행 결과를 매니페스트 행 형식으로 변환
+ * @param {Object} fileResult - processAllFiles의 파일별 결과
+ */
+function toManifestRow(fileResult) {
+  return {
+    fileNumber: fileResult.fileNumber,
+    fileName: fileResult.fileName,
+    company: fileResult.company || null,
+    journalName: fileResult.journalName || null,
+    description: fileResult.description || null,
+    journalNumber: fileResult.journalNumber || null,
+    status: fileResult.status,
+    durationMs: fileResult.durationMs,
+    message: (fileResult.messages || []).join(' / ') || null,
+    reconciliation: fileResult.reconciliation || null,
+    posting: fileResult.posting || null,
+    errorClass: fileResult.errorClass || null,
+    errorClassLabel: fileResult.errorClassLabel || null,
+    attempts: fileResult.attempts || null,
+    error: fileResult.error || null
+  };
+}
+
+// 대사 결과를 엑셀 표시용 텍스트로 변환 (차이 상세는 JSON 매니페스트에 포함)
+function formatReconciliation(reconciliation) {
+  if (!reconciliation) return null;
+  if (reconciliation.status === 'error') return `대사 실패: ${reconciliation.error}`;
+  return reconciliation.diffText;
+}
+
+// 유효성 검사/전기 결과를 엑셀 표시용 텍스트로 변환 (D365 메시지 전체는 JSON 매니페스트에 포함)
+function formatPosting(posting) {
+  if (!posting) return null;
+  return posting.error ? `${posting.summary}: ${posting.error}` : posting.summary;
+}
+
+/**
+ * 업로드 매니페스트를 JSON과 엑셀로 저장
+ * @param {string} sourceFolder - 전표 파일이 있는 원본 폴더
+ * @param {Object} run - { startedAt, completedAt, startFileNumber, endFileNumber, company: 실행 시 선택한 회사, environment: 실행 환경,
+ *   status: 실행 상태 ('completed' / 'failed' / 'cancelled' - 취소한 실행은 완료한 파일까지만 담김), results }
+ * @returns {Promise<Object>} { jsonPath, xlsxPath }
+ */
+async function writeUploadManifest(sourceFolder, run) {
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  const baseName = `${path.basename(sourceFolder)}_upload-manifest_${timestamp}`;
+  const outputDir = path.dirname(sourceFolder);
+  const jsonPath = path.join(outputDir, `${baseName}.json`);
+  const xlsxPath = path.join(outputDir, `${baseName}.xlsx`);
+
+  const rows = run.results.map(toManifestRow);
+
+  // 1. JSON 매니페스트
+  const manifest = {
+    sourceFolder,
+    startedAt: run.startedAt,
+    completedAt: run.completedAt,
+    startFileNumber: run.startFileNumber,
+    endFileNumber: run.endFileNumber,
+    company: run.company || null,
+    environment: run.environment || null,
+    status: run.status || 'completed',
+    files: rows
+  };
+  fs.writeFileSync(jsonPath, JSON.stringify(manifest, null, 2), 'utf-8');
+
+  // 2. 엑셀 매니페스트 (마감 체크리스트 입력용)
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('업로드 내역');
+  sheet.columns = MANIFEST_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    sheet.addRow({
+      ...row,
+      environment: run.environment || null,
+      status: STATUS_LABELS[row.status] || row.status,
+      reconciliationText: formatReconciliation(row.reconciliation),
+      postingText: formatPosting(row.posting),
+      postedText: row.posting ? (row.posting.posted ? '전기됨' : '미전기') : null,
+      durationSeconds: row.durationMs !== undefined ? Math.round(row.durationMs / 1000) : null
+    });
+  });
+
+  await workbook.xlsx.writeFile(xlsxPath);
+
+  logger.info(`업로드 매니페스트 저장 완료: ${jsonPath}, ${xlsxPath}`);
+  return { jsonPath, xlsxPath };
+}
+
+module.exports = {
+  writeUploadManifest
+};
@@ -0,0 +1,96 @@
+/**
+ * 전표 내용 미리보기 모듈
+ * 전표 엑셀 파일의 헤더 정보(전표번호, 일자, 통화), 전표 라인, 차변/대변 합계, 사용 계정을 화면 표시용으로 정리한다.
+ * 계정 이름은 워크북의 "회계계정" 참조 시트에서 찾는다.
+ */
+
+const { readVoucherWorkbook } = require('./voucher-validator.js');
+
+// 소수점 둘째 자리까지 반올림 (부동소수점 오차 제거용)
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Date → YYYY-MM-DD (없으면 null)
+function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+// 빈 값을 제외한 중복 없는 값 목록 (나온 순서 유지)
+function uniqueValues(values) {
+  return Array.from(new Set(values.filter(value => value !== null && value !== undefined && value !== '').map(String)));
+}
+
+// 숫자가 아닌 금액(검증 오류 대상)은 합계에서 제외
+function finiteAmount(amount) {
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * 전표 파일 내용 미리보기
+ * @param {string} filePath - 엑셀 파일 경로
+ * @returns {Promise<Object>} { sheetName, header, lines, totals, accounts }
+ */
+async function readVoucherPreview(filePath) {
+  const { sheetName, lines, accountNames } = await readVoucherWorkbook(filePath);
+  const accountNameOf = (account) => (account === null || account === undefined ? null : accountNames[String(account).trim()] || null);
+
+  const header = {
+    voucherNumbers: uniqueValues(lines.map(line => line.voucherNo)),
+    accountingDates: uniqueValues(lines.map(line => formatDate(line.accountingDate))),
+    evidenceDates: uniqueValues(lines.map(line => formatDate(line.evidenceDate))),
+    dueDates: uniqueValues(lines.map(line => formatDate(line.dueDate))),
+    currencies: uniqueValues(lines.map(line => line.currency))
+  };
+
+  const previewLines = lines.map(line => ({
+    rowNumber: line.rowNumber,
+    voucherNo: line.voucherNo,
+    accountingDate: formatDate(line.accountingDate),
+    accountType: line.accountType,
+    account: line.account,
+    accountName: accountNameOf(line.account),
+    debit: Number.isFinite(line.debit) ? line.debit : null,
+    credit: Number.isFinite(line.credit) ? line.credit : null,
+    currency: line.currency,
+    description: line.description
+  }));
+
+  const totals = {
+    lineCount: lines.length,
+    debit: roundAmount(lines.reduce((sum, line) => sum + finiteAmount(line.debit), 0)),
+    credit: roundAmount(lines.reduce((sum, line) => sum + finiteAmount(line.credit), 0))
+  };
+  totals.balanced = totals.debit === totals.credit;
+
+  // 계정유형 + 계정별 사용 내역 (처음 나온 순서)
+  const accountMap = new Map();
+  lines.forEach(line => {
+    const key = `${line.accountType || ''}|${line.account || ''}`;
+    if (!accountMap.has(key)) {
+      accountMap.set(key, {
+        accountType: line.accountType,
+        account: line.account,
+        accountName: accountNameOf(line.account),
+        lineCount: 0,
+        debit: 0,
+        credit: 0
+      });
+    }
+    const entry = accountMap.get(key);
+    entry.lineCount++;
+    entry.debit += finiteAmount(line.debit);
+    entry.credit += finiteAmount(line.credit);
+  });
+  const accounts = Array.from(accountMap.values()).map(entry => ({
+    ...entry,
+    debit: roundAmount(entry.debit),
+    credit: roundAmount(entry.credit)
+  }));
+
+  return { sheetName, header, lines: previewLines, totals, accounts };
+}
+
+module.exports = {
+  readVoucherPreview
+};
@@ -0,0 +1,115 @@
+/**
+ * 전표 폴더 스캔 모듈
+ * 작업 폴더의 모든 엑셀 파일을 번호(접두어), 괄호 안 텍스트, 크기, 수정 시각과 함께 나열하고
+ * 번호 중복, 번호 없음, 엑셀 잠금 파일(~$)을 표시한다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXCEL_EXTENSIONS = ['.xlsx', '.xls', '.xlsm'];
+
+// 파일 상태 표시 코드 → 화면 표시용 라벨
+const FLAG_LABELS = {
+  duplicate: '번호 중복',
+  unnumbered: '번호 없음',
+  lockFile: '잠금 파일'
+};
+
+// 엑셀 파일 여부
+function isExcelFile(fileName) {
+  return EXCEL_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// 파일명 앞의 "N." 번호 추출 (없으면 null)
+function getFilePrefix(fileName) {
+  const match = fileName.match(/^(\d+)\./);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// 파일명 괄호 안 텍스트 추출 (없으면 null)
+function getParenthesesText(fileName) {
+  const match = fileName.match(/\(([^)]+)\)/);
+  return match && match[1].trim() !== '' ? match[1].trim() : null;
+}
+
+// 파일명의 거래처명 추출 (없으면 null)
+// "N. 양식명_내용_거래처(설명).xlsx" 형식에서 밑줄로 구분된 마지막 부분 (예: "1. ARK전표업로드_임차료_엔닷(TEST).xlsx" → 엔닷)
+function getVendorName(fileName) {
+  const stem = path.basename(fileName, path.extname(fileName))
+    .replace(/^\d+\.\s*/, '')
+    .replace(/\([^)]*\)/g, '')
+    .trim();
+  const parts = stem.split('_').map(part => part.trim()).filter(part => part !== '');
+  return parts.length >= 3 ? parts[parts.length - 1] : null;
+}
+
+/**
+ * 작업 폴더의 엑셀 파일 목록 스캔
+ * @param {string} folderPath - 전표 파일이 있는 작업 폴더
+ * @returns {Object} { folderPath, files, duplicatePrefixes, flagLabels, scannedAt } - 파일은 번호 순, 번호 없는 파일은 뒤쪽
+ */
+function scanVoucherFolder(folderPath) {
+  const files = fs.readdirSync(folderPath, { withFileTypes: true })
+    .filter(entry => entry.isFile() && isExcelFile(entry.name))
+    .map(({ name: fileName }) => {
+      const filePath = path.join(folderPath, fileName);
+      const stat = fs.statSync(filePath);
+      const isLockFile = fileName.startsWith('~$');
+      return {
+        filePath,
+        fileName,
+        prefix: isLockFile ? null : getFilePrefix(fileName),
+        parenthesesText: getParenthesesText(fileName),
+        vendor: isLockFile ? null : getVendorName(fileName),
+        size: stat.size,
+        modifiedAt: stat.mtime.toISOString(),
+        isLockFile,
+        flags: isLockFile ? ['lockFile'] : []
+      };
+    });
+
+  // 번호 없음 / 번호 중복 표시
+  const prefixCounts = {};
+  files.forEach(file => {
+    if (file.isLockFile) return;
+    if (file.prefix === null) {
+      file.flags.push('unnumbered');
+    } else {
+      prefixCounts[file.prefix] = (prefixCounts[file.prefix] || 0) + 1;
+    }
+  });
+
+  const duplicatePrefixes = Object.keys(prefixCounts)
+    .filter(prefix => prefixCounts[prefix] > 1)
+    .map(Number);
+  files.forEach(file => {
+    if (file.prefix !== null && duplicatePrefixes.includes(file.prefix)) {
+      file.flags.push('duplicate');
+    }
+  });
+
+  files.sort((a, b) => {
+    if (a.prefix === null && b.prefix === null) return a.fileName.localeCompare(b.fileName);
+    if (a.prefix === null) return 1;
+    if (b.prefix === null) return -1;
+    return a.prefix - b.prefix || a.fileName.localeCompare(b.fileName);
+  });
+
+  return {
+    folderPath,
+    files,
+    duplicatePrefixes,
+    flagLabels: FLAG_LABELS,
+    scannedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  FLAG_LABELS,
+  isExcelFile,
+  getFilePrefix,
+  getParenthesesText,
+  getVendorName,
+  scanVoucherFolder
+};
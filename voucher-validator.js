@@ -0,0 +1,427 @@
+/**
+ * 전표 엑셀 파일 사전 검증 모듈
+ * 브라우저를 실행하기 전에 선택된 범위의 ARK 전표업로드 파일들을 검사하여
+ * 업로드를 막아야 하는 오류(차대 불일치, 필수 컬럼 누락, 회계기간 혼재, 수식 오류 등)를 찾아낸다.
+ */
+
+const ExcelJS = require('exceljs');
+const winston = require('winston');
+const path = require('path');
+const { getLogLevel } = require('./app-settings.js');
+
+// 로거 설정
+const logger = winston.createLogger({
+  level: getLogLevel(),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'rpa.log' })
+  ]
+});
+
+// ARK 전표업로드 양식의 전표 시트 이름
+const VOUCHER_SHEET_NAME = '전표템플릿';
+
+// 계정 코드와 이름이 있는 참조 시트 (대표 계정 → 이름)
+const ACCOUNT_SHEET_NAME = '회계계정';
+
+// 업로드에 반드시 필요한 컬럼 (헤더 행의 텍스트 기준)
+const REQUIRED_COLUMNS = ['전표번호', '회계일자', '계정유형', '회계계정', '차변 금액', '대변 금액', '통화', '적요'];
+
+// 헤더 행을 찾을 때 검사할 최대 행 수
+const HEADER_SEARCH_ROWS = 10;
+
+// 파일명 규칙: "N." 으로 시작하는 번호
+const FILE_NUMBER_PATTERN = /^(\d+)\./;
+
+// 셀 값이 수식 오류인지 확인 (직접 입력된 오류값과 수식 결과 오류 모두 포함)
+function getCellError(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (value.error) return value.error;
+  if (value.result && typeof value.result === 'object' && value.result.error) return value.result.error;
+  return null;
+}
+
+// 수식/리치텍스트 셀에서 실제 값을 꺼냄
+function getCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return getCellValue(value.result);
+    if ('formula' in value || 'sharedFormula' in value) return null;
+    if (value.text !== undefined) return value.text;
+    return null;
+  }
+  return value;
+}
+
+// 금액 셀을 숫자로 변환 (빈 셀은 0)
+function toAmount(value) {
+  const raw = getCellValue(value);
+  if (raw === null || raw === '') return 0;
+  const amount = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, ''));
+  return Number.isFinite(amount) ? amount : NaN;
+}
+
+// 날짜 셀을 Date로 변환 (Date, 엑셀 시리얼 번호, YYYY-MM-DD 문자열 지원)
+function toDate(value) {
+  const raw = getCellValue(value);
+  if (raw instanceof Date) return isNaN(raw.getTime()) ? null : raw;
+  if (typeof raw === 'number') {
+    // 엑셀 시리얼 번호 (1899-12-30 기준)
+    return new Date(Date.UTC(1899, 11, 30) + raw * 24 * 60 * 60 * 1000);
+  }
+  if (typeof raw === 'string') {
+    const match = raw.trim().match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+    if (match) {
+      return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+    }
+  }
+  return null;
+}
+
+// Date를 회계기간 문자열(YYYY-MM)로 변환
+function toPeriod(date) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// 소수점 둘째 자리까지 반올림 (부동소수점 오차 제거용)
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * 헤더 행 찾기: "전표번호" 텍스트가 있는 첫 번째 행
+ * @param {Object} sheet - ExcelJS 워크시트
+ * @returns {Object} { headerRow, columns: { 헤더 텍스트: 열 번호 } } (헤더 행이 없으면 headerRow null)
+ */
+function findHeaderRow(sheet) {
+  for (let rowNumber = 1; rowNumber <= Math.min(HEADER_SEARCH_ROWS, sheet.rowCount); rowNumber++) {
+    const row = sheet.getRow(rowNumber);
+    const texts = {};
+    row.eachCell((cell, colNumber) => {
+      const text = getCellValue(cell.value);
+      if (typeof text === 'string') texts[text.trim()] = colNumber;
+    });
+    if (texts['전표번호']) {
+      return { headerRow: rowNumber, columns: texts };
+    }
+  }
+  return { headerRow: null, columns: {} };
+}
+
+/**
+ * 전표 엑셀 파일을 읽어 헤더 정보와 전표 라인을 반환
+ * @param {string} filePath - 엑셀 파일 경로
+ * @returns {Promise<Object>} { sheetName, headerRow, columns, lines, formulaErrors, accountNames }
+ */
+async function readVoucherWorkbook(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const sheet = workbook.getWorksheet(VOUCHER_SHEET_NAME) || workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error('워크북에 시트가 없습니다.');
+  }
+
+  const { headerRow, columns } = findHeaderRow(sheet);
+
+  // 시트 전체에서 수식 오류 셀 수집
+  const formulaErrors = [];
+  sheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      const error = getCellError(cell.value);
+      if (error) formulaErrors.push({ address: cell.address, error });
+    });
+  });
+
+  // 전표 라인 읽기: 헤더 다음 행부터 전표번호가 있는 행
+  const lines = [];
+  if (headerRow) {
+    for (let rowNumber = headerRow + 1; rowNumber <= sheet.rowCount; rowNumber++) {
+      const row = sheet.getRow(rowNumber);
+      const cellOf = (name) => (columns[name] ? row.getCell(columns[name]).value : null);
+      const voucherNo = getCellValue(cellOf('전표번호'));
+      if (voucherNo === null || voucherNo === '') continue;
+
+      lines.push({
+        rowNumber,
+        voucherNo: String(voucherNo),
+        accountingDate: toDate(cellOf('회계일자')),
+        evidenceDate: toDate(cellOf('증빙일자')),
+        dueDate: toDate(cellOf('지급예정일자')),
+        accountType: getCellValue(cellOf('계정유형')),
+        account: getCellValue(cellOf('회계계정')),
+        debit: toAmount(cellOf('차변 금액')),
+        credit: toAmount(cellOf('대변 금액')),
+        currency: getCellValue(cellOf('통화')),
+        description: getCellValue(cellOf('적요'))
+      });
+    }
+  }
+
+  return { sheetName: sheet.name, headerRow, columns, lines, formulaErrors, accountNames: readAccountNames(workbook) };
+}
+
+// 회계계정 참조 시트의 계정 코드 → 이름 (시트가 없으면 빈 객체)
+function readAccountNames(workbook) {
+  const sheet = workbook.getWorksheet(ACCOUNT_SHEET_NAME);
+  const accountNames = {};
+  if (!sheet) return accountNames;
+
+  let codeColumn = null;
+  let nameColumn = null;
+  sheet.getRow(1).eachCell((cell, colNumber) => {
+    const text = getCellValue(cell.value);
+    if (text === '대표 계정') codeColumn = colNumber;
+    if (text === '이름') nameColumn = colNumber;
+  });
+  if (!codeColumn || !nameColumn) return accountNames;
+
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const code = getCellValue(row.getCell(codeColumn).value);
+    const name = getCellValue(row.getCell(nameColumn).value);
+    if (code !== null && name) accountNames[String(code).trim()] = String(name).trim();
+  });
+  return accountNames;
+}
+
+/**
+ * 전표 파일의 회계기간 (회계일자가 여러 기간에 걸치면 가장 이른 기간)
+ * @param {string} filePath - 엑셀 파일 경로
+ * @returns {Promise<string|null>} YYYY-MM (회계일자가 없으면 null)
+ */
+async function readVoucherPeriod(filePath) {
+  const { lines } = await readVoucherWorkbook(filePath);
+  const periods = lines
+    .filter(line => line.accountingDate)
+    .map(line => toPeriod(line.accountingDate))
+    .sort();
+  return periods.length > 0 ? periods[0] : null;
+}
+
+/**
+ * 워크북의 셀 값 읽기 (설명 템플릿 {cell:시트!셀} 토큰용)
+ * @param {string} filePath - 엑셀 파일 경로
+ * @param {string[]} cellRefs - "Sheet1!B2" 형식 셀 참조 목록 (시트 이름을 생략하면 전표 시트)
+ * @returns {Promise<Object>} 셀 참조 → 값 (날짜는 YYYY-MM-DD)
+ */
+async function readCellValues(filePath, cellRefs) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const values = {};
+  cellRefs.forEach(cellRef => {
+    const match = cellRef.match(/^(?:'?([^'!]+)'?!)?\$?([A-Za-z]{1,3})\$?(\d+)$/);
+    if (!match) {
+      throw new Error(`셀 참조 형식이 올바르지 않습니다: ${cellRef} (예: Sheet1!B2)`);
+    }
+
+    const sheet = match[1]
+      ? workbook.getWorksheet(match[1])
+      : (workbook.getWorksheet(VOUCHER_SHEET_NAME) || workbook.worksheets[0]);
+    if (!sheet) {
+      throw new Error(`시트를 찾을 수 없습니다: ${match[1] || VOUCHER_SHEET_NAME}`);
+    }
+
+    const value = getCellValue(sheet.getCell(`${match[2].toUpperCase()}${match[3]}`).value);
+    values[cellRef] = value instanceof Date ? value.toISOString().slice(0, 10) : value;
+  });
+  return values;
+}
+
+/**
+ * 단일 전표 파일 검증
+ * @param {string} filePath - 엑셀 파일 경로
+ * @param {Object} [options]
+ * @param {Function} [options.buildDescription] - (filePath, fileNumber, period) => 전표 설명. 파일별 설명 템플릿으로 설명을 만들어
+ *   알 수 없는 토큰이나 값이 빈 토큰({parentheses}를 쓰는데 파일명에 괄호가 없는 경우 포함)을 오류로 기록
+ * @returns {Promise<Object>} 파일별 검증 리포트 (errors가 있으면 업로드 차단)
+ */
+async function validateVoucherFile(filePath, options = {}) {
+  const fileName = path.basename(filePath);
+  const report = {
+    filePath,
+    fileName,
+    fileNumber: null,
+    description: null,
+    periods: [],
+    lineCount: 0,
+    totalDebit: 0,
+    totalCredit: 0,
+    errors: [],
+    warnings: []
+  };
+
+  // 1. 파일명 규칙 검사 (번호 없는 파일은 폴더 파일 목록에서 직접 선택한 경우에만 들어오므로 경고)
+  const numberMatch = fileName.match(FILE_NUMBER_PATTERN);
+  if (numberMatch) {
+    report.fileNumber = parseInt(numberMatch[1]);
+  } else {
+    report.warnings.push('파일명이 "번호."으로 시작하지 않습니다. 번호 범위 실행에는 포함되지 않습니다.');
+  }
+
+  // 2. 워크북 읽기
+  let workbookData;
+  try {
+    workbookData = await readVoucherWorkbook(filePath);
+  } catch (readError) {
+    report.errors.push(`엑셀 파일을 읽을 수 없습니다: ${readError.message}`);
+    return report;
+  }
+
+  // 3. 필수 컬럼 검사
+  if (!workbookData.headerRow) {
+    report.errors.push(`"${workbookData.sheetName}" 시트에서 헤더 행("전표번호")을 찾을 수 없습니다.`);
+    return report;
+  }
+
+  const missingColumns = REQUIRED_COLUMNS.filter(name => !workbookData.columns[name]);
+  if (missingColumns.length > 0) {
+    report.errors.push(`필수 컬럼이 없습니다: ${missingColumns.join(', ')}`);
+  }
+
+  // 4. 수식 오류 검사
+  workbookData.formulaErrors.forEach(({ address, error }) => {
+    report.errors.push(`수식 오류: ${address} 셀 (${error})`);
+  });
+
+  // 5. 전표 라인 검사
+  const lines = workbookData.lines;
+  report.lineCount = lines.length;
+  if (lines.length === 0) {
+    report.errors.push('전표 라인이 없습니다.');
+    return report;
+  }
+
+  const voucherTotals = new Map();
+  const periods = new Set();
+
+  lines.forEach(line => {
+    if (Number.isNaN(line.debit) || Number.isNaN(line.credit)) {
+      report.errors.push(`${line.rowNumber}행: 금액이 숫자가 아닙니다.`);
+      return;
+    }
+    if (line.debit === 0 && line.credit === 0) {
+      report.warnings.push(`${line.rowNumber}행: 차변/대변 금액이 모두 비어 있습니다.`);
+    }
+    if (!line.account) {
+      report.errors.push(`${line.rowNumber}행: 회계계정이 비어 있습니다.`);
+    }
+
+    if (line.accountingDate) {
+      periods.add(toPeriod(line.accountingDate));
+    } else {
+      report.errors.push(`${line.rowNumber}행: 회계일자가 올바른 날짜가 아닙니다.`);
+    }
+
+    const totals = voucherTotals.get(line.voucherNo) || { debit: 0, credit: 0 };
+    totals.debit += line.debit;
+    totals.credit += line.credit;
+    voucherTotals.set(line.voucherNo, totals);
+
+    report.totalDebit += line.debit;
+    report.totalCredit += line.credit;
+  });
+
+  report.totalDebit = roundAmount(report.totalDebit);
+  report.totalCredit = roundAmount(report.totalCredit);
+
+  // 6. 차대 균형 검사 (전표번호 단위로 차변과 대변 금액이 같아야 함)
+  voucherTotals.forEach((totals, voucherNo) => {
+    const debit = roundAmount(totals.debit);
+    const credit = roundAmount(totals.credit);
+    if (debit !== credit) {
+      report.errors.push(`전표번호 ${voucherNo}: 차변(${debit.toLocaleString()})과 대변(${credit.toLocaleString()}) 금액이 일치하지 않습니다.`);
+    }
+  });
+
+  // 7. 회계기간 검사 (파일 내 모든 회계일자가 같은 월이어야 함)
+  report.periods = Array.from(periods).sort();
+  if (report.periods.length > 1) {
+    report.errors.push(`회계일자가 여러 회계기간에 걸쳐 있습니다: ${report.periods.join(', ')}`);
+  }
+
+  // 8. 전표 설명 검사 (설명 템플릿의 토큰 값을 모두 채울 수 있어야 함)
+  if (options.buildDescription) {
+    try {
+      report.description = await options.buildDescription(filePath, report.fileNumber, report.periods[0] || null);
+    } catch (descriptionError) {
+      report.errors.push(`전표 설명을 만들 수 없습니다: ${descriptionError.message}`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * 여러 전표 파일을 검증하고 배치 전체 리포트를 반환
+ * @param {string[]} filePaths - 검증할 엑셀 파일 경로 목록
+ * @param {Object} [options]
+ * @param {string} [options.openPeriod] - 허용되는 회계기간 (YYYY-MM). 지정하지 않으면 배치 내 기간 일치만 검사
+ * @param {Function} [options.buildDescription] - 파일별 전표 설명 생성 함수 (validateVoucherFile 참고)
+ * @returns {Promise<Object>} { blocked, period, files, errorCount, warningCount }
+ */
+async function validateVoucherFiles(filePaths, options = {}) {
+  logger.info(`전표 파일 사전 검증 시작: ${filePaths.length}개 파일`);
+
+  const files = [];
+  for (const filePath of filePaths) {
+    const report = await validateVoucherFile(filePath, { buildDescription: options.buildDescription });
+    files.push(report);
+  }
+
+  // 배치 전체가 하나의 회계기간에 속하는지 검사
+  const batchPeriods = Array.from(new Set(files.flatMap(report => report.periods))).sort();
+  const period = options.openPeriod || (batchPeriods.length === 1 ? batchPeriods[0] : null);
+
+  files.forEach(report => {
+    if (report.periods.length !== 1) return;
+    if (options.openPeriod && report.periods[0] !== options.openPeriod) {
+      report.errors.push(`회계기간 ${report.periods[0]}은(는) 열린 회계기간(${options.openPeriod})이 아닙니다.`);
+    } else if (!options.openPeriod && batchPeriods.length > 1) {
+      report.errors.push(`다른 파일과 회계기간이 다릅니다: ${report.periods[0]} (배치 내 기간: ${batchPeriods.join(', ')})`);
+    }
+  });
+
+  files.forEach(report => {
+    report.blocking = report.errors.length > 0;
+    if (report.blocking) {
+      logger.warn(`검증 실패: ${report.fileName} - ${report.errors.join(' / ')}`);
+    }
+  });
+
+  const errorCount = files.reduce((sum, report) => sum + report.errors.length, 0);
+  const warningCount = files.reduce((sum, report) => sum + report.warnings.length, 0);
+  const blocked = files.some(report => report.blocking);
+
+  logger.info(`전표 파일 사전 검증 완료: 오류 ${errorCount}건, 경고 ${warningCount}건${blocked ? ' (실행 차단)' : ''}`);
+
+  return {
+    blocked,
+    period,
+    files,
+    errorCount,
+    warningCount,
+    validatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  VOUCHER_SHEET_NAME,
+  getCellValue,
+  findHeaderRow,
+  readVoucherWorkbook,
+  readVoucherPeriod,
+  readCellValues,
+  validateVoucherFile,
+  validateVoucherFiles,
+  REQUIRED_COLUMNS
+};